@@ -0,0 +1,8 @@
+// AdminApp.jsx
+import { ZoneAdmin } from './components/admin/ZoneAdmin';
+
+function AdminApp() {
+  return <ZoneAdmin />;
+}
+
+export default AdminApp;
@@ -1,94 +1,137 @@
 // App.jsx
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useEffect, useCallback, useMemo } from 'react';
 import { supabase } from './config/supabase';
 import { useSupabase } from './hooks/useSupabase';
+import { useLocation } from './hooks/useLocation';
+import { useCart } from './hooks/useCart';
 import { ORANGE, LIGHT_BG, BORDER } from './config/constants';
+import { paths } from './config/routes';
+import { navigate, matchPath } from './lib/router';
 import { Loading } from './components/common/Loading';
 import { AuthPage } from './components/auth/AuthPage';
 import { RestaurantListing } from './components/products/RestaurantListing';
+import { RestaurantPage } from './components/products/RestaurantPage';
 import { Cart } from './components/cart/Cart';
 import { Checkout } from './components/checkout/Checkout';
 import { OrderHistory } from './components/orders/OrderHistory';
 import { OrderTracking } from './components/orders/OrderTracking';
+import { FakePaymentPage } from './components/checkout/FakePaymentPage';
+import { ProfilePage } from './components/profile/ProfilePage';
 import RestaurantOwnerDashboard from './components/orders/RestaurantOwnerDashboard';
+import RiderApp from './RiderApp';
+import AdminApp from './AdminApp';
 import './App.css';
 
+// Every page has a URL. Customer pages need a signed-in user; the owner
+// dashboard, the rider app and the admin pages handle their own login.
+const ROUTES = [
+  { name: 'shops', pattern: '/shops' },
+  { name: 'restaurant', pattern: '/shops/:restaurantId' },
+  { name: 'cart', pattern: '/cart' },
+  { name: 'checkout', pattern: '/checkout' },
+  { name: 'orders', pattern: '/orders' },
+  { name: 'order', pattern: '/orders/:orderId' },
+  // The fake payment provider's checkout page exists in development only
+  ...(import.meta.env.DEV ? [{ name: 'pay', pattern: '/pay/:paymentId' }] : []),
+  { name: 'profile', pattern: '/profile' },
+  { name: 'login', pattern: '/login', isPublic: true },
+  { name: 'owner', pattern: '/owner', isPublic: true },
+  { name: 'owner', pattern: '/owner/:tab', isPublic: true },
+  { name: 'rider', pattern: '/rider', isPublic: true },
+  { name: 'admin', pattern: '/admin', isPublic: true },
+];
+
+const resolveRoute = (pathname) => {
+  for (const route of ROUTES) {
+    const params = matchPath(route.pattern, pathname);
+    if (params) return { ...route, params };
+  }
+  return null;
+};
+
+// Only same-site paths are allowed as a post-login redirect
+const getRedirectTarget = (search) => {
+  const redirect = new URLSearchParams(search).get('redirect');
+  return redirect && redirect.startsWith('/') && !redirect.startsWith('//') ? redirect : paths.shops();
+};
+
 const App = () => {
   const { user, authReady } = useSupabase();
-  const [page, setPage] = useState('products'); 
-  const [cart, setCart] = useState([]);
-  const [selectedOrder, setSelectedOrder] = useState(null);
+  const { pathname, search, path } = useLocation();
+  const { cart, setCart, validating: cartValidating } = useCart(user, authReady);
+
+  const route = useMemo(() => resolveRoute(pathname), [pathname]);
 
   const handleSignOut = useCallback(() => {
+    // useCart clears the local basket once the session is gone
     supabase.auth.signOut().then(() => {
-      setCart([]);
-      setPage('auth'); 
+      navigate(paths.login(), { replace: true });
     }).catch(console.error);
   }, []);
 
+  // Route guards: unknown URLs, signed-out visitors, already signed-in
+  // visitors on /login and an empty checkout all get redirected.
   useEffect(() => {
     if (!authReady) return;
 
-    if (!user) {
-      if (page !== 'auth' && page !== 'restaurant-dashboard') {
-        setPage('auth');
-      }
-      return;
-    } 
-
-    if (page === 'auth') {
-      setPage('products');
-    } else if (page === 'details' && !selectedOrder) {
-      setPage('history');
-    }
-    
-    if (page !== 'details' && selectedOrder) {
-      setSelectedOrder(null);
+    if (!route) {
+      navigate(paths.shops(), { replace: true });
+    } else if (!user && !route.isPublic) {
+      navigate(paths.login(path), { replace: true });
+    } else if (user && route.name === 'login') {
+      navigate(getRedirectTarget(search), { replace: true });
+    } else if (route.name === 'checkout' && cart.length === 0) {
+      navigate(paths.shops(), { replace: true });
     }
-  }, [authReady, user, page, selectedOrder]); 
+  }, [authReady, user, route, path, search, cart.length]);
 
   const renderContent = () => {
-    if (!authReady) return <Loading />;
+    if (!authReady || !route) return <Loading />;
     
     // Allow restaurant dashboard to handle its own auth
-    if (page === 'restaurant-dashboard') {
+    if (route.name === 'owner') {
       return <RestaurantOwnerDashboard />;
     }
+    if (route.name === 'rider') {
+      return <RiderApp />;
+    }
+    if (route.name === 'admin') {
+      return <AdminApp />;
+    }
 
     if (!user) {
-      return <AuthPage onSuccess={() => setPage('products')} />;
+      return <AuthPage onSuccess={() => navigate(getRedirectTarget(search), { replace: true })} />;
     }
 
-    switch (page) {
-      case 'products':
-        return <RestaurantListing setPage={setPage} cart={cart} setCart={setCart} />;
+    switch (route.name) {
+      case 'restaurant':
+        return <RestaurantPage key={route.params.restaurantId} restaurantId={route.params.restaurantId} cart={cart} setCart={setCart} />;
       case 'cart':
-        return <Cart setPage={setPage} cart={cart} setCart={setCart} />;
+        return <Cart cart={cart} setCart={setCart} validating={cartValidating} />;
       case 'checkout':
-        if (cart.length === 0) {
-          setPage('products');
-          return null;
-        }
-        return <Checkout setPage={setPage} cart={cart} setCart={setCart} user={user} />;
-      case 'history':
-        return <OrderHistory setPage={setPage} user={user} setSelectedOrder={setSelectedOrder} />;
-      case 'details':
-        if (!selectedOrder) {
-          setPage('history');
-          return null;
-        }
-        return <OrderTracking order={selectedOrder} setPage={setPage} user={user} />;
+        if (cart.length === 0) return null;
+        return <Checkout cart={cart} setCart={setCart} user={user} />;
+      case 'orders':
+        return <OrderHistory user={user} cart={cart} setCart={setCart} />;
+      case 'order':
+        return <OrderTracking key={route.params.orderId} orderId={route.params.orderId} cart={cart} setCart={setCart} />;
+      case 'profile':
+        return <ProfilePage user={user} />;
+      case 'pay':
+        return <FakePaymentPage key={route.params.paymentId} paymentId={route.params.paymentId} />;
+      case 'shops':
       default:
-        return <RestaurantListing setPage={setPage} cart={cart} setCart={setCart} />;
+        return <RestaurantListing cart={cart} setCart={setCart} searchQuery={new URLSearchParams(search).get('q') || ''} />;
     }
   };
 
   const cartItemCount = useMemo(() => cart.reduce((sum, item) => sum + item.quantity, 0), [cart]);
   
   const navItems = [
-    { key: 'products', label: 'Shops', icon: '🍔' },
-    { key: 'cart', label: 'Basket', icon: `🧺`, count: cartItemCount },
-    { key: 'history', label: 'Orders', icon: '🛵' },
+    { key: 'shops', to: paths.shops(), routes: ['shops', 'restaurant'], label: 'Shops', icon: '🍔' },
+    { key: 'cart', to: paths.cart(), routes: ['cart', 'checkout'], label: 'Basket', icon: `🧺`, count: cartItemCount },
+    { key: 'orders', to: paths.orders(), routes: ['orders', 'order', 'pay'], label: 'Orders', icon: '🛵' },
+    { key: 'profile', to: paths.profile(), routes: ['profile'], label: 'Profile', icon: '👤' },
   ];
   
   const displayUserId = useMemo(() => {
@@ -97,8 +140,8 @@ const App = () => {
     return 'Guest';
   }, [user]);
 
-  // Hide header and nav for restaurant dashboard
-  const hideNavigation = page === 'restaurant-dashboard';
+  // Hide header and nav for the restaurant dashboard, rider app and admin
+  const hideNavigation = ['owner', 'rider', 'admin'].includes(route?.name);
 
   return (
     <div className="h-screen flex flex-col items-center w-full" style={{ backgroundColor: LIGHT_BG }}>
@@ -133,8 +176,8 @@ const App = () => {
             {navItems.map(item => (
               <button
                 key={item.key}
-                onClick={() => setPage(item.key)}
-                className={`flex flex-col items-center p-2 pt-3 text-xs font-semibold w-full sm:w-3/4 transition-colors relative ${page === item.key ? 'text-opacity-100' : 'text-opacity-60'}`}
+                onClick={() => navigate(item.to)}
+                className={`flex flex-col items-center p-2 pt-3 text-xs font-semibold w-full sm:w-3/4 transition-colors relative ${item.routes.includes(route?.name) ? 'text-opacity-100' : 'text-opacity-60'}`}
                 style={{ color: ORANGE }}
               >
                 <span className="text-2xl mb-1">{item.icon}</span>
@@ -154,7 +197,7 @@ const App = () => {
       {/* Owner Access Button - Fixed position */}
       {!hideNavigation && (
         <button
-          onClick={() => setPage('restaurant-dashboard')}
+          onClick={() => navigate(paths.owner())}
           className="fixed bottom-20 right-4 md:bottom-6 md:right-6 p-4 rounded-full shadow-2xl font-bold text-white transition-all hover:scale-110 z-30"
           style={{ backgroundColor: ORANGE }}
           title="Restaurant Owner Login"
@@ -0,0 +1,8 @@
+// RiderApp.jsx
+import { RiderDashboard } from './components/rider/RiderDashboard';
+
+function RiderApp() {
+  return <RiderDashboard />;
+}
+
+export default RiderApp;
@@ -0,0 +1,343 @@
+// components/admin/ZoneAdmin.jsx
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { GoogleMap, useJsApiLoader, Polygon } from '@react-google-maps/api';
+import { supabase } from '../../config/supabase';
+import { ORANGE, NAVY, LIGHT_BG, BORDER, MOCK_ILIGAN_CENTER, MOCK_MAPS_API_KEY } from '../../config/constants';
+import {
+  isCurrentUserAdmin,
+  fetchAllZones,
+  saveZone,
+  parseBoundary,
+  parseZoneBoundaries,
+  saveZoneBoundaries,
+  boundaryToPaths,
+  pathsToBoundary,
+  squareBoundaryAround,
+} from '../../lib/deliveryZones';
+import { getGeometryCenter } from '../../lib/geo';
+import { useSupabase } from '../../hooks/useSupabase';
+import { AuthPage } from '../auth/AuthPage';
+import { FoodButton } from '../common/FoodButton';
+import { Loading } from '../common/Loading';
+
+const containerStyle = { width: '100%', height: '420px' };
+
+const formatBoundary = (boundary) => (boundary ? JSON.stringify(boundary, null, 2) : '');
+
+// Admin page for the delivery zones: switch zones on and off and draw or
+// import each zone's GeoJSON boundary. Other zones are shown faintly on the
+// map; the selected one can be reshaped by dragging its vertices.
+export const ZoneAdmin = () => {
+  const { user, authReady } = useSupabase();
+  const [isAdmin, setIsAdmin] = useState(null);
+  const [zones, setZones] = useState([]);
+  const [selectedName, setSelectedName] = useState('');
+  // The boundary shown on the map for the selected zone; `shapeVersion`
+  // remounts the editable polygons when it is replaced from outside the map
+  const [draft, setDraft] = useState(null);
+  const [shapeVersion, setShapeVersion] = useState(0);
+  const [draggedOnMap, setDraggedOnMap] = useState(false);
+  const [geojsonText, setGeojsonText] = useState('');
+  const [newZoneName, setNewZoneName] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const mapRef = useRef(null);
+  const polygonRefs = useRef([]);
+
+  const { isLoaded, loadError } = useJsApiLoader({
+    googleMapsApiKey: MOCK_MAPS_API_KEY,
+  });
+
+  useEffect(() => {
+    if (!authReady) return undefined;
+    if (!user) {
+      setIsAdmin(false);
+      return undefined;
+    }
+    let mounted = true;
+    setIsAdmin(null);
+    isCurrentUserAdmin()
+      .then(result => { if (mounted) setIsAdmin(result); })
+      .catch(e => {
+        console.error('Error checking admin access:', e);
+        if (mounted) setIsAdmin(false);
+      });
+    return () => { mounted = false; };
+  }, [authReady, user]);
+
+  const loadZones = useCallback(async () => {
+    try {
+      setZones(await fetchAllZones());
+    } catch (e) {
+      console.error('Error loading zones:', e);
+      setError('Could not load zones: ' + e.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAdmin) loadZones();
+  }, [isAdmin, loadZones]);
+
+  const showBoundary = (boundary) => {
+    setDraft(boundary);
+    setGeojsonText(formatBoundary(boundary));
+    setShapeVersion(version => version + 1);
+    setDraggedOnMap(false);
+  };
+
+  const selectZone = (zone) => {
+    setSelectedName(zone.barangay_name);
+    setError('');
+    setMessage('');
+    showBoundary(zone.boundary || null);
+    const center = getGeometryCenter(zone.boundary);
+    if (center && mapRef.current) mapRef.current.panTo(center);
+  };
+
+  // The selected zone's shape as currently dragged on the map
+  const readMapBoundary = () => pathsToBoundary(
+    polygonRefs.current
+      .filter(Boolean)
+      .map(polygon => polygon.getPath().getArray().map(latLng => ({ lat: latLng.lat(), lng: latLng.lng() })))
+  );
+
+  const syncTextFromMap = () => {
+    setGeojsonText(formatBoundary(readMapBoundary()));
+    setDraggedOnMap(true);
+  };
+
+  const update = async (changes, successMessage) => {
+    setSaving(true);
+    setError('');
+    setMessage('');
+    try {
+      const saved = await saveZone(changes);
+      setZones(prev => {
+        const others = prev.filter(zone => zone.barangay_name !== saved.barangay_name);
+        return [...others, saved].sort((a, b) => a.barangay_name.localeCompare(b.barangay_name));
+      });
+      setMessage(successMessage);
+      return saved;
+    } catch (e) {
+      console.error('Error saving zone:', e);
+      setError('Could not save: ' + e.message);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveBoundary = async () => {
+    // Untouched shapes are saved as-is, so holes in imported GeoJSON survive
+    const boundary = draft && draggedOnMap ? readMapBoundary() : draft;
+    const saved = await update({ barangay_name: selectedName, boundary }, boundary ? 'Boundary saved.' : 'Boundary cleared.');
+    if (saved) showBoundary(saved.boundary);
+  };
+
+  const handleApplyGeojson = () => {
+    setError('');
+    try {
+      showBoundary(parseBoundary(geojsonText));
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  // A whole FeatureCollection at once, e.g. the official PSA / NAMRIA
+  // barangay layer clipped to Iligan City
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setSaving(true);
+    setError('');
+    setMessage('');
+    try {
+      const { boundaries, unmatched } = parseZoneBoundaries(await file.text(), zones);
+      if (boundaries.length === 0) throw new Error('No feature matched a barangay on the list.');
+      const saved = await saveZoneBoundaries(boundaries);
+      setZones(prev => prev.map(zone => saved.find(row => row.barangay_name === zone.barangay_name) || zone));
+      setMessage(`Imported ${saved.length} boundaries.${unmatched.length > 0 ? ` Not on the list: ${unmatched.join(', ')}.` : ''}`);
+      const selected = saved.find(zone => zone.barangay_name === selectedName);
+      if (selected) showBoundary(selected.boundary);
+    } catch (err) {
+      console.error('Error importing boundaries:', err);
+      setError('Could not import: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDrawSquare = () => {
+    const center = mapRef.current?.getCenter();
+    showBoundary(squareBoundaryAround(center ? { lat: center.lat(), lng: center.lng() } : MOCK_ILIGAN_CENTER));
+  };
+
+  const handleAddZone = async () => {
+    const name = newZoneName.trim();
+    if (!name) return;
+    if (zones.some(zone => zone.barangay_name.toLowerCase() === name.toLowerCase())) {
+      setError(`Brgy. ${name} already exists.`);
+      return;
+    }
+    const saved = await update({ barangay_name: name, is_active: false }, `Brgy. ${name} added. Draw its boundary, then switch it on.`);
+    if (saved) {
+      setNewZoneName('');
+      selectZone(saved);
+    }
+  };
+
+  if (!authReady || isAdmin === null) return <Loading />;
+  if (!user) return <AuthPage onSuccess={() => {}} />;
+  if (!isAdmin) {
+    return (
+      <div className="p-6 max-w-md mx-auto text-center">
+        <h2 className="text-xl font-bold mb-2" style={{ color: NAVY }}>Admins only</h2>
+        <p className="text-gray-600 mb-4">This account cannot manage delivery zones.</p>
+        <FoodButton onClick={() => supabase.auth.signOut()} variant="secondary">Sign in with another account</FoodButton>
+      </div>
+    );
+  }
+
+  const selectedZone = zones.find(zone => zone.barangay_name === selectedName);
+  const missingCount = zones.filter(zone => !zone.boundary).length;
+  const otherZones = zones.filter(zone => zone.boundary && zone.barangay_name !== selectedName);
+
+  return (
+    <div className="min-h-full w-full" style={{ backgroundColor: LIGHT_BG }}>
+      <header className="shadow-lg p-4 sticky top-0 z-20 text-white" style={{ backgroundColor: ORANGE }}>
+        <div className="max-w-5xl mx-auto flex justify-between items-center">
+          <h1 className="text-lg font-black">🗺️ Delivery Zones</h1>
+          <button onClick={() => supabase.auth.signOut()} className="px-3 py-1 rounded-full bg-white/20 hover:bg-white/30 text-sm font-bold">
+            Logout
+          </button>
+        </div>
+      </header>
+
+      {missingCount > 0 && (
+        <div className="max-w-5xl mx-auto px-4 pt-4">
+          <div className="p-3 rounded-xl bg-yellow-50 border border-yellow-200 text-sm text-yellow-800 flex flex-wrap items-center justify-between gap-2">
+            <span>
+              {missingCount} of {zones.length} zones have no boundary yet, so pins there are only checked against the city
+              and every shop delivers to them. Import the official PSA / NAMRIA barangay boundaries (GeoJSON).
+            </span>
+            <label className={`px-3 py-1 rounded-lg font-bold text-white ${saving ? 'opacity-60' : 'cursor-pointer'}`} style={{ backgroundColor: ORANGE }}>
+              Import file
+              <input type="file" accept=".json,.geojson,application/geo+json,application/json" onChange={handleImportFile} disabled={saving} className="hidden" />
+            </label>
+          </div>
+        </div>
+      )}
+
+      <div className="max-w-5xl mx-auto p-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-white rounded-xl shadow-md border p-3 md:max-h-[640px] md:overflow-y-auto" style={{ borderColor: BORDER }}>
+          <div className="flex gap-2 mb-3">
+            <input
+              value={newZoneName}
+              onChange={(e) => setNewZoneName(e.target.value)}
+              placeholder="New barangay"
+              className="flex-1 p-2 border border-gray-300 rounded-lg text-sm input-focus-shopee"
+            />
+            <button onClick={handleAddZone} disabled={saving || !newZoneName.trim()} className="px-3 rounded-lg text-sm font-bold text-white disabled:opacity-60" style={{ backgroundColor: ORANGE }}>
+              Add
+            </button>
+          </div>
+          <ul className="divide-y" style={{ borderColor: BORDER }}>
+            {zones.map(zone => (
+              <li key={zone.barangay_name} className={`flex items-center justify-between py-2 px-1 ${zone.barangay_name === selectedName ? 'bg-orange-50' : ''}`}>
+                <button onClick={() => selectZone(zone)} className="text-left text-sm flex-1">
+                  <span className="font-semibold" style={{ color: NAVY }}>{zone.barangay_name}</span>
+                  {!zone.boundary && <span className="ml-2 text-xs text-red-500 font-semibold">no boundary</span>}
+                </button>
+                <label className="flex items-center gap-1 text-xs text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(zone.is_active)}
+                    disabled={saving}
+                    onChange={(e) => update(
+                      { barangay_name: zone.barangay_name, is_active: e.target.checked },
+                      `Brgy. ${zone.barangay_name} ${e.target.checked ? 'is now delivering' : 'is switched off'}.`
+                    )}
+                  />
+                  Active
+                </label>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="md:col-span-2 space-y-3">
+          <div className="rounded-xl overflow-hidden border" style={{ borderColor: BORDER }}>
+            {loadError && <div className="p-4 bg-red-50 text-sm text-red-600 font-semibold">The map could not be loaded. You can still paste GeoJSON below.</div>}
+            {isLoaded && !loadError && (
+              <GoogleMap
+                mapContainerStyle={containerStyle}
+                center={MOCK_ILIGAN_CENTER}
+                zoom={12}
+                onLoad={(map) => { mapRef.current = map; }}
+                onUnmount={() => { mapRef.current = null; }}
+                options={{ disableDefaultUI: true, zoomControl: true, clickableIcons: false }}
+              >
+                {otherZones.flatMap(zone => boundaryToPaths(zone.boundary).map((path, index) => (
+                  <Polygon
+                    key={`${zone.barangay_name}-${index}`}
+                    path={path}
+                    onClick={() => selectZone(zone)}
+                    options={{ strokeColor: NAVY, strokeOpacity: 0.5, strokeWeight: 1, fillColor: NAVY, fillOpacity: 0.05 }}
+                  />
+                )))}
+                {draft && boundaryToPaths(draft).map((path, index) => (
+                  <Polygon
+                    key={`draft-${shapeVersion}-${index}`}
+                    path={path}
+                    editable
+                    draggable
+                    onLoad={(polygon) => { polygonRefs.current[index] = polygon; }}
+                    onUnmount={() => { polygonRefs.current[index] = null; }}
+                    onMouseUp={syncTextFromMap}
+                    onDragEnd={syncTextFromMap}
+                    options={{ strokeColor: ORANGE, strokeWeight: 2, fillColor: ORANGE, fillOpacity: 0.2 }}
+                  />
+                ))}
+              </GoogleMap>
+            )}
+          </div>
+
+          {selectedZone ? (
+            <div className="bg-white rounded-xl shadow-md border p-4 space-y-3" style={{ borderColor: BORDER }}>
+              <div className="flex justify-between items-center">
+                <h2 className="font-bold" style={{ color: NAVY }}>Brgy. {selectedZone.barangay_name}</h2>
+                <span className="text-xs text-gray-500">
+                  {selectedZone.boundary ? 'Pins are checked against this shape' : 'No boundary: pins are matched by name'}
+                </span>
+              </div>
+              <div className="flex flex-wrap gap-2 text-sm">
+                <button onClick={handleDrawSquare} className="px-3 py-1 rounded-lg border font-semibold" style={{ borderColor: BORDER, color: NAVY }}>Draw square here</button>
+                <button onClick={() => showBoundary(selectedZone.boundary || null)} className="px-3 py-1 rounded-lg border font-semibold" style={{ borderColor: BORDER, color: NAVY }}>Undo changes</button>
+                <button onClick={() => showBoundary(null)} className="px-3 py-1 rounded-lg border font-semibold text-red-600" style={{ borderColor: BORDER }}>Remove boundary</button>
+              </div>
+              <label className="block text-xs font-semibold text-gray-600">GeoJSON (Polygon, MultiPolygon or Feature; [lng, lat])</label>
+              <textarea
+                value={geojsonText}
+                onChange={(e) => setGeojsonText(e.target.value)}
+                rows={8}
+                spellCheck={false}
+                className="w-full p-2 border border-gray-300 rounded-lg font-mono text-xs input-focus-shopee"
+              />
+              <div className="grid grid-cols-2 gap-2">
+                <FoodButton onClick={handleApplyGeojson} variant="secondary" disabled={!geojsonText.trim()}>Show on map</FoodButton>
+                <FoodButton onClick={handleSaveBoundary} disabled={saving}>{saving ? 'Saving...' : 'Save boundary'}</FoodButton>
+              </div>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">Pick a zone from the list or the map to edit its boundary.</p>
+          )}
+
+          {error && <p className="text-sm text-red-500 font-medium">{error}</p>}
+          {message && <p className="text-sm text-green-600 font-medium">{message}</p>}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -2,6 +2,8 @@
 import React, { useState } from 'react';
 import { supabase } from '../../config/supabase';
 import { ORANGE } from '../../config/constants';
+import { paths } from '../../config/routes';
+import { navigate } from '../../lib/router';
 import { FoodButton } from '../common/FoodButton';
 import { StyledInput } from '../common/StyledInput';
 
@@ -83,6 +85,13 @@ export const AuthPage = ({ onSuccess }) => {
             {isLogin ? 'Sign Up' : 'Login'}
           </button>
         </p>
+
+        <p className="mt-2 text-center text-gray-500 text-sm">
+          Want to deliver?
+          <button onClick={() => navigate(paths.rider())} className="ml-2 font-bold hover:underline" style={{ color: ORANGE }}>
+            Become a Rider
+          </button>
+        </p>
       </div>
     </div>
   );
@@ -1,16 +1,54 @@
 // components/cart/Cart.jsx
 import React, { useMemo } from 'react';
 import { ORANGE, NAVY, BORDER } from '../../config/constants';
+import { paths } from '../../config/routes';
+import { navigate } from '../../lib/router';
+import { computeCartPricing } from '../../lib/pricing';
+import { getCartItemIssue, describeCartItemIssue, hasCartIssues, getCartLineKey, getItemQuantityInCart, CART_ISSUES } from '../../lib/cart';
+import { getRemainingStock } from '../../lib/inventory';
+import { formatSelectedOptions } from '../../lib/menuOptions';
+import { useDeliveryZones } from '../../hooks/useDeliveryZones';
+import { PriceBreakdown } from '../checkout/PriceBreakdown';
 import { SectionTitle } from '../common/SectionTitle';
 import { FoodButton } from '../common/FoodButton';
 
-export const Cart = ({ setPage, cart, setCart }) => {
-  const total = useMemo(() => cart.reduce((sum, item) => sum + item.price * item.quantity, 0), [cart]);
+// `validating` is true while saved items are being re-checked against the menu
+export const Cart = ({ cart, setCart, validating = false }) => {
+  const { zones, zone, selectBarangay } = useDeliveryZones();
+  const pricing = useMemo(() => computeCartPricing(cart, zone), [cart, zone]);
 
-  const updateQuantity = (id, change) => {
+  // Group cart items by restaurant; each group is placed as its own order
+  const cartByRestaurant = useMemo(() => {
+    return cart.reduce((acc, item) => {
+      const key = item.restaurant_id || item.restaurant_name || 'unspecified';
+      if (!acc[key]) {
+        acc[key] = { name: item.restaurant_name || 'Unspecified Restaurant', items: [], subtotal: 0 };
+      }
+      acc[key].items.push(item);
+      acc[key].subtotal += item.price * item.quantity;
+      return acc;
+    }, {});
+  }, [cart]);
+
+  const priceChanges = cart.filter(item => item.previous_price != null);
+  // Closed restaurants can still be pre-ordered for later at checkout
+  const blocked = hasCartIssues(cart, { scheduled: true });
+
+  const acknowledgePriceChanges = () => {
+    setCart(prevCart => prevCart.map(item => ({ ...item, previous_price: null })));
+  };
+
+  // Drops lines that cannot be ordered at all and trims the rest to what is in stock
+  const fixCartIssues = () => {
+    setCart(prevCart => prevCart
+      .map(item => (getCartItemIssue(item) === CART_ISSUES.LOW_STOCK ? { ...item, quantity: item.stock } : item))
+      .filter(item => getCartItemIssue(item, { scheduled: true }) == null));
+  };
+
+  const updateQuantity = (lineKey, change) => {
     setCart(prevCart => {
       const newCart = prevCart.map(item =>
-        item.id === id ? { ...item, quantity: item.quantity + change } : item
+        getCartLineKey(item) === lineKey ? { ...item, quantity: item.quantity + change } : item
       ).filter(item => item.quantity > 0);
       return newCart;
     });
@@ -23,45 +61,73 @@ export const Cart = ({ setPage, cart, setCart }) => {
         <h2 className="text-2xl font-bold mb-6" style={{ color: NAVY }}>Your Basket is Empty!</h2>
         <p className='text-gray-500 mb-8'>Time to order from Iligan's finest.</p>
         <div className='w-full max-w-sm'>
-          <FoodButton onClick={() => setPage('products')}>Start Ordering</FoodButton>
+          <FoodButton onClick={() => navigate(paths.shops())}>Start Ordering</FoodButton>
         </div>
       </div>
     );
   }
 
-  // Group cart items by restaurant
-  const cartByRestaurant = useMemo(() => {
-    return cart.reduce((acc, item) => {
-      const restaurantName = item.restaurant_name || 'Unspecified Restaurant';
-      if (!acc[restaurantName]) {
-        acc[restaurantName] = [];
-      }
-      acc[restaurantName].push(item);
-      return acc;
-    }, {});
-  }, [cart]);
-
   return (
     <div className="p-4 md:p-6 mx-auto w-full max-w-3xl">
       <SectionTitle icon="🍜" title="Review Your Order" />
+
+      {validating && (
+        <p className="mb-4 text-sm text-gray-500 font-medium">Checking prices and stock...</p>
+      )}
+
+      {priceChanges.length > 0 && (
+        <div className="mb-4 p-4 rounded-xl border border-yellow-300 bg-yellow-50 flex justify-between items-start gap-4">
+          <p className="text-sm text-yellow-800 font-medium">
+            {priceChanges.length === 1 ? 'A price' : `${priceChanges.length} prices`} in your basket changed since you added {priceChanges.length === 1 ? 'it' : 'them'}.
+          </p>
+          <button onClick={acknowledgePriceChanges} className="text-sm font-bold text-yellow-800 hover:underline flex-shrink-0">
+            Got it
+          </button>
+        </div>
+      )}
+
+      {blocked && (
+        <div className="mb-4 p-4 rounded-xl border border-red-300 bg-red-50 flex justify-between items-start gap-4">
+          <p className="text-sm text-red-700 font-medium">Some items can't be ordered as they are. Update them to continue.</p>
+          <button onClick={fixCartIssues} className="text-sm font-bold text-red-700 hover:underline flex-shrink-0">
+            Fix for me
+          </button>
+        </div>
+      )}
       
-      {Object.entries(cartByRestaurant).map(([restaurantName, items]) => (
-        <div key={restaurantName} className="mb-6 p-4 bg-white rounded-xl shadow-md border" style={{borderColor: BORDER}}>
-          <h4 className="font-bold text-lg mb-3" style={{ color: NAVY }}>{restaurantName}</h4>
-          {items.map(item => (
-            <div key={item.id} className="flex items-center justify-between pb-3 mb-3 border-b last:border-b-0 last:pb-0">
+      {Object.entries(cartByRestaurant).map(([key, group]) => (
+        <div key={key} className="mb-6 p-4 bg-white rounded-xl shadow-md border" style={{borderColor: BORDER}}>
+          <div className="flex justify-between items-baseline mb-3">
+            <h4 className="font-bold text-lg" style={{ color: NAVY }}>{group.name}</h4>
+            <span className="text-sm font-semibold text-gray-500">₱{group.subtotal.toFixed(2)}</span>
+          </div>
+          {group.items.map(item => (
+            <div key={getCartLineKey(item)} className="flex items-center justify-between pb-3 mb-3 border-b last:border-b-0 last:pb-0">
               <div className="flex items-center flex-grow">
                 <img src={item.image_url} alt={item.name} className="w-12 h-12 object-cover rounded-md mr-4 border" style={{borderColor: BORDER}} />
                 
                 <div className='flex-grow min-w-0'>
                   <p className="font-semibold text-gray-800 line-clamp-2">{item.name}</p>
-                  <p className="text-sm font-bold mt-1" style={{ color: ORANGE }}>₱{item.price.toFixed(2)}</p>
+                  {item.options?.length > 0 && (
+                    <p className="text-xs text-gray-500">{formatSelectedOptions(item.options)}</p>
+                  )}
+                  <p className="text-sm font-bold mt-1" style={{ color: ORANGE }}>
+                    ₱{item.price.toFixed(2)}
+                    {item.previous_price != null && (
+                      <span className="ml-2 text-xs font-semibold text-gray-400 line-through">₱{item.previous_price.toFixed(2)}</span>
+                    )}
+                  </p>
+                  {getCartItemIssue(item) === CART_ISSUES.RESTAURANT_CLOSED ? (
+                    <p className="text-xs font-bold text-gray-500 mt-1">{describeCartItemIssue(item)} · Schedule it for later at checkout</p>
+                  ) : getCartItemIssue(item) && (
+                    <p className="text-xs font-bold text-red-600 mt-1">{describeCartItemIssue(item)}</p>
+                  )}
                 </div>
               </div>
               
               <div className="flex items-center space-x-2 ml-4 flex-shrink-0">
                 <button 
-                  onClick={() => updateQuantity(item.id, -1)} 
+                  onClick={() => updateQuantity(getCartLineKey(item), -1)} 
                   className="w-7 h-7 flex items-center justify-center text-lg border rounded-full transition-colors"
                   style={{color: ORANGE, borderColor: ORANGE}}
                 >
@@ -69,8 +135,9 @@ export const Cart = ({ setPage, cart, setCart }) => {
                 </button>
                 <span className="font-bold w-5 text-center">{item.quantity}</span>
                 <button 
-                  onClick={() => updateQuantity(item.id, 1)} 
-                  className="w-7 h-7 flex items-center justify-center text-lg border rounded-full transition-colors"
+                  onClick={() => updateQuantity(getCartLineKey(item), 1)} 
+                  disabled={getRemainingStock(item, getItemQuantityInCart(cart, item.id)) <= 0}
+                  className="w-7 h-7 flex items-center justify-center text-lg border rounded-full transition-colors disabled:opacity-40"
                   style={{backgroundColor: ORANGE, color: 'white', borderColor: ORANGE}}
                 >
                   +
@@ -82,15 +149,24 @@ export const Cart = ({ setPage, cart, setCart }) => {
       ))}
 
       <div className="mt-8 p-5 bg-white rounded-xl shadow-lg border" style={{borderColor: BORDER}}>
-        <p className="text-xl text-black font-extrabold flex justify-between ">
-          <span>Total Payable:</span>
-          <span className="text-2xl" style={{ color: ORANGE }}>₱{total.toFixed(2)}</span>
-        </p>
+        <div className="flex justify-between items-center mb-4">
+          <label className="text-sm font-semibold text-gray-600">Delivering to</label>
+          <select
+            value={zone?.barangay_name || ''}
+            onChange={(e) => selectBarangay(e.target.value)}
+            className="p-2 border border-gray-300 rounded-lg bg-white text-sm font-semibold input-focus-shopee"
+            disabled={zones.length === 0}
+          >
+            <option value="" disabled>Select your barangay</option>
+            {zones.map(z => <option key={z.barangay_name} value={z.barangay_name}>Brgy. {z.barangay_name}</option>)}
+          </select>
+        </div>
+        <PriceBreakdown pricing={pricing} zone={zone} itemCount={cart.length} />
       </div>
 
       <div className="mt-6 space-y-3">
-        <FoodButton onClick={() => setPage('checkout')}>Proceed to Checkout</FoodButton>
-        <FoodButton onClick={() => setPage('products')} variant="secondary">Add More</FoodButton>
+        <FoodButton onClick={() => navigate(paths.checkout())} disabled={blocked || validating}>Proceed to Checkout</FoodButton>
+        <FoodButton onClick={() => navigate(paths.shops())} variant="secondary">Add More</FoodButton>
       </div>
     </div>
   );
@@ -1,11 +1,96 @@
 // components/checkout/AddressMapPreview.jsx
-import React from 'react';
-import { ORANGE } from '../../config/constants';
+import React, { useState } from 'react';
+import { GoogleMap, useJsApiLoader, Marker } from '@react-google-maps/api';
+import { ORANGE, NAVY, MOCK_ILIGAN_CENTER, MOCK_MAPS_API_KEY, ILIGAN_BOUNDS } from '../../config/constants';
+import { getDevicePosition, locateAddress } from '../../lib/geocoding';
 
-export const AddressMapPreview = () => (
-  <div className="w-full h-40 rounded-lg overflow-hidden mb-4 border" style={{borderColor: ORANGE}}>
-    <div className='p-2 text-center text-sm font-semibold text-white' style={{backgroundColor: ORANGE}}>
-      📍 Iligan City (Mock Location Pin)
+const containerStyle = { width: '100%', height: '200px' };
+
+const toPoint = (event) => ({ lat: event.latLng.lat(), lng: event.latLng.lng() });
+
+// Map for pinning the exact drop-off point. The customer can use the
+// device location, tap the map or drag the pin; each new spot is
+// reverse-geocoded and reported through `onChange` as
+// { lat, lng, formattedAddress, barangay } (barangay is null outside the
+// active `zones`).
+export const AddressMapPreview = ({ zones, value, onChange }) => {
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState('');
+
+  const { isLoaded, loadError } = useJsApiLoader({
+    googleMapsApiKey: MOCK_MAPS_API_KEY,
+  });
+
+  const pick = async (point) => {
+    setPending(point);
+    setError('');
+    try {
+      onChange(await locateAddress(point, zones));
+    } catch (e) {
+      console.error('Error locating address:', e);
+      setError(e.message || 'Could not look up that spot. Try again.');
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const pinMyLocation = async () => {
+    setError('');
+    try {
+      await pick(await getDevicePosition());
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  if (loadError) {
+    return (
+      <div className="w-full rounded-lg mb-4 p-4 bg-red-50 text-sm text-red-600 font-semibold">
+        The map could not be loaded, so we cannot pin your address. Check your connection and reload the page.
+      </div>
+    );
+  }
+
+  const pin = pending || (value && { lat: value.lat, lng: value.lng });
+
+  return (
+    <div className="w-full mb-4">
+      <div className="rounded-lg overflow-hidden border" style={{ borderColor: ORANGE }}>
+        <div className="flex justify-between items-center p-2 text-sm font-semibold text-white" style={{ backgroundColor: ORANGE }}>
+          <span>📍 {pin ? 'Drag the pin to your door' : 'Tap the map to pin your door'}</span>
+          <button type="button" onClick={pinMyLocation} disabled={Boolean(pending)} className="px-2 py-1 rounded bg-white/20 hover:bg-white/30 text-xs font-bold">
+            Use my location
+          </button>
+        </div>
+        {isLoaded ? (
+          <GoogleMap
+            mapContainerStyle={containerStyle}
+            center={pin || MOCK_ILIGAN_CENTER}
+            zoom={pin ? 17 : 13}
+            onClick={(e) => pick(toPoint(e))}
+            options={{
+              disableDefaultUI: true,
+              zoomControl: true,
+              clickableIcons: false,
+              restriction: { latLngBounds: ILIGAN_BOUNDS, strictBounds: false },
+            }}
+          >
+            {pin && <Marker position={pin} draggable onDragEnd={(e) => pick(toPoint(e))} />}
+          </GoogleMap>
+        ) : (
+          <div className="h-[200px] bg-gray-100 flex items-center justify-center text-sm text-gray-500">Loading map...</div>
+        )}
+      </div>
+
+      {pending && <p className="text-xs text-gray-500 mt-1">Finding the address...</p>}
+      {!pending && value && (
+        <p className={`text-xs mt-1 ${value.barangay ? 'text-gray-600' : 'text-red-500 font-semibold'}`}>
+          {value.barangay
+            ? <><span className="font-semibold" style={{ color: NAVY }}>Brgy. {value.barangay}</span> · {value.formattedAddress}</>
+            : `We don't deliver to this spot yet (${value.formattedAddress}). Move the pin inside one of our barangays.`}
+        </p>
+      )}
+      {error && <p className="text-xs text-red-500 mt-1 font-medium">{error}</p>}
     </div>
-  </div>
-);
\ No newline at end of file
+  );
+};
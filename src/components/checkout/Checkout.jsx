@@ -1,50 +1,145 @@
 // components/checkout/Checkout.jsx
-import React, { useState, useEffect, useMemo } from 'react';
-import { supabase } from '../../config/supabase';
-import { ORANGE, NAVY, BORDER, ORDER_STATUSES } from '../../config/constants';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { NAVY, BORDER } from '../../config/constants';
+import { paths } from '../../config/routes';
+import { navigate } from '../../lib/router';
+import { placeOrder } from '../../lib/orders';
+import { hasCartIssues, validateCart } from '../../lib/cart';
+import { computeCartPricing, isZoneOpen, describeZoneHours } from '../../lib/pricing';
+import { fetchRestaurantsWithHours, getRestaurantStatus } from '../../lib/openingHours';
+import { deliversToZone } from '../../lib/deliveryZones';
+import { getAvailablePaymentMethods, isOnlinePayment, startPayment, goToPaymentCheckout } from '../../lib/payments';
+import { getDeliverySlots, describeSchedule } from '../../lib/scheduling';
+import { fetchAddresses, getDefaultAddress, saveAddress, addressToPin, formatShippingAddress, ADDRESS_LABELS } from '../../lib/addresses';
+import { useDeliveryZones } from '../../hooks/useDeliveryZones';
+import { useNow } from '../../hooks/useNow';
 import { SectionTitle } from '../common/SectionTitle';
 import { FoodButton } from '../common/FoodButton';
 import { StyledInput } from '../common/StyledInput';
 import { AddressMapPreview } from './AddressMapPreview';
+import { PriceBreakdown } from './PriceBreakdown';
+import { PromoCodeInput } from './PromoCodeInput';
+import { DeliveryTimePicker } from './DeliveryTimePicker';
 
-export const Checkout = ({ setPage, cart, setCart, user }) => {
+export const Checkout = ({ cart, setCart, user }) => {
   const [address, setAddress] = useState({ 
-    name: '', phone: '', addressDetail: '', barangay: '', payment: 'COD' 
+    name: '', phone: '', addressDetail: '', landmark: '', riderNotes: '', payment: 'COD' 
   });
-  const [barangays, setBarangays] = useState([]);
+  const [savedAddresses, setSavedAddresses] = useState([]);
+  const [selectedAddressId, setSelectedAddressId] = useState(null);
+  // Whether to keep a typed-in address in the address book, and as what
+  const [saveAs, setSaveAs] = useState({ enabled: false, label: 'Home' });
+  const { zones, zone, selectedBarangay, loading: zonesLoading, selectBarangay } = useDeliveryZones();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [promotion, setPromotion] = useState(null);
+  const [restaurants, setRestaurants] = useState([]);
+  const [scheduledFor, setScheduledFor] = useState(null);
+  // { lat, lng, formattedAddress, barangay } from the map pin
+  const [pin, setPin] = useState(null);
+  const now = useNow();
   
-  // Calculates total price from cart items
-  const total = useMemo(() => cart.reduce((sum, item) => sum + item.price * item.quantity, 0), [cart]);
+  const pricing = useMemo(() => computeCartPricing(cart, zone, promotion), [cart, zone, promotion]);
+  const zoneOpen = isZoneOpen(zone, now);
 
-  // Fetches active barangays for the dropdown
+  // Opening hours of every restaurant in the basket, for the time picker
+  const restaurantIdsKey = [...new Set(cart.map(item => item.restaurant_id))].sort().join(',');
   useEffect(() => {
-    const fetchBarangays = async () => {
-      const { data, error } = await supabase
-        .from('delivery_zones')
-        .select('barangay_name')
-        .eq('is_active', true)
-        .order('barangay_name', { ascending: true });
-        
-      if (data) {
-        const barangayNames = data.map(b => b.barangay_name);
-        setBarangays(barangayNames);
-        if (barangayNames.length > 0) {
-          setAddress(prev => ({ ...prev, barangay: barangayNames[0] }));
-        }
-      } else {
-        console.error('Error fetching barangays:', error);
-      }
-    };
-    
-    fetchBarangays();
-  }, []);
+    let mounted = true;
+    fetchRestaurantsWithHours(restaurantIdsKey ? restaurantIdsKey.split(',') : [])
+      .then(data => { if (mounted) setRestaurants(data); })
+      .catch(fetchError => console.error('Error loading opening hours:', fetchError));
+    return () => { mounted = false; };
+  }, [restaurantIdsKey]);
+
+  const outOfRangeRestaurant = restaurants.find(restaurant => !deliversToZone(restaurant, zone, zones));
+  const closedRestaurant = restaurants.find(restaurant => !getRestaurantStatus(restaurant, now).isOpen);
+  const asapAvailable = zoneOpen && !closedRestaurant;
+  const slots = useMemo(() => getDeliverySlots({ restaurants, zone, now }), [restaurants, zone, now]);
+  // A slot can drop out when the barangay changes or time passes
+  const selectedSlot = slots.some(day => day.slots.some(slot => slot.value === scheduledFor)) ? scheduledFor : null;
+  const asapNote = !zoneOpen
+    ? (zone ? `Not delivering to ${zone.barangay_name} right now` : 'Pick a barangay we deliver to')
+    : closedRestaurant && `${closedRestaurant.name} · ${getRestaurantStatus(closedRestaurant, now).label}`;
+
+  // Fills the form from a saved address, pin and barangay included
+  const applySavedAddress = useCallback((saved) => {
+    setAddress(prev => ({
+      ...prev,
+      name: saved.contact_name,
+      phone: saved.contact_phone,
+      addressDetail: saved.street,
+      landmark: saved.landmark || '',
+      riderNotes: saved.rider_notes || '',
+    }));
+    setPin(addressToPin(saved));
+    selectBarangay(saved.barangay);
+    setSelectedAddressId(saved.id);
+  }, [selectBarangay]);
+
+  // The default address is filled in as checkout opens
+  useEffect(() => {
+    let mounted = true;
+    fetchAddresses()
+      .then(data => {
+        if (!mounted) return;
+        setSavedAddresses(data);
+        const defaultAddress = getDefaultAddress(data);
+        if (defaultAddress) applySavedAddress(defaultAddress);
+        else setSaveAs({ enabled: true, label: ADDRESS_LABELS[0] });
+      })
+      .catch(fetchError => console.error('Error loading saved addresses:', fetchError));
+    return () => { mounted = false; };
+  }, [applySavedAddress]);
+
+  // Typing over a saved address makes it a new one
+  const updateAddress = (changes) => {
+    setAddress(prev => ({ ...prev, ...changes }));
+    setSelectedAddressId(null);
+  };
+
+  // The pinned barangay becomes the delivery zone
+  const handlePinChange = (place) => {
+    setPin(place);
+    setSelectedAddressId(null);
+    if (place.barangay) selectBarangay(place.barangay);
+  };
 
   // Combines address parts into a single string for the DB
-  const buildShippingAddress = () => {
-    const { barangay, addressDetail } = address;
-    return `Iligan City, Brgy. ${barangay} • ${addressDetail}`;
+  const buildShippingAddress = () => formatShippingAddress({
+    barangay: zone.barangay_name,
+    street: address.addressDetail,
+    landmark: address.landmark,
+  });
+
+  // Best effort; the order is already placed
+  const saveToAddressBook = async () => {
+    try {
+      await saveAddress({
+        label: saveAs.label,
+        contact_name: address.name,
+        contact_phone: address.phone,
+        barangay: zone.barangay_name,
+        street: address.addressDetail,
+        landmark: address.landmark,
+        rider_notes: address.riderNotes,
+        lat: pin.lat,
+        lng: pin.lng,
+      });
+    } catch (e) {
+      console.error('Error saving address:', e);
+    }
+  };
+
+  // The order is placed either way; if the payment step cannot open, it
+  // can be retried from order tracking
+  const startPaymentOrSkip = async (checkoutId) => {
+    try {
+      return await startPayment(checkoutId);
+    } catch (e) {
+      console.error('Error starting payment:', e);
+      return null;
+    }
   };
 
   const handlePlaceOrder = async () => {
@@ -52,7 +147,7 @@ export const Checkout = ({ setPage, cart, setCart, user }) => {
       setError('User not authenticated.');
       return;
     }
-    if (!address.name || !address.phone || !address.barangay || !address.addressDetail) {
+    if (!address.name || !address.phone || !zone || !address.addressDetail) {
       setError('Please fill in Recipient Name, Phone, Barangay, and Full Address details.');
       return;
     }
@@ -60,89 +155,68 @@ export const Checkout = ({ setPage, cart, setCart, user }) => {
       setError('Your cart is empty.');
       return;
     }
+    if (!pin) {
+      setError('Please pin your delivery address on the map.');
+      return;
+    }
+    if (!pin.barangay) {
+      setError('Your pin is outside our delivery zones. Move it to an address we deliver to.');
+      return;
+    }
+    if (outOfRangeRestaurant) {
+      setError(`${outOfRangeRestaurant.name} does not deliver to Brgy. ${zone.barangay_name}. Remove its items or deliver somewhere else.`);
+      return;
+    }
+    if (!selectedSlot && !zoneOpen) {
+      setError(`We are not delivering to ${zone.barangay_name} right now. ${describeZoneHours(zone)}. You can schedule it for later.`);
+      return;
+    }
+    if (!selectedSlot && !asapAvailable) {
+      setError('Pick a delivery time.');
+      return;
+    }
 
     setLoading(true);
     
     try {
-      const shipping_address_combined = buildShippingAddress();
-      
-      const orderData = {
-        user_id: user.id,
-        total: total,
-        shipping_address: shipping_address_combined,
-        contact_name: address.name,
-        contact_phone: address.phone,
-        payment_method: address.payment,
-        status: ORDER_STATUSES[0], // Typically 'Pending' or 'New'
-      };
-
-      // 1. Insert Order
-      const { data: newOrder, error: orderError } = await supabase
-        .from('orders')
-        .insert(orderData)
-        .select()
-        .single();
+      // Re-check right before ordering: a shop may have closed or sold out
+      // since the basket was loaded.
+      const checkedCart = await validateCart(cart);
+      if (hasCartIssues(checkedCart, { scheduled: Boolean(selectedSlot) })) {
+        setCart(checkedCart);
+        setError('Some items can no longer be ordered: a shop may be closed or an item sold out. Please review your basket.');
+        return;
+      }
 
-      if (orderError) throw orderError;
-      if (!newOrder) throw new Error("Failed to create order, no data returned.");
+      const checkout = await placeOrder({
+        cart,
+        contactName: address.name,
+        contactPhone: address.phone,
+        shippingAddress: buildShippingAddress(),
+        barangay: zone.barangay_name,
+        location: { lat: pin.lat, lng: pin.lng },
+        riderNotes: address.riderNotes,
+        paymentMethod: address.payment,
+        promoCode: promotion?.code,
+        scheduledFor: selectedSlot,
+      });
 
-      const newOrderId = newOrder.id;
-      
-      const itemData = cart.map(item => ({
-        order_id: newOrderId,
-        food_item_id: item.id, 
-        name: item.name,
-        price: item.price,
-        quantity: item.quantity,
-      }));
+      if (!selectedAddressId && saveAs.enabled) await saveToAddressBook();
 
-      // 2. Insert Order Items
-      const { error: itemsError } = await supabase
-        .from('order_items')
-        .insert(itemData);
-        
-      if (itemsError) {
-        console.error("Failed to insert items, attempting rollback...", itemsError);
-        await supabase.from('orders').delete().eq('id', newOrderId);
-        throw itemsError;
-      }
-      
-      // 3. Fetch Restaurant Details for Tracking Page
-      let restaurantName = 'Unknown Restaurant';
-      
-      if (cart.length > 0) {
-        const firstFoodItemId = cart[0].id; 
-        
-        const { data: foodData } = await supabase
-          .from('food_items')
-          .select('restaurant_id')
-          .eq('food_item_id', firstFoodItemId)
-          .single();
-          
-        if (foodData && foodData.restaurant_id) {
-          const { data: restData } = await supabase
-            .from('restaurants')
-            .select('name')
-            .eq('id', foodData.restaurant_id)
-            .single();
-            
-          if (restData) {
-            restaurantName = restData.name;
-          }
-        }
+      // E-wallet and card orders go to the payment step first. A single-
+      // restaurant checkout goes straight to tracking; otherwise the
+      // customer picks which restaurant's order to follow from history.
+      // Navigate before emptying the cart so the empty-checkout redirect
+      // does not win.
+      const paymentTarget = isOnlinePayment(address.payment) ? await startPaymentOrSkip(checkout.id) : null;
+      if (paymentTarget) {
+        goToPaymentCheckout(paymentTarget);
+      } else if (checkout.orders.length === 1) {
+        navigate(paths.order(checkout.orders[0].id));
+      } else {
+        navigate(paths.orders());
       }
-      
-      // 4. Prepare Order object for Tracking Page
-      const orderForTracking = {
-        ...newOrder,
-        order_items: itemData, // Attach the newly created items
-        restaurant_name: restaurantName, // Attach the name
-      };
-
       setCart([]);
-      
-      // Navigate to the tracking page with the enriched order object
-      setPage('tracking', orderForTracking); 
 
     } catch (e) {
       console.error("Error placing order:", e);
@@ -163,45 +237,121 @@ export const Checkout = ({ setPage, cart, setCart, user }) => {
             <span className='text-xl mr-2'>🏠</span>Delivery Details
           </h3>
           
-          <AddressMapPreview />
+          {savedAddresses.length > 0 && (
+            <div className="mb-4">
+              <div className="flex justify-between items-center mb-2">
+                <span className="text-xs font-semibold text-gray-600">Saved addresses</span>
+                <button onClick={() => navigate(paths.profile())} className="text-xs font-bold hover:underline" style={{ color: NAVY }}>Manage</button>
+              </div>
+              <div className="flex gap-2 overflow-x-auto pb-1">
+                {savedAddresses.map(saved => (
+                  <button
+                    key={saved.id}
+                    onClick={() => applySavedAddress(saved)}
+                    className="flex-shrink-0 max-w-[12rem] px-3 py-2 rounded-lg border text-left text-sm"
+                    style={{ borderColor: selectedAddressId === saved.id ? NAVY : BORDER, backgroundColor: selectedAddressId === saved.id ? '#EEF2FF' : 'white' }}
+                  >
+                    <p className="font-bold text-gray-800">{saved.label}{saved.is_default && <span className="ml-1 text-xs font-semibold text-gray-500">· Default</span>}</p>
+                    <p className="text-xs text-gray-500 truncate">Brgy. {saved.barangay} • {saved.street}</p>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <AddressMapPreview zones={zones} value={pin} onChange={handlePinChange} />
           <div className='space-y-3'>
             <StyledInput
               placeholder="Recipient Name"
               value={address.name}
-              onChange={(e) => setAddress({ ...address, name: e.target.value })}
+              onChange={(e) => updateAddress({ name: e.target.value })}
               required
             />
             <StyledInput
               type="tel"
               placeholder="Phone Number"
               value={address.phone}
-              onChange={(e) => setAddress({ ...address, phone: e.target.value })}
+              onChange={(e) => updateAddress({ phone: e.target.value })}
               required
             />
 
             <div>
-              <label className='text-xs font-semibold text-gray-600'>Barangay (Iligan City Only)</label>
+              <label className='text-xs font-semibold text-gray-600'>Barangay (Iligan City Only){pin?.barangay && ' · from your map pin'}</label>
               <select
-                value={address.barangay}
-                onChange={(e) => setAddress({ ...address, barangay: e.target.value })}
+                value={zone?.barangay_name || ''}
+                onChange={(e) => selectBarangay(e.target.value)}
                 className="w-full p-3 border border-gray-300 rounded-lg appearance-none bg-white font-semibold focus:ring-2 focus:ring-offset-0 input-focus-shopee"
-                disabled={barangays.length === 0}
+                disabled={zones.length === 0 || Boolean(pin?.barangay)}
               >
-                {barangays.map(b => <option key={b} value={b}>{b}</option>)}
+                <option value="" disabled>Select your barangay</option>
+                {zones.map(z => <option key={z.barangay_name} value={z.barangay_name}>{z.barangay_name}</option>)}
               </select>
+              {!zone && selectedBarangay && !zonesLoading && (
+                <p className="text-xs mt-1 text-red-500 font-semibold">Sorry, we do not deliver to Brgy. {selectedBarangay}.</p>
+              )}
+              {zone && (
+                <p className={`text-xs mt-1 ${zoneOpen ? 'text-gray-500' : 'text-red-500 font-semibold'}`}>
+                  {zoneOpen ? describeZoneHours(zone) : `Not delivering right now · ${describeZoneHours(zone)}`}
+                </p>
+              )}
+              {outOfRangeRestaurant && (
+                <p className="text-xs mt-1 text-red-500 font-semibold">{outOfRangeRestaurant.name} does not deliver to this barangay.</p>
+              )}
             </div>
 
             <StyledInput
               placeholder="Street / Unit / House No."
               value={address.addressDetail}
-              onChange={(e) => setAddress({ ...address, addressDetail: e.target.value })}
+              onChange={(e) => updateAddress({ addressDetail: e.target.value })}
               rows="3"
               isTextArea
               required
             />
+            <StyledInput
+              placeholder="Landmark (optional), e.g. across from the chapel"
+              value={address.landmark}
+              onChange={(e) => updateAddress({ landmark: e.target.value })}
+            />
+            <StyledInput
+              placeholder="Notes for the rider (optional), e.g. gate is green, beside sari-sari store"
+              value={address.riderNotes}
+              onChange={(e) => updateAddress({ riderNotes: e.target.value })}
+              rows="2"
+              isTextArea
+            />
+
+            {!selectedAddressId && (
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <label className="flex items-center gap-2 font-semibold text-gray-700">
+                  <input type="checkbox" checked={saveAs.enabled} onChange={(e) => setSaveAs({ ...saveAs, enabled: e.target.checked })} />
+                  Save to my addresses as
+                </label>
+                <select
+                  value={saveAs.label}
+                  onChange={(e) => setSaveAs({ enabled: true, label: e.target.value })}
+                  className="p-1 border border-gray-300 rounded-lg bg-white text-sm"
+                >
+                  {ADDRESS_LABELS.map(label => <option key={label} value={label}>{label}</option>)}
+                </select>
+              </div>
+            )}
           </div>
         </div>
 
+        {/* Delivery Time */}
+        <div className='border-b pb-4' style={{borderColor: BORDER}}>
+          <h3 className="font-bold text-lg mb-4" style={{ color: NAVY }}>
+            <span className='text-xl mr-2'>🕘</span>Delivery Time
+          </h3>
+          <DeliveryTimePicker
+            slots={slots}
+            asapAvailable={asapAvailable}
+            asapNote={asapNote}
+            value={selectedSlot}
+            onChange={setScheduledFor}
+          />
+        </div>
+
         {/* Payment Method */}
         <div className='border-b pb-4' style={{borderColor: BORDER}}>
           <h3 className="font-bold text-lg mb-4" style={{ color: NAVY }}>
@@ -214,9 +364,7 @@ export const Checkout = ({ setPage, cart, setCart, user }) => {
               className="w-full p-3 border border-gray-300 rounded-lg appearance-none bg-white font-semibold focus:ring-2 focus:ring-offset-0 input-focus-shopee"
               style={{ paddingRight: '2.5rem'}}
             >
-              <option value="COD">Cash on Delivery (COD) - Preferred</option>
-              <option value="E-Wallet">GCash/Maya (E-Wallet)</option>
-              <option value="CreditCard">Credit/Debit Card</option>
+              {getAvailablePaymentMethods().map(method => <option key={method.value} value={method.value}>{method.label}</option>)}
             </select>
             <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center px-3 text-gray-700">
               <svg className="fill-current h-4 w-4" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20">
@@ -224,6 +372,9 @@ export const Checkout = ({ setPage, cart, setCart, user }) => {
               </svg>
             </div>
           </div>
+          {isOnlinePayment(address.payment) && (
+            <p className="text-xs text-gray-500 mt-2">You'll pay on the next step. The restaurant receives your order once it's paid.</p>
+          )}
         </div>
 
         {/* Order Summary */}
@@ -232,28 +383,21 @@ export const Checkout = ({ setPage, cart, setCart, user }) => {
             <span className='text-xl mr-2'>🧾</span>Order Summary
           </h3>
           
-          <p className="text-lg flex justify-between mb-2 text-gray-600">
-            <span>Subtotal ({cart.length} items):</span>
-            <span className="font-semibold">₱{total.toFixed(2)}</span>
-          </p>
-          <p className="text-lg flex justify-between text-gray-600 border-b pb-3 mb-3" style={{borderColor: BORDER}}>
-            <span>Delivery Fee:</span>
-            <span className="font-semibold">₱50.00</span>
-          </p>
-          <p className="text-2xl font-extrabold flex justify-between">
-            <span>TOTAL:</span>
-            <span style={{ color: ORANGE }}>₱{(total + 50).toFixed(2)}</span>
-          </p>
+          <div className="mb-4">
+            <PromoCodeInput cart={cart} promotion={promotion} onChange={setPromotion} />
+          </div>
+
+          <PriceBreakdown pricing={pricing} zone={zone} itemCount={cart.length} promoCode={promotion?.code} />
         </div>
         
         {error && <p className="text-sm text-red-500 mt-4 font-medium">{error}</p>}
       </div>
 
       <div className="mt-6">
-        <FoodButton onClick={handlePlaceOrder} disabled={loading || barangays.length === 0 || cart.length === 0}>
-          {loading ? 'Processing...' : 'Place Order Now'}
+        <FoodButton onClick={handlePlaceOrder} disabled={loading || !zone || !pin?.barangay || Boolean(outOfRangeRestaurant) || (!selectedSlot && !asapAvailable) || cart.length === 0}>
+          {loading ? 'Processing...' : selectedSlot ? `Schedule for ${describeSchedule(selectedSlot, now)}` : 'Place Order Now'}
         </FoodButton>
-        <FoodButton onClick={() => setPage('cart')} variant='secondary' className='mt-2'>
+        <FoodButton onClick={() => navigate(paths.cart())} variant='secondary' className='mt-2'>
           ← Back to Basket
         </FoodButton>
       </div>
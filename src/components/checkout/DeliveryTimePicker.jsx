@@ -0,0 +1,78 @@
+// components/checkout/DeliveryTimePicker.jsx
+import React, { useState } from 'react';
+import { ORANGE, BORDER } from '../../config/constants';
+
+// "As soon as possible" or a slot from getDeliverySlots(). `value` is the
+// chosen slot's ISO string, or null for ASAP.
+export const DeliveryTimePicker = ({ slots, asapAvailable, asapNote, value, onChange }) => {
+  const [dayKey, setDayKey] = useState(null);
+  const selectedDay = slots.find(day => day.slots.some(slot => slot.value === value));
+  const activeDay = slots.find(day => day.dateKey === dayKey) || selectedDay || slots[0];
+  const scheduling = value != null || !asapAvailable;
+
+  const optionClass = (selected) =>
+    `flex-1 p-3 rounded-lg border text-left transition-colors ${selected ? 'font-bold' : 'bg-white'}`;
+  const optionStyle = (selected) => ({
+    borderColor: selected ? ORANGE : BORDER,
+    backgroundColor: selected ? '#FFF7ED' : 'white',
+  });
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-2">
+        <button
+          onClick={() => onChange(null)}
+          disabled={!asapAvailable}
+          className={`${optionClass(!scheduling)} disabled:opacity-50`}
+          style={optionStyle(!scheduling)}
+        >
+          <span className="block text-sm">⚡ As soon as possible</span>
+          {!asapAvailable && asapNote && <span className="block text-xs font-normal text-gray-500 mt-1">{asapNote}</span>}
+        </button>
+        <button
+          onClick={() => onChange(activeDay?.slots[0]?.value ?? null)}
+          disabled={slots.length === 0}
+          className={`${optionClass(scheduling)} disabled:opacity-50`}
+          style={optionStyle(scheduling)}
+        >
+          <span className="block text-sm">🗓️ Schedule for later</span>
+          {slots.length === 0 && <span className="block text-xs font-normal text-gray-500 mt-1">No slots in the next few days</span>}
+        </button>
+      </div>
+
+      {scheduling && slots.length > 0 && (
+        <div>
+          <div className="flex gap-2 overflow-x-auto pb-2">
+            {slots.map(day => (
+              <button
+                key={day.dateKey}
+                onClick={() => setDayKey(day.dateKey)}
+                className={`px-4 py-2 rounded-full text-sm font-bold flex-shrink-0 ${day === activeDay ? 'text-white' : 'bg-white text-gray-700'}`}
+                style={{ backgroundColor: day === activeDay ? ORANGE : 'white', border: `1px solid ${ORANGE}` }}
+              >
+                {day.label}
+              </button>
+            ))}
+          </div>
+          <div className="grid grid-cols-3 sm:grid-cols-4 gap-2 max-h-48 overflow-y-auto">
+            {activeDay.slots.map(slot => (
+              <button
+                key={slot.value}
+                onClick={() => onChange(slot.value)}
+                className="p-2 rounded-lg border text-sm font-semibold"
+                style={{
+                  borderColor: slot.value === value ? ORANGE : BORDER,
+                  color: slot.value === value ? ORANGE : undefined,
+                  backgroundColor: slot.value === value ? '#FFF7ED' : 'white',
+                }}
+              >
+                {slot.label}
+              </button>
+            ))}
+          </div>
+          {value == null && <p className="text-xs text-red-500 font-semibold mt-2">Pick a delivery time.</p>}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,186 @@
+// components/checkout/FakePaymentPage.jsx
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { ORANGE, NAVY, BORDER } from '../../config/constants';
+import { paths } from '../../config/routes';
+import { navigate } from '../../lib/router';
+import {
+  fetchPayment,
+  expirePayment,
+  startPayment,
+  goToPaymentCheckout,
+  fetchCheckoutOrderIds,
+  getPaymentMethodLabel,
+} from '../../lib/payments';
+import { simulatePaymentEvent } from '../../lib/fakePaymentProvider';
+import { useNow } from '../../hooks/useNow';
+import { useRealtimeTable } from '../../hooks/useRealtimeTable';
+import { FoodButton } from '../common/FoodButton';
+import { Loading } from '../common/Loading';
+import { SectionTitle } from '../common/SectionTitle';
+
+const formatCountdown = (milliseconds) => {
+  const seconds = Math.max(Math.ceil(milliseconds / 1000), 0);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Checkout step of the fake payment provider. Stands in for the GCash,
+// Maya or card page a real provider would show, with a button for every
+// outcome so each path can be tried without real money.
+export const FakePaymentPage = ({ paymentId }) => {
+  const [payment, setPayment] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const now = useNow(1000);
+  const expiryRequested = useRef(false);
+
+  useEffect(() => {
+    let mounted = true;
+    setLoading(true);
+    fetchPayment(paymentId)
+      .then(data => { if (mounted) setPayment(data); })
+      .catch(e => {
+        console.error('Error loading payment:', e);
+        if (mounted) setError(e.message);
+      })
+      .finally(() => { if (mounted) setLoading(false); });
+    return () => { mounted = false; };
+  }, [paymentId]);
+
+  // Settlements that arrive from elsewhere, like another tab
+  useRealtimeTable({
+    table: 'payments',
+    filter: `id=eq.${paymentId}`,
+    onUpdate: (row) => setPayment(prev => (prev ? { ...prev, ...row } : row)),
+  });
+
+  const isPending = payment?.status === 'pending';
+  const timeLeft = payment ? new Date(payment.expires_at) - now : 0;
+
+  const send = useCallback(async (action) => {
+    setBusy(true);
+    setError('');
+    try {
+      setPayment(await action());
+    } catch (e) {
+      console.error('Error updating payment:', e);
+      setError(e.message || 'The payment could not be updated.');
+    } finally {
+      setBusy(false);
+    }
+  }, []);
+
+  // Once per page; the server ignores it if the clocks disagree
+  useEffect(() => {
+    if (!isPending || timeLeft > 0 || expiryRequested.current) return;
+    expiryRequested.current = true;
+    send(() => expirePayment(paymentId));
+  }, [isPending, timeLeft, send, paymentId]);
+
+  const goToOrders = async () => {
+    try {
+      const orderIds = await fetchCheckoutOrderIds(payment.checkout_id);
+      navigate(orderIds.length === 1 ? paths.order(orderIds[0]) : paths.orders(), { replace: true });
+    } catch (e) {
+      console.error('Error loading orders:', e);
+      navigate(paths.orders(), { replace: true });
+    }
+  };
+
+  const retry = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const target = await startPayment(payment.checkout_id);
+      if (target) goToPaymentCheckout(target);
+      else goToOrders();
+    } catch (e) {
+      console.error('Error restarting payment:', e);
+      setError(e.message || 'Could not start a new payment.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) return <Loading />;
+
+  if (!payment) {
+    return (
+      <div className="p-4 md:p-6 mx-auto w-full max-w-md text-center">
+        <h2 className="text-2xl font-bold mb-4" style={{ color: NAVY }}>Payment Not Found</h2>
+        {error && <p className="text-sm text-red-500 mb-4">{error}</p>}
+        <FoodButton onClick={() => navigate(paths.orders())}>View My Orders</FoodButton>
+      </div>
+    );
+  }
+
+  const amount = `₱${Number(payment.amount).toFixed(2)}`;
+
+  return (
+    <div className="p-4 md:p-6 mx-auto w-full max-w-md">
+      <SectionTitle icon="💳" title="Test Payment" />
+      <div className="bg-white p-6 rounded-2xl shadow-xl space-y-4 border" style={{ borderColor: BORDER }}>
+        <p className="text-xs font-bold uppercase tracking-wider text-center py-1 rounded bg-yellow-100 text-yellow-700">
+          Test mode · no real money moves
+        </p>
+        <div className="text-center">
+          <p className="text-sm text-gray-500">{getPaymentMethodLabel(payment.method)}</p>
+          <p className="text-4xl font-black" style={{ color: NAVY }}>{amount}</p>
+          {isPending && <p className="text-sm text-gray-500 mt-1">Complete within <span className="font-bold">{formatCountdown(timeLeft)}</span></p>}
+        </div>
+
+        {isPending && (
+          <div className="space-y-2">
+            <FoodButton onClick={() => send(() => simulatePaymentEvent(paymentId, 'succeeded'))} disabled={busy}>Pay {amount}</FoodButton>
+            {payment.method === 'CreditCard' && (
+              <FoodButton onClick={() => send(() => simulatePaymentEvent(paymentId, 'authorized'))} disabled={busy} variant="secondary">Authorize only (hold the amount)</FoodButton>
+            )}
+            <FoodButton onClick={() => send(() => simulatePaymentEvent(paymentId, 'failed'))} disabled={busy} variant="secondary">Decline</FoodButton>
+            <FoodButton onClick={() => send(() => simulatePaymentEvent(paymentId, 'expired'))} disabled={busy} variant="secondary">Let it expire</FoodButton>
+          </div>
+        )}
+
+        {payment.status === 'authorized' && (
+          <div className="space-y-2 text-center">
+            <p className="font-bold text-blue-700">{amount} is on hold. The restaurant can now see your order.</p>
+            <FoodButton onClick={() => send(() => simulatePaymentEvent(paymentId, 'succeeded'))} disabled={busy} variant="secondary">Capture the hold</FoodButton>
+            <FoodButton onClick={goToOrders}>Track my order</FoodButton>
+          </div>
+        )}
+
+        {payment.status === 'succeeded' && (
+          <div className="space-y-2 text-center">
+            <p className="font-bold text-green-600">✅ Payment received. Your order is on its way to the restaurant.</p>
+            <FoodButton onClick={goToOrders}>Track my order</FoodButton>
+          </div>
+        )}
+
+        {payment.status === 'failed' && (
+          <div className="space-y-2 text-center">
+            <p className="font-bold text-red-500">{payment.failure_reason || 'The payment did not go through.'}</p>
+            <FoodButton onClick={retry} disabled={busy}>Try again</FoodButton>
+            <FoodButton onClick={goToOrders} variant="secondary">Back to my order</FoodButton>
+          </div>
+        )}
+
+        {payment.status === 'expired' && (
+          <div className="space-y-2 text-center">
+            <p className="font-bold text-red-500">The payment window closed, so the order was cancelled.</p>
+            <FoodButton onClick={() => navigate(paths.shops())}>Back to Shops</FoodButton>
+          </div>
+        )}
+
+        {payment.status === 'refunded' && (
+          <p className="font-bold text-center text-gray-600">{amount} was refunded.</p>
+        )}
+
+        {error && <p className="text-sm text-red-500 font-medium text-center">{error}</p>}
+      </div>
+      {isPending && (
+        <button onClick={goToOrders} className="mt-4 w-full text-sm font-bold hover:underline" style={{ color: ORANGE }}>
+          Pay later from my order
+        </button>
+      )}
+    </div>
+  );
+};
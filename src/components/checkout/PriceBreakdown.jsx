@@ -0,0 +1,51 @@
+// components/checkout/PriceBreakdown.jsx
+import React from 'react';
+import { ORANGE, BORDER } from '../../config/constants';
+
+const Row = ({ label, value, highlight = false }) => (
+  <p className={`text-lg flex justify-between mb-2 ${highlight ? 'text-green-600' : 'text-gray-600'}`}>
+    <span>{label}</span>
+    <span className="font-semibold">{value}</span>
+  </p>
+);
+
+export const PriceBreakdown = ({ pricing, zone, itemCount, promoCode }) => {
+  const orderCount = pricing.orders?.length || 0;
+  const minOrder = Number(zone?.min_order_amount || 0);
+  const freeThreshold = zone?.free_delivery_threshold != null ? Number(zone.free_delivery_threshold) : null;
+
+  return (
+    <div>
+      <Row label={`Subtotal (${itemCount} items):`} value={`₱${pricing.subtotal.toFixed(2)}`} />
+      <Row
+        label={`Delivery Fee${orderCount > 1 ? ` (${orderCount} restaurants)` : ''}:`}
+        value={pricing.deliveryFee === 0 && orderCount > 0 ? 'FREE' : `₱${pricing.deliveryFee.toFixed(2)}`}
+        highlight={pricing.deliveryFee === 0 && orderCount > 0}
+      />
+      {pricing.smallOrderFee > 0 && (
+        <Row label="Small Order Fee:" value={`₱${pricing.smallOrderFee.toFixed(2)}`} />
+      )}
+      {pricing.discount > 0 && (
+        <Row label={promoCode ? `Discount (${promoCode}):` : 'Discount:'} value={`-₱${pricing.discount.toFixed(2)}`} highlight />
+      )}
+      <p className="text-2xl font-extrabold flex justify-between border-t pt-3 mt-1" style={{borderColor: BORDER}}>
+        <span>TOTAL:</span>
+        <span style={{ color: ORANGE }}>₱{pricing.total.toFixed(2)}</span>
+      </p>
+
+      {zone && (
+        <div className="text-xs text-gray-500 mt-2 space-y-1">
+          {pricing.smallOrderFee > 0 && (
+            <p>Orders under ₱{minOrder.toFixed(2)} per restaurant in {zone.barangay_name} pay the difference as a small order fee.</p>
+          )}
+          {freeThreshold != null && pricing.deliveryFee > 0 && (
+            <p>Free delivery on restaurant orders of ₱{freeThreshold.toFixed(2)} or more.</p>
+          )}
+          {orderCount > 1 && (
+            <p>Your basket will be sent as {orderCount} separate orders, one per restaurant, each tracked on its own.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,64 @@
+// components/checkout/PromoCodeInput.jsx
+import React, { useState } from 'react';
+import { ORANGE } from '../../config/constants';
+import { checkPromotion, describePromotion } from '../../lib/promotions';
+
+export const PromoCodeInput = ({ cart, promotion, onChange }) => {
+  const [code, setCode] = useState('');
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleApply = async () => {
+    if (!code.trim()) return;
+    setError('');
+    setChecking(true);
+    try {
+      const result = await checkPromotion(code.trim(), cart);
+      onChange(result);
+      setCode('');
+    } catch (e) {
+      console.error('Error checking promo code:', e);
+      setError(e.message || 'That promo code cannot be used.');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  if (promotion) {
+    return (
+      <div className="flex justify-between items-center p-3 rounded-lg border border-dashed" style={{ borderColor: ORANGE }}>
+        <div>
+          <p className="font-bold" style={{ color: ORANGE }}>🎟️ {promotion.code}</p>
+          <p className="text-xs text-gray-500">{describePromotion(promotion)}</p>
+        </div>
+        <button onClick={() => onChange(null)} className="text-sm font-bold text-gray-500 hover:underline">
+          Remove
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          placeholder="Promo or voucher code"
+          value={code}
+          onChange={(e) => setCode(e.target.value.toUpperCase())}
+          onKeyDown={(e) => { if (e.key === 'Enter') handleApply(); }}
+          className="flex-1 p-3 border border-gray-300 rounded-lg uppercase font-semibold input-focus-shopee"
+        />
+        <button
+          onClick={handleApply}
+          disabled={checking || !code.trim()}
+          className="px-4 rounded-lg font-bold text-white disabled:opacity-60"
+          style={{ backgroundColor: ORANGE }}
+        >
+          {checking ? '...' : 'Apply'}
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-500 mt-2 font-medium">{error}</p>}
+    </div>
+  );
+};
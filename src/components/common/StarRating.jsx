@@ -0,0 +1,39 @@
+// components/common/StarRating.jsx
+import React from 'react';
+import { formatRating } from '../../lib/reviews';
+
+const STAR_COLOR = '#F59E0B';
+
+// Five stars for `value`. With `onChange` the stars become buttons.
+export const StarRating = ({ value = 0, onChange, size = 'text-base', label = 'Rating' }) => (
+  <span className={`inline-flex ${size}`} role={onChange ? 'radiogroup' : 'img'} aria-label={onChange ? label : `${label}: ${value} of 5`}>
+    {[1, 2, 3, 4, 5].map(star => {
+      const filled = star <= Math.round(value);
+      const glyph = <span style={{ color: filled ? STAR_COLOR : '#D1D5DB' }}>★</span>;
+      if (!onChange) return <React.Fragment key={star}>{glyph}</React.Fragment>;
+      return (
+        <button
+          key={star}
+          type="button"
+          role="radio"
+          aria-checked={star === value}
+          aria-label={`${star} star${star > 1 ? 's' : ''}`}
+          onClick={() => onChange(star)}
+          className="px-0.5 hover:scale-110 transition-transform"
+        >
+          {glyph}
+        </button>
+      );
+    })}
+  </span>
+);
+
+// "★ 4.6 (23)" badge for restaurant and dish cards
+export const RatingBadge = ({ average, count, className = '' }) => {
+  if (!count) return <span className={`text-xs font-semibold text-gray-400 ${className}`}>No ratings yet</span>;
+  return (
+    <span className={`text-xs font-bold text-gray-700 ${className}`}>
+      <span style={{ color: STAR_COLOR }}>★</span> {formatRating(average)} <span className="font-normal text-gray-500">({count})</span>
+    </span>
+  );
+};
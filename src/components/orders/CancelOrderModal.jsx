@@ -0,0 +1,74 @@
+// components/orders/CancelOrderModal.jsx
+import React, { useState } from 'react';
+import { NAVY, BORDER } from '../../config/constants';
+import { ORDER_ROLES } from '../../lib/orderLifecycle';
+import { getCancelReasons, cancelOrder } from '../../lib/cancellations';
+import { isOnlinePayment } from '../../lib/payments';
+
+// Asks for a reason before cancelling `order` as `role`, then reports the
+// updated order through `onCancelled`
+export const CancelOrderModal = ({ order, role, onClose, onCancelled }) => {
+  const reasons = getCancelReasons(role);
+  const [reason, setReason] = useState(reasons[0]?.value || '');
+  const [note, setNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const needsNote = reasons.find(option => option.value === reason)?.needsNote;
+  const willRefund = isOnlinePayment(order.payment_method) && ['authorized', 'paid'].includes(order.payment_status);
+
+  const handleSubmit = async () => {
+    if (needsNote && !note.trim()) {
+      setError('Please tell us why.');
+      return;
+    }
+    setSubmitting(true);
+    setError('');
+    try {
+      onCancelled(await cancelOrder(order, { reason, note }));
+    } catch (e) {
+      console.error('Error cancelling order:', e);
+      setError(e.message || 'Could not cancel the order.');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-md">
+        <h3 className="text-2xl font-bold mb-1" style={{ color: NAVY }}>Cancel Order #{order.id.slice(0, 8)}</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          {role === ORDER_ROLES.CUSTOMER ? 'Why are you cancelling?' : 'The customer will see this reason.'}
+        </p>
+
+        <div className="space-y-2">
+          {reasons.map(option => (
+            <label key={option.value} className="flex items-center gap-2 p-3 rounded-lg border cursor-pointer" style={{ borderColor: reason === option.value ? NAVY : BORDER }}>
+              <input type="radio" name="cancel-reason" value={option.value} checked={reason === option.value} onChange={() => setReason(option.value)} />
+              <span className="text-sm font-semibold text-gray-700">{option.label}</span>
+            </label>
+          ))}
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            rows={2}
+            placeholder={needsNote ? 'Tell us why (required)' : 'Add a note (optional)'}
+            className="w-full p-3 border border-gray-300 rounded-lg text-sm resize-none input-focus-shopee"
+          />
+        </div>
+
+        {willRefund && (
+          <p className="text-sm mt-3 p-2 rounded-lg bg-blue-50 text-blue-800">₱{Number(order.total || 0).toFixed(2)} will be refunded to {role === ORDER_ROLES.CUSTOMER ? 'your' : "the customer's"} {order.payment_method === 'CreditCard' ? 'card' : 'e-wallet'}.</p>
+        )}
+        {error && <p className="text-sm text-red-500 mt-3 font-medium">{error}</p>}
+
+        <div className="flex gap-3 mt-5">
+          <button onClick={onClose} disabled={submitting} className="flex-1 py-3 bg-gray-200 text-gray-700 rounded-lg font-bold hover:bg-gray-300">Keep Order</button>
+          <button onClick={handleSubmit} disabled={submitting || !reason} className="flex-1 py-3 bg-red-600 text-white rounded-lg font-bold hover:bg-red-700 disabled:opacity-60">
+            {submitting ? 'Cancelling...' : 'Cancel Order'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
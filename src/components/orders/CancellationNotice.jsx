@@ -0,0 +1,38 @@
+// components/orders/CancellationNotice.jsx
+import React from 'react';
+import { getCancelReasonLabel, getOrderRefund } from '../../lib/cancellations';
+
+const CANCELLED_BY_TEXT = {
+  customer: 'You cancelled this order',
+  owner: 'The restaurant cancelled this order',
+  system: 'This order was cancelled',
+};
+
+const REFUND_TEXT = {
+  pending: 'is being refunded',
+  succeeded: 'was refunded',
+  failed: 'could not be refunded automatically; our team will contact you',
+};
+
+// Who cancelled, why, and where the customer's money is
+export const CancellationNotice = ({ order, compact = false }) => {
+  const refund = getOrderRefund(order);
+
+  if (compact) {
+    return (
+      <p className="text-xs text-red-600 font-semibold">
+        {getCancelReasonLabel(order.cancel_reason)}{refund && ` • ₱${Number(refund.amount).toFixed(2)} ${refund.status === 'succeeded' ? 'refunded' : 'refund pending'}`}
+      </p>
+    );
+  }
+
+  return (
+    <div className="p-3 rounded-xl bg-red-50 border border-red-200 text-sm">
+      <p className="font-bold text-red-700">{CANCELLED_BY_TEXT[order.cancelled_by] || CANCELLED_BY_TEXT.system}</p>
+      <p className="text-red-700">Reason: {getCancelReasonLabel(order.cancel_reason)}{order.cancel_note && ` — "${order.cancel_note}"`}</p>
+      {refund && (
+        <p className="mt-1 text-gray-700">💸 ₱{Number(refund.amount).toFixed(2)} {REFUND_TEXT[refund.status] || REFUND_TEXT.pending}.</p>
+      )}
+    </div>
+  );
+};
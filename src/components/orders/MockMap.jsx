@@ -1,62 +1,62 @@
 // components/orders/MockMap.jsx
-import React, { useState, useEffect, useRef, useMemo } from 'react';
-import { GoogleMap, useJsApiLoader, Marker } from '@react-google-maps/api';
-import { ORANGE, NAVY, MOCK_ILIGAN_CENTER, ORDER_STATUSES, MOCK_MAPS_API_KEY } from '../../config/constants';
+import React, { useState, useEffect, useMemo } from 'react';
+import { GoogleMap, useJsApiLoader, Marker, Polyline } from '@react-google-maps/api';
+import { ORANGE, NAVY, MOCK_ILIGAN_CENTER, MOCK_MAPS_API_KEY } from '../../config/constants';
+import { SIMULATED_ROUTE } from '../../config/simulatedRoute';
+import { ORDER_STATUS, getStatusMeta, getStatusProgress, hasReachedStatus } from '../../lib/orderLifecycle';
+import { formatDistance } from '../../lib/geo';
+import { isRiderSimulationEnabled, estimateDelivery, formatEta } from '../../lib/riderTracking';
+import { fetchZoneCenters } from '../../lib/deliveryZones';
+import { useRiderTrail } from '../../hooks/useRiderTrail';
+import { useNow } from '../../hooks/useNow';
 import { Loading } from '../common/Loading';
 
+// Seconds since the rider's last point, as "12s ago" / "3 min ago"
+const describeAge = (recordedAt, now) => {
+  const seconds = Math.max(Math.round((now - new Date(recordedAt)) / 1000), 0);
+  return seconds < 60 ? `${seconds}s ago` : `${Math.floor(seconds / 60)} min ago`;
+};
+
+// Live delivery map: the rider's shared GPS trail over Realtime, with the
+// distance and time left. `?simulate=1` replays a recorded route instead.
 export const MockMap = ({ currentOrder }) => {
   // ALL HOOKS MUST BE AT THE TOP - BEFORE ANY CONDITIONALS
-  const [riderPos, setRiderPos] = useState(MOCK_ILIGAN_CENTER);
-  const animRef = useRef(null);
-  const progressRef = useRef(0);
+  const simulated = useMemo(() => isRiderSimulationEnabled() && currentOrder.status !== ORDER_STATUS.CANCELLED, [currentOrder.status]);
+  const trail = useRiderTrail({ orderId: currentOrder.id, riderId: currentOrder.rider_id, simulate: simulated });
+  const now = useNow(5000);
+  const [zoneCenters, setZoneCenters] = useState({});
+  const shopBarangay = currentOrder.restaurants?.address_barangay;
+
+  // Barangay centres for the shop and for orders placed before pins
+  useEffect(() => {
+    let mounted = true;
+    fetchZoneCenters([shopBarangay, currentOrder.delivery_zone])
+      .then(centers => { if (mounted) setZoneCenters(centers); })
+      .catch(error => console.error('Error loading zone boundaries:', error));
+    return () => { mounted = false; };
+  }, [shopBarangay, currentOrder.delivery_zone]);
 
   const { isLoaded, loadError } = useJsApiLoader({
     googleMapsApiKey: MOCK_MAPS_API_KEY,
   });
 
-  const center = useMemo(() => MOCK_ILIGAN_CENTER, []);
+  // The simulated route starts at MOCK_ILIGAN_CENTER
+  const center = useMemo(
+    () => (!simulated && zoneCenters[shopBarangay]) || MOCK_ILIGAN_CENTER,
+    [simulated, zoneCenters, shopBarangay]
+  );
   
-  const barangayCoords = useMemo(() => {
-    const baseLat = 8.2280;
-    const baseLng = 124.2452;
-    const offset = 0.01;
-    const coords = { 'default': MOCK_ILIGAN_CENTER };
-    const barangayNames = [
-      'Abuno', 'Acmac', 'Bagong Silang', 'Bonbonon', 'Bunawan', 'Buru-un', 
-      'Dalipuga', 'Del Carmen', 'Digkilaan', 'Ditucalan', 'Dulag', 'Hinaplanon', 
-      'Hindang', 'Kabacsanan', 'Kalilangan', 'Kiwalan', 'Lanipao', 'Luinab', 
-      'Mahayahay', 'Mainit', 'Mandulog', 'Maria Cristina', 'Palao', 'Panoroganan', 
-      'Poblacion', 'Puga-an', 'Rogongon', 'San Miguel', 'San Roque', 'Santiago', 
-      'Saray', 'Santa Elena', 'Santa Filomena', 'Santo Rosario', 'Suarez', 
-      'Tambacan', 'Tibanga', 'Tipanoy', 'Tomas L. Cabili', 'Tubod', 'Ubaldo Laya', 
-      'Upper Hinaplanon', 'Upper Tominobo', 'Villa Verde'
-    ];
-    barangayNames.forEach((b, index) => {
-      if (!coords[b]) {
-        coords[b] = { 
-          lat: baseLat + (index % 5) * offset * 0.1, 
-          lng: baseLng + (Math.floor(index / 5) % 5) * offset * 0.1 
-        };
-      }
-    });
-    return coords;
-  }, []);
-
+  // The pin dropped at checkout. Orders placed before pins existed fall back
+  // to the middle of their barangay.
   const destinationCoords = useMemo(() => {
-    const addressText = (currentOrder.shipping_address || '').toString();
-    let foundKey = 'default';
-    for (const k of Object.keys(barangayCoords)) {
-      if (k !== 'default' && addressText.includes(`Brgy. ${k}`)) {
-        foundKey = k;
-        break;
-      }
-    }
-    return barangayCoords[foundKey] || barangayCoords['default'];
-  }, [currentOrder.shipping_address, barangayCoords]);
+    if (simulated) return SIMULATED_ROUTE[SIMULATED_ROUTE.length - 1];
+    if (currentOrder.delivery_lat == null || currentOrder.delivery_lng == null) return zoneCenters[currentOrder.delivery_zone] || null;
+    return { lat: currentOrder.delivery_lat, lng: currentOrder.delivery_lng };
+  }, [currentOrder.delivery_lat, currentOrder.delivery_lng, currentOrder.delivery_zone, zoneCenters, simulated]);
 
   // Calculate status flags
-  const isCompleted = currentOrder.status === 'Delivered' || currentOrder.status === 'Completed';
-  const isShipped = ORDER_STATUSES.indexOf(currentOrder.status) >= ORDER_STATUSES.indexOf('Out for Delivery');
+  const isCompleted = hasReachedStatus(currentOrder.status, ORDER_STATUS.DELIVERED);
+  const isShipped = hasReachedStatus(currentOrder.status, ORDER_STATUS.OUT_FOR_DELIVERY);
   
   const MOCK_ORIGIN = "Iligan City, Lanao del Norte, Philippines";
   const MOCK_DESTINATION = currentOrder.shipping_address;
@@ -66,19 +66,10 @@ export const MockMap = ({ currentOrder }) => {
     height: '200px'
   };
 
-  const trackingText = isCompleted 
-    ? "Order Delivered Successfully!" 
-    : isShipped 
-      ? "Tracking: Rider is en route to your location."
-      : "Pending: Restaurant is preparing your food.";
-
-  const statusIndex = ORDER_STATUSES.indexOf(currentOrder.status);
-  const maxProgressIndex = ORDER_STATUSES.indexOf('Delivered');
-  const progressPercent = maxProgressIndex > 0 
-    ? Math.min(100, Math.max(0, (statusIndex / maxProgressIndex) * 100))
-    : 0;
+  const trackingText = getStatusMeta(currentOrder.status).trackingText;
+  const progressPercent = getStatusProgress(currentOrder.status);
 
-  const mapCenter = isShipped ? destinationCoords : center;
+  const mapCenter = isShipped && destinationCoords ? destinationCoords : center;
 
   const riderSvg = encodeURIComponent(`
     <svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 48 48">
@@ -94,50 +85,12 @@ export const MockMap = ({ currentOrder }) => {
     anchor: { x: 24, y: 24 },
   };
 
-  // Animation effect
-  useEffect(() => {
-    setRiderPos(center);
-    progressRef.current = isShipped ? 0 : 0;
-    
-    if (!isShipped || isCompleted) {
-      if (animRef.current) {
-        clearInterval(animRef.current);
-        animRef.current = null;
-      }
-      return;
-    }
-
-    const duration = 8000;
-    const stepMs = 50;
-    const steps = Math.max(1, Math.floor(duration / stepMs));
-    let step = 0;
-
-    if (animRef.current) {
-      clearInterval(animRef.current);
-      animRef.current = null;
-    }
-    
-    animRef.current = setInterval(() => {
-      step++;
-      const t = Math.min(1, step / steps);
-      progressRef.current = t;
-      const lat = center.lat + (destinationCoords.lat - center.lat) * t;
-      const lng = center.lng + (destinationCoords.lng - center.lng) * t;
-      setRiderPos({ lat, lng });
-
-      if (t >= 1) {
-        clearInterval(animRef.current);
-        animRef.current = null;
-      }
-    }, stepMs);
-
-    return () => {
-      if (animRef.current) {
-        clearInterval(animRef.current);
-        animRef.current = null;
-      }
-    };
-  }, [isShipped, destinationCoords.lat, destinationCoords.lng, center.lat, center.lng, isCompleted, center]);
+  const riderPos = trail.length > 0 ? trail[trail.length - 1] : null;
+  const path = useMemo(() => trail.map(point => ({ lat: point.lat, lng: point.lng })), [trail]);
+  const showRider = Boolean(riderPos) && !isCompleted;
+  const estimate = showRider && destinationCoords
+    ? estimateDelivery({ position: riderPos, pickup: center, dropoff: destinationCoords, pickedUp: isShipped || simulated })
+    : null;
 
   // RENDER BASED ON LOAD STATE
   if (loadError) {
@@ -163,8 +116,8 @@ export const MockMap = ({ currentOrder }) => {
         <div className="rounded-t-lg overflow-hidden border-b-2" style={{borderColor: NAVY}}>
           <GoogleMap
             mapContainerStyle={containerStyle}
-            center={isShipped ? riderPos : mapCenter}
-            zoom={isShipped ? 14 : 12}
+            center={showRider ? riderPos : mapCenter}
+            zoom={showRider ? 15 : 12}
             options={{
               disableDefaultUI: true,
               zoomControl: true,
@@ -179,18 +132,27 @@ export const MockMap = ({ currentOrder }) => {
               }}
             />
             
-            <Marker 
-              position={destinationCoords}
-              label={{
-                text: 'You',
-                className: 'map-label-destination',
-                color: 'white'
-              }}
-            />
+            {destinationCoords && (
+              <Marker 
+                position={destinationCoords}
+                label={{
+                  text: 'You',
+                  className: 'map-label-destination',
+                  color: 'white'
+                }}
+              />
+            )}
 
-            {isShipped && !isCompleted && (
+            {path.length > 1 && (
+              <Polyline
+                path={path}
+                options={{ strokeColor: NAVY, strokeOpacity: 0.6, strokeWeight: 4 }}
+              />
+            )}
+
+            {showRider && (
               <Marker
-                position={riderPos}
+                position={{ lat: riderPos.lat, lng: riderPos.lng }}
                 icon={riderIcon}
               />
             )}
@@ -214,8 +176,17 @@ export const MockMap = ({ currentOrder }) => {
           {trackingText}
         </div>
       </div>
+      {estimate && (
+        <div className="mt-3 flex justify-between items-center p-3 rounded-lg bg-orange-50 text-sm">
+          <span className="font-bold" style={{ color: NAVY }}>🛵 {formatDistance(estimate.distanceMeters)} away • {formatEta(estimate.etaMinutes)}</span>
+          <span className="text-xs text-gray-500">{simulated ? 'Simulated rider' : `Updated ${describeAge(riderPos.recorded_at, now)}`}</span>
+        </div>
+      )}
+      {!showRider && currentOrder.rider_id && !isCompleted && (
+        <p className="mt-3 text-xs text-gray-500">Waiting for your rider's location...</p>
+      )}
       <div className="mt-3 text-sm text-gray-600">
-        <p>Delivery Partner: Local Iligan Rider (Mock)</p>
+        <p>Delivery Partner: {currentOrder.riders?.full_name || 'Waiting for a rider to accept'}</p>
         <p>Reference No: FOOD-ILIGAN-{currentOrder.id.slice(0, 8).toUpperCase()}</p>
         <p className='font-semibold mt-1'>Source: {MOCK_ORIGIN} | Destination: {MOCK_DESTINATION}</p>
       </div>
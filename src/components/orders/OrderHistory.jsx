@@ -2,15 +2,27 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { supabase } from '../../config/supabase';
 import { ORANGE, NAVY, BORDER } from '../../config/constants';
+import { paths } from '../../config/routes';
+import { navigate } from '../../lib/router';
+import { CUSTOMER_ORDER_SELECT, getOrderRestaurantName } from '../../lib/orders';
+import { describeSchedule } from '../../lib/scheduling';
+import { ORDER_STATUS } from '../../lib/orderLifecycle';
+import { canReviewOrder, getOrderReview } from '../../lib/reviews';
+import { canReorder } from '../../lib/reorder';
 import { Loading } from '../common/Loading';
 import { SectionTitle } from '../common/SectionTitle';
 import { FoodButton } from '../common/FoodButton';
 import { StatusPill } from '../common/StatusPill';
+import { StarRating } from '../common/StarRating';
+import { CancellationNotice } from './CancellationNotice';
+import { ReviewOrderModal } from './ReviewOrderModal';
+import { ReorderButton } from './ReorderButton';
+import { useRealtimeTable } from '../../hooks/useRealtimeTable';
 
-export const OrderHistory = ({ setPage, user, setSelectedOrder }) => {
-  // We now use `groupedOrders` because one database order might become multiple display items
-  const [groupedOrders, setGroupedOrders] = useState([]);
+export const OrderHistory = ({ user, cart, setCart }) => {
+  const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [reviewingOrder, setReviewingOrder] = useState(null);
   
   const fetchOrders = useCallback(async () => {
     if (!user) {
@@ -20,36 +32,18 @@ export const OrderHistory = ({ setPage, user, setSelectedOrder }) => {
 
     setLoading(true);
     
-    // 1. Query: Fetch orders with deep selection for restaurant data
+    // 1. Query: every order with its restaurant and items
     const { data: fetchedOrders, error } = await supabase
       .from('orders')
-      .select(`
-        *,
-        order_items (
-          food_item_id,
-          name,
-          price,
-          quantity,
-          food_items (
-            restaurant_id,
-            food_item_id,
-            image_url,
-            restaurants (
-              name,
-              image_url
-            )
-          )
-        )
-      `)
+      .select(CUSTOMER_ORDER_SELECT)
       .eq('user_id', user.id)
       .order('created_at', { ascending: false });
     
     if (error) {
       console.error("Error fetching orders:", error);
-      setGroupedOrders([]);
+      setOrders([]);
     } else {
-      // 2. Process data: Group order items by restaurant within each order
-      // Resolve item image URLs (from nested food_items or storage paths)
+      // 2. Resolve item image URLs (from nested food_items or storage paths)
       const bucketsToTry = ['food-images', 'restaurant-images'];
 
       const resolveImage = async (raw) => {
@@ -68,54 +62,29 @@ export const OrderHistory = ({ setPage, user, setSelectedOrder }) => {
             const { data } = supabase.storage.from(bucket).getPublicUrl(key);
             const publicUrl = data?.publicUrl || data?.publicURL || data?.public_url || data?.url;
             if (publicUrl) return publicUrl;
-          } catch (e) {
+          } catch {
             // try next
           }
         }
         return null;
       };
 
-      const groupedDisplayOrders = (await Promise.all(fetchedOrders.map(async order => {
-        // Normalize and enrich items with image_url
+      const displayOrders = await Promise.all(fetchedOrders.map(async order => {
         const enrichedItems = await Promise.all((order.order_items || []).map(async item => {
           const raw = item.food_items?.image_url || item.image_url || null;
           const image_url = await resolveImage(raw);
           return { ...item, image_url };
         }));
 
-        // Group items by restaurant_id/name
-        const restaurantGroups = enrichedItems.reduce((acc, item) => {
-          const restaurant = item.food_items?.restaurants;
-          const restaurantId = restaurant?.name;
-          if (!restaurantId) return acc;
-          if (!acc[restaurantId]) {
-            acc[restaurantId] = {
-              restaurantName: restaurant.name,
-              restaurantId: item.food_items?.restaurant_id,
-              items: [],
-              subtotal: 0,
-            };
-          }
-          const itemTotal = item.price * item.quantity;
-          acc[restaurantId].items.push(item);
-          acc[restaurantId].subtotal += itemTotal;
-          return acc;
-        }, {});
-
-        const restaurantOrderSegments = Object.values(restaurantGroups).map(group => ({
+        return {
           ...order,
-          displayId: `${order.id}-${group.restaurantId}`,
-          restaurantName: group.restaurantName,
-          order_items: group.items,
-          total: group.subtotal,
+          restaurant_name: getOrderRestaurantName(order),
+          order_items: enrichedItems,
           createdAt: new Date(order.created_at).toLocaleDateString('en-US', { day: 'numeric', month: 'short', year: 'numeric' }),
-          isSegment: true,
-        }));
+        };
+      }));
 
-        return restaurantOrderSegments.length > 0 ? restaurantOrderSegments : [];
-      }))).flat();
-
-      setGroupedOrders(groupedDisplayOrders);
+      setOrders(displayOrders);
     }
     
     setLoading(false);
@@ -124,18 +93,28 @@ export const OrderHistory = ({ setPage, user, setSelectedOrder }) => {
   useEffect(() => {
     fetchOrders();
   }, [user, fetchOrders]);
+
+  // Status changes made by restaurants show up without a refresh
+  useRealtimeTable({
+    table: 'orders',
+    filter: user ? `user_id=eq.${user.id}` : undefined,
+    enabled: Boolean(user),
+    onInsert: () => fetchOrders(),
+    onUpdate: (row) => {
+      setOrders(prev => prev.map(order => order.id === row.id ? { ...order, ...row } : order));
+    },
+  });
   
   if (loading) return <Loading />;
   
-  // Use groupedOrders for the empty state check
-  if (groupedOrders.length === 0) {
+  if (orders.length === 0) {
     return (
       <div className="p-4 md:p-6 text-center h-full flex flex-col justify-center items-center mx-auto w-full max-w-3xl">
         <span className='text-6xl mb-4'>😴</span>
         <h2 className="text-2xl font-bold mb-6" style={{ color: NAVY }}>No Orders Yet</h2>
         <p className='text-gray-500 mb-8'>Your food order history will appear here.</p>
         <div className='w-full max-w-sm'>
-          <FoodButton onClick={() => setPage('products')}>Start Ordering!</FoodButton>
+          <FoodButton onClick={() => navigate(paths.shops())}>Start Ordering!</FoodButton>
         </div>
       </div>
     );
@@ -143,39 +122,38 @@ export const OrderHistory = ({ setPage, user, setSelectedOrder }) => {
 
   return (
     <div className="p-4 md:p-6 mx-auto w-full max-w-3xl">
-      {/* Use groupedOrders for the count */}
-      <SectionTitle icon="🛵" title={`My Iligan Orders (${groupedOrders.length} Segments)`} />
+      <SectionTitle icon="🛵" title={`My Iligan Orders (${orders.length})`} />
       <div className="space-y-4">
-        {/* Map over the grouped orders */}
-        {groupedOrders.map(order => {
+        {orders.map(order => {
           const firstItem = order.order_items?.[0];
           return (
           <div 
-            // Use the new displayId for the key
-            key={order.displayId} 
+            key={order.id}
             className="bg-white p-4 rounded-xl shadow-md cursor-pointer transition-all duration-200 hover:shadow-lg hover:border"
             style={{ borderColor: ORANGE, border: '1px solid white' }}
-            onClick={() => {
-              // Note: You must update `setSelectedOrder` to handle the segmented data
-              // If 'details' needs the original order, this logic needs adjustment.
-              setSelectedOrder(order);
-              setPage('details');
-            }}
+            onClick={() => navigate(paths.order(order.id))}
           >
             {/* Header: Restaurant Name & Status */}
             <div className="flex justify-between items-start border-b pb-3 mb-3" style={{borderColor: BORDER}}>
               <div className="flex flex-col">
                 {/* RESTAURANT NAME (Highlighted) */}
                 <h3 className="font-bold text-lg text-gray-800 leading-tight">
-                  {order.restaurantName}
+                  {order.restaurant_name}
                 </h3>
                 {/* Order Meta Data */}
                 <div className="flex items-center gap-2 mt-1">
-                  {/* Show original order ID and segment label */}
-                  <p className="text-xs text-gray-500">#{order.id.slice(-6)} (Segment)</p> 
+                  <p className="text-xs text-gray-500">#{order.id.slice(-6)}</p>
                   <span className="text-gray-300">•</span>
                   <p className="text-xs text-gray-500">{order.createdAt}</p>
                 </div>
+                {order.scheduled_for && (
+                  <p className="text-xs font-semibold text-gray-600 mt-1">🗓️ Delivery {describeSchedule(order.scheduled_for)}</p>
+                )}
+                {order.status === ORDER_STATUS.CANCELLED && (
+                  <div className="mt-1">
+                    <CancellationNotice order={order} compact />
+                  </div>
+                )}
               </div>
               <StatusPill status={order.status} size="xs" />
             </div>
@@ -197,21 +175,45 @@ export const OrderHistory = ({ setPage, user, setSelectedOrder }) => {
 
             {/* Footer: Item Count & Total */}
             <div className='flex justify-between items-center'>
-              <p className='text-sm text-gray-600 bg-gray-50 px-2 py-1 rounded-md'>
-                {/* Use the segment's item count */}
-                {order.order_items.length} item{order.order_items.length !== 1 ? 's' : ''}
-              </p>
+              <div className="flex items-center gap-2">
+                <p className='text-sm text-gray-600 bg-gray-50 px-2 py-1 rounded-md'>
+                  {order.order_items.length} item{order.order_items.length !== 1 ? 's' : ''}
+                </p>
+                {canReorder(order) && <ReorderButton order={order} cart={cart} setCart={setCart} compact />}
+              </div>
               <div className="text-right">
-                <p className="text-xs text-gray-400 mb-0.5">Subtotal</p>
-                {/* Use the segment's total/subtotal */}
+                <p className="text-xs text-gray-400 mb-0.5">Total</p>
                 <p className="text-xl font-extrabold leading-none" style={{ color: ORANGE }}>
-                  ₱{(order.total).toFixed(2)} 
+                  ₱{Number(order.total || 0).toFixed(2)}
                 </p>
               </div>
             </div>
+
+            {canReviewOrder(order) && (
+              <button
+                onClick={(e) => { e.stopPropagation(); setReviewingOrder(order); }}
+                className="mt-3 w-full py-2 rounded-lg text-sm font-bold bg-yellow-50 text-yellow-800 border border-yellow-200 hover:bg-yellow-100"
+              >
+                ⭐ Rate this order
+              </button>
+            )}
+            {getOrderReview(order) && (
+              <p className="mt-3 text-xs text-gray-500">You rated <StarRating value={getOrderReview(order).rating} size="text-xs" label="Your rating" /></p>
+            )}
           </div>
         )})}
       </div>
+
+      {reviewingOrder && (
+        <ReviewOrderModal
+          order={reviewingOrder}
+          onClose={() => setReviewingOrder(null)}
+          onReviewed={(created) => {
+            setOrders(prev => prev.map(order => order.id === reviewingOrder.id ? { ...order, reviews: created } : order));
+            setReviewingOrder(null);
+          }}
+        />
+      )}
     </div>
   );
 };
\ No newline at end of file
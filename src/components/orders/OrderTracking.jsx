@@ -1,156 +1,290 @@
-// OrderTracking.jsx
-import React, { useState } from 'react';
-import { ShopeeButton } from './App'; // Assuming App.js exports utility components
-import { ORDER_STATUSES } from './App'; // Assuming App.js exports the status array
-
-// Destructure colors for local use. Assuming App.js passes them or they are imported.
-const ORANGE = 'var(--shopee-orange)';
-const NAVY = 'var(--shopee-navy)';
-const BORDER = 'var(--shopee-border)';
-const GRAY_TEXT = 'var(--shopee-gray-text)';
-
-// Status Indicator Component (reused from App.js)
-const StatusPill = ({ status }) => {
-    const statusColors = {
-        'To Ship': { bg: '#FFECEC', text: ORANGE },
-        'Shipped': { bg: '#FFF5E0', text: '#FF9900' },
-        'To Receive': { bg: '#E6F7FF', text: '#00BFFF' },
-        'Completed': { bg: '#E6FFFA', text: '#00C46A' },
-        'Cancelled': { bg: '#F5F5F5', text: GRAY_TEXT },
-    };
-    const color = statusColors[status] || statusColors['To Ship'];
-    return (
-        <span className="text-sm font-bold px-3 py-1 rounded-full" 
-            style={{ backgroundColor: color.bg, color: color.text }}>
-            {status}
-        </span>
-    );
-};
+// components/orders/OrderTracking.jsx
+import React, { useState, useEffect } from 'react';
+import { ORANGE, NAVY, BORDER } from '../../config/constants';
+import { paths } from '../../config/routes';
+import { navigate } from '../../lib/router';
+import { fetchOrder } from '../../lib/orders';
+import { ORDER_STATUS, ORDER_ROLES, getAllowedTransitions, updateOrderStatus } from '../../lib/orderLifecycle';
+import { breakdownFromOrder } from '../../lib/pricing';
+import { formatSelectedOptions } from '../../lib/menuOptions';
+import { describeSchedule } from '../../lib/scheduling';
+import { fetchRiderContact } from '../../lib/riders';
+import { getPaymentStatusMeta, getPaymentMethodLabel, needsPayment, fetchLatestPayment, expirePayment, startPayment, goToPaymentCheckout } from '../../lib/payments';
+import { canCancelOrder, getCustomerCancelTimeLeft, fetchRefund } from '../../lib/cancellations';
+import { canReviewOrder, getOrderReview } from '../../lib/reviews';
+import { canReorder } from '../../lib/reorder';
+import { FoodButton } from '../common/FoodButton';
+import { Loading } from '../common/Loading';
+import { StatusPill } from '../common/StatusPill';
+import { StarRating } from '../common/StarRating';
+import { PriceBreakdown } from '../checkout/PriceBreakdown';
+import { useRealtimeTable } from '../../hooks/useRealtimeTable';
+import { useNow } from '../../hooks/useNow';
+import { MockMap } from './MockMap';
+import { CancelOrderModal } from './CancelOrderModal';
+import { CancellationNotice } from './CancellationNotice';
+import { ReviewOrderModal } from './ReviewOrderModal';
+import { ReorderButton } from './ReorderButton';
 
-// Mock Google Map for tracking (reused from App.js)
-const MockMap = ({ currentOrder }) => {
-    const isCompleted = currentOrder.status === 'Completed';
-    const isShipped = ORDER_STATUSES.indexOf(currentOrder.status) >= ORDER_STATUSES.indexOf('Shipped');
+// Button text for the moves a customer is allowed to make
+const CUSTOMER_ACTION_LABELS = {
+    [ORDER_STATUS.COMPLETED]: 'CONFIRM ORDER RECEIVED',
+};
 
-    const trackingText = isCompleted 
-        ? "Order Delivered Successfully!" 
-        : isShipped 
-            ? "Tracking: Package en route to your location."
-            : "Pending Shipment: Awaiting seller processing.";
+export const OrderTracking = ({ orderId, cart, setCart }) => {
+    const [currentOrder, setCurrentOrder] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [updating, setUpdating] = useState(false);
+    const [error, setError] = useState('');
+    const [cancelling, setCancelling] = useState(false);
+    const [reviewing, setReviewing] = useState(false);
+    const now = useNow(15000);
 
-    return (
-        <div className="mt-4 p-4 border rounded-xl bg-white shadow-inner">
-            <h4 className="font-bold mb-2 text-lg" style={{ color: NAVY }}>Tracking Status</h4>
-            <div className="relative">
-                {/* Placeholder for map/image */}
-                <div className="h-28 bg-gray-100 rounded-t-lg flex items-center justify-center">
-                    <span className="text-gray-400">Map View Placeholder</span>
-                </div>
-                <div className="absolute bottom-0 left-0 right-0 text-center py-2 rounded-b-lg text-white font-bold" 
-                    style={{ backgroundColor: isShipped ? ORANGE : NAVY }}>
-                    {trackingText}
-                </div>
-            </div>
-            <div className="mt-3 text-sm text-gray-600">
-                <p>Courier: J&T Express (Mock)</p>
-                <p>Tracking ID: SHOPEE-MOCK-{currentOrder.id.slice(0, 8).toUpperCase()}</p>
-            </div>
-        </div>
-    );
-};
+    // The order always comes from the URL, so a refresh or shared link works
+    useEffect(() => {
+        let mounted = true;
+        setLoading(true);
+        fetchOrder(orderId)
+            .then(order => { if (mounted) setCurrentOrder(order); })
+            .catch(e => {
+                console.error("Error loading order:", e);
+                if (mounted) setCurrentOrder(null);
+            })
+            .finally(() => { if (mounted) setLoading(false); });
+        return () => { mounted = false; };
+    }, [orderId]);
 
+    // Nobody may report an abandoned payment as expired, so tracking closes
+    // it once its time is up; that cancels the unpaid order.
+    const awaitingPayment = Boolean(currentOrder) && needsPayment(currentOrder) && currentOrder.status !== ORDER_STATUS.CANCELLED;
+    const checkoutId = currentOrder?.checkout_id;
+    useEffect(() => {
+        if (!awaitingPayment || !checkoutId) return;
+        fetchLatestPayment(checkoutId)
+            .then(payment => {
+                if (payment?.status === 'pending' && new Date(payment.expires_at) <= new Date()) {
+                    return expirePayment(payment.id);
+                }
+                return null;
+            })
+            .catch(e => console.error("Error checking payment:", e));
+    }, [awaitingPayment, checkoutId]);
 
-const OrderTracking = ({ order, setPage, user, supabase }) => {
-    const [currentOrder, setCurrentOrder] = useState(order);
+    // Follow the restaurant's and rider's updates live. The row carries
+    // only the rider's id, so their name and phone are looked up once,
+    // and a refund from a cancellation elsewhere is fetched the same way.
+    useRealtimeTable({
+        table: 'orders',
+        filter: `id=eq.${orderId}`,
+        onUpdate: async (row) => {
+            setCurrentOrder(prev => (prev ? { ...prev, ...row } : prev));
+            if (row.status === ORDER_STATUS.CANCELLED && row.payment_status === 'refunded') {
+                try {
+                    const refund = await fetchRefund(row.id);
+                    setCurrentOrder(prev => (prev ? { ...prev, refunds: refund } : prev));
+                } catch (e) {
+                    console.error("Error loading refund:", e);
+                }
+            }
+            if (!row.rider_id || row.rider_id === currentOrder?.rider_id) return;
+            try {
+                const rider = await fetchRiderContact(row.rider_id);
+                setCurrentOrder(prev => (prev && prev.rider_id === row.rider_id ? { ...prev, riders: rider } : prev));
+            } catch (e) {
+                console.error("Error loading rider:", e);
+            }
+        },
+    });
 
-    const isCompleted = currentOrder.status === 'Completed';
-    const isReceiving = ORDER_STATUSES.indexOf(currentOrder.status) === ORDER_STATUSES.indexOf('To Receive');
-    const isCancellable = ORDER_STATUSES.indexOf(currentOrder.status) <= ORDER_STATUSES.indexOf('To Ship');
+    const handlePay = async () => {
+        setError('');
+        setUpdating(true);
+        try {
+            const target = await startPayment(currentOrder.checkout_id);
+            if (target) goToPaymentCheckout(target);
+        } catch (e) {
+            console.error("Error starting payment:", e);
+            setError(e.message || 'Could not start the payment.');
+        } finally {
+            setUpdating(false);
+        }
+    };
 
     const handleUpdateStatus = async (newStatus) => {
+        setError('');
+        setUpdating(true);
         try {
-            const { error } = await supabase
-                .from('orders')
-                .update({ status: newStatus })
-                .eq('id', currentOrder.id)
-                .eq('user_id', user.id);
-            if (error) throw error;
-            
-            setCurrentOrder(prev => ({...prev, status: newStatus}));
-
-        } catch(e) {
+            const updated = await updateOrderStatus(currentOrder, newStatus, ORDER_ROLES.CUSTOMER);
+            setCurrentOrder(prev => ({ ...prev, ...updated }));
+            // Ask for a review while the meal is fresh in mind
+            if (newStatus === ORDER_STATUS.COMPLETED) setReviewing(true);
+        } catch (e) {
             console.error("Error updating status:", e);
+            setError(e.message || 'Failed to update order.');
+        } finally {
+            setUpdating(false);
         }
     };
 
+    if (loading) return <Loading />;
+
+    if (!currentOrder) {
+        return (
+            <div className="p-4 md:p-6 text-center h-full flex flex-col justify-center items-center mx-auto w-full max-w-3xl">
+                <span className='text-6xl mb-4'>🔍</span>
+                <h2 className="text-2xl font-bold mb-6" style={{ color: NAVY }}>Order Not Found</h2>
+                <p className='text-gray-500 mb-8'>We couldn't find this order on your account.</p>
+                <div className='w-full max-w-sm'>
+                    <FoodButton onClick={() => navigate(paths.orders())}>View My Orders</FoodButton>
+                </div>
+            </div>
+        );
+    }
+
+    const customerActions = getAllowedTransitions(currentOrder.status, ORDER_ROLES.CUSTOMER);
+    const paymentMeta = getPaymentStatusMeta(currentOrder);
+    const canCancel = canCancelOrder(currentOrder, ORDER_ROLES.CUSTOMER, now);
+    const review = getOrderReview(currentOrder);
+    const cancelMinutesLeft = Math.ceil(getCustomerCancelTimeLeft(currentOrder, now) / 60000);
+    const restaurantName = currentOrder.restaurant_name;
+
     return (
         <div className="p-4 md:p-6 mx-auto w-full max-w-3xl">
             <div className="flex justify-between items-center mb-4 border-b pb-4" style={{borderColor: BORDER}}>
                 <h2 className="text-2xl font-bold" style={{ color: NAVY }}>Order Details & Tracking</h2>
-                <button onClick={() => setPage('history')} className="text-base font-bold flex items-center hover:underline" style={{ color: ORANGE }}>
+                <button onClick={() => navigate(paths.orders())} className="text-base font-bold flex items-center hover:underline" style={{ color: ORANGE }}>
                     <span className='mr-1'>←</span> All Orders
                 </button>
             </div>
 
             <div className='mb-6 p-4 bg-white rounded-xl shadow-md'>
                 <div className="flex justify-between items-center mb-4">
-                    <p className="font-medium text-sm text-gray-600">Order ID: **{currentOrder.id.slice(-8)}**</p>
+                    <div>
+                        {restaurantName && (
+                            <p className="font-bold text-lg text-gray-800">{restaurantName}</p>
+                        )}
+                        <p className="font-medium text-sm text-gray-600">Order ID: <strong>{currentOrder.id.slice(-8)}</strong></p>
+                        {currentOrder.scheduled_for && (
+                            <p className="font-medium text-sm text-gray-600">Delivery time: <strong>{describeSchedule(currentOrder.scheduled_for)}</strong></p>
+                        )}
+                    </div>
                     <StatusPill status={currentOrder.status} />
                 </div>
+                {currentOrder.status === ORDER_STATUS.CANCELLED && (
+                    <div className="mb-4">
+                        <CancellationNotice order={currentOrder} />
+                    </div>
+                )}
                 <MockMap currentOrder={currentOrder} />
-                
+
+                {currentOrder.riders && (
+                    <div className="mt-4 p-3 rounded-xl border flex justify-between items-center" style={{ borderColor: BORDER }}>
+                        <div>
+                            <p className="text-xs uppercase font-bold tracking-wider text-gray-500">Your Rider</p>
+                            <p className="font-bold text-gray-800">🛵 {currentOrder.riders.full_name}</p>
+                            <p className="text-sm text-gray-600">{currentOrder.riders.phone}</p>
+                        </div>
+                        <a href={`tel:${currentOrder.riders.phone}`} className="px-4 py-2 rounded-full text-white text-sm font-bold" style={{ backgroundColor: ORANGE }}>Call</a>
+                    </div>
+                )}
+
+                {error && <p className="text-sm text-red-500 mt-4 font-medium">{error}</p>}
+
+                <div className="mt-4 p-3 rounded-xl border flex justify-between items-center text-sm" style={{ borderColor: BORDER }}>
+                    <span className="text-gray-600">💳 {getPaymentMethodLabel(currentOrder.payment_method)}</span>
+                    <span className="text-xs px-2 py-1 font-bold rounded-full" style={{ backgroundColor: paymentMeta.bg, color: paymentMeta.text }}>{paymentMeta.label}</span>
+                </div>
+                {awaitingPayment && (
+                    <p className="text-sm text-gray-600 mt-2">The restaurant will see your order once it is paid.</p>
+                )}
+
                 <div className="mt-6 space-y-3">
-                    {/* Action Buttons */}
-                    {isReceiving && (
-                        <ShopeeButton onClick={() => handleUpdateStatus('Completed')}>
-                            CONFIRM ORDER RECEIVED
-                        </ShopeeButton>
-                    )}
-                    {isCancellable && (
-                        <ShopeeButton onClick={() => handleUpdateStatus('Cancelled')} variant="secondary">
-                            Cancel Order
-                        </ShopeeButton>
+                    {awaitingPayment && (
+                        <FoodButton onClick={handlePay} disabled={updating}>Pay Now</FoodButton>
                     )}
-
-                    {/* Seller Simulation Button (for demo purposes) */}
-                    {(!isCompleted && 
-                    !isCancellable && ORDER_STATUSES.indexOf(currentOrder.status) < ORDER_STATUSES.length - 2) && (
-                        <button
-                            onClick={() => handleUpdateStatus(ORDER_STATUSES[ORDER_STATUSES.indexOf(currentOrder.status) + 1])}
-                            className="w-full text-center text-sm py-2 border-2 border-dashed rounded-lg font-bold"
-                            style={{color: NAVY, borderColor: NAVY, opacity: 0.7}}
-                            title="Click to simulate seller/courier action"
+                    {customerActions.map(nextStatus => (
+                        <FoodButton
+                            key={nextStatus}
+                            onClick={() => handleUpdateStatus(nextStatus)}
+                            disabled={updating}
                         >
-                            [DEMO] Next Status: {ORDER_STATUSES[ORDER_STATUSES.indexOf(currentOrder.status) + 1]}
-                        </button>
+                            {CUSTOMER_ACTION_LABELS[nextStatus] || `Mark as ${nextStatus}`}
+                        </FoodButton>
+                    ))}
+                    {canCancel && (
+                        <FoodButton onClick={() => setCancelling(true)} disabled={updating} variant="secondary">Cancel Order</FoodButton>
+                    )}
+                    {canReviewOrder(currentOrder) && (
+                        <div className="p-3 rounded-xl bg-yellow-50 border border-yellow-200 text-center">
+                            <p className="font-bold text-gray-800">How was your order?</p>
+                            <p className="text-sm text-gray-600 mb-3">Rate {restaurantName || 'the restaurant'} and the dishes you got.</p>
+                            <FoodButton onClick={() => setReviewing(true)}>⭐ Rate Your Order</FoodButton>
+                        </div>
+                    )}
+                    {review && (
+                        <p className="text-sm text-center text-gray-600">You rated this order <StarRating value={review.rating} label="Your rating" />. Thanks for your review!</p>
+                    )}
+                    {canReorder(currentOrder) && (
+                        <ReorderButton order={currentOrder} cart={cart} setCart={setCart} />
+                    )}
+                    {canCancel && currentOrder.status === ORDER_STATUS.PREPARING && (
+                        <p className="text-xs text-center text-gray-500">The restaurant is preparing your food. You can still cancel for {cancelMinutesLeft} more min.</p>
                     )}
                 </div>
             </div>
-            
+
+            {reviewing && canReviewOrder(currentOrder) && (
+                <ReviewOrderModal
+                    order={currentOrder}
+                    onClose={() => setReviewing(false)}
+                    onReviewed={(created) => {
+                        setCurrentOrder(prev => ({ ...prev, reviews: created }));
+                        setReviewing(false);
+                    }}
+                />
+            )}
+
+            {cancelling && (
+                <CancelOrderModal
+                    order={currentOrder}
+                    role={ORDER_ROLES.CUSTOMER}
+                    onClose={() => setCancelling(false)}
+                    onCancelled={(updated) => {
+                        setCurrentOrder(prev => ({ ...prev, ...updated }));
+                        setCancelling(false);
+                    }}
+                />
+            )}
+
             {/* Items Summary */}
             <div className="p-4 bg-white rounded-xl shadow-md mb-4">
                 <h3 className="font-bold text-lg mb-3" style={{ color: NAVY }}>Items Ordered</h3>
-                {currentOrder.order_items.map((item, index) => (
+                {(currentOrder.order_items || []).map((item, index) => (
                     <div key={index} className="flex justify-between border-b last:border-b-0 py-2 text-gray-700">
-                        <p className="text-base font-medium">{item.name} x{item.quantity}</p>
-                        <p className="font-semibold text-base">${(item.price * item.quantity).toFixed(2)}</p>
+                        <div>
+                            <p className="text-base font-medium">{item.name} x{item.quantity}</p>
+                            {item.options?.length > 0 && (
+                                <p className="text-xs text-gray-500">{formatSelectedOptions(item.options)}</p>
+                            )}
+                        </div>
+                        <p className="font-semibold text-base">₱{(item.price * item.quantity).toFixed(2)}</p>
                     </div>
                 ))}
-                <p className="text-xl text-black font-extrabold flex justify-between pt-4 mt-2">
-                    <span>FINAL TOTAL:</span>
-                    <span style={{ color: ORANGE }}>${currentOrder.total.toFixed(2)}</span>
-                </p>
+                <div className="pt-4 mt-2">
+                    <PriceBreakdown pricing={breakdownFromOrder(currentOrder)} itemCount={(currentOrder.order_items || []).length} />
+                </div>
             </div>
 
             {/* Address */}
             <div className="p-4 bg-white rounded-xl shadow-md text-sm">
                 <h3 className="font-bold text-lg mb-2" style={{ color: NAVY }}><span className='mr-1'>🏠</span>Delivery Details</h3>
-                <p className='text-gray-700'>**Recipient:** {currentOrder.contact_name}</p>
-                <p className='text-gray-700'>**Phone:** {currentOrder.contact_phone}</p>
-                <p className="text-gray-600 mt-1">**Address:** {currentOrder.shipping_address}</p>
+                <p className='text-gray-700'><strong>Recipient:</strong> {currentOrder.contact_name}</p>
+                <p className='text-gray-700'><strong>Phone:</strong> {currentOrder.contact_phone}</p>
+                <p className="text-gray-600 mt-1"><strong>Address:</strong> {currentOrder.shipping_address}</p>
+                {currentOrder.rider_notes && (
+                    <p className="text-gray-600 mt-1"><strong>Notes for the rider:</strong> {currentOrder.rider_notes}</p>
+                )}
             </div>
         </div>
     );
 };
-
-export default OrderTracking;   
\ No newline at end of file
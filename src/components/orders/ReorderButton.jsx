@@ -0,0 +1,100 @@
+// components/orders/ReorderButton.jsx
+import React, { useState } from 'react';
+import { NAVY, BORDER } from '../../config/constants';
+import { paths } from '../../config/routes';
+import { navigate } from '../../lib/router';
+import { REORDER_CHANGES, buildReorderCart } from '../../lib/reorder';
+import { FoodButton } from '../common/FoodButton';
+
+// Puts the items of `order` back in the basket at today's prices. When
+// something changed, or the basket already has items, the customer sees
+// what will happen before going to the Cart.
+export const ReorderButton = ({ order, cart, setCart, compact = false }) => {
+  const [loading, setLoading] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const goToCart = (nextCart) => {
+    setCart(nextCart);
+    navigate(paths.cart());
+  };
+
+  const handleClick = async (e) => {
+    e.stopPropagation();
+    setLoading(true);
+    try {
+      const rebuilt = await buildReorderCart(order);
+      if (rebuilt.changes.length === 0 && cart.length === 0) goToCart(rebuilt.cart);
+      else setResult(rebuilt);
+    } catch (error) {
+      console.error('Error rebuilding order:', error);
+      alert('Could not reorder: ' + (error.message || error));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const skipped = result?.changes.filter(change => change.type === REORDER_CHANGES.SKIPPED) || [];
+  const changed = result?.changes.filter(change => change.type === REORDER_CHANGES.CHANGED) || [];
+
+  return (
+    <>
+      {compact ? (
+        <button onClick={handleClick} disabled={loading} className="px-3 py-2 rounded-lg text-sm font-bold border hover:bg-gray-50 disabled:opacity-60" style={{ borderColor: BORDER, color: NAVY }}>
+          {loading ? 'Checking...' : '🔁 Reorder'}
+        </button>
+      ) : (
+        <FoodButton onClick={handleClick} disabled={loading} variant="secondary">
+          {loading ? 'Checking the menu...' : '🔁 Reorder'}
+        </FoodButton>
+      )}
+
+      {result && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={(e) => e.stopPropagation()}>
+          <div className="bg-white rounded-2xl p-6 w-full max-w-md max-h-[90vh] overflow-y-auto cursor-default">
+            <h3 className="text-2xl font-bold mb-1" style={{ color: NAVY }}>Reorder</h3>
+            <p className="text-sm text-gray-500 mb-4">
+              {result.cart.length === 0
+                ? 'None of these items can be ordered right now.'
+                : `${result.cart.length} item${result.cart.length !== 1 ? 's' : ''} ready for your basket.`}
+            </p>
+
+            {skipped.length > 0 && (
+              <div className="mb-4">
+                <p className="text-xs uppercase font-bold tracking-wider text-red-600 mb-1">Left out</p>
+                <ul className="space-y-1 text-sm">
+                  {skipped.map((change, index) => (
+                    <li key={index}><span className="font-semibold">{change.name}</span> <span className="text-gray-500">· {change.message}</span></li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {changed.length > 0 && (
+              <div className="mb-4">
+                <p className="text-xs uppercase font-bold tracking-wider text-orange-600 mb-1">Changed</p>
+                <ul className="space-y-1 text-sm">
+                  {changed.map((change, index) => (
+                    <li key={index}><span className="font-semibold">{change.name}</span> <span className="text-gray-500">· {change.message}</span></li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {cart.length > 0 && result.cart.length > 0 && (
+              <p className="text-sm p-2 rounded-lg bg-yellow-50 text-yellow-800">This replaces the {cart.length} line{cart.length !== 1 ? 's' : ''} already in your basket.</p>
+            )}
+
+            <div className="flex gap-3 mt-5">
+              <button onClick={() => setResult(null)} className="flex-1 py-3 bg-gray-200 text-gray-700 rounded-lg font-bold hover:bg-gray-300">
+                {result.cart.length === 0 ? 'Close' : 'Cancel'}
+              </button>
+              {result.cart.length > 0 && (
+                <button onClick={() => goToCart(result.cart)} className="flex-1 py-3 text-white rounded-lg font-bold hover:opacity-90" style={{ backgroundColor: NAVY }}>
+                  Go to Basket
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
@@ -1,6 +1,31 @@
 // components/owner/RestaurantOwnerDashboard.jsx - FINAL FIXED VERSION
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { supabase } from '../../config/supabase';
+import { paths } from '../../config/routes';
+import { navigate, matchPath } from '../../lib/router';
+import { useLocation } from '../../hooks/useLocation';
+import { ORDER_STATUS, ORDER_STATUSES, ORDER_ROLES, getNextStatus, getStatusMeta, updateOrderStatus } from '../../lib/orderLifecycle';
+import { unlockAlertSound, playAlertSound, requestNotificationPermission, showDesktopNotification } from '../../lib/notifications';
+import { fetchOptionGroups, saveOptionGroups, validateOptionGroupsDraft } from '../../lib/menuOptions';
+import { fetchMenuSections } from '../../lib/menuSections';
+import { PAUSE_MINUTES, pauseOrders } from '../../lib/openingHours';
+import { describeSchedule, releaseDueOrders } from '../../lib/scheduling';
+import { RIDER_CONTACT_SELECT, fetchRiderContact } from '../../lib/riders';
+import { DEFAULT_LOW_STOCK_THRESHOLD, isSoldOut, isLowStock, describeStockForOwner, getLowStockItems } from '../../lib/inventory';
+import { getManilaClock, formatMinutes } from '../../lib/time';
+import { getDirectionsUrl } from '../../lib/geo';
+import { DEFAULT_DELIVERY_RADIUS_KM } from '../../lib/deliveryZones';
+import { PAYMENT_STATUS, getPaymentStatusMeta, isOnlinePayment, releaseUnpaidOrders } from '../../lib/payments';
+import { canCancelOrder, getCancelReasonLabel } from '../../lib/cancellations';
+import { useNow } from '../../hooks/useNow';
+import { useRealtimeTable } from '../../hooks/useRealtimeTable';
+import { OptionGroupsEditor } from '../owner/OptionGroupsEditor';
+import { MenuSectionsManager } from '../owner/MenuSectionsManager';
+import { OpeningHoursPanel } from '../owner/OpeningHoursPanel';
+import { SalesAnalytics } from '../owner/SalesAnalytics';
+import { ReviewsPanel } from '../owner/ReviewsPanel';
+import { ExportOrdersModal } from '../owner/ExportOrdersModal';
+import { CancelOrderModal } from './CancelOrderModal';
 import './RestaurantOwnerDashboard.css';
 
 // --- CONSTANTS ---
@@ -10,11 +35,37 @@ const LIGHT_BG = '#F7F7F7';
 const GRAY_TEXT = '#6B7280'; 
 const BORDER = '#D1D5DB';
 
-// FIXED: Added 'Driver Assigned' to the list
-const ORDER_STATUSES = ['Pending', 'Preparing', 'Driver Assigned', 'Out for Delivery', 'Delivered', 'Completed', 'Cancelled'];
-
 // FIXED: Key used to save your filter selection in the browser
 const STATUS_FILTER_KEY = 'restaurantOwnerStatusFilter'; 
+const ORDER_ALERTS_KEY = 'restaurantOwnerOrderAlerts';
+
+const DASHBOARD_TABS = ['orders', 'products', 'analytics', 'reviews', 'hours'];
+
+const EMPTY_PRODUCT_FORM = {
+    name: '',
+    price: '',
+    stock: '',
+    unlimited_stock: false,
+    low_stock_threshold: String(DEFAULT_LOW_STOCK_THRESHOLD),
+    description: '',
+    image_url: '',
+    section_id: ''
+};
+
+const formatPausedUntil = (pausedUntil) => formatMinutes(getManilaClock(new Date(pausedUntil)).minutes);
+
+const ORDER_SELECT = `
+    *,
+    ${RIDER_CONTACT_SELECT},
+    order_items (
+        name,
+        price,
+        quantity,
+        options,
+        food_item_id,
+        food_items ( image_url )
+    )
+`;
 
 const StyledInput = (props) => (
     <input 
@@ -264,29 +315,35 @@ const RestaurantOwnerDashboard = () => {
     const [user, setUser] = useState(null);
     const [authReady, setAuthReady] = useState(false);
     const [orders, setOrders] = useState([]);
+    // Ids of the orders in the queue or being fetched into it (see addNewOrder)
+    const knownOrderIds = useRef(new Set());
     const [loading, setLoading] = useState(true);
     const [myRestaurant, setMyRestaurant] = useState(null);
     const [expandedOrder, setExpandedOrder] = useState(null);
     const [restaurantLoaded, setRestaurantLoaded] = useState(false);
     const [restaurantCheckAttempts, setRestaurantCheckAttempts] = useState(0);
-    const [activeTab, setActiveTab] = useState('orders');
+    // Tabs live in the URL (/owner/orders, /owner/products, ...)
+    const { pathname } = useLocation();
+    const routeTab = matchPath('/owner/:tab', pathname)?.tab;
+    const activeTab = DASHBOARD_TABS.includes(routeTab) ? routeTab : 'orders';
+    const now = useNow();
+    const setActiveTab = (tab) => navigate(paths.owner(tab));
     const [products, setProducts] = useState([]);
     const [showProductModal, setShowProductModal] = useState(false);
     const [editingProduct, setEditingProduct] = useState(null);
-    const [productForm, setProductForm] = useState({
-        name: '',
-        price: '',
-        stock: '',
-        description: '',
-        image_url: ''
-    });
+    const [productForm, setProductForm] = useState(EMPTY_PRODUCT_FORM);
+    const [optionGroups, setOptionGroups] = useState([]);
+    const [menuSections, setMenuSections] = useState([]);
 
     // Restaurant edit / image upload
     const [showRestaurantModal, setShowRestaurantModal] = useState(false);
+    const [showExportModal, setShowExportModal] = useState(false);
+    const [cancellingOrder, setCancellingOrder] = useState(null);
     const [restaurantForm, setRestaurantForm] = useState({
         name: '',
         address_street: '',
         address_barangay: '',
+        delivery_radius_km: DEFAULT_DELIVERY_RADIUS_KM,
         imageFile: null,
         imagePreview: ''
     });
@@ -308,6 +365,27 @@ const RestaurantOwnerDashboard = () => {
     }, [statusFilter]);
     // --- FIX ENDS HERE ---
 
+    // Sound + desktop notification when a new order arrives
+    const [alertsEnabled, setAlertsEnabled] = useState(() => {
+        if (typeof window !== 'undefined') {
+            return localStorage.getItem(ORDER_ALERTS_KEY) === 'on';
+        }
+        return false;
+    });
+
+    useEffect(() => {
+        if (typeof window !== 'undefined') {
+            localStorage.setItem(ORDER_ALERTS_KEY, alertsEnabled ? 'on' : 'off');
+        }
+    }, [alertsEnabled]);
+
+    // After a reload the chime stays muted until the next user gesture
+    useEffect(() => {
+        if (!alertsEnabled) return undefined;
+        window.addEventListener('click', unlockAlertSound, { once: true });
+        return () => window.removeEventListener('click', unlockAlertSound);
+    }, [alertsEnabled]);
+
     useEffect(() => {
         let mounted = true;
         const checkAuth = async () => {
@@ -331,91 +409,142 @@ const RestaurantOwnerDashboard = () => {
         return () => { mounted = false; subscription?.unsubscribe(); };
     }, []);
 
-    const updateOrderStatus = useCallback(async (orderId, newStatus) => {
+    const handleStatusChange = useCallback(async (order, newStatus) => {
         try {
-            const { error } = await supabase
-                .from('orders')
-                .update({ status: newStatus })
-                .eq('id', orderId)
-                .select(); 
-
-            if (error) throw error;
-            setOrders(orders.map(o => o.id === orderId ? { ...o, status: newStatus } : o));
+            const updated = await updateOrderStatus(order, newStatus, ORDER_ROLES.OWNER);
+            setOrders(prev => prev.map(o => o.id === order.id ? { ...o, status: updated.status } : o));
         } catch (error) {
-            alert('Failed to update status. Check RLS policies on "orders".');
+            alert(`Failed to update status: ${error.message}`);
             console.error(error);
         }
-    }, [orders]);
+    }, []);
+
+    // cancel_order() returns the bare row; keep the hydrated items
+    const handleCancelled = (updated) => {
+        setOrders(prev => prev.map(o => o.id === updated.id ? { ...o, ...updated, order_items: o.order_items } : o));
+        setCancellingOrder(null);
+    };
+
+    // Attach resolved item images and the restaurant's subtotal to an order row
+    const hydrateOrder = useCallback(async (order) => {
+        const relevantItems = await Promise.all((order.order_items || []).map(async i => {
+            const rawImage = i.food_items?.image_url || i.image_url || null;
+            const image_url = rawImage ? await resolveImageUrl(rawImage) : null;
+            return {
+                food_item_id: i.food_item_id,
+                name: i.name,
+                price: i.price,
+                quantity: i.quantity,
+                options: i.options || [],
+                image_url
+            };
+        }));
+
+        const restaurantSubtotal = order.subtotal ?? relevantItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+
+        return {
+            ...order,
+            order_items: relevantItems,
+            restaurant_subtotal: Number(restaurantSubtotal).toFixed(2)
+        };
+    }, []);
 
     const loadOrders = useCallback(async () => {
         if (!myRestaurant) return;
         setLoading(true);
 
         try {
-            // fetch order items and include food_items.image_url when possible
-            const { data: items, error: itemsError } = await supabase
-                .from('order_items')
-                .select(`
-                    order_id,
-                    name,
-                    price,
-                    quantity,
-                    food_item_id,
-                    food_items!inner ( restaurant_id, food_item_id, image_url )
-                `)
-                .eq('food_items.restaurant_id', myRestaurant.id);
-
-            if (itemsError) throw itemsError;
-
-            const uniqueOrderIds = [...new Set(items.map(i => i.order_id))];
-
-            if (uniqueOrderIds.length === 0) {
-                setOrders([]);
-                setLoading(false);
-                return;
-            }
-
+            // Checkouts are split per restaurant, so every order here is ours alone
             const { data: ordersData, error: ordersError } = await supabase
                 .from('orders')
-                .select('*')
-                .in('id', uniqueOrderIds)
+                .select(ORDER_SELECT)
+                .eq('restaurant_id', myRestaurant.id)
                 .order('created_at', { ascending: false });
             if (ordersError) throw ordersError;
-            const fullOrders = await Promise.all(ordersData.map(async order => {
-                const relevantItemsRaw = items.filter(i => i.order_id === order.id);
-                const relevantItems = await Promise.all(relevantItemsRaw.map(async i => {
-                    const rawImage = i.food_items?.image_url || i.image_url || null;
-                    const image_url = rawImage ? await resolveImageUrl(rawImage) : null;
-                    return {
-                        food_item_id: i.food_item_id,
-                        name: i.name,
-                        price: i.price,
-                        quantity: i.quantity,
-                        image_url
-                    };
-                }));
-
-                const restaurantSubtotal = relevantItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-
-                return {
-                    ...order,
-                    order_items: relevantItems,
-                    restaurant_subtotal: restaurantSubtotal.toFixed(2)
-                };
-            }));
-            setOrders(fullOrders);
+
+            knownOrderIds.current = new Set(ordersData.map(order => order.id));
+            setOrders(await Promise.all(ordersData.map(hydrateOrder)));
         } catch (error) {
             console.error('Error loading orders:', error);
         } finally {
             setLoading(false);
         }
-    }, [myRestaurant]);
+    }, [myRestaurant, hydrateOrder]);
+
+    // Items are written in the same transaction, so they are visible by now.
+    // place_order() inserts and then updates each order, so the same order
+    // can arrive twice before the first fetch lands; ids are remembered as
+    // soon as they are seen so it is only added (and announced) once.
+    const addNewOrder = async (row) => {
+        if (knownOrderIds.current.has(row.id)) return;
+        knownOrderIds.current.add(row.id);
+        const { data, error } = await supabase.from('orders').select(ORDER_SELECT).eq('id', row.id).single();
+        if (error) {
+            knownOrderIds.current.delete(row.id);
+            console.error('Error loading new order:', error);
+            return;
+        }
+        const order = await hydrateOrder(data);
+        setOrders(prev => [order, ...prev.filter(o => o.id !== order.id)]);
+        if (alertsEnabled) {
+            playAlertSound();
+            showDesktopNotification('New order received!', `#${order.id.slice(0, 8)} • ${order.contact_name} • ₱${order.restaurant_subtotal}`);
+        }
+    };
+
+    // Live queue: new orders are fetched with their items and pushed to the
+    // top; status changes are merged in place. E-wallet and card orders
+    // only become visible once paid, so they arrive as an update.
+    useRealtimeTable({
+        table: 'orders',
+        filter: myRestaurant ? `restaurant_id=eq.${myRestaurant.id}` : undefined,
+        enabled: Boolean(myRestaurant),
+        onInsert: addNewOrder,
+        onUpdate: (row, old) => {
+            if (!knownOrderIds.current.has(row.id)) {
+                // Realtime may send only the old row's id, so a missing
+                // payment_status counts as unpaid
+                const justPaid = isOnlinePayment(row.payment_method)
+                    && row.payment_status !== PAYMENT_STATUS.UNPAID
+                    && (old?.payment_status ?? PAYMENT_STATUS.UNPAID) === PAYMENT_STATUS.UNPAID;
+                if (justPaid) addNewOrder(row);
+                return;
+            }
+            const wasScheduled = orders.find(o => o.id === row.id)?.status === ORDER_STATUS.SCHEDULED;
+            if (wasScheduled && row.status === ORDER_STATUS.PENDING && alertsEnabled) {
+                playAlertSound();
+                showDesktopNotification('Scheduled order is due!', `#${row.id.slice(0, 8)} • ${row.contact_name} • for ${describeSchedule(row.scheduled_for)}`);
+            }
+            setOrders(prev => prev.map(o => o.id === row.id ? { ...o, ...row, order_items: o.order_items, restaurant_subtotal: o.restaurant_subtotal } : o));
+            // A rider just accepted: the row only has their id
+            const previousRiderId = orders.find(o => o.id === row.id)?.rider_id;
+            if (row.rider_id && row.rider_id !== previousRiderId) {
+                fetchRiderContact(row.rider_id)
+                    .then(rider => setOrders(prev => prev.map(o => o.id === row.id && o.rider_id === row.rider_id ? { ...o, riders: rider } : o)))
+                    .catch(error => console.error('Error loading rider:', error));
+            }
+        },
+    });
+
+    const toggleAlerts = async () => {
+        if (alertsEnabled) {
+            setAlertsEnabled(false);
+            return;
+        }
+        unlockAlertSound();
+        await requestNotificationPermission();
+        setAlertsEnabled(true);
+    };
 
     const loadProducts = useCallback(async () => {
         if (!myRestaurant) return;
         try {
-            const { data, error } = await supabase.from('food_items').select('*').eq('restaurant_id', myRestaurant.id).order('name');
+            const [{ data, error }, sections] = await Promise.all([
+                supabase.from('food_items').select('*').eq('restaurant_id', myRestaurant.id).order('name'),
+                fetchMenuSections(myRestaurant.id)
+            ]);
             if (error) throw error;
+            setMenuSections(sections);
             // resolve any storage paths to public URLs for display
             const resolved = await Promise.all((data || []).map(async p => ({
                 ...p,
@@ -428,19 +557,31 @@ const RestaurantOwnerDashboard = () => {
     }, [myRestaurant]);
 
     const handleProductSubmit = async () => {
-        if (!productForm.name || !productForm.price || !productForm.stock) {
+        if (!productForm.name || !productForm.price || (!productForm.unlimited_stock && productForm.stock === '')) {
             alert('Please fill in all required fields (Name, Price, Stock)');
             return;
         }
+        if (!productForm.unlimited_stock && parseInt(productForm.stock) < 0) {
+            alert('Stock cannot be negative.');
+            return;
+        }
+        const optionsError = validateOptionGroupsDraft(optionGroups, parseFloat(productForm.price));
+        if (optionsError) {
+            alert(optionsError);
+            return;
+        }
 
         try {
             const productData = {
                 food_item_id: editingProduct?.food_item_id || `${myRestaurant.id}_${Date.now()}`,
                 name: productForm.name,
                 price: parseFloat(productForm.price),
-                stock: parseInt(productForm.stock),
+                // null = unlimited / made to order; never decremented
+                stock: productForm.unlimited_stock ? null : parseInt(productForm.stock),
+                low_stock_threshold: Math.max(parseInt(productForm.low_stock_threshold) || 0, 0),
                 description: productForm.description,
                 image_url: productForm.image_url,
+                section_id: productForm.section_id || null,
                 restaurant_id: myRestaurant.id
             };
             if (editingProduct) {
@@ -450,10 +591,12 @@ const RestaurantOwnerDashboard = () => {
                 const { error } = await supabase.from('food_items').insert(productData);
                 if (error) throw error;
             }
+            await saveOptionGroups(productData.food_item_id, optionGroups);
             await loadProducts();
             setShowProductModal(false);
             setEditingProduct(null);
-            setProductForm({ name: '', price: '', stock: '', description: '', image_url: '' });
+            setProductForm(EMPTY_PRODUCT_FORM);
+            setOptionGroups([]);
         } catch (error) {
             console.error('Error saving product:', error);
             alert('Failed to save product: ' + error.message);
@@ -472,16 +615,25 @@ const RestaurantOwnerDashboard = () => {
         }
     };
 
-    const openEditProduct = (product) => {
+    const openEditProduct = async (product) => {
         setEditingProduct(product);
         setProductForm({
             name: product.name,
             price: product.price.toString(),
-            stock: product.stock.toString(),
+            stock: product.stock != null ? product.stock.toString() : '',
+            unlimited_stock: product.stock == null,
+            low_stock_threshold: String(product.low_stock_threshold ?? DEFAULT_LOW_STOCK_THRESHOLD),
             description: product.description || '',
-            image_url: product.image_url || ''
+            image_url: product.image_url || '',
+            section_id: product.section_id || ''
         });
+        setOptionGroups([]);
         setShowProductModal(true);
+        try {
+            setOptionGroups(await fetchOptionGroups(product.food_item_id));
+        } catch (error) {
+            console.error('Error loading product options:', error);
+        }
     }; 
 
     // --- Restaurant image upload handlers ---
@@ -512,6 +664,18 @@ const RestaurantOwnerDashboard = () => {
         }
     };
 
+    const isPaused = Boolean(myRestaurant?.paused_until) && new Date(myRestaurant.paused_until) > now;
+
+    // Quick "we're swamped" switch: stops new orders for PAUSE_MINUTES
+    const handleTogglePause = async () => {
+        try {
+            setMyRestaurant(await pauseOrders(myRestaurant.id, isPaused ? 0 : PAUSE_MINUTES));
+        } catch (err) {
+            console.error('Failed to pause orders:', err);
+            alert('Failed to update order pausing: ' + (err.message || err));
+        }
+    };
+
     const handleSaveRestaurant = async () => {
         if (!myRestaurant) return;
         setLoading(true);
@@ -535,6 +699,7 @@ const RestaurantOwnerDashboard = () => {
                 name: restaurantForm.name,
                 address_street: restaurantForm.address_street,
                 address_barangay: restaurantForm.address_barangay,
+                delivery_radius_km: Number(restaurantForm.delivery_radius_km) || DEFAULT_DELIVERY_RADIUS_KM,
                 image_url: imageUrl
             }).eq('id', myRestaurant.id);
 
@@ -582,6 +747,7 @@ const RestaurantOwnerDashboard = () => {
                             name: data.name || '',
                             address_street: data.address_street || '',
                             address_barangay: data.address_barangay || '',
+                            delivery_radius_km: data.delivery_radius_km ?? DEFAULT_DELIVERY_RADIUS_KM,
                             imagePreview: data.image_url || ''
                         }));
                     }
@@ -622,33 +788,31 @@ const RestaurantOwnerDashboard = () => {
         setRestaurantCheckAttempts(0);
     };
 
+    // Scheduled orders wait in their own "Upcoming" lane until they are due
     const filteredOrders = useMemo(() => {
-        return orders.filter(order => statusFilter === 'all' || order.status === statusFilter);
+        return orders.filter(order => order.status !== ORDER_STATUS.SCHEDULED && (statusFilter === 'all' || order.status === statusFilter));
     }, [orders, statusFilter]);
+
+    const lowStockProducts = useMemo(() => getLowStockItems(products), [products]);
+
+    const upcomingOrders = useMemo(() => {
+        return orders
+            .filter(order => order.status === ORDER_STATUS.SCHEDULED)
+            .sort((a, b) => new Date(a.scheduled_for) - new Date(b.scheduled_for));
+    }, [orders]);
+
+    // Backs up the pg_cron jobs: release due pre-orders and drop unpaid
+    // online orders while the dashboard is open
+    useEffect(() => {
+        if (!myRestaurant?.id) return;
+        releaseDueOrders().catch(err => console.error('Failed to release scheduled orders:', err));
+        releaseUnpaidOrders().catch(err => console.error('Failed to release unpaid orders:', err));
+    }, [myRestaurant?.id, now]);
     
-    // FIXED: Added all colors including Driver Assigned
     const getStatusBadge = (status) => {
-        let color = GRAY_TEXT;
-        let bg = '#F3F4F6';
-        if (status === 'Pending') { color = '#F59E0B'; bg = '#FEF3C7'; } // Orange
-        if (status === 'Preparing') { color = NAVY; bg = '#E0F2F7'; } // Navy
-        if (status === 'Driver Assigned' || status === 'Out for Delivery') { color = '#3B82F6'; bg = '#DBEAFE'; } // Blue
-        if (status === 'Delivered' || status === 'Completed') { color = '#10B981'; bg = '#D1FAE5'; } // Green
-        if (status === 'Cancelled') { color = '#EF4444'; bg = '#FEE2E2'; } // Red
-        const pulse = status === 'Pending' ? 'rod-badge-pulse' : '';
-        return <span className={`px-3 py-1 rounded-full text-xs font-bold ${pulse}`} style={{ color, backgroundColor: bg }}>{status}</span>;
-    };
-
-    // FIXED: Updated flow
-    const getNextStatus = (current) => {
-        const nextStatuses = {
-            'Pending': 'Preparing',
-            'Preparing': 'Driver Assigned',
-            'Driver Assigned': 'Out for Delivery',
-            'Out for Delivery': 'Delivered', 
-            'Delivered': 'Completed' 
-        };
-        return nextStatuses[current] || null;
+        const { label, text, bg } = getStatusMeta(status);
+        const pulse = status === ORDER_STATUS.PENDING ? 'rod-badge-pulse' : '';
+        return <span className={`px-3 py-1 rounded-full text-xs font-bold ${pulse}`} style={{ color: text, backgroundColor: bg }}>{label}</span>;
     };
 
     // Resolve image paths to usable public URLs.
@@ -674,7 +838,7 @@ const RestaurantOwnerDashboard = () => {
                 const { data } = supabase.storage.from(bucket).getPublicUrl(raw);
                 const publicUrl = data?.publicUrl || data?.publicURL || data?.public_url || data?.url;
                 if (publicUrl) return publicUrl;
-            } catch (err) {
+            } catch {
                 // ignore and try next
             }
         }
@@ -693,7 +857,7 @@ const RestaurantOwnerDashboard = () => {
                 if (mounted && resolved && resolved !== raw) {
                     setMyRestaurant(prev => ({ ...(prev || {}), image_url: resolved }));
                 }
-            } catch (e) {
+            } catch {
                 // ignore
             }
         })();
@@ -733,6 +897,9 @@ const RestaurantOwnerDashboard = () => {
                         </div>
                     </div>
                     <div className="flex items-center gap-3">
+                        <button onClick={handleTogglePause} className="px-3 py-1.5 rounded-full bg-white/20 hover:bg-white/30 text-sm font-bold rod-btn">
+                            {isPaused ? `▶ Resume (paused until ${formatPausedUntil(myRestaurant.paused_until)})` : `⏸ Pause ${PAUSE_MINUTES} min`}
+                        </button>
                         <button onClick={() => setShowRestaurantModal(true)} className="px-3 py-1.5 rounded-full bg-white/20 hover:bg-white/30 text-sm font-bold rod-btn">Edit</button>
                         <button onClick={handleSignOut} className="px-4 py-1.5 rounded-full bg-white/20 hover:bg-white/30 text-sm font-bold rod-btn">Logout</button>
                     </div>
@@ -756,6 +923,11 @@ const RestaurantOwnerDashboard = () => {
                                 <label className="block text-xs font-bold mb-1" style={{ color: NAVY }}>Barangay</label>
                                 <StyledInput type="text" value={restaurantForm.address_barangay} onChange={(e) => setRestaurantForm(prev => ({ ...prev, address_barangay: e.target.value }))} />
                             </div>
+                            <div>
+                                <label className="block text-xs font-bold mb-1" style={{ color: NAVY }}>Delivery Radius (km)</label>
+                                <StyledInput type="number" value={restaurantForm.delivery_radius_km} onChange={(e) => setRestaurantForm(prev => ({ ...prev, delivery_radius_km: e.target.value }))} />
+                                <p className="text-xs text-gray-500 mt-1">Barangays whose centre is farther than this from yours won't see your shop.</p>
+                            </div>
                             <div>
                                 <label className="block text-xs font-bold mb-1" style={{ color: NAVY }}>Restaurant Image</label>
                                 <input type="file" accept="image/*" onChange={handleRestaurantImageChange} />
@@ -775,9 +947,12 @@ const RestaurantOwnerDashboard = () => {
             )}
 
             <div className="max-w-7xl mx-auto px-4 md:px-6">
-                <div className="flex gap-4 mt-6 border-b border-gray-200">
+                <div className="flex gap-4 mt-6 border-b border-gray-200 overflow-x-auto whitespace-nowrap">
                     <button onClick={() => setActiveTab('orders')} className={`pb-3 px-4 font-bold transition ${activeTab === 'orders' ? 'border-b-2 text-orange-600' : 'text-gray-500'}`} style={activeTab === 'orders' ? { borderColor: ORANGE } : {}}>📋 Orders</button>
                     <button onClick={() => setActiveTab('products')} className={`pb-3 px-4 font-bold transition ${activeTab === 'products' ? 'border-b-2 text-orange-600' : 'text-gray-500'}`} style={activeTab === 'products' ? { borderColor: ORANGE } : {}}>🍔 Products</button>
+                    <button onClick={() => setActiveTab('analytics')} className={`pb-3 px-4 font-bold transition ${activeTab === 'analytics' ? 'border-b-2 text-orange-600' : 'text-gray-500'}`} style={activeTab === 'analytics' ? { borderColor: ORANGE } : {}}>📈 Analytics</button>
+                    <button onClick={() => setActiveTab('reviews')} className={`pb-3 px-4 font-bold transition ${activeTab === 'reviews' ? 'border-b-2 text-orange-600' : 'text-gray-500'}`} style={activeTab === 'reviews' ? { borderColor: ORANGE } : {}}>⭐ Reviews</button>
+                    <button onClick={() => setActiveTab('hours')} className={`pb-3 px-4 font-bold transition ${activeTab === 'hours' ? 'border-b-2 text-orange-600' : 'text-gray-500'}`} style={activeTab === 'hours' ? { borderColor: ORANGE } : {}}>🕘 Hours</button>
                 </div>
             </div>
 
@@ -793,23 +968,55 @@ const RestaurantOwnerDashboard = () => {
                                     className="p-2 border rounded-lg bg-gray-50 text-sm font-semibold"
                                 >
                                     <option value="all">All Orders</option>
-                                    {ORDER_STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+                                    {ORDER_STATUSES.filter(s => s !== ORDER_STATUS.SCHEDULED).map(s => <option key={s} value={s}>{s}</option>)}
                                 </select>
+                                <button onClick={toggleAlerts} className="p-2 bg-gray-100 rounded-lg hover:bg-gray-200" title={alertsEnabled ? 'New order alerts on' : 'New order alerts off'}>{alertsEnabled ? '🔔' : '🔕'}</button>
+                                <button onClick={() => setShowExportModal(true)} className="p-2 bg-gray-100 rounded-lg hover:bg-gray-200" title="Export orders and payouts">⬇️</button>
                                 <button onClick={loadOrders} className="p-2 bg-gray-100 rounded-lg hover:bg-gray-200">🔄</button>
                             </div>
                         </div>
 
+                        {showExportModal && (
+                            <ExportOrdersModal restaurant={myRestaurant} statusFilter={statusFilter} onClose={() => setShowExportModal(false)} />
+                        )}
+
+                        {cancellingOrder && (
+                            <CancelOrderModal order={cancellingOrder} role={ORDER_ROLES.OWNER} onClose={() => setCancellingOrder(null)} onCancelled={handleCancelled} />
+                        )}
+
+                        {upcomingOrders.length > 0 && (
+                            <div className="mb-6 bg-white p-4 rounded-xl shadow-sm border-l-4" style={{ borderLeftColor: '#7C3AED' }}>
+                                <h2 className="font-bold text-lg" style={{ color: NAVY }}>🗓️ Upcoming ({upcomingOrders.length})</h2>
+                                <p className="text-xs mb-3" style={{ color: GRAY_TEXT }}>Pre-orders move to Pending {myRestaurant.scheduled_release_minutes ?? 45} minutes before their delivery time.</p>
+                                <div className="space-y-2">
+                                    {upcomingOrders.map(order => (
+                                        <div key={order.id} className="flex flex-wrap items-center justify-between gap-3 p-3 rounded-lg bg-gray-50 border border-gray-100">
+                                            <div>
+                                                <p className="font-bold text-sm" style={{ color: '#7C3AED' }}>{describeSchedule(order.scheduled_for, now)}</p>
+                                                <p className="text-xs text-gray-600">#{order.id.slice(0, 8)} • {order.contact_name} • {order.order_items.reduce((sum, item) => sum + item.quantity, 0)} items • ₱{order.restaurant_subtotal}</p>
+                                            </div>
+                                            <div className="flex gap-2">
+                                                <button onClick={() => handleStatusChange(order, ORDER_STATUS.PENDING)} className="px-3 py-2 text-white rounded-lg text-sm font-bold hover:opacity-90" style={{ backgroundColor: ORANGE }}>Start now</button>
+                                                <button onClick={() => setCancellingOrder(order)} className="px-3 py-2 bg-red-100 text-red-600 rounded-lg text-sm font-bold hover:bg-red-200">Cancel</button>
+                                            </div>
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+
                         {loading ? <Loading /> : filteredOrders.length === 0 ? (
                            <div className="text-center py-20 opacity-50"><span className="text-5xl">📦</span><p className="mt-4 font-bold">No orders found.</p></div>
                         ) : (
                             <div className="space-y-4">
                                 {filteredOrders.map(order => (
-                                    <div key={order.id} className="bg-white rounded-xl shadow-md overflow-hidden border-l-4 rod-card" style={{ borderLeftColor: order.status === 'Completed' || order.status === 'Delivered' ? '#10B981' : ORANGE }}>
+                                    <div key={order.id} className="bg-white rounded-xl shadow-md overflow-hidden border-l-4 rod-card" style={{ borderLeftColor: order.status === ORDER_STATUS.COMPLETED || order.status === ORDER_STATUS.DELIVERED ? '#10B981' : ORANGE }}>
                                         <div className="p-5">
                                             <div className="flex justify-between items-start mb-4 pb-3 border-b border-gray-100">
                                                 <div>
                                                     <h3 className="font-bold text-lg text-gray-800">Order ID: #{order.id.slice(0, 8)}</h3>
                                                     <p className="text-xs text-gray-500">{new Date(order.created_at).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})} • {new Date(order.created_at).toLocaleDateString()}</p>
+                                                    {order.scheduled_for && <p className="text-xs font-bold mt-1" style={{ color: '#7C3AED' }}>🗓️ Deliver {describeSchedule(order.scheduled_for, now)}</p>}
                                                 </div>
                                                 {getStatusBadge(order.status)}
                                             </div>
@@ -819,15 +1026,33 @@ const RestaurantOwnerDashboard = () => {
                                                     <p className="text-gray-500 text-xs uppercase font-bold tracking-wider">Customer</p>
                                                     <p className="font-semibold">{order.contact_name}</p>
                                                     <p className="text-gray-600">{order.contact_phone}</p>
+                                                    <p className="text-gray-500 text-xs uppercase font-bold tracking-wider mt-2">Payment</p>
+                                                    <p className="text-gray-600">{order.payment_method} • <span className="font-semibold" style={{ color: getPaymentStatusMeta(order).text }}>{getPaymentStatusMeta(order).label}</span></p>
+                                                    {order.status === ORDER_STATUS.CANCELLED && order.cancel_reason && (
+                                                        <>
+                                                            <p className="text-gray-500 text-xs uppercase font-bold tracking-wider mt-2">Cancelled By {order.cancelled_by || 'system'}</p>
+                                                            <p className="text-red-600">{getCancelReasonLabel(order.cancel_reason)}{order.cancel_note && ` — ${order.cancel_note}`}</p>
+                                                        </>
+                                                    )}
                                                 </div>
                                                 <div>
                                                     <p className="text-gray-500 text-xs uppercase font-bold tracking-wider">Restaurant Total</p>
                                                     <p className="font-bold text-lg" style={{ color: NAVY }}>₱{order.restaurant_subtotal}</p>
                                                     <p className="text-gray-500 text-xs uppercase font-bold tracking-wider mt-2">Delivery Address</p>
                                                     <p className="text-gray-600 truncate">{order.shipping_address}</p>
+                                                    {order.rider_notes && <p className="text-gray-500 text-xs italic">📝 {order.rider_notes}</p>}
+                                                    {order.delivery_lat != null && (
+                                                        <a href={getDirectionsUrl({ lat: order.delivery_lat, lng: order.delivery_lng })} target="_blank" rel="noreferrer" className="text-xs font-bold underline" style={{ color: NAVY }}>📍 View pin on map</a>
+                                                    )}
                                                 </div>
                                             </div>
 
+                                            {order.riders ? (
+                                                <p className="text-sm mb-4 p-2 rounded-lg bg-blue-50 text-blue-800">🛵 Rider: <span className="font-semibold">{order.riders.full_name}</span> • <a href={`tel:${order.riders.phone}`} className="underline">{order.riders.phone}</a></p>
+                                            ) : order.status === ORDER_STATUS.PREPARING && (
+                                                <p className="text-sm mb-4 p-2 rounded-lg bg-gray-50" style={{ color: GRAY_TEXT }}>🛵 Waiting for a rider to accept...</p>
+                                            )}
+
                                             <button aria-expanded={expandedOrder === order.id} onClick={() => setExpandedOrder(expandedOrder === order.id ? null : order.id)} className="w-full text-left bg-gray-50 p-3 rounded-lg flex justify-between items-center hover:bg-gray-100 transition rod-toggle">
                                                 <span className="font-bold text-sm text-gray-700">View Items ({order.order_items.length})</span>
                                                 <span className="text-gray-400">{expandedOrder === order.id ? '▲' : '▼'}</span>
@@ -847,6 +1072,13 @@ const RestaurantOwnerDashboard = () => {
                                                                 </div>
                                                                 <div>
                                                                     <div className="flex items-center gap-2"><span className="bg-white px-2 py-0.5 rounded border font-bold text-xs">x{item.quantity}</span><span className="font-semibold">{item.name}</span></div>
+                                                                    {item.options.length > 0 && (
+                                                                        <ul className="mt-1 text-xs text-gray-600">
+                                                                            {item.options.map(option => (
+                                                                                <li key={option.choice_id}><span className="font-semibold">{option.group_name}:</span> {option.choice_name}{Number(option.price_delta) > 0 && ` (+₱${Number(option.price_delta).toFixed(2)})`}</li>
+                                                                            ))}
+                                                                        </ul>
+                                                                    )}
                                                                     {item.description && <div className="text-xs text-gray-500">{item.description}</div>}
                                                                 </div>
                                                             </div>
@@ -856,15 +1088,15 @@ const RestaurantOwnerDashboard = () => {
                                                 </div>
                                             )}
 
-                                            {order.status !== 'Completed' && order.status !== 'Cancelled' && (
+                                            {(getNextStatus(order.status, ORDER_ROLES.OWNER) || canCancelOrder(order, ORDER_ROLES.OWNER)) && (
                                                 <div className="mt-5 flex gap-3">
-                                                    {getNextStatus(order.status) && (
-                                                            <button onClick={() => updateOrderStatus(order.id, getNextStatus(order.status))} className="flex-1 py-3 text-white rounded-lg font-bold hover:opacity-90 transition shadow-lg rod-action-btn" style={{ backgroundColor: ORANGE }}>
-                                                                Mark as {getNextStatus(order.status)}
+                                                    {getNextStatus(order.status, ORDER_ROLES.OWNER) && (
+                                                            <button onClick={() => handleStatusChange(order, getNextStatus(order.status, ORDER_ROLES.OWNER))} className="flex-1 py-3 text-white rounded-lg font-bold hover:opacity-90 transition shadow-lg rod-action-btn" style={{ backgroundColor: ORANGE }}>
+                                                                Mark as {getNextStatus(order.status, ORDER_ROLES.OWNER)}
                                                             </button>
                                                         )}
-                                                    {(order.status === 'Pending' || order.status === 'Preparing') && ( 
-                                                        <button onClick={() => updateOrderStatus(order.id, 'Cancelled')} className="px-4 py-3 bg-red-100 text-red-600 rounded-lg font-bold hover:bg-red-200">Cancel Order</button>
+                                                    {canCancelOrder(order, ORDER_ROLES.OWNER) && (
+                                                        <button onClick={() => setCancellingOrder(order)} className="px-4 py-3 bg-red-100 text-red-600 rounded-lg font-bold hover:bg-red-200">Cancel Order</button>
                                                     )}
                                                 </div>
                                             )}
@@ -878,9 +1110,16 @@ const RestaurantOwnerDashboard = () => {
 
                 {activeTab === 'products' && (
                     <>
+                        {lowStockProducts.length > 0 && (
+                            <div className="mb-6 p-4 rounded-xl border border-orange-300 bg-orange-50">
+                                <p className="font-bold text-orange-700 mb-1">⚠️ Running low on {lowStockProducts.length} item{lowStockProducts.length !== 1 ? 's' : ''}</p>
+                                <p className="text-sm text-orange-700">{lowStockProducts.map(product => `${product.name} (${isSoldOut(product) ? 'sold out' : `${product.stock} left`})`).join(' • ')}</p>
+                            </div>
+                        )}
+                        <MenuSectionsManager restaurantId={myRestaurant.id} sections={menuSections} onChange={setMenuSections} />
                         <div className="flex justify-between items-center mb-6 bg-white p-4 rounded-xl shadow-sm">
                             <h2 className="font-bold text-lg" style={{ color: NAVY }}>Menu Items</h2>
-                            <button onClick={() => { setEditingProduct(null); setProductForm({ name: '', price: '', stock: '', description: '', image_url: '' }); setShowProductModal(true); }} className="px-4 py-2 text-white rounded-lg font-bold hover:opacity-90 transition" style={{ backgroundColor: ORANGE }}>+ Add Product</button>
+                            <button onClick={() => { setEditingProduct(null); setProductForm(EMPTY_PRODUCT_FORM); setOptionGroups([]); setShowProductModal(true); }} className="px-4 py-2 text-white rounded-lg font-bold hover:opacity-90 transition" style={{ backgroundColor: ORANGE }}>+ Add Product</button>
                         </div>
                         {products.length === 0 ? (
                             <div className="text-center py-20 opacity-50"><span className="text-5xl">🍽️</span><p className="mt-4 font-bold">No products yet.</p></div>
@@ -892,7 +1131,8 @@ const RestaurantOwnerDashboard = () => {
                                         <div className="p-4">
                                             <h3 className="font-bold text-lg mb-2">{product.name}</h3>
                                             <p className="text-gray-600 text-sm mb-3 line-clamp-2">{product.description}</p>
-                                            <div className="flex justify-between items-center mb-4"><span className="font-bold text-xl" style={{ color: ORANGE }}>₱{product.price}</span><span className="text-sm text-gray-500">Stock: {product.stock}</span></div>
+                                            <div className="flex justify-between items-center mb-4"><span className="font-bold text-xl" style={{ color: ORANGE }}>₱{product.price}</span><span className={`text-sm ${isSoldOut(product) ? 'font-bold text-red-600' : isLowStock(product) ? 'font-bold text-orange-600' : 'text-gray-500'}`}>{isLowStock(product) && '⚠️ '}{describeStockForOwner(product)}</span></div>
+                                            <p className="text-xs font-semibold text-gray-500 mb-3">Section: {menuSections.find(section => section.id === product.section_id)?.name || 'More'}</p>
                                             <div className="flex gap-2">
                                                 <button onClick={() => openEditProduct(product)} className="flex-1 py-2 bg-blue-50 text-blue-600 rounded-lg font-bold hover:bg-blue-100">Edit</button>
                                                 <button onClick={() => handleDeleteProduct(product.food_item_id)} className="flex-1 py-2 bg-red-50 text-red-600 rounded-lg font-bold hover:bg-red-100">Delete</button>
@@ -911,10 +1151,22 @@ const RestaurantOwnerDashboard = () => {
                                         <div><label className="block text-xs font-bold mb-1" style={{ color: NAVY }}>Product Name *</label><StyledInput type="text" placeholder="e.g., Chicken Adobo" value={productForm.name} onChange={(e) => setProductForm({...productForm, name: e.target.value})} /></div>
                                         <div className="grid grid-cols-2 gap-2">
                                             <div><label className="block text-xs font-bold mb-1" style={{ color: NAVY }}>Price (₱) *</label><StyledInput type="number" placeholder="99.00" value={productForm.price} onChange={(e) => setProductForm({...productForm, price: e.target.value})} /></div>
-                                            <div><label className="block text-xs font-bold mb-1" style={{ color: NAVY }}>Stock *</label><StyledInput type="number" placeholder="50" value={productForm.stock} onChange={(e) => setProductForm({...productForm, stock: e.target.value})} /></div>
+                                            <div><label className="block text-xs font-bold mb-1" style={{ color: NAVY }}>Stock {!productForm.unlimited_stock && '*'}</label>{productForm.unlimited_stock ? <p className="p-3 text-sm text-gray-500">Made to order</p> : <StyledInput type="number" min="0" placeholder="50" value={productForm.stock} onChange={(e) => setProductForm({...productForm, stock: e.target.value})} />}</div>
+                                        </div>
+                                        <div className="grid grid-cols-2 gap-2 items-end">
+                                            <label className="flex items-center gap-2 text-sm font-semibold p-3"><input type="checkbox" checked={productForm.unlimited_stock} onChange={(e) => setProductForm({...productForm, unlimited_stock: e.target.checked})} />Unlimited / made to order</label>
+                                            {!productForm.unlimited_stock && <div><label className="block text-xs font-bold mb-1" style={{ color: NAVY }}>Warn when stock is at or below</label><StyledInput type="number" min="0" value={productForm.low_stock_threshold} onChange={(e) => setProductForm({...productForm, low_stock_threshold: e.target.value})} /></div>}
                                         </div>
                                         <div><label className="block text-xs font-bold mb-1" style={{ color: NAVY }}>Description</label><textarea className="w-full p-3 border rounded-lg bg-gray-50 text-sm focus:ring-2 focus:ring-orange-500 focus:border-orange-500" style={{ borderColor: BORDER }} placeholder="Describe your dish..." rows="3" value={productForm.description} onChange={(e) => setProductForm({...productForm, description: e.target.value})} /></div>
                                         <div><label className="block text-xs font-bold mb-1" style={{ color: NAVY }}>Image URL</label><StyledInput type="text" placeholder="https://example.com/image.jpg" value={productForm.image_url} onChange={(e) => setProductForm({...productForm, image_url: e.target.value})} /></div>
+                                        <div>
+                                            <label className="block text-xs font-bold mb-1" style={{ color: NAVY }}>Menu Section</label>
+                                            <select className="w-full p-3 border rounded-lg bg-gray-50 text-sm focus:ring-2 focus:ring-orange-500 focus:border-orange-500" style={{ borderColor: BORDER }} value={productForm.section_id} onChange={(e) => setProductForm({...productForm, section_id: e.target.value})}>
+                                                <option value="">More (no section)</option>
+                                                {menuSections.map(section => <option key={section.id} value={section.id}>{section.name}</option>)}
+                                            </select>
+                                        </div>
+                                        <div className="pt-2 border-t" style={{ borderColor: BORDER }}><OptionGroupsEditor groups={optionGroups} onChange={setOptionGroups} /></div>
                                     </div>
                                     <div className="flex gap-3 mt-6">
                                         <button onClick={() => { setShowProductModal(false); setEditingProduct(null); }} className="flex-1 py-3 bg-gray-200 text-gray-700 rounded-lg font-bold hover:bg-gray-300">Cancel</button>
@@ -925,6 +1177,18 @@ const RestaurantOwnerDashboard = () => {
                         )}
                     </>
                 )}
+
+                {activeTab === 'analytics' && (
+                    <SalesAnalytics restaurantId={myRestaurant.id} />
+                )}
+
+                {activeTab === 'reviews' && (
+                    <ReviewsPanel restaurant={myRestaurant} />
+                )}
+
+                {activeTab === 'hours' && (
+                    <OpeningHoursPanel restaurant={myRestaurant} onRestaurantChange={setMyRestaurant} />
+                )}
             </div>
         </div>
     );
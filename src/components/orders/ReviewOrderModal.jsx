@@ -0,0 +1,87 @@
+// components/orders/ReviewOrderModal.jsx
+import React, { useState } from 'react';
+import { NAVY, BORDER } from '../../config/constants';
+import { getReviewableItems, submitReview } from '../../lib/reviews';
+import { StarRating } from '../common/StarRating';
+
+// Rates a completed order: the restaurant (required), each dish
+// (optional), a comment and a photo. Reports the new review through
+// `onReviewed`.
+export const ReviewOrderModal = ({ order, onClose, onReviewed }) => {
+  const items = getReviewableItems(order);
+  const [rating, setRating] = useState(0);
+  const [itemRatings, setItemRatings] = useState({});
+  const [comment, setComment] = useState('');
+  const [photoFile, setPhotoFile] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async () => {
+    if (!rating) {
+      setError('Give the restaurant a star rating.');
+      return;
+    }
+    setSubmitting(true);
+    setError('');
+    try {
+      onReviewed(await submitReview(order, { rating, comment, photoFile, itemRatings }));
+    } catch (e) {
+      console.error('Error submitting review:', e);
+      setError(e.message || 'Could not submit your review.');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
+        <h3 className="text-2xl font-bold mb-1" style={{ color: NAVY }}>Rate your order</h3>
+        <p className="text-sm text-gray-500 mb-4">Your review is public and can only be sent once.</p>
+
+        <div className="text-center mb-4">
+          <p className="font-semibold text-gray-700">{order.restaurant_name || 'The restaurant'}</p>
+          <StarRating value={rating} onChange={setRating} size="text-4xl" label="Restaurant rating" />
+        </div>
+
+        {items.length > 0 && (
+          <div className="space-y-2 mb-4">
+            <p className="text-xs uppercase font-bold tracking-wider text-gray-500">Dishes (optional)</p>
+            {items.map(item => (
+              <div key={item.food_item_id} className="flex items-center justify-between gap-3 p-2 rounded-lg border" style={{ borderColor: BORDER }}>
+                <span className="text-sm font-semibold text-gray-700 truncate">{item.name}</span>
+                <StarRating
+                  value={itemRatings[item.food_item_id] || 0}
+                  onChange={(value) => setItemRatings(prev => ({ ...prev, [item.food_item_id]: value }))}
+                  size="text-xl"
+                  label={`${item.name} rating`}
+                />
+              </div>
+            ))}
+          </div>
+        )}
+
+        <textarea
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          rows={3}
+          maxLength={1000}
+          placeholder="Tell others about your order (optional)"
+          className="w-full p-3 border border-gray-300 rounded-lg text-sm resize-none input-focus-shopee"
+        />
+        <label className="block mt-3 text-sm font-semibold text-gray-700">
+          📷 Add a photo (optional)
+          <input type="file" accept="image/*" onChange={(e) => setPhotoFile(e.target.files?.[0] || null)} className="block mt-1 text-xs" />
+        </label>
+
+        {error && <p className="text-sm text-red-500 mt-3 font-medium">{error}</p>}
+
+        <div className="flex gap-3 mt-5">
+          <button onClick={onClose} disabled={submitting} className="flex-1 py-3 bg-gray-200 text-gray-700 rounded-lg font-bold hover:bg-gray-300">Later</button>
+          <button onClick={handleSubmit} disabled={submitting} className="flex-1 py-3 text-white rounded-lg font-bold hover:opacity-90 disabled:opacity-60" style={{ backgroundColor: NAVY }}>
+            {submitting ? 'Sending...' : 'Submit Review'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
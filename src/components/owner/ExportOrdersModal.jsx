@@ -0,0 +1,110 @@
+// components/owner/ExportOrdersModal.jsx
+import React, { useState } from 'react';
+import { ORANGE, NAVY, BORDER } from '../../config/constants';
+import { getPresetRange } from '../../lib/analytics';
+import {
+  DEFAULT_COMMISSION_RATE,
+  fetchOrdersForExport,
+  buildOrderRows,
+  buildPayoutSummary,
+  buildPayoutRows,
+  downloadCsv,
+  writePrintableReport,
+} from '../../lib/exports';
+
+// Exports the restaurant's orders for a date range, narrowed by the
+// dashboard's status filter: an orders CSV, a per-day payouts CSV or a
+// printable report with both.
+export const ExportOrdersModal = ({ restaurant, statusFilter, onClose }) => {
+  const [range, setRange] = useState(() => getPresetRange('7d'));
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const commissionRate = Number(restaurant.commission_rate ?? DEFAULT_COMMISSION_RATE);
+  const fileSuffix = `${range.from}_to_${range.to}${statusFilter === 'all' ? '' : `_${statusFilter.toLowerCase().replace(/\s+/g, '-')}`}`;
+
+  // Resolves true once `action` has run with the fetched orders
+  const run = async (action) => {
+    if (range.from > range.to) {
+      setError('The start date must be on or before the end date.');
+      return false;
+    }
+    setExporting(true);
+    setError('');
+    try {
+      const orders = await fetchOrdersForExport(restaurant.id, range, statusFilter);
+      if (orders.length === 0) {
+        setError('No orders match this date range and status.');
+        return false;
+      }
+      action(orders);
+      return true;
+    } catch (exportError) {
+      console.error('Error exporting orders:', exportError);
+      setError('Export failed: ' + exportError.message);
+      return false;
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const exportOrders = () => run(orders => downloadCsv(`orders_${fileSuffix}.csv`, buildOrderRows(orders)));
+
+  const exportPayouts = () => run(orders =>
+    downloadCsv(`payouts_${fileSuffix}.csv`, buildPayoutRows(buildPayoutSummary(orders, commissionRate), commissionRate)));
+
+  const printReport = async () => {
+    const win = window.open('', '_blank');
+    if (!win) {
+      setError('Allow pop-ups for this site to open the printable report.');
+      return;
+    }
+    const written = await run(orders => writePrintableReport(win, {
+      restaurantName: restaurant.name,
+      range,
+      statusFilter,
+      orderRows: buildOrderRows(orders),
+      payoutRows: buildPayoutRows(buildPayoutSummary(orders, commissionRate), commissionRate),
+    }));
+    if (!written) win.close();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-md">
+        <h3 className="text-2xl font-bold mb-1" style={{ color: NAVY }}>Export Orders</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Status: <span className="font-semibold">{statusFilter === 'all' ? 'All orders' : statusFilter}</span> (from the orders filter) ·
+          Commission {Math.round(commissionRate * 1000) / 10}%
+        </p>
+
+        <div className="grid grid-cols-2 gap-2 mb-4">
+          <div>
+            <label className="block text-xs font-bold mb-1" style={{ color: NAVY }}>From</label>
+            <input type="date" value={range.from} max={range.to} onChange={(e) => setRange({ ...range, from: e.target.value })} className="w-full p-2 border rounded-lg bg-gray-50 text-sm" style={{ borderColor: BORDER }} />
+          </div>
+          <div>
+            <label className="block text-xs font-bold mb-1" style={{ color: NAVY }}>To</label>
+            <input type="date" value={range.to} min={range.from} onChange={(e) => setRange({ ...range, to: e.target.value })} className="w-full p-2 border rounded-lg bg-gray-50 text-sm" style={{ borderColor: BORDER }} />
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <button onClick={exportOrders} disabled={exporting || !range.from || !range.to} className="w-full py-3 text-white rounded-lg font-bold disabled:opacity-60" style={{ backgroundColor: ORANGE }}>
+            ⬇️ Orders CSV
+          </button>
+          <button onClick={exportPayouts} disabled={exporting || !range.from || !range.to} className="w-full py-3 text-white rounded-lg font-bold disabled:opacity-60" style={{ backgroundColor: ORANGE }}>
+            ⬇️ Daily Payouts CSV
+          </button>
+          <button onClick={printReport} disabled={exporting || !range.from || !range.to} className="w-full py-3 bg-gray-100 text-gray-700 rounded-lg font-bold hover:bg-gray-200 disabled:opacity-60">
+            🖨️ Printable Report (PDF)
+          </button>
+        </div>
+
+        {error && <p className="text-sm text-red-500 mt-3 font-medium">{error}</p>}
+
+        <button onClick={onClose} className="w-full mt-4 py-3 bg-gray-200 text-gray-700 rounded-lg font-bold hover:bg-gray-300">Close</button>
+      </div>
+    </div>
+  );
+};
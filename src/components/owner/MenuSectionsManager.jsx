@@ -0,0 +1,122 @@
+// components/owner/MenuSectionsManager.jsx
+import React, { useState } from 'react';
+import { ORANGE, NAVY, BORDER } from '../../config/constants';
+import { createMenuSection, renameMenuSection, deleteMenuSection, saveMenuSectionOrder } from '../../lib/menuSections';
+
+// Add, rename, reorder and remove the sections shown as tabs on the
+// restaurant page. `sections` is owned by the caller; every successful
+// change is reported through `onChange`.
+export const MenuSectionsManager = ({ restaurantId, sections, onChange }) => {
+  const [newName, setNewName] = useState('');
+  const [editing, setEditing] = useState(null); // { id, name }
+  const [saving, setSaving] = useState(false);
+
+  const run = async (action) => {
+    setSaving(true);
+    try {
+      await action();
+    } catch (error) {
+      console.error('Error updating menu sections:', error);
+      alert('Failed to update menu sections: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = () => {
+    if (!newName.trim()) return;
+    run(async () => {
+      const created = await createMenuSection(restaurantId, newName, sections.length);
+      onChange([...sections, created]);
+      setNewName('');
+    });
+  };
+
+  const handleRename = () => {
+    if (!editing?.name.trim()) return;
+    run(async () => {
+      await renameMenuSection(editing.id, editing.name);
+      onChange(sections.map(section => (section.id === editing.id ? { ...section, name: editing.name.trim() } : section)));
+      setEditing(null);
+    });
+  };
+
+  const handleDelete = (section) => {
+    if (!confirm(`Delete the "${section.name}" section? Its items will move to "More".`)) return;
+    run(async () => {
+      await deleteMenuSection(section.id);
+      onChange(sections.filter(s => s.id !== section.id));
+    });
+  };
+
+  const handleMove = (index, offset) => {
+    const reordered = [...sections];
+    const [moved] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, moved);
+    run(async () => {
+      await saveMenuSectionOrder(reordered);
+      onChange(reordered.map((section, i) => ({ ...section, sort_order: i })));
+    });
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-xl shadow-sm mb-6">
+      <h2 className="font-bold text-lg mb-1" style={{ color: NAVY }}>Menu Sections</h2>
+      <p className="text-xs text-gray-500 mb-3">Shown as tabs on your restaurant page, in this order.</p>
+
+      {sections.length === 0 && (
+        <p className="text-sm text-gray-500 mb-3">No sections yet. Try "Best Sellers", "Rice Meals" or "Drinks".</p>
+      )}
+
+      <ul className="space-y-2 mb-3">
+        {sections.map((section, index) => (
+          <li key={section.id} className="flex items-center gap-2 p-2 rounded-lg border" style={{ borderColor: BORDER }}>
+            {editing?.id === section.id ? (
+              <>
+                <input
+                  type="text"
+                  value={editing.name}
+                  onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                  onKeyDown={(e) => { if (e.key === 'Enter') handleRename(); }}
+                  className="flex-1 p-2 border rounded-lg bg-gray-50 text-sm"
+                  style={{ borderColor: BORDER }}
+                  autoFocus
+                />
+                <button onClick={handleRename} disabled={saving} className="text-sm font-bold" style={{ color: ORANGE }}>Save</button>
+                <button onClick={() => setEditing(null)} className="text-sm font-bold text-gray-500">Cancel</button>
+              </>
+            ) : (
+              <>
+                <span className="flex-1 font-semibold text-sm">{section.name}</span>
+                <button onClick={() => handleMove(index, -1)} disabled={saving || index === 0} className="px-1 text-gray-500 disabled:opacity-30" aria-label="Move up">▲</button>
+                <button onClick={() => handleMove(index, 1)} disabled={saving || index === sections.length - 1} className="px-1 text-gray-500 disabled:opacity-30" aria-label="Move down">▼</button>
+                <button onClick={() => setEditing({ id: section.id, name: section.name })} className="text-sm font-bold text-blue-600">Rename</button>
+                <button onClick={() => handleDelete(section)} disabled={saving} className="text-sm font-bold text-red-600">Delete</button>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          placeholder="New section name"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') handleAdd(); }}
+          className="flex-1 p-2 border rounded-lg bg-gray-50 text-sm"
+          style={{ borderColor: BORDER }}
+        />
+        <button
+          onClick={handleAdd}
+          disabled={saving || !newName.trim()}
+          className="px-4 py-2 text-white rounded-lg font-bold disabled:opacity-60"
+          style={{ backgroundColor: ORANGE }}
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  );
+};
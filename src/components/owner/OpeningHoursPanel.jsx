@@ -0,0 +1,299 @@
+// components/owner/OpeningHoursPanel.jsx
+import React, { useState, useEffect } from 'react';
+import { ORANGE, NAVY, BORDER } from '../../config/constants';
+import { getManilaDateKey } from '../../lib/time';
+import {
+  WEEKDAY_NAMES,
+  fetchOpeningSchedule,
+  saveWeeklyHours,
+  addClosure,
+  deleteClosure,
+  setAcceptingOrders,
+  getRestaurantStatus,
+} from '../../lib/openingHours';
+import { setScheduledReleaseMinutes } from '../../lib/scheduling';
+import { useNow } from '../../hooks/useNow';
+
+const DEFAULT_WINDOW = { opens_at: '10:00', closes_at: '21:00' };
+
+const toInputTime = (time) => String(time || '').slice(0, 5);
+
+// Weekly opening windows, one-off closure days, pre-order timing and the
+// master "accepting orders" switch. `restaurant` is owned by the caller;
+// updates to the restaurant row are reported through `onRestaurantChange`.
+export const OpeningHoursPanel = ({ restaurant, onRestaurantChange }) => {
+  const [hours, setHours] = useState([]); // [{ weekday, opens_at, closes_at }]
+  const [closures, setClosures] = useState([]);
+  const [closureForm, setClosureForm] = useState({ starts_on: '', ends_on: '', reason: '' });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+  const [releaseMinutes, setReleaseMinutes] = useState(String(restaurant.scheduled_release_minutes ?? 45));
+  const now = useNow();
+
+  useEffect(() => {
+    let mounted = true;
+    fetchOpeningSchedule(restaurant.id)
+      .then(schedule => {
+        if (!mounted) return;
+        setHours(schedule.hours.map(window => ({
+          weekday: window.weekday,
+          opens_at: toInputTime(window.opens_at),
+          closes_at: toInputTime(window.closes_at),
+        })));
+        setClosures(schedule.closures);
+      })
+      .catch(error => console.error('Error loading opening hours:', error))
+      .finally(() => { if (mounted) setLoading(false); });
+    return () => { mounted = false; };
+  }, [restaurant.id]);
+
+  const run = async (action) => {
+    setSaving(true);
+    try {
+      await action();
+    } catch (error) {
+      console.error('Error updating opening hours:', error);
+      alert('Failed to update opening hours: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateHours = (nextHours) => {
+    setHours(nextHours);
+    setDirty(true);
+  };
+
+  const addWindow = (weekday) => updateHours([...hours, { weekday, ...DEFAULT_WINDOW }]);
+
+  const updateWindow = (index, field, value) =>
+    updateHours(hours.map((window, i) => (i === index ? { ...window, [field]: value } : window)));
+
+  const removeWindow = (index) => updateHours(hours.filter((_, i) => i !== index));
+
+  const copyToAllDays = (weekday) => {
+    const dayWindows = hours.filter(window => window.weekday === weekday);
+    updateHours(WEEKDAY_NAMES.flatMap((_, day) => dayWindows.map(window => ({ ...window, weekday: day }))));
+  };
+
+  const handleSaveHours = () => {
+    if (hours.some(window => !window.opens_at || !window.closes_at)) {
+      alert('Every opening window needs an opening and a closing time.');
+      return;
+    }
+    if (hours.some(window => window.opens_at === window.closes_at)) {
+      alert('Opening and closing times cannot be the same.');
+      return;
+    }
+    run(async () => {
+      await saveWeeklyHours(restaurant.id, hours);
+      setDirty(false);
+    });
+  };
+
+  const handleAddClosure = () => {
+    if (!closureForm.starts_on) return;
+    if (closureForm.ends_on && closureForm.ends_on < closureForm.starts_on) {
+      alert('The last closed day cannot be before the first.');
+      return;
+    }
+    run(async () => {
+      const created = await addClosure(restaurant.id, closureForm);
+      setClosures([...closures, created].sort((a, b) => a.starts_on.localeCompare(b.starts_on)));
+      setClosureForm({ starts_on: '', ends_on: '', reason: '' });
+    });
+  };
+
+  const handleDeleteClosure = (closure) => {
+    run(async () => {
+      await deleteClosure(closure.id);
+      setClosures(closures.filter(c => c.id !== closure.id));
+    });
+  };
+
+  const handleToggleAccepting = () => {
+    const next = restaurant.is_open === false;
+    if (!next && !confirm('Stop taking orders until you switch this back on?')) return;
+    run(async () => {
+      onRestaurantChange(await setAcceptingOrders(restaurant.id, next));
+    });
+  };
+
+  const handleSaveReleaseMinutes = () => {
+    const minutes = Number(releaseMinutes);
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > 240) {
+      alert('Enter a whole number of minutes between 0 and 240.');
+      return;
+    }
+    run(async () => {
+      onRestaurantChange(await setScheduledReleaseMinutes(restaurant.id, minutes));
+    });
+  };
+
+  if (loading) return <p className="text-center text-gray-500 py-12">Loading opening hours...</p>;
+
+  const status = getRestaurantStatus({ ...restaurant, restaurant_hours: hours, restaurant_closures: closures }, now);
+  const accepting = restaurant.is_open !== false;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white p-4 rounded-xl shadow-sm flex flex-wrap justify-between items-center gap-3">
+        <div>
+          <h2 className="font-bold text-lg" style={{ color: NAVY }}>Accepting Orders</h2>
+          <p className={`text-sm font-semibold ${status.isOpen ? 'text-green-600' : 'text-gray-500'}`}>● {status.label}</p>
+        </div>
+        <button
+          onClick={handleToggleAccepting}
+          disabled={saving}
+          className={`px-4 py-2 rounded-lg font-bold disabled:opacity-60 ${accepting ? 'bg-red-50 text-red-600 hover:bg-red-100' : 'text-white'}`}
+          style={accepting ? {} : { backgroundColor: ORANGE }}
+        >
+          {accepting ? 'Stop taking orders' : 'Start taking orders'}
+        </button>
+      </div>
+
+      <div className="bg-white p-4 rounded-xl shadow-sm">
+        <div className="flex justify-between items-center mb-1">
+          <h2 className="font-bold text-lg" style={{ color: NAVY }}>Weekly Hours</h2>
+          <button
+            onClick={handleSaveHours}
+            disabled={saving || !dirty}
+            className="px-4 py-2 text-white rounded-lg font-bold disabled:opacity-60"
+            style={{ backgroundColor: ORANGE }}
+          >
+            Save Hours
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 mb-3">
+          Manila time. A closing time earlier than the opening time runs past midnight. With no hours set you're open all day.
+        </p>
+
+        <ul className="space-y-2">
+          {WEEKDAY_NAMES.map((name, weekday) => {
+            const dayWindows = hours
+              .map((window, index) => ({ ...window, index }))
+              .filter(window => window.weekday === weekday);
+            return (
+              <li key={name} className="flex flex-wrap items-start gap-3 p-2 rounded-lg border" style={{ borderColor: BORDER }}>
+                <span className="w-24 pt-2 font-semibold text-sm">{name}</span>
+                <div className="flex-1 space-y-2">
+                  {dayWindows.length === 0 && <p className="pt-2 text-sm text-gray-500">Closed</p>}
+                  {dayWindows.map(window => (
+                    <div key={window.index} className="flex items-center gap-2">
+                      <input
+                        type="time"
+                        value={window.opens_at}
+                        onChange={(e) => updateWindow(window.index, 'opens_at', e.target.value)}
+                        className="p-2 border rounded-lg bg-gray-50 text-sm"
+                        style={{ borderColor: BORDER }}
+                      />
+                      <span className="text-gray-500">–</span>
+                      <input
+                        type="time"
+                        value={window.closes_at}
+                        onChange={(e) => updateWindow(window.index, 'closes_at', e.target.value)}
+                        className="p-2 border rounded-lg bg-gray-50 text-sm"
+                        style={{ borderColor: BORDER }}
+                      />
+                      <button onClick={() => removeWindow(window.index)} className="text-sm font-bold text-red-600" aria-label="Remove window">✕</button>
+                    </div>
+                  ))}
+                </div>
+                <div className="flex flex-col items-end gap-1 pt-2">
+                  <button onClick={() => addWindow(weekday)} className="text-sm font-bold" style={{ color: ORANGE }}>+ Add hours</button>
+                  {dayWindows.length > 0 && (
+                    <button onClick={() => copyToAllDays(weekday)} className="text-xs font-bold text-blue-600">Copy to all days</button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+
+      <div className="bg-white p-4 rounded-xl shadow-sm">
+        <h2 className="font-bold text-lg mb-1" style={{ color: NAVY }}>Pre-orders</h2>
+        <p className="text-xs text-gray-500 mb-3">Customers can book a delivery time up to a few days ahead. Their order moves from Upcoming to Pending this long before that time.</p>
+        <div className="flex items-center gap-2">
+          <input
+            type="number"
+            min="0"
+            max="240"
+            value={releaseMinutes}
+            onChange={(e) => setReleaseMinutes(e.target.value)}
+            className="w-24 p-2 border rounded-lg bg-gray-50 text-sm"
+            style={{ borderColor: BORDER }}
+          />
+          <span className="text-sm text-gray-600">minutes before delivery</span>
+          <button
+            onClick={handleSaveReleaseMinutes}
+            disabled={saving || Number(releaseMinutes) === restaurant.scheduled_release_minutes}
+            className="ml-auto px-4 py-2 text-white rounded-lg font-bold disabled:opacity-60"
+            style={{ backgroundColor: ORANGE }}
+          >
+            Save
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white p-4 rounded-xl shadow-sm">
+        <h2 className="font-bold text-lg mb-1" style={{ color: NAVY }}>Closures</h2>
+        <p className="text-xs text-gray-500 mb-3">Holidays, fiestas or any day you're closed all day.</p>
+
+        {closures.length === 0 && <p className="text-sm text-gray-500 mb-3">No upcoming closures.</p>}
+
+        <ul className="space-y-2 mb-3">
+          {closures.map(closure => (
+            <li key={closure.id} className="flex items-center gap-2 p-2 rounded-lg border" style={{ borderColor: BORDER }}>
+              <span className="flex-1 text-sm">
+                <span className="font-semibold">
+                  {closure.starts_on === closure.ends_on ? closure.starts_on : `${closure.starts_on} to ${closure.ends_on}`}
+                </span>
+                {closure.reason && <span className="text-gray-500"> · {closure.reason}</span>}
+              </span>
+              <button onClick={() => handleDeleteClosure(closure)} disabled={saving} className="text-sm font-bold text-red-600">Delete</button>
+            </li>
+          ))}
+        </ul>
+
+        <div className="grid grid-cols-1 sm:grid-cols-4 gap-2">
+          <input
+            type="date"
+            min={getManilaDateKey()}
+            value={closureForm.starts_on}
+            onChange={(e) => setClosureForm({ ...closureForm, starts_on: e.target.value })}
+            className="p-2 border rounded-lg bg-gray-50 text-sm"
+            style={{ borderColor: BORDER }}
+            aria-label="First closed day"
+          />
+          <input
+            type="date"
+            min={closureForm.starts_on || getManilaDateKey()}
+            value={closureForm.ends_on}
+            onChange={(e) => setClosureForm({ ...closureForm, ends_on: e.target.value })}
+            className="p-2 border rounded-lg bg-gray-50 text-sm"
+            style={{ borderColor: BORDER }}
+            aria-label="Last closed day (optional)"
+          />
+          <input
+            type="text"
+            placeholder="Reason, e.g. Fiesta"
+            value={closureForm.reason}
+            onChange={(e) => setClosureForm({ ...closureForm, reason: e.target.value })}
+            className="p-2 border rounded-lg bg-gray-50 text-sm"
+            style={{ borderColor: BORDER }}
+          />
+          <button
+            onClick={handleAddClosure}
+            disabled={saving || !closureForm.starts_on}
+            className="px-4 py-2 text-white rounded-lg font-bold disabled:opacity-60"
+            style={{ backgroundColor: ORANGE }}
+          >
+            Add Closure
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,142 @@
+// components/owner/OptionGroupsEditor.jsx
+import React from 'react';
+import { ORANGE, NAVY, BORDER } from '../../config/constants';
+import { newOptionGroup, newOptionChoice } from '../../lib/menuOptions';
+
+const inputClass = 'w-full p-2 border rounded-lg bg-gray-50 text-sm focus:ring-2 focus:ring-orange-500 focus:border-orange-500';
+
+// Edits an item's option groups in the product modal. Controlled: `groups`
+// is the draft and every change goes through `onChange`; saving is up to
+// the caller (see saveOptionGroups in lib/menuOptions).
+export const OptionGroupsEditor = ({ groups, onChange }) => {
+  const updateGroup = (groupId, changes) => {
+    onChange(groups.map(group => (group.id === groupId ? { ...group, ...changes } : group)));
+  };
+
+  const updateChoice = (group, choiceId, changes) => {
+    updateGroup(group.id, {
+      option_choices: group.option_choices.map(choice => (choice.id === choiceId ? { ...choice, ...changes } : choice)),
+    });
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-2">
+        <label className="block text-xs font-bold" style={{ color: NAVY }}>Options & Add-ons</label>
+        <button
+          type="button"
+          onClick={() => onChange([...groups, newOptionGroup()])}
+          className="text-xs font-bold hover:underline"
+          style={{ color: ORANGE }}
+        >
+          + Add Group
+        </button>
+      </div>
+
+      {groups.length === 0 && (
+        <p className="text-xs text-gray-500">No options. Add a group for sizes, required choices or paid extras.</p>
+      )}
+
+      <div className="space-y-3">
+        {groups.map(group => (
+          <div key={group.id} className="p-3 rounded-lg border bg-white" style={{ borderColor: BORDER }}>
+            <div className="flex gap-2 mb-2">
+              <input
+                type="text"
+                placeholder="Group name, e.g. Size"
+                value={group.name}
+                onChange={(e) => updateGroup(group.id, { name: e.target.value })}
+                className={inputClass}
+                style={{ borderColor: BORDER }}
+              />
+              <button
+                type="button"
+                onClick={() => onChange(groups.filter(g => g.id !== group.id))}
+                className="px-2 text-red-500 font-bold text-sm"
+                aria-label="Remove group"
+              >
+                ✕
+              </button>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2 mb-3">
+              <label className="text-xs text-gray-600">
+                Min picks
+                <input
+                  type="number"
+                  min="0"
+                  value={group.min_select}
+                  onChange={(e) => updateGroup(group.id, { min_select: e.target.value })}
+                  className={inputClass}
+                  style={{ borderColor: BORDER }}
+                />
+              </label>
+              <label className="text-xs text-gray-600">
+                Max picks
+                <input
+                  type="number"
+                  min="1"
+                  value={group.max_select}
+                  onChange={(e) => updateGroup(group.id, { max_select: e.target.value })}
+                  className={inputClass}
+                  style={{ borderColor: BORDER }}
+                />
+              </label>
+            </div>
+
+            <div className="space-y-2">
+              {group.option_choices.map(choice => (
+                <div key={choice.id} className="flex gap-2 items-center">
+                  <input
+                    type="text"
+                    placeholder="Choice, e.g. Large"
+                    value={choice.name}
+                    onChange={(e) => updateChoice(group, choice.id, { name: e.target.value })}
+                    className={inputClass}
+                    style={{ borderColor: BORDER }}
+                  />
+                  <input
+                    type="number"
+                    step="0.01"
+                    placeholder="+₱"
+                    value={choice.price_delta}
+                    onChange={(e) => updateChoice(group, choice.id, { price_delta: e.target.value })}
+                    className={`${inputClass} w-24 flex-shrink-0`}
+                    style={{ borderColor: BORDER }}
+                    title="Extra price (₱)"
+                  />
+                  <label className="flex items-center gap-1 text-xs text-gray-600 flex-shrink-0" title="Available">
+                    <input
+                      type="checkbox"
+                      checked={choice.is_available !== false}
+                      onChange={(e) => updateChoice(group, choice.id, { is_available: e.target.checked })}
+                      style={{ accentColor: ORANGE }}
+                    />
+                    On
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => updateGroup(group.id, { option_choices: group.option_choices.filter(c => c.id !== choice.id) })}
+                    className="px-1 text-gray-400 hover:text-red-500 font-bold text-sm flex-shrink-0"
+                    aria-label="Remove choice"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <button
+              type="button"
+              onClick={() => updateGroup(group.id, { option_choices: [...group.option_choices, newOptionChoice()] })}
+              className="mt-2 text-xs font-bold hover:underline"
+              style={{ color: ORANGE }}
+            >
+              + Add Choice
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,48 @@
+// components/owner/OrdersHeatmap.jsx
+import React from 'react';
+import { formatMinutes } from '../../lib/time';
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const CELL = 22;
+const LEFT = 36;
+const TOP = 18;
+
+// Orders per weekday and hour from getOrdersByHour(); darker is busier
+export const OrdersHeatmap = ({ counts }) => {
+  const max = Math.max(...counts.flat(), 1);
+
+  return (
+    <div className="overflow-x-auto">
+      <svg
+        viewBox={`0 0 ${LEFT + CELL * 24} ${TOP + CELL * 7}`}
+        className="w-full h-auto min-w-[560px]"
+        role="img"
+        aria-label="Orders by hour of day"
+      >
+        {Array.from({ length: 24 }, (_, hour) => hour % 3 === 0 && (
+          <text key={hour} x={LEFT + hour * CELL + CELL / 2} y={12} textAnchor="middle" fontSize="9" fill="#6B7280">
+            {formatMinutes(hour * 60).replace(':00', '')}
+          </text>
+        ))}
+        {counts.map((hours, weekday) => (
+          <g key={DAY_LABELS[weekday]}>
+            <text x={0} y={TOP + weekday * CELL + CELL / 2 + 4} fontSize="10" fill="#6B7280">{DAY_LABELS[weekday]}</text>
+            {hours.map((count, hour) => (
+              <rect
+                key={hour}
+                x={LEFT + hour * CELL + 1}
+                y={TOP + weekday * CELL + 1}
+                width={CELL - 2}
+                height={CELL - 2}
+                rx="3"
+                fill={count === 0 ? '#F3F4F6' : `rgba(255, 138, 0, ${0.2 + 0.8 * (count / max)})`}
+              >
+                <title>{`${DAY_LABELS[weekday]} ${formatMinutes(hour * 60)}: ${count} order${count !== 1 ? 's' : ''}`}</title>
+              </rect>
+            ))}
+          </g>
+        ))}
+      </svg>
+    </div>
+  );
+};
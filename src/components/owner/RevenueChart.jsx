@@ -0,0 +1,43 @@
+// components/owner/RevenueChart.jsx
+import React from 'react';
+import { ORANGE, BORDER } from '../../config/constants';
+
+const WIDTH = 600;
+const HEIGHT = 180;
+const LABEL_HEIGHT = 20;
+
+const formatDay = (dateKey) => {
+  const [, month, day] = dateKey.split('-').map(Number);
+  return `${month}/${day}`;
+};
+
+// Daily revenue as an SVG bar chart; `days` comes from getDailySales().
+// Hovering a bar shows its exact figures.
+export const RevenueChart = ({ days }) => {
+  const max = Math.max(...days.map(day => day.revenue), 1);
+  const slot = WIDTH / Math.max(days.length, 1);
+  const barWidth = Math.max(slot * 0.7, 1);
+  const labelEvery = Math.ceil(days.length / 8);
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT + LABEL_HEIGHT}`} className="w-full h-auto" role="img" aria-label="Revenue per day">
+      <line x1="0" y1={HEIGHT} x2={WIDTH} y2={HEIGHT} stroke={BORDER} />
+      {days.map((day, index) => {
+        const height = (day.revenue / max) * (HEIGHT - 10);
+        const x = index * slot + (slot - barWidth) / 2;
+        return (
+          <g key={day.dateKey}>
+            <rect x={x} y={HEIGHT - height} width={barWidth} height={height} rx="2" style={{ fill: ORANGE }}>
+              <title>{`${day.dateKey}: ₱${day.revenue.toFixed(2)} from ${day.orderCount} order${day.orderCount !== 1 ? 's' : ''}`}</title>
+            </rect>
+            {index % labelEvery === 0 && (
+              <text x={index * slot + slot / 2} y={HEIGHT + 14} textAnchor="middle" fontSize="10" fill="#6B7280">
+                {formatDay(day.dateKey)}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
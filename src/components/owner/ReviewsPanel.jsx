@@ -0,0 +1,169 @@
+// components/owner/ReviewsPanel.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { ORANGE, NAVY, BORDER } from '../../config/constants';
+import { fetchRestaurantReviews, replyToReview, getRatingDistribution, formatRating, getReviewPhotoUrl } from '../../lib/reviews';
+import { StarRating } from '../common/StarRating';
+
+const formatDate = (value) =>
+  new Date(value).toLocaleString('en-PH', { dateStyle: 'medium', timeStyle: 'short' });
+
+// One review with its reply box. Replies are public and can be edited or
+// cleared later.
+const ReviewCard = ({ review, onReplied }) => {
+  const [editing, setEditing] = useState(!review.owner_reply);
+  const [reply, setReply] = useState(review.owner_reply || '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      onReplied(await replyToReview(review.id, reply));
+      setEditing(!reply.trim());
+    } catch (e) {
+      console.error('Error replying to review:', e);
+      setError(e.message || 'Could not save the reply.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-xl shadow-sm">
+      <div className="flex justify-between items-start gap-3">
+        <div>
+          <p className="font-bold text-gray-800">{review.reviewer_name}</p>
+          <StarRating value={review.rating} />
+        </div>
+        <div className="text-right text-xs text-gray-500">
+          <p>{formatDate(review.created_at)}</p>
+          <p>Order #{review.order_id.slice(0, 8)}</p>
+        </div>
+      </div>
+      {review.comment && <p className="text-sm text-gray-700 mt-2">{review.comment}</p>}
+      {review.review_items?.length > 0 && (
+        <ul className="mt-2 text-xs text-gray-600 space-y-0.5">
+          {review.review_items.map(item => (
+            <li key={item.food_item_id} className="flex items-center gap-2">
+              <StarRating value={item.rating} size="text-xs" /> {item.name}
+            </li>
+          ))}
+        </ul>
+      )}
+      {review.photo_path && (
+        <a href={getReviewPhotoUrl(review)} target="_blank" rel="noreferrer">
+          <img src={getReviewPhotoUrl(review)} alt="" className="mt-2 w-28 h-28 object-cover rounded-lg border" style={{ borderColor: BORDER }} />
+        </a>
+      )}
+
+      <div className="mt-3 pt-3 border-t" style={{ borderColor: BORDER }}>
+        {editing ? (
+          <>
+            <textarea
+              value={reply}
+              onChange={(e) => setReply(e.target.value)}
+              rows={2}
+              maxLength={1000}
+              placeholder="Write a public reply"
+              className="w-full p-2 border border-gray-300 rounded-lg text-sm resize-none input-focus-shopee"
+            />
+            <div className="flex gap-2 mt-2">
+              <button onClick={handleSave} disabled={saving || (!reply.trim() && !review.owner_reply)} className="px-4 py-2 text-white rounded-lg text-sm font-bold hover:opacity-90 disabled:opacity-60" style={{ backgroundColor: ORANGE }}>
+                {saving ? 'Saving...' : review.owner_reply ? 'Update Reply' : 'Post Reply'}
+              </button>
+              {review.owner_reply && (
+                <button onClick={() => { setReply(review.owner_reply); setEditing(false); }} className="px-4 py-2 bg-gray-100 rounded-lg text-sm font-bold hover:bg-gray-200">Cancel</button>
+              )}
+            </div>
+          </>
+        ) : (
+          <div className="text-sm">
+            <p className="text-xs font-bold uppercase tracking-wider text-gray-500">Your reply • {formatDate(review.replied_at)}</p>
+            <p className="text-gray-700">{review.owner_reply}</p>
+            <button onClick={() => setEditing(true)} className="mt-1 text-xs font-bold hover:underline" style={{ color: ORANGE }}>Edit reply</button>
+          </div>
+        )}
+        {error && <p className="text-sm text-red-500 mt-2 font-medium">{error}</p>}
+      </div>
+    </div>
+  );
+};
+
+// The restaurant's ratings at a glance and every review, newest first,
+// with public replies
+export const ReviewsPanel = ({ restaurant }) => {
+  const [reviews, setReviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [onlyUnanswered, setOnlyUnanswered] = useState(false);
+
+  const loadReviews = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setReviews(await fetchRestaurantReviews(restaurant.id, { limit: 500 }));
+    } catch (e) {
+      console.error('Error loading reviews:', e);
+      setError('Could not load reviews: ' + e.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [restaurant.id]);
+
+  useEffect(() => {
+    loadReviews();
+  }, [loadReviews]);
+
+  const handleReplied = (updated) => {
+    setReviews(prev => prev.map(review => review.id === updated.id ? { ...review, ...updated } : review));
+  };
+
+  const distribution = getRatingDistribution(reviews);
+  const unansweredCount = reviews.filter(review => !review.owner_reply).length;
+  const visible = onlyUnanswered ? reviews.filter(review => !review.owner_reply) : reviews;
+
+  if (loading) return <p className="text-center text-gray-500 py-12">Loading reviews...</p>;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white p-4 rounded-xl shadow-sm flex flex-wrap items-center gap-6">
+        <div className="text-center">
+          <p className="text-4xl font-black" style={{ color: NAVY }}>{formatRating(restaurant.rating_average) || '–'}</p>
+          <StarRating value={restaurant.rating_average || 0} />
+          <p className="text-xs text-gray-500">{restaurant.rating_count || 0} reviews</p>
+        </div>
+        <div className="flex-1 min-w-48 space-y-1">
+          {[5, 4, 3, 2, 1].map(stars => (
+            <div key={stars} className="flex items-center gap-2 text-xs">
+              <span className="w-6 text-gray-600">{stars}★</span>
+              <div className="flex-1 h-2 rounded-full bg-gray-100">
+                <div className="h-2 rounded-full" style={{ width: `${reviews.length ? (distribution[stars - 1] / reviews.length) * 100 : 0}%`, backgroundColor: ORANGE }} />
+              </div>
+              <span className="w-8 text-right text-gray-500">{distribution[stars - 1]}</span>
+            </div>
+          ))}
+        </div>
+        <div className="flex flex-col gap-2">
+          <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+            <input type="checkbox" checked={onlyUnanswered} onChange={(e) => setOnlyUnanswered(e.target.checked)} />
+            Needs a reply ({unansweredCount})
+          </label>
+          <button onClick={loadReviews} className="p-2 bg-gray-100 rounded-lg hover:bg-gray-200 text-sm">🔄 Refresh</button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-500 font-medium">{error}</p>}
+
+      {visible.length === 0 ? (
+        <p className="text-center text-gray-500 py-12">{onlyUnanswered ? 'Every review has a reply.' : 'No reviews yet.'}</p>
+      ) : (
+        <div className="space-y-4">
+          {visible.map(review => (
+            <ReviewCard key={review.id} review={review} onReplied={handleReplied} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
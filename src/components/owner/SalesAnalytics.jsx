@@ -0,0 +1,229 @@
+// components/owner/SalesAnalytics.jsx
+import React, { useState, useEffect, useMemo } from 'react';
+import { ORANGE, NAVY, BORDER } from '../../config/constants';
+import {
+  DATE_RANGE_PRESETS,
+  getPresetRange,
+  getPreviousRange,
+  countRangeDays,
+  isInRange,
+  fetchRestaurantSales,
+  summarizeSales,
+  getChange,
+  getDailySales,
+  getBestSellers,
+  getOrdersByHour,
+  getCancellationBreakdown,
+} from '../../lib/analytics';
+import { RevenueChart } from './RevenueChart';
+import { OrdersHeatmap } from './OrdersHeatmap';
+
+const MAX_RANGE_DAYS = 366;
+
+const formatPeso = (value) => `₱${value.toLocaleString('en-PH', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// `lowerIsBetter` flips the colour for metrics like the cancellation rate
+const ChangeBadge = ({ change, lowerIsBetter = false }) => {
+  if (change == null) return <span className="text-xs font-semibold text-gray-400">new</span>;
+  if (change === 0) return <span className="text-xs font-semibold text-gray-400">no change</span>;
+  const good = lowerIsBetter ? change < 0 : change > 0;
+  return (
+    <span className={`text-xs font-bold ${good ? 'text-green-600' : 'text-red-600'}`}>
+      {change > 0 ? '▲' : '▼'} {formatPercent(Math.abs(change))}
+    </span>
+  );
+};
+
+const MetricCard = ({ label, value, previous, change, lowerIsBetter }) => (
+  <div className="bg-white p-4 rounded-xl shadow-sm">
+    <p className="text-xs font-bold uppercase tracking-wider text-gray-500">{label}</p>
+    <p className="text-2xl font-black mt-1" style={{ color: NAVY }}>{value}</p>
+    <div className="flex items-center gap-2 mt-1">
+      <ChangeBadge change={change} lowerIsBetter={lowerIsBetter} />
+      <span className="text-xs text-gray-400">vs {previous}</span>
+    </div>
+  </div>
+);
+
+// Revenue, order count, average order value and cancellation rate for a
+// date range against the period just before it, plus daily revenue, best
+// sellers, an orders-by-hour heatmap and why orders were cancelled.
+export const SalesAnalytics = ({ restaurantId }) => {
+  const [presetKey, setPresetKey] = useState('7d');
+  const [range, setRange] = useState(() => getPresetRange('7d'));
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const previousRange = useMemo(() => getPreviousRange(range), [range]);
+
+  useEffect(() => {
+    let mounted = true;
+    setLoading(true);
+    setError('');
+    // One query covers both the range and the comparison period
+    fetchRestaurantSales(restaurantId, { from: previousRange.from, to: range.to })
+      .then(data => { if (mounted) setOrders(data); })
+      .catch(fetchError => {
+        console.error('Error loading sales:', fetchError);
+        if (mounted) setError('Could not load sales: ' + fetchError.message);
+      })
+      .finally(() => { if (mounted) setLoading(false); });
+    return () => { mounted = false; };
+  }, [restaurantId, range, previousRange]);
+
+  const current = useMemo(() => orders.filter(order => isInRange(order, range)), [orders, range]);
+  const previous = useMemo(() => orders.filter(order => isInRange(order, previousRange)), [orders, previousRange]);
+  const summary = useMemo(() => summarizeSales(current), [current]);
+  const previousSummary = useMemo(() => summarizeSales(previous), [previous]);
+  const dailySales = useMemo(() => getDailySales(current, range), [current, range]);
+  const bestSellers = useMemo(() => getBestSellers(current), [current]);
+  const ordersByHour = useMemo(() => getOrdersByHour(current), [current]);
+  const cancellations = useMemo(() => getCancellationBreakdown(current), [current]);
+
+  const selectPreset = (key) => {
+    setPresetKey(key);
+    setRange(getPresetRange(key));
+  };
+
+  const updateCustomRange = (field, value) => {
+    if (!value) return;
+    const next = { ...range, [field]: value };
+    if (next.from > next.to || countRangeDays(next) > MAX_RANGE_DAYS) return;
+    setPresetKey('custom');
+    setRange(next);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white p-4 rounded-xl shadow-sm flex flex-wrap items-center gap-2">
+        {DATE_RANGE_PRESETS.map(preset => (
+          <button
+            key={preset.key}
+            onClick={() => selectPreset(preset.key)}
+            className={`px-4 py-2 rounded-full text-sm font-bold ${presetKey === preset.key ? 'text-white' : 'bg-white text-gray-700'}`}
+            style={{ backgroundColor: presetKey === preset.key ? ORANGE : 'white', border: `1px solid ${ORANGE}` }}
+          >
+            {preset.label}
+          </button>
+        ))}
+        <div className="flex items-center gap-2 ml-auto text-sm">
+          <input type="date" value={range.from} max={range.to} onChange={(e) => updateCustomRange('from', e.target.value)} className="p-2 border rounded-lg bg-gray-50" style={{ borderColor: BORDER }} aria-label="From" />
+          <span className="text-gray-500">to</span>
+          <input type="date" value={range.to} min={range.from} onChange={(e) => updateCustomRange('to', e.target.value)} className="p-2 border rounded-lg bg-gray-50" style={{ borderColor: BORDER }} aria-label="To" />
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-500 font-medium">{error}</p>}
+
+      {loading ? (
+        <p className="text-center text-gray-500 py-12">Crunching the numbers...</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            <MetricCard
+              label="Revenue"
+              value={formatPeso(summary.revenue)}
+              previous={formatPeso(previousSummary.revenue)}
+              change={getChange(summary.revenue, previousSummary.revenue)}
+            />
+            <MetricCard
+              label="Orders"
+              value={summary.orderCount}
+              previous={previousSummary.orderCount}
+              change={getChange(summary.orderCount, previousSummary.orderCount)}
+            />
+            <MetricCard
+              label="Average Order"
+              value={formatPeso(summary.averageOrderValue)}
+              previous={formatPeso(previousSummary.averageOrderValue)}
+              change={getChange(summary.averageOrderValue, previousSummary.averageOrderValue)}
+            />
+            <MetricCard
+              label="Cancelled"
+              value={formatPercent(summary.cancellationRate)}
+              previous={formatPercent(previousSummary.cancellationRate)}
+              change={getChange(summary.cancellationRate, previousSummary.cancellationRate)}
+              lowerIsBetter
+            />
+          </div>
+          <p className="text-xs text-gray-500 -mt-3">
+            Compared with {previousRange.from} to {previousRange.to}. Revenue is food sales from orders that were not cancelled.
+          </p>
+
+          <div className="bg-white p-4 rounded-xl shadow-sm">
+            <h2 className="font-bold text-lg mb-3" style={{ color: NAVY }}>Revenue per Day</h2>
+            <RevenueChart days={dailySales} />
+          </div>
+
+          <div className="grid lg:grid-cols-2 gap-6">
+            <div className="bg-white p-4 rounded-xl shadow-sm">
+              <h2 className="font-bold text-lg mb-3" style={{ color: NAVY }}>Best Sellers</h2>
+              {bestSellers.length === 0 ? (
+                <p className="text-sm text-gray-500">No sales in this period.</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs uppercase text-gray-500 border-b" style={{ borderColor: BORDER }}>
+                      <th className="py-2">Item</th>
+                      <th className="py-2 text-right">Sold</th>
+                      <th className="py-2 text-right">Revenue</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {bestSellers.map((item, index) => (
+                      <tr key={item.foodItemId || item.name} className="border-b last:border-b-0" style={{ borderColor: BORDER }}>
+                        <td className="py-2">
+                          <span className="font-bold text-gray-400 mr-2">{index + 1}</span>
+                          <span className="font-semibold">{item.name}</span>
+                          <div className="h-1.5 mt-1 rounded-full bg-gray-100">
+                            <div className="h-1.5 rounded-full" style={{ width: `${item.share * 100}%`, backgroundColor: ORANGE }} />
+                          </div>
+                        </td>
+                        <td className="py-2 text-right font-semibold">{item.quantity}</td>
+                        <td className="py-2 text-right font-mono">{formatPeso(item.revenue)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            <div className="bg-white p-4 rounded-xl shadow-sm">
+              <h2 className="font-bold text-lg mb-1" style={{ color: NAVY }}>Orders by Hour</h2>
+              <p className="text-xs text-gray-500 mb-3">When orders come in, Manila time. Includes cancelled orders.</p>
+              <OrdersHeatmap counts={ordersByHour} />
+            </div>
+          </div>
+
+          <div className="bg-white p-4 rounded-xl shadow-sm">
+            <h2 className="font-bold text-lg mb-1" style={{ color: NAVY }}>Cancellations</h2>
+            {summary.cancelledCount === 0 ? (
+              <p className="text-sm text-gray-500">No cancelled orders in this period.</p>
+            ) : (
+              <>
+                <p className="text-xs text-gray-500 mb-3">
+                  {summary.cancelledCount} cancelled • {cancellations.byWho.customer} by customers, {cancellations.byWho.owner} by you, {cancellations.byWho.system} automatically • {formatPeso(cancellations.refundedTotal)} refunded
+                </p>
+                <div className="space-y-2">
+                  {cancellations.reasons.map(item => (
+                    <div key={item.reason} className="text-sm">
+                      <div className="flex justify-between">
+                        <span className="font-semibold">{item.label}</span>
+                        <span className="text-gray-600">{item.count} ({formatPercent(item.share)})</span>
+                      </div>
+                      <div className="h-1.5 mt-1 rounded-full bg-gray-100">
+                        <div className="h-1.5 rounded-full bg-red-400" style={{ width: `${item.share * 100}%` }} />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,152 @@
+// components/products/ItemDetailSheet.jsx
+import React, { useState, useMemo } from 'react';
+import { ORANGE, NAVY, BORDER } from '../../config/constants';
+import {
+  sortOptionGroups,
+  describeGroupRule,
+  isRequiredGroup,
+  validateOptionSelection,
+  buildSelectedOptions,
+  getUnitPrice,
+} from '../../lib/menuOptions';
+import { getRemainingStock } from '../../lib/inventory';
+import { FoodButton } from '../common/FoodButton';
+
+// Bottom sheet with an item's photo, description, options and quantity.
+// Single-choice groups behave like radio buttons, the rest like checkboxes.
+// `unavailableReason` (e.g. "Sold out") shows instead of the add button;
+// `quantityInCart` keeps the quantity within what is left in stock.
+export const ItemDetailSheet = ({ foodItem, onAdd, onClose, unavailableReason = '', quantityInCart = 0 }) => {
+  const groups = useMemo(() => sortOptionGroups(foodItem.option_groups), [foodItem]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [quantity, setQuantity] = useState(1);
+  const maxQuantity = Math.max(getRemainingStock(foodItem, quantityInCart), 1);
+  const [showErrors, setShowErrors] = useState(false);
+
+  const errors = validateOptionSelection(groups, selectedIds);
+  const options = buildSelectedOptions(groups, selectedIds);
+  const unitPrice = getUnitPrice(foodItem.price, options);
+
+  const toggleChoice = (group, choiceId) => {
+    setSelectedIds(prev => {
+      const groupIds = group.option_choices.map(choice => choice.id);
+      if (prev.includes(choiceId)) return prev.filter(id => id !== choiceId);
+      if (group.max_select === 1) return [...prev.filter(id => !groupIds.includes(id)), choiceId];
+      const pickedInGroup = prev.filter(id => groupIds.includes(id)).length;
+      return pickedInGroup >= group.max_select ? prev : [...prev, choiceId];
+    });
+  };
+
+  const handleAdd = () => {
+    if (Object.keys(errors).length > 0) {
+      setShowErrors(true);
+      return;
+    }
+    onAdd(options, quantity);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-end sm:items-center justify-center z-50" onClick={onClose}>
+      <div
+        className="bg-white w-full max-w-lg rounded-t-2xl sm:rounded-2xl max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="overflow-y-auto">
+          <div className="relative">
+            {foodItem.image_url ? (
+              <img src={foodItem.image_url} alt={foodItem.name} className="w-full h-56 sm:h-64 object-cover rounded-t-2xl" />
+            ) : (
+              <div className="w-full h-32 flex items-center justify-center text-5xl bg-gray-100 rounded-t-2xl">🍽️</div>
+            )}
+            <button
+              onClick={onClose}
+              className="absolute top-3 right-3 w-9 h-9 rounded-full bg-white shadow text-2xl leading-none text-gray-600"
+              aria-label="Close"
+            >
+              ×
+            </button>
+          </div>
+
+          <div className="p-5 border-b" style={{ borderColor: BORDER }}>
+            <div className="flex justify-between items-start gap-4">
+              <h3 className="text-xl font-extrabold" style={{ color: NAVY }}>{foodItem.name}</h3>
+              <span className="text-lg font-extrabold flex-shrink-0" style={{ color: ORANGE }}>₱{Number(foodItem.price).toFixed(2)}</span>
+            </div>
+            {foodItem.description && <p className="text-sm text-gray-600 mt-2 whitespace-pre-line">{foodItem.description}</p>}
+          </div>
+
+          {groups.length > 0 && (
+            <div className="p-5 space-y-5">
+              {groups.map(group => (
+                <div key={group.id}>
+                  <div className="flex justify-between items-baseline mb-2">
+                    <h4 className="font-bold" style={{ color: NAVY }}>{group.name}</h4>
+                    <span className={`text-xs font-semibold ${isRequiredGroup(group) ? 'text-red-500' : 'text-gray-500'}`}>
+                      {isRequiredGroup(group) ? 'Required' : 'Optional'} · {describeGroupRule(group)}
+                    </span>
+                  </div>
+                  <div className="space-y-2">
+                    {group.option_choices.map(choice => (
+                      <label
+                        key={choice.id}
+                        className={`flex justify-between items-center p-3 rounded-lg border cursor-pointer ${choice.is_available ? '' : 'opacity-50 cursor-not-allowed'}`}
+                        style={{ borderColor: selectedIds.includes(choice.id) ? ORANGE : BORDER }}
+                      >
+                        <span className="flex items-center gap-3">
+                          <input
+                            type={group.max_select === 1 ? 'radio' : 'checkbox'}
+                            name={group.id}
+                            checked={selectedIds.includes(choice.id)}
+                            disabled={!choice.is_available}
+                            onChange={() => toggleChoice(group, choice.id)}
+                            style={{ accentColor: ORANGE }}
+                          />
+                          <span className="font-medium text-gray-800">{choice.name}</span>
+                          {!choice.is_available && <span className="text-xs font-bold text-gray-500">Unavailable</span>}
+                        </span>
+                        {Number(choice.price_delta) > 0 && (
+                          <span className="text-sm font-semibold text-gray-600">+₱{Number(choice.price_delta).toFixed(2)}</span>
+                        )}
+                      </label>
+                    ))}
+                  </div>
+                  {showErrors && errors[group.id] && (
+                    <p className="text-sm text-red-500 mt-2 font-medium">{errors[group.id]}</p>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {unavailableReason ? (
+          <div className="p-5 border-t text-center font-bold text-gray-500" style={{ borderColor: BORDER }}>{unavailableReason}</div>
+        ) : (
+          <div className="p-5 border-t flex items-center gap-4" style={{ borderColor: BORDER }}>
+            <div className="flex items-center space-x-2 flex-shrink-0">
+              <button
+                onClick={() => setQuantity(q => Math.max(q - 1, 1))}
+                className="w-8 h-8 flex items-center justify-center text-lg border rounded-full"
+                style={{ color: ORANGE, borderColor: ORANGE }}
+              >
+                -
+              </button>
+              <span className="font-bold w-6 text-center">{quantity}</span>
+              <button
+                onClick={() => setQuantity(q => Math.min(q + 1, maxQuantity))}
+                disabled={quantity >= maxQuantity}
+                className="w-8 h-8 flex items-center justify-center text-lg border rounded-full disabled:opacity-40"
+                style={{ backgroundColor: ORANGE, color: 'white', borderColor: ORANGE }}
+              >
+                +
+              </button>
+            </div>
+            <FoodButton onClick={handleAdd}>
+              Add to Basket · ₱{(unitPrice * quantity).toFixed(2)}
+            </FoodButton>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
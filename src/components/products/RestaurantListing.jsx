@@ -2,16 +2,32 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { supabase } from '../../config/supabase';
 import { ORANGE, NAVY, BORDER } from '../../config/constants';
+import { paths } from '../../config/routes';
+import { navigate } from '../../lib/router';
+import { addCartLine, getItemQuantityInCart } from '../../lib/cart';
+import { isSoldOut, getRemainingStock, describeStockForCustomer } from '../../lib/inventory';
+import { OPTION_GROUPS_SELECT, hasOptionGroups } from '../../lib/menuOptions';
+import { buildSearchIndex, searchIndex } from '../../lib/search';
+import { RESTAURANT_HOURS_SELECT, getRestaurantStatus } from '../../lib/openingHours';
+import { deliversToZone } from '../../lib/deliveryZones';
+import { useNow } from '../../hooks/useNow';
+import { useDeliveryZones } from '../../hooks/useDeliveryZones';
 import { Loading } from '../common/Loading';
 import { SectionTitle } from '../common/SectionTitle';
 import { FoodButton } from '../common/FoodButton';
+import { RatingBadge } from '../common/StarRating';
+import { ItemDetailSheet } from './ItemDetailSheet';
+import { ShopSearchBar } from './ShopSearchBar';
 
-export const RestaurantListing = ({ setPage, cart, setCart }) => {
+// `searchQuery` comes from the URL (/shops?q=sisig)
+export const RestaurantListing = ({ cart, setCart, searchQuery = '' }) => {
   const [allFoodItems, setAllFoodItems] = useState([]);
   const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [selectedRestaurant, setSelectedRestaurant] = useState(null);
   const [selectedCategory, setSelectedCategory] = useState(null);
+  const [pickerItem, setPickerItem] = useState(null);
+  const now = useNow();
+  const { zones, zone, selectBarangay } = useDeliveryZones();
   
   useEffect(() => {
     const fetchFoodData = async () => {
@@ -34,6 +50,7 @@ export const RestaurantListing = ({ setPage, cart, setCart }) => {
           name,
           price,
           stock,
+          low_stock_threshold,
           image_url,
           description,
           restaurants (
@@ -41,15 +58,18 @@ export const RestaurantListing = ({ setPage, cart, setCart }) => {
             name,
             image_url,
             address_barangay,
-            is_open,
+            delivery_radius_km,
+            rating_average,
+            rating_count,
+            ${RESTAURANT_HOURS_SELECT},
             categories (
               id,
               name,
               icon_url
             )
-          )
-        `)
-        .eq('restaurants.is_open', true); 
+          ),
+          ${OPTION_GROUPS_SELECT}
+        `);
   
       if (foodError) {
         console.error('Error fetching food items:', foodError);
@@ -62,6 +82,7 @@ export const RestaurantListing = ({ setPage, cart, setCart }) => {
             restaurant_id: food.restaurants.id,
             restaurant_name: food.restaurants.name,
             restaurant_image_url: food.restaurants.image_url,
+            restaurant: food.restaurants,
             category_name: food.restaurants.categories?.name || 'Uncategorized',
           }));
         setAllFoodItems(combinedData);
@@ -73,19 +94,24 @@ export const RestaurantListing = ({ setPage, cart, setCart }) => {
     fetchFoodData();
   }, []);
 
+  const searchableIndex = useMemo(() => buildSearchIndex(allFoodItems), [allFoodItems]);
+
+  // With a search, items come back best match first, so restaurants are
+  // listed in order of their best-matching dish. Shops that don't deliver
+  // to the customer's barangay are left out.
   const filteredItems = useMemo(() => {
-    let items = allFoodItems;
+    let items = searchQuery.trim()
+      ? searchIndex(searchableIndex, searchQuery).map(result => result.item)
+      : allFoodItems;
+
+    items = items.filter(item => deliversToZone(item.restaurant, zone, zones));
     
     if (selectedCategory) {
       items = items.filter(item => item.category_name === selectedCategory.name);
     }
     
-    if (selectedRestaurant) {
-      items = items.filter(item => item.restaurant_id === selectedRestaurant.id);
-    }
-    
     return items;
-  }, [allFoodItems, selectedCategory, selectedRestaurant]);
+  }, [allFoodItems, searchableIndex, searchQuery, selectedCategory, zone, zones]);
 
   const foodItemsByRestaurant = useMemo(() => {
     return filteredItems.reduce((acc, item) => {
@@ -95,29 +121,36 @@ export const RestaurantListing = ({ setPage, cart, setCart }) => {
           id: restaurant_id, 
           name: restaurant_name, 
           image_url: restaurant_image_url,
+          rating_average: item.restaurant.rating_average,
+          rating_count: item.restaurant.rating_count,
+          status: getRestaurantStatus(item.restaurant, now),
           items: []
         };
       }
       acc[restaurant_id].items.push(item);
       return acc;
     }, {});
-  }, [filteredItems]);
+  }, [filteredItems, now]);
 
-  const displayRestaurants = useMemo(() => Object.values(foodItemsByRestaurant), [foodItemsByRestaurant]);
+  // Closed shops stay listed (with when they open) but after the open ones
+  const displayRestaurants = useMemo(
+    () => Object.values(foodItemsByRestaurant).sort((a, b) => Number(b.status.isOpen) - Number(a.status.isOpen)),
+    [foodItemsByRestaurant]
+  );
 
-  const addToCart = useCallback((foodItem, quantity = 1) => {
-    setCart(prevCart => {
-      const existingItem = prevCart.find(item => item.id === foodItem.id);
-      if (existingItem) {
-        return prevCart.map(item =>
-          item.id === foodItem.id ? { ...item, quantity: item.quantity + quantity } : item
-        );
-      } else {
-        return [...prevCart, { ...foodItem, quantity, restaurant_name: foodItem.restaurant_name }];
-      }
-    });
+  // `options` are the choices made in the ItemDetailSheet
+  const addToCart = useCallback((foodItem, quantity = 1, options = []) => {
+    setCart(prevCart => addCartLine(prevCart, foodItem, quantity, options));
   }, [setCart]);
 
+  const handleAddClick = (foodItem) => {
+    if (hasOptionGroups(foodItem)) {
+      setPickerItem(foodItem);
+    } else {
+      addToCart(foodItem);
+    }
+  };
+
   const cartItemCount = useMemo(() => cart.reduce((sum, item) => sum + item.quantity, 0), [cart]);
 
   if (loading) return <Loading />;
@@ -125,7 +158,37 @@ export const RestaurantListing = ({ setPage, cart, setCart }) => {
   return (
     <div className="p-4 md:p-6 mx-auto w-full max-w-3xl">
       <SectionTitle icon="🍽️" title="Local Iligan City Delivers" />
-      
+
+      <div className="flex justify-between items-center mb-4">
+        <label className="text-sm font-semibold text-gray-600">Delivering to</label>
+        <select
+          value={zone?.barangay_name || ''}
+          onChange={(e) => selectBarangay(e.target.value)}
+          className="p-2 border border-gray-300 rounded-lg bg-white text-sm font-semibold input-focus-shopee"
+          disabled={zones.length === 0}
+        >
+          <option value="" disabled>Select your barangay</option>
+          {zones.map(z => <option key={z.barangay_name} value={z.barangay_name}>Brgy. {z.barangay_name}</option>)}
+        </select>
+      </div>
+
+      <ShopSearchBar
+        index={searchableIndex}
+        query={searchQuery}
+        onSearch={(query) => navigate(paths.shops(query))}
+      />
+
+      {searchQuery.trim() && (
+        <div className="flex justify-between items-center mb-4 text-sm">
+          <span className="text-gray-600">
+            {filteredItems.length} result{filteredItems.length !== 1 ? 's' : ''} for <span className="font-bold">"{searchQuery.trim()}"</span>
+          </span>
+          <button onClick={() => navigate(paths.shops())} className="font-bold hover:underline" style={{ color: ORANGE }}>
+            Clear search
+          </button>
+        </div>
+      )}
+
       {/* Category Filter */}
       <div className='flex overflow-x-auto space-x-2 pb-4 border-b mb-6' style={{borderColor: BORDER}}>
         <button 
@@ -153,19 +216,34 @@ export const RestaurantListing = ({ setPage, cart, setCart }) => {
       </div>
       
       {/* Restaurant and Menu Listing */}
+      {displayRestaurants.length === 0 && (
+        <p className="text-center text-gray-500 py-8">
+          {searchQuery.trim() || selectedCategory || !zone
+            ? 'No dishes match your filters.'
+            : `No shops deliver to Brgy. ${zone.barangay_name} yet.`}
+        </p>
+      )}
       <div className='space-y-8'>
         {displayRestaurants.map(restaurant => (
-          <div key={restaurant.id} className="bg-white p-4 rounded-xl shadow-lg">
-            <div className="flex items-center mb-4">
+          <div key={restaurant.id} className={`bg-white p-4 rounded-xl shadow-lg ${restaurant.status.isOpen ? '' : 'opacity-75'}`}>
+            <button onClick={() => navigate(paths.restaurant(restaurant.id))} className="flex items-center mb-4 text-left hover:opacity-80">
               <img src={restaurant.image_url} alt={restaurant.name} className="w-12 h-12 object-cover rounded-full mr-4 border" style={{borderColor: BORDER}} />
-              <h3 className="text-xl font-extrabold" style={{ color: NAVY }}>{restaurant.name}</h3>
-            </div>
+              <div>
+                <h3 className="text-xl font-extrabold" style={{ color: NAVY }}>{restaurant.name}</h3>
+                <RatingBadge average={restaurant.rating_average} count={restaurant.rating_count} className="block" />
+                {!restaurant.status.isOpen && (
+                  <span className="inline-block mt-1 px-2 py-0.5 rounded-full text-xs font-bold bg-gray-200 text-gray-600">
+                    {restaurant.status.label}
+                  </span>
+                )}
+              </div>
+            </button>
 
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
               {restaurant.items.map(foodItem => (
                 <div 
                   key={foodItem.id} 
-                  className="p-3 rounded-lg border flex justify-between items-center" 
+                  className={`p-3 rounded-lg border flex justify-between items-center ${isSoldOut(foodItem) ? 'opacity-60' : ''}`}
                   style={{ border: `1px solid ${BORDER}` }}
                 >
                   <div className="flex items-center">
@@ -178,17 +256,26 @@ export const RestaurantListing = ({ setPage, cart, setCart }) => {
                     <div>
                       <p className="text-sm font-semibold line-clamp-2">{foodItem.name}</p>
                       <p className="text-base font-extrabold mt-1" style={{ color: ORANGE }}>
+                        {hasOptionGroups(foodItem) && <span className="text-xs font-semibold text-gray-500 mr-1">from</span>}
                         ₱{foodItem.price.toFixed(2)}
                       </p>
+                      {describeStockForCustomer(foodItem) && (
+                        <span className={`inline-block mt-1 px-2 py-0.5 rounded-full text-xs font-bold ${isSoldOut(foodItem) ? 'bg-red-100 text-red-600' : 'bg-orange-100 text-orange-600'}`}>
+                          {describeStockForCustomer(foodItem)}
+                        </span>
+                      )}
                     </div>
                   </div>
                   
-                  <FoodButton 
-                    onClick={() => addToCart(foodItem)} 
-                    variant="secondary"
-                  >
-                    + Add
-                  </FoodButton>
+                  {restaurant.status.isOpen && (
+                    <FoodButton 
+                      onClick={() => handleAddClick(foodItem)} 
+                      variant="secondary"
+                      disabled={getRemainingStock(foodItem, getItemQuantityInCart(cart, foodItem.id)) <= 0}
+                    >
+                      {isSoldOut(foodItem) ? 'Sold out' : '+ Add'}
+                    </FoodButton>
+                  )}
                 </div>
               ))}
             </div>
@@ -199,13 +286,25 @@ export const RestaurantListing = ({ setPage, cart, setCart }) => {
       {/* View Cart Button */}
       <div className="mt-8">
         <FoodButton 
-          onClick={() => setPage('cart')} 
+          onClick={() => navigate(paths.cart())} 
           className="py-3"
           disabled={cartItemCount === 0}
         >
           View Basket ({cartItemCount}) →
         </FoodButton>
       </div>
+
+      {pickerItem && (
+        <ItemDetailSheet
+          foodItem={pickerItem}
+          quantityInCart={getItemQuantityInCart(cart, pickerItem.id)}
+          onClose={() => setPickerItem(null)}
+          onAdd={(options, quantity) => {
+            addToCart(pickerItem, quantity, options);
+            setPickerItem(null);
+          }}
+        />
+      )}
     </div>
   );
 };
\ No newline at end of file
@@ -0,0 +1,315 @@
+// components/products/RestaurantPage.jsx
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { supabase } from '../../config/supabase';
+import { ORANGE, NAVY, BORDER } from '../../config/constants';
+import { paths } from '../../config/routes';
+import { navigate } from '../../lib/router';
+import { addCartLine, getItemQuantityInCart } from '../../lib/cart';
+import { isSoldOut, getRemainingStock, describeStockForCustomer } from '../../lib/inventory';
+import { OPTION_GROUPS_SELECT, hasOptionGroups } from '../../lib/menuOptions';
+import { fetchMenuSections, groupMenuBySection } from '../../lib/menuSections';
+import { buildSearchIndex, searchIndex } from '../../lib/search';
+import { RESTAURANT_HOURS_SELECT, getRestaurantStatus, describeWeeklyHours } from '../../lib/openingHours';
+import { getManilaClock } from '../../lib/time';
+import { useNow } from '../../hooks/useNow';
+import { Loading } from '../common/Loading';
+import { FoodButton } from '../common/FoodButton';
+import { RatingBadge } from '../common/StarRating';
+import { ItemDetailSheet } from './ItemDetailSheet';
+import { RestaurantReviews } from './RestaurantReviews';
+
+// A single restaurant's menu at /shops/:restaurantId: banner, sticky
+// section tabs, in-menu search and the item detail sheet.
+export const RestaurantPage = ({ restaurantId, cart, setCart }) => {
+  const [restaurant, setRestaurant] = useState(null);
+  const [items, setItems] = useState([]);
+  const [sections, setSections] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [query, setQuery] = useState('');
+  const [activeSection, setActiveSection] = useState(null);
+  const [detailItem, setDetailItem] = useState(null);
+  const [showHours, setShowHours] = useState(false);
+  const sectionRefs = useRef({});
+  const now = useNow();
+
+  useEffect(() => {
+    let mounted = true;
+    const fetchRestaurant = async () => {
+      setLoading(true);
+      try {
+        const [restaurantResult, itemsResult, menuSections] = await Promise.all([
+          supabase
+            .from('restaurants')
+            .select(`id, name, image_url, address_street, address_barangay, rating_average, rating_count, categories ( name ), ${RESTAURANT_HOURS_SELECT}`)
+            .eq('id', restaurantId)
+            .maybeSingle(),
+          supabase
+            .from('food_items')
+            .select(`food_item_id, name, price, stock, low_stock_threshold, image_url, description, section_id, rating_average, rating_count, ${OPTION_GROUPS_SELECT}`)
+            .eq('restaurant_id', restaurantId)
+            .order('name', { ascending: true }),
+          fetchMenuSections(restaurantId),
+        ]);
+        if (restaurantResult.error) throw restaurantResult.error;
+        if (itemsResult.error) throw itemsResult.error;
+        if (!mounted) return;
+
+        const found = restaurantResult.data;
+        setRestaurant(found);
+        setSections(menuSections);
+        setItems((itemsResult.data || []).map(food => ({
+          ...food,
+          id: food.food_item_id,
+          restaurant_id: found?.id,
+          restaurant_name: found?.name,
+          restaurant_image_url: found?.image_url,
+        })));
+      } catch (error) {
+        console.error('Error fetching restaurant:', error);
+      } finally {
+        if (mounted) setLoading(false);
+      }
+    };
+
+    fetchRestaurant();
+    return () => { mounted = false; };
+  }, [restaurantId]);
+
+  const index = useMemo(() => buildSearchIndex(items), [items]);
+
+  const menu = useMemo(() => {
+    if (!query.trim()) return groupMenuBySection(items, sections);
+    const matches = new Set(searchIndex(index, query).map(result => result.item));
+    return groupMenuBySection(items.filter(item => matches.has(item)), sections);
+  }, [items, index, sections, query]);
+
+  // Highlight the tab of the section currently in the middle of the screen
+  useEffect(() => {
+    if (menu.length === 0 || typeof IntersectionObserver === 'undefined') return undefined;
+    const observer = new IntersectionObserver((entries) => {
+      const visible = entries.find(entry => entry.isIntersecting);
+      if (visible) setActiveSection(visible.target.dataset.sectionId);
+    }, { rootMargin: '-40% 0px -55% 0px' });
+
+    menu.forEach(section => {
+      const node = sectionRefs.current[section.id];
+      if (node) observer.observe(node);
+    });
+    return () => observer.disconnect();
+  }, [menu]);
+
+  const scrollToSection = (sectionId) => {
+    setActiveSection(sectionId);
+    sectionRefs.current[sectionId]?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  const addToCart = useCallback((foodItem, quantity = 1, options = []) => {
+    setCart(prevCart => addCartLine(prevCart, foodItem, quantity, options));
+  }, [setCart]);
+
+  const cartItemCount = useMemo(() => cart.reduce((sum, item) => sum + item.quantity, 0), [cart]);
+
+  const status = useMemo(() => getRestaurantStatus(restaurant, now), [restaurant, now]);
+  const weeklyHours = useMemo(() => (restaurant ? describeWeeklyHours(restaurant) : []), [restaurant]);
+  const hasHours = weeklyHours.some(day => day.windows.length > 0);
+
+  const getUnavailableReason = (item) => {
+    if (!status.isOpen) return `This restaurant is closed right now · ${status.label}`;
+    if (isSoldOut(item)) return 'Sold out';
+    if (getRemainingStock(item, getItemQuantityInCart(cart, item.id)) <= 0) return `All ${item.stock} left are in your basket`;
+    return '';
+  };
+
+  if (loading) return <Loading />;
+
+  if (!restaurant) {
+    return (
+      <div className="p-4 md:p-6 mx-auto w-full max-w-3xl text-center py-20">
+        <span className="text-6xl">🏪</span>
+        <h2 className="text-2xl font-bold mt-4 mb-6" style={{ color: NAVY }}>Restaurant Not Found</h2>
+        <div className="max-w-sm mx-auto">
+          <FoodButton onClick={() => navigate(paths.shops())}>Back to Shops</FoodButton>
+        </div>
+      </div>
+    );
+  }
+
+  const activeTab = activeSection || menu[0]?.id;
+
+  return (
+    <div className="mx-auto w-full max-w-3xl pb-24">
+      {/* Banner */}
+      <div className="relative h-44 md:h-56 bg-gray-200">
+        {restaurant.image_url && (
+          <img src={restaurant.image_url} alt={restaurant.name} className="w-full h-full object-cover" />
+        )}
+        <div className="absolute inset-0 bg-gradient-to-t from-black/70 to-transparent" />
+        <button
+          onClick={() => navigate(paths.shops())}
+          className="absolute top-3 left-3 px-3 py-1 rounded-full bg-white text-sm font-bold shadow"
+          style={{ color: ORANGE }}
+        >
+          ← All Shops
+        </button>
+        <div className="absolute bottom-0 left-0 right-0 p-4 text-white">
+          <h1 className="text-2xl md:text-3xl font-extrabold">{restaurant.name}</h1>
+          <p className="text-sm opacity-90">
+            {[restaurant.categories?.name, restaurant.address_barangay && `Brgy. ${restaurant.address_barangay}`].filter(Boolean).join(' · ')}
+          </p>
+        </div>
+      </div>
+
+      <div className="px-4 md:px-6 pt-4">
+        <div className="flex items-center justify-between gap-3 mb-4">
+          <div className="flex items-center gap-2">
+            <span className={`px-3 py-1 rounded-full text-xs font-bold ${status.isOpen ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-600'}`}>
+              ● {status.label}
+            </span>
+            <RatingBadge average={restaurant.rating_average} count={restaurant.rating_count} />
+            {hasHours && (
+              <button onClick={() => setShowHours(!showHours)} className="text-xs font-bold hover:underline" style={{ color: ORANGE }}>
+                {showHours ? 'Hide hours' : 'See hours'}
+              </button>
+            )}
+          </div>
+          {restaurant.address_street && <span className="text-xs text-gray-500 truncate">{restaurant.address_street}</span>}
+        </div>
+
+        {showHours && (
+          <ul className="mb-4 p-3 rounded-lg border text-sm space-y-1" style={{ borderColor: BORDER }}>
+            {weeklyHours.map(day => (
+              <li key={day.weekday} className={`flex justify-between ${day.weekday === getManilaClock(now).weekday ? 'font-bold' : 'text-gray-600'}`}>
+                <span>{day.name}</span>
+                <span>{day.windows.length > 0 ? day.windows.join(', ') : 'Closed'}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {!status.isOpen && (
+          <p className="mb-4 p-3 rounded-lg bg-gray-100 text-sm text-gray-600 font-medium">
+            This restaurant isn't taking orders right now ({status.label}). You can still browse the menu.
+          </p>
+        )}
+
+        <input
+          type="search"
+          placeholder={`Search ${restaurant.name}'s menu`}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          className="w-full p-3 border border-gray-300 rounded-lg bg-white input-focus-shopee"
+        />
+      </div>
+
+      {/* Sticky section tabs */}
+      {menu.length > 1 && (
+        <div className="sticky top-0 z-10 bg-white border-b mt-4 shadow-sm" style={{ borderColor: BORDER }}>
+          <div className="flex overflow-x-auto px-4 md:px-6">
+            {menu.map(section => (
+              <button
+                key={section.id}
+                onClick={() => scrollToSection(section.id)}
+                className="px-3 py-3 text-sm font-bold flex-shrink-0 border-b-2 transition-colors"
+                style={{
+                  color: activeTab === section.id ? ORANGE : '#6B7280',
+                  borderColor: activeTab === section.id ? ORANGE : 'transparent',
+                }}
+              >
+                {section.name}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="px-4 md:px-6 mt-4 space-y-8">
+        {menu.length === 0 && (
+          <p className="text-center text-gray-500 py-12">
+            {query.trim() ? `No items match "${query.trim()}".` : 'This restaurant has no items yet.'}
+          </p>
+        )}
+
+        {menu.map(section => (
+          <section
+            key={section.id}
+            data-section-id={section.id}
+            ref={(node) => { sectionRefs.current[section.id] = node; }}
+            className="scroll-mt-14"
+          >
+            <h2 className="text-lg font-extrabold mb-3" style={{ color: NAVY }}>{section.name}</h2>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              {section.items.map(foodItem => (
+                <div
+                  key={foodItem.id}
+                  role="button"
+                  tabIndex={0}
+                  onClick={() => setDetailItem(foodItem)}
+                  onKeyDown={(e) => { if (e.key === 'Enter') setDetailItem(foodItem); }}
+                  className={`p-3 rounded-lg border bg-white flex gap-3 cursor-pointer hover:shadow-md transition-shadow ${isSoldOut(foodItem) ? 'opacity-60' : ''}`}
+                  style={{ borderColor: BORDER }}
+                >
+                  <div className="flex-grow min-w-0">
+                    <p className="font-semibold line-clamp-2">{foodItem.name}</p>
+                    {foodItem.description && <p className="text-xs text-gray-500 line-clamp-2 mt-1">{foodItem.description}</p>}
+                    {foodItem.rating_count > 0 && <RatingBadge average={foodItem.rating_average} count={foodItem.rating_count} className="block mt-1" />}
+                    <p className="text-base font-extrabold mt-2" style={{ color: ORANGE }}>
+                      {hasOptionGroups(foodItem) && <span className="text-xs font-semibold text-gray-500 mr-1">from</span>}
+                      ₱{Number(foodItem.price).toFixed(2)}
+                    </p>
+                    {describeStockForCustomer(foodItem) && (
+                      <p className={`text-xs font-bold mt-1 ${isSoldOut(foodItem) ? 'text-red-600' : 'text-orange-600'}`}>{describeStockForCustomer(foodItem)}</p>
+                    )}
+                  </div>
+                  <div className="relative flex-shrink-0">
+                    {foodItem.image_url ? (
+                      <img src={foodItem.image_url} alt={foodItem.name} className="w-24 h-24 object-cover rounded-lg" />
+                    ) : (
+                      <div className="w-24 h-24 rounded-lg bg-gray-100 flex items-center justify-center text-3xl">🍽️</div>
+                    )}
+                    {!getUnavailableReason(foodItem) && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          if (hasOptionGroups(foodItem)) setDetailItem(foodItem);
+                          else addToCart(foodItem);
+                        }}
+                        className="absolute -bottom-2 -right-2 w-8 h-8 rounded-full text-white text-xl font-bold shadow-lg"
+                        style={{ backgroundColor: ORANGE }}
+                        aria-label={`Add ${foodItem.name}`}
+                      >
+                        +
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </section>
+        ))}
+      </div>
+
+      <RestaurantReviews restaurantId={restaurant.id} />
+
+      {cartItemCount > 0 && (
+        <div className="sticky bottom-4 px-4 md:px-6 mt-8">
+          <FoodButton onClick={() => navigate(paths.cart())}>
+            View Basket ({cartItemCount}) →
+          </FoodButton>
+        </div>
+      )}
+
+      {detailItem && (
+        <ItemDetailSheet
+          foodItem={detailItem}
+          unavailableReason={getUnavailableReason(detailItem)}
+          quantityInCart={getItemQuantityInCart(cart, detailItem.id)}
+          onClose={() => setDetailItem(null)}
+          onAdd={(options, quantity) => {
+            addToCart(detailItem, quantity, options);
+            setDetailItem(null);
+          }}
+        />
+      )}
+    </div>
+  );
+};
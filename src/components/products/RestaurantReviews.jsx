@@ -0,0 +1,65 @@
+// components/products/RestaurantReviews.jsx
+import React, { useState, useEffect } from 'react';
+import { NAVY, BORDER } from '../../config/constants';
+import { fetchRestaurantReviews, getReviewPhotoUrl } from '../../lib/reviews';
+import { StarRating } from '../common/StarRating';
+
+const REVIEWS_SHOWN = 5;
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString('en-US', { day: 'numeric', month: 'short', year: 'numeric' });
+
+// Recent public reviews for a restaurant, with the owner's replies
+export const RestaurantReviews = ({ restaurantId }) => {
+  const [reviews, setReviews] = useState([]);
+  const [showAll, setShowAll] = useState(false);
+
+  useEffect(() => {
+    let mounted = true;
+    fetchRestaurantReviews(restaurantId)
+      .then(data => { if (mounted) setReviews(data); })
+      .catch(e => console.error('Error loading reviews:', e));
+    return () => { mounted = false; };
+  }, [restaurantId]);
+
+  if (reviews.length === 0) return null;
+
+  const visible = showAll ? reviews : reviews.slice(0, REVIEWS_SHOWN);
+
+  return (
+    <section className="px-4 md:px-6 mt-10">
+      <h2 className="text-lg font-extrabold mb-3" style={{ color: NAVY }}>Reviews</h2>
+      <div className="space-y-3">
+        {visible.map(review => (
+          <div key={review.id} className="p-3 rounded-lg border bg-white text-sm" style={{ borderColor: BORDER }}>
+            <div className="flex justify-between items-center">
+              <span className="font-bold text-gray-800">{review.reviewer_name}</span>
+              <span className="text-xs text-gray-400">{formatDate(review.created_at)}</span>
+            </div>
+            <StarRating value={review.rating} size="text-sm" />
+            {review.comment && <p className="text-gray-700 mt-1">{review.comment}</p>}
+            {review.review_items?.length > 0 && (
+              <p className="text-xs text-gray-500 mt-1">
+                {review.review_items.map(item => `${item.name} ${item.rating}★`).join(' · ')}
+              </p>
+            )}
+            {review.photo_path && (
+              <img src={getReviewPhotoUrl(review)} alt="" className="mt-2 w-32 h-32 object-cover rounded-lg" />
+            )}
+            {review.owner_reply && (
+              <div className="mt-2 p-2 rounded-lg bg-gray-50 border-l-4" style={{ borderLeftColor: NAVY }}>
+                <p className="text-xs font-bold text-gray-600">Reply from the restaurant</p>
+                <p className="text-gray-700">{review.owner_reply}</p>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      {reviews.length > REVIEWS_SHOWN && (
+        <button onClick={() => setShowAll(!showAll)} className="mt-3 text-sm font-bold hover:underline" style={{ color: NAVY }}>
+          {showAll ? 'Show fewer reviews' : `Show all ${reviews.length} reviews`}
+        </button>
+      )}
+    </section>
+  );
+};
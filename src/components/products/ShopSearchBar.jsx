@@ -0,0 +1,102 @@
+// components/products/ShopSearchBar.jsx
+import React, { useState, useEffect, useMemo } from 'react';
+import { ORANGE, BORDER } from '../../config/constants';
+import { paths } from '../../config/routes';
+import { navigate } from '../../lib/router';
+import { getSearchSuggestions, loadRecentSearches, saveRecentSearch, clearRecentSearches } from '../../lib/search';
+
+// Search box for the shops page. Shows recent searches while empty and
+// instant suggestions while typing; a restaurant suggestion opens its page.
+export const ShopSearchBar = ({ index, query, onSearch }) => {
+  const [text, setText] = useState(query);
+  const [open, setOpen] = useState(false);
+  const [recent, setRecent] = useState(loadRecentSearches);
+
+  // Follow the URL when it changes from outside (back button, "Clear")
+  useEffect(() => { setText(query); }, [query]);
+
+  const suggestions = useMemo(
+    () => (text.trim() ? getSearchSuggestions(index, text) : []),
+    [index, text]
+  );
+
+  const submit = (value) => {
+    const trimmed = value.trim();
+    setText(trimmed);
+    setOpen(false);
+    if (trimmed) setRecent(saveRecentSearch(trimmed));
+    onSearch(trimmed);
+  };
+
+  const selectSuggestion = (suggestion) => {
+    if (suggestion.type === 'restaurant') {
+      setRecent(saveRecentSearch(suggestion.label));
+      setOpen(false);
+      navigate(paths.restaurant(suggestion.restaurantId));
+    } else {
+      submit(suggestion.label);
+    }
+  };
+
+  const showRecent = open && !text.trim() && recent.length > 0;
+  const showSuggestions = open && suggestions.length > 0;
+
+  return (
+    <div className="relative mb-4">
+      <form onSubmit={(e) => { e.preventDefault(); submit(text); }}>
+        <input
+          type="search"
+          placeholder='Search "sisig", "milk tea" or a restaurant'
+          value={text}
+          onChange={(e) => { setText(e.target.value); setOpen(true); }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          className="w-full p-3 pl-10 border border-gray-300 rounded-full bg-white input-focus-shopee"
+        />
+        <span className="absolute left-4 top-3 text-gray-400">🔍</span>
+      </form>
+
+      {(showRecent || showSuggestions) && (
+        <div className="absolute left-0 right-0 mt-1 bg-white rounded-xl shadow-lg border z-20 overflow-hidden" style={{ borderColor: BORDER }}>
+          {showRecent && (
+            <>
+              <div className="flex justify-between items-center px-4 pt-3 pb-1">
+                <span className="text-xs font-bold text-gray-500 uppercase">Recent searches</span>
+                <button
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => setRecent(clearRecentSearches())}
+                  className="text-xs font-bold hover:underline"
+                  style={{ color: ORANGE }}
+                >
+                  Clear
+                </button>
+              </div>
+              {recent.map(recentQuery => (
+                <button
+                  key={recentQuery}
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => submit(recentQuery)}
+                  className="w-full text-left px-4 py-2 hover:bg-gray-50 text-sm text-gray-700"
+                >
+                  🕘 {recentQuery}
+                </button>
+              ))}
+            </>
+          )}
+
+          {showSuggestions && suggestions.map(suggestion => (
+            <button
+              key={`${suggestion.type}:${suggestion.label}`}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => selectSuggestion(suggestion)}
+              className="w-full text-left px-4 py-2 hover:bg-gray-50 text-sm text-gray-700 flex justify-between"
+            >
+              <span>{suggestion.type === 'restaurant' ? '🏪' : '🍽️'} {suggestion.label}</span>
+              {suggestion.type === 'restaurant' && <span className="text-xs text-gray-400">Restaurant</span>}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
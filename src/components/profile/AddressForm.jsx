@@ -0,0 +1,89 @@
+// components/profile/AddressForm.jsx
+import React, { useState } from 'react';
+import { NAVY } from '../../config/constants';
+import { ADDRESS_LABELS, EMPTY_ADDRESS, saveAddress, validateAddress } from '../../lib/addresses';
+import { useDeliveryZones } from '../../hooks/useDeliveryZones';
+import { StyledInput } from '../common/StyledInput';
+import { AddressMapPreview } from '../checkout/AddressMapPreview';
+
+// Adds a new address, or edits `address` when given. The barangay always
+// comes from the map pin so saved addresses are inside a delivery zone.
+export const AddressForm = ({ address, onClose, onSaved }) => {
+  const { zones } = useDeliveryZones();
+  const [form, setForm] = useState(() => ({ ...EMPTY_ADDRESS, ...address, landmark: address?.landmark || '', rider_notes: address?.rider_notes || '' }));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const update = (changes) => setForm(prev => ({ ...prev, ...changes }));
+  const pin = form.lat != null ? { lat: form.lat, lng: form.lng, barangay: form.barangay } : null;
+
+  const handlePinChange = (place) => {
+    update({ lat: place.lat, lng: place.lng, barangay: place.barangay || '' });
+    if (!place.barangay) setError('That spot is outside our delivery zones. Move the pin to an address we deliver to.');
+    else setError('');
+  };
+
+  const handleSave = async () => {
+    const problem = validateAddress(form);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setSaving(true);
+    setError('');
+    try {
+      onSaved(await saveAddress(form));
+    } catch (e) {
+      console.error('Error saving address:', e);
+      setError(e.message || 'Could not save the address.');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <h3 className="text-2xl font-bold mb-4" style={{ color: NAVY }}>{address?.id ? 'Edit Address' : 'New Address'}</h3>
+
+        <div className="flex flex-wrap gap-2 mb-3">
+          {ADDRESS_LABELS.map(label => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => update({ label })}
+              className={`px-3 py-1 rounded-full text-sm font-bold border ${form.label === label ? 'text-white' : 'text-gray-700 bg-white'}`}
+              style={{ backgroundColor: form.label === label ? NAVY : 'white', borderColor: NAVY }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="space-y-3">
+          <StyledInput placeholder="Label" value={form.label} onChange={(e) => update({ label: e.target.value })} required />
+
+          <AddressMapPreview zones={zones} value={pin} onChange={handlePinChange} />
+          {form.barangay && <p className="text-xs font-semibold text-gray-600 -mt-2">Brgy. {form.barangay} · from your map pin</p>}
+
+          <StyledInput placeholder="Recipient Name" value={form.contact_name} onChange={(e) => update({ contact_name: e.target.value })} required />
+          <StyledInput type="tel" placeholder="Phone Number" value={form.contact_phone} onChange={(e) => update({ contact_phone: e.target.value })} required />
+          <StyledInput placeholder="Street / Unit / House No." value={form.street} onChange={(e) => update({ street: e.target.value })} rows="2" isTextArea required />
+          <StyledInput placeholder="Landmark (optional)" value={form.landmark} onChange={(e) => update({ landmark: e.target.value })} />
+          <StyledInput placeholder="Notes for the rider (optional), e.g. gate is green, beside sari-sari store" value={form.rider_notes} onChange={(e) => update({ rider_notes: e.target.value })} rows="2" isTextArea />
+          <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+            <input type="checkbox" checked={form.is_default} onChange={(e) => update({ is_default: e.target.checked })} disabled={address?.is_default} />
+            Use as my default address
+          </label>
+        </div>
+
+        {error && <p className="text-sm text-red-500 mt-3 font-medium">{error}</p>}
+
+        <div className="flex gap-3 mt-5">
+          <button onClick={onClose} disabled={saving} className="flex-1 py-3 bg-gray-200 text-gray-700 rounded-lg font-bold hover:bg-gray-300">Cancel</button>
+          <button onClick={handleSave} disabled={saving} className="flex-1 py-3 text-white rounded-lg font-bold hover:opacity-90 disabled:opacity-60" style={{ backgroundColor: NAVY }}>
+            {saving ? 'Saving...' : 'Save Address'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
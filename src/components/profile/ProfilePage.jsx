@@ -0,0 +1,114 @@
+// components/profile/ProfilePage.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { ORANGE, NAVY, BORDER } from '../../config/constants';
+import { fetchAddresses, setDefaultAddress, deleteAddress } from '../../lib/addresses';
+import { FoodButton } from '../common/FoodButton';
+import { Loading } from '../common/Loading';
+import { SectionTitle } from '../common/SectionTitle';
+import { AddressForm } from './AddressForm';
+
+// The customer's account and address book
+export const ProfilePage = ({ user }) => {
+  const [addresses, setAddresses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // The address being edited; {} for a new one
+  const [editing, setEditing] = useState(null);
+
+  const loadAddresses = useCallback(async () => {
+    setError('');
+    try {
+      setAddresses(await fetchAddresses());
+    } catch (e) {
+      console.error('Error loading addresses:', e);
+      setError('Could not load your addresses: ' + e.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAddresses();
+  }, [loadAddresses]);
+
+  // Defaults are moved by triggers, so reload rather than patch locally
+  const runAndReload = async (action) => {
+    try {
+      await action();
+      await loadAddresses();
+    } catch (e) {
+      console.error('Error updating address:', e);
+      alert('Could not update the address: ' + (e.message || e));
+    }
+  };
+
+  const handleDelete = (address) => {
+    if (!confirm(`Delete your "${address.label}" address?`)) return;
+    runAndReload(() => deleteAddress(address.id));
+  };
+
+  if (loading) return <Loading />;
+
+  return (
+    <div className="p-4 md:p-6 mx-auto w-full max-w-3xl">
+      <SectionTitle icon="👤" title="My Profile" />
+
+      <div className="bg-white p-4 rounded-xl shadow-md mb-6 text-sm">
+        <p className="text-xs uppercase font-bold tracking-wider text-gray-500">Signed in as</p>
+        <p className="font-semibold text-gray-800">{user?.email}</p>
+      </div>
+
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="font-bold text-lg" style={{ color: NAVY }}>🏠 My Addresses</h3>
+        <button onClick={() => setEditing({})} className="text-sm font-bold hover:underline" style={{ color: ORANGE }}>+ Add address</button>
+      </div>
+
+      {error && <p className="text-sm text-red-500 mb-3 font-medium">{error}</p>}
+
+      {addresses.length === 0 ? (
+        <div className="bg-white p-6 rounded-xl shadow-md text-center">
+          <p className="text-gray-500 mb-4">Save your home, office and other places for one-tap checkout.</p>
+          <FoodButton onClick={() => setEditing({})}>Add your first address</FoodButton>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {addresses.map(address => (
+            <div key={address.id} className="bg-white p-4 rounded-xl shadow-md border" style={{ borderColor: address.is_default ? ORANGE : 'white' }}>
+              <div className="flex justify-between items-start gap-3">
+                <div className="min-w-0 text-sm">
+                  <p className="font-bold text-gray-800">
+                    {address.label}
+                    {address.is_default && <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-bold text-white" style={{ backgroundColor: ORANGE }}>Default</span>}
+                  </p>
+                  <p className="text-gray-700">{address.contact_name} • {address.contact_phone}</p>
+                  <p className="text-gray-600">Brgy. {address.barangay} • {address.street}</p>
+                  {address.landmark && <p className="text-gray-500">Landmark: {address.landmark}</p>}
+                  {address.rider_notes && <p className="text-gray-500 italic">🛵 “{address.rider_notes}”</p>}
+                </div>
+                <div className="flex flex-col items-end gap-1 text-xs font-bold flex-shrink-0">
+                  <button onClick={() => setEditing(address)} className="hover:underline" style={{ color: NAVY }}>Edit</button>
+                  {!address.is_default && (
+                    <button onClick={() => runAndReload(() => setDefaultAddress(address.id))} className="hover:underline" style={{ color: NAVY }}>Make default</button>
+                  )}
+                  <button onClick={() => handleDelete(address)} className="text-red-600 hover:underline">Delete</button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      <p className="text-xs text-gray-500 mt-3 border-t pt-3" style={{ borderColor: BORDER }}>Your default address is filled in at checkout. Rider notes go with every order to that address.</p>
+
+      {editing && (
+        <AddressForm
+          address={editing.id ? editing : null}
+          onClose={() => setEditing(null)}
+          onSaved={() => {
+            setEditing(null);
+            loadAddresses();
+          }}
+        />
+      )}
+    </div>
+  );
+};
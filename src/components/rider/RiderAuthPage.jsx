@@ -0,0 +1,141 @@
+// components/rider/RiderAuthPage.jsx
+import React, { useState } from 'react';
+import { supabase } from '../../config/supabase';
+import { ORANGE, NAVY, BORDER } from '../../config/constants';
+import { registerRider } from '../../lib/riders';
+import { useDeliveryZones } from '../../hooks/useDeliveryZones';
+import { FoodButton } from '../common/FoodButton';
+import { StyledInput } from '../common/StyledInput';
+
+// Rider login and sign-up. Signed-in accounts without a rider profile
+// (e.g. a customer who wants to start delivering) only fill in the
+// profile. `onRegistered` receives the new rider row.
+export const RiderAuthPage = ({ user, onRegistered }) => {
+  const { zones } = useDeliveryZones();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [fullName, setFullName] = useState('');
+  const [phone, setPhone] = useState('');
+  const [zone, setZone] = useState('');
+  const [isLogin, setIsLogin] = useState(!user);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const needsProfile = Boolean(user) || !isLogin;
+
+  const handleSubmit = async () => {
+    setError('');
+    setMessage('');
+    if (!user && (!email || !password)) {
+      setError('Please fill in both email and password.');
+      return;
+    }
+    if (needsProfile && (!fullName.trim() || !phone.trim() || !zone)) {
+      setError('Your name, phone number and zone are required.');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      if (user) {
+        onRegistered(await registerRider({ userId: user.id, fullName, phone, zone }));
+      } else if (isLogin) {
+        // The rider profile is loaded by the dashboard once the session changes
+        const { error: signInError } = await supabase.auth.signInWithPassword({ email, password });
+        if (signInError) throw signInError;
+      } else {
+        const { data, error: signUpError } = await supabase.auth.signUp({
+          email,
+          password,
+          options: {
+            data: { user_type: 'rider' },
+            emailRedirectTo: `${window.location.origin}/rider`,
+          },
+        });
+        if (signUpError) throw signUpError;
+
+        if (data.session) {
+          onRegistered(await registerRider({ userId: data.user.id, fullName, phone, zone }));
+        } else {
+          setMessage('Account created! Confirm your email, then log in here to finish your rider profile.');
+          setIsLogin(true);
+        }
+      }
+    } catch (e) {
+      console.error(e);
+      setError(e.message || 'Something went wrong. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const title = user ? 'Become a Rider' : isLogin ? 'Rider Login' : 'Rider Sign-up';
+
+  return (
+    <div className="flex justify-center items-center min-h-full w-full py-10">
+      <div className="p-6 bg-white rounded-2xl shadow-2xl mx-4 w-full max-w-md">
+        <div className="text-center mb-6">
+          <span className="text-6xl mb-4 block">🛵</span>
+          <h2 className="text-3xl font-extrabold" style={{ color: ORANGE }}>{title}</h2>
+          {user && <p className="text-sm text-gray-500 mt-2">Signed in as {user.email}. Tell us how customers can reach you.</p>}
+        </div>
+
+        <div className="space-y-3">
+          {needsProfile && (
+            <>
+              <StyledInput placeholder="Full name" value={fullName} onChange={(e) => setFullName(e.target.value)} />
+              <StyledInput type="tel" placeholder="Mobile number (e.g., 0917 123 4567)" value={phone} onChange={(e) => setPhone(e.target.value)} />
+              <div>
+                <label className="block text-xs font-bold mb-1" style={{ color: NAVY }}>Zone you deliver in</label>
+                <select
+                  className="w-full p-3 border rounded-lg bg-gray-50"
+                  style={{ borderColor: BORDER }}
+                  value={zone}
+                  onChange={(e) => setZone(e.target.value)}
+                >
+                  <option value="">Select barangay</option>
+                  {zones.map(z => <option key={z.barangay_name} value={z.barangay_name}>{z.barangay_name}</option>)}
+                </select>
+              </div>
+            </>
+          )}
+          {!user && (
+            <>
+              <StyledInput type="email" placeholder="Email Address" value={email} onChange={(e) => setEmail(e.target.value)} />
+              <StyledInput type="password" placeholder="Password" value={password} onChange={(e) => setPassword(e.target.value)} />
+            </>
+          )}
+        </div>
+
+        {error && <p className="text-sm text-red-500 mt-4 font-medium">{error}</p>}
+        {message && <p className="text-sm text-green-600 mt-4 font-medium">{message}</p>}
+
+        <div className="mt-6">
+          <FoodButton onClick={handleSubmit} disabled={loading}>
+            {loading ? 'Please wait...' : user ? 'Start Delivering' : isLogin ? 'Login' : 'Sign Up & Start Delivering'}
+          </FoodButton>
+        </div>
+
+        {user ? (
+          <p className="mt-4 text-center text-sm text-gray-500">
+            Not you?
+            <button onClick={() => supabase.auth.signOut()} className="ml-2 font-bold hover:underline" style={{ color: ORANGE }}>Logout</button>
+          </p>
+        ) : (
+          <p className="mt-4 text-center text-sm text-gray-500">
+            {isLogin ? 'Want to deliver with us?' : 'Already a rider?'}
+            <button
+              onClick={() => { setIsLogin(!isLogin); setError(''); setMessage(''); }}
+              className="ml-2 font-bold hover:underline"
+              style={{ color: ORANGE }}
+              disabled={loading}
+            >
+              {isLogin ? 'Sign Up' : 'Login'}
+            </button>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
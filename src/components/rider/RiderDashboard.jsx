@@ -0,0 +1,213 @@
+// components/rider/RiderDashboard.jsx
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { supabase } from '../../config/supabase';
+import { ORANGE, NAVY, LIGHT_BG, BORDER } from '../../config/constants';
+import { ORDER_STATUS, ORDER_ROLES, getNextStatus } from '../../lib/orderLifecycle';
+import {
+  fetchRiderProfile,
+  updateRiderZone,
+  fetchAvailableOrders,
+  fetchActiveDeliveries,
+  acceptOrder,
+  advanceDelivery,
+} from '../../lib/riders';
+import { isRiderSimulationEnabled } from '../../lib/riderTracking';
+import { useSupabase } from '../../hooks/useSupabase';
+import { useDeliveryZones } from '../../hooks/useDeliveryZones';
+import { useNow } from '../../hooks/useNow';
+import { useRealtimeTable } from '../../hooks/useRealtimeTable';
+import { useRiderLocationSharing } from '../../hooks/useRiderLocationSharing';
+import { FoodButton } from '../common/FoodButton';
+import { Loading } from '../common/Loading';
+import { RiderAuthPage } from './RiderAuthPage';
+import { RiderOrderCard } from './RiderOrderCard';
+
+// Button text for the rider's forward moves
+const RIDER_ACTION_LABELS = {
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: '📦 Picked up, start delivery',
+  [ORDER_STATUS.DELIVERED]: '✅ Delivered to customer',
+};
+
+// Realtime does not tell a rider when someone else takes an order they
+// could see, so the open-orders list is also refreshed on this interval.
+const REFRESH_MS = 30 * 1000;
+
+// Mobile view for riders: their active deliveries first, then orders in
+// their zone waiting for a rider. Handles its own login like the owner
+// dashboard.
+export const RiderDashboard = () => {
+  const { user, authReady } = useSupabase();
+  const { zones } = useDeliveryZones();
+  const [rider, setRider] = useState(null);
+  const [riderLoaded, setRiderLoaded] = useState(false);
+  const [available, setAvailable] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyOrderId, setBusyOrderId] = useState(null);
+  const [error, setError] = useState('');
+  const now = useNow(REFRESH_MS);
+  const simulate = useMemo(() => isRiderSimulationEnabled(), []);
+  const deliveryIds = useMemo(() => deliveries.map(order => order.id), [deliveries]);
+  const location = useRiderLocationSharing({ riderId: rider?.id, orderIds: deliveryIds, simulate });
+
+  useEffect(() => {
+    if (!authReady) return undefined;
+    if (!user) {
+      setRider(null);
+      setRiderLoaded(true);
+      return undefined;
+    }
+    let mounted = true;
+    setRiderLoaded(false);
+    fetchRiderProfile(user.id)
+      .then(profile => { if (mounted) setRider(profile); })
+      .catch(e => {
+        console.error('Error loading rider profile:', e);
+        if (mounted) setRider(null);
+      })
+      .finally(() => { if (mounted) setRiderLoaded(true); });
+    return () => { mounted = false; };
+  }, [authReady, user]);
+
+  const loadOrders = useCallback(async () => {
+    if (!rider) return;
+    try {
+      const [openOrders, myOrders] = await Promise.all([
+        fetchAvailableOrders(rider.zone),
+        fetchActiveDeliveries(rider.id),
+      ]);
+      setAvailable(openOrders);
+      setDeliveries(myOrders);
+    } catch (e) {
+      console.error('Error loading rider orders:', e);
+      setError('Could not load orders: ' + e.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [rider]);
+
+  useEffect(() => {
+    loadOrders();
+  }, [loadOrders, now]);
+
+  // Orders in the zone becoming ready, and updates to the rider's own orders
+  useRealtimeTable({
+    table: 'orders',
+    filter: rider ? `delivery_zone=eq.${rider.zone}` : undefined,
+    enabled: Boolean(rider),
+    onInsert: loadOrders,
+    onUpdate: loadOrders,
+  });
+
+  const run = async (orderId, action) => {
+    setError('');
+    setBusyOrderId(orderId);
+    try {
+      await action();
+    } catch (e) {
+      console.error('Error updating order:', e);
+      setError(e.message || 'Failed to update the order.');
+    } finally {
+      setBusyOrderId(null);
+      loadOrders();
+    }
+  };
+
+  const handleAccept = (order) => run(order.id, () => acceptOrder(order.id));
+
+  const handleAdvance = (order, nextStatus) => run(order.id, () => advanceDelivery(order.id, nextStatus));
+
+  const handleZoneChange = async (zone) => {
+    try {
+      setLoading(true);
+      setRider(await updateRiderZone(rider.id, zone));
+    } catch (e) {
+      console.error('Error changing zone:', e);
+      setError('Could not change zone: ' + e.message);
+      setLoading(false);
+    }
+  };
+
+  if (!authReady || !riderLoaded) return <Loading />;
+  if (!rider) return <RiderAuthPage user={user} onRegistered={setRider} />;
+
+  return (
+    <div className="min-h-full w-full" style={{ backgroundColor: LIGHT_BG }}>
+      <header className="shadow-lg p-4 sticky top-0 z-20 text-white" style={{ backgroundColor: ORANGE }}>
+        <div className="max-w-md mx-auto flex justify-between items-center gap-3">
+          <div>
+            <h1 className="text-lg font-black">🛵 {rider.full_name}</h1>
+            <select
+              value={rider.zone}
+              onChange={(e) => handleZoneChange(e.target.value)}
+              className="mt-1 text-xs font-semibold rounded bg-white/20 px-2 py-1"
+              aria-label="Delivery zone"
+            >
+              {!zones.some(z => z.barangay_name === rider.zone) && <option value={rider.zone} className="text-black">{rider.zone}</option>}
+              {zones.map(z => <option key={z.barangay_name} value={z.barangay_name} className="text-black">{z.barangay_name}</option>)}
+            </select>
+          </div>
+          <button onClick={() => supabase.auth.signOut()} className="px-3 py-1 rounded-full bg-white/20 hover:bg-white/30 text-sm font-bold">Logout</button>
+        </div>
+      </header>
+
+      <div className="max-w-md mx-auto p-4 space-y-6">
+        {error && <p className="text-sm text-red-500 font-medium">{error}</p>}
+
+        {location.sharing && (
+          <div className={`p-3 rounded-xl text-sm font-semibold ${location.error ? 'bg-red-50 text-red-600' : 'bg-green-50 text-green-700'}`}>
+            {location.error || (location.position
+              ? `📍 Sharing your location with ${deliveries.length === 1 ? 'your customer' : `${deliveries.length} customers`}${simulate ? ' (simulated route)' : ''}`
+              : '📍 Finding your location...')}
+          </div>
+        )}
+
+        {loading ? <Loading /> : (
+          <>
+            <section>
+              <h2 className="font-bold text-lg mb-3" style={{ color: NAVY }}>My Deliveries ({deliveries.length})</h2>
+              {deliveries.length === 0 ? (
+                <p className="text-sm text-gray-500">Accept an order below to start a delivery.</p>
+              ) : (
+                <div className="space-y-3">
+                  {deliveries.map(order => {
+                    const nextStatus = getNextStatus(order.status, ORDER_ROLES.RIDER);
+                    return (
+                      <RiderOrderCard key={order.id} order={order} showCustomerContact>
+                        {nextStatus && (
+                          <FoodButton onClick={() => handleAdvance(order, nextStatus)} disabled={busyOrderId === order.id}>
+                            {RIDER_ACTION_LABELS[nextStatus] || `Mark as ${nextStatus}`}
+                          </FoodButton>
+                        )}
+                      </RiderOrderCard>
+                    );
+                  })}
+                </div>
+              )}
+            </section>
+
+            <section>
+              <div className="flex justify-between items-center mb-3">
+                <h2 className="font-bold text-lg" style={{ color: NAVY }}>Open Orders in {rider.zone} ({available.length})</h2>
+                <button onClick={loadOrders} className="p-2 bg-white rounded-lg border hover:bg-gray-50" style={{ borderColor: BORDER }} title="Refresh">🔄</button>
+              </div>
+              {available.length === 0 ? (
+                <p className="text-sm text-gray-500">No orders waiting for a rider right now. New ones show up here as restaurants start preparing them.</p>
+              ) : (
+                <div className="space-y-3">
+                  {available.map(order => (
+                    <RiderOrderCard key={order.id} order={order}>
+                      <FoodButton onClick={() => handleAccept(order)} disabled={busyOrderId === order.id}>
+                        Accept Order
+                      </FoodButton>
+                    </RiderOrderCard>
+                  ))}
+                </div>
+              )}
+            </section>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
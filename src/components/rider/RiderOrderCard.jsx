@@ -0,0 +1,69 @@
+// components/rider/RiderOrderCard.jsx
+import React from 'react';
+import { NAVY, BORDER } from '../../config/constants';
+import { formatSelectedOptions } from '../../lib/menuOptions';
+import { describeSchedule } from '../../lib/scheduling';
+import { getDirectionsUrl } from '../../lib/geo';
+import { StatusPill } from '../common/StatusPill';
+
+const formatAddress = (restaurant) =>
+  [restaurant?.address_street, restaurant?.address_barangay && `Brgy. ${restaurant.address_barangay}`].filter(Boolean).join(', ');
+
+// Pickup and drop-off details for one order in the rider app. The action
+// buttons are passed in as children.
+export const RiderOrderCard = ({ order, showCustomerContact = false, children }) => {
+  const itemCount = (order.order_items || []).reduce((sum, item) => sum + item.quantity, 0);
+  const isCashOnDelivery = order.payment_method === 'COD';
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-4 border" style={{ borderColor: BORDER }}>
+      <div className="flex justify-between items-start mb-3">
+        <div>
+          <p className="font-bold text-gray-800">#{order.id.slice(0, 8)}</p>
+          {order.scheduled_for && <p className="text-xs font-bold" style={{ color: '#7C3AED' }}>🗓️ Deliver {describeSchedule(order.scheduled_for)}</p>}
+        </div>
+        <StatusPill status={order.status} size="xs" />
+      </div>
+
+      <div className="space-y-3 text-sm">
+        <div>
+          <p className="text-xs uppercase font-bold tracking-wider text-gray-500">Pick up</p>
+          <p className="font-semibold" style={{ color: NAVY }}>{order.restaurants?.name || 'Restaurant'}</p>
+          <p className="text-gray-600">{formatAddress(order.restaurants)}</p>
+        </div>
+        <div>
+          <p className="text-xs uppercase font-bold tracking-wider text-gray-500">Drop off</p>
+          <p className="text-gray-700">{order.shipping_address}</p>
+          {order.rider_notes && (
+            <p className="mt-1 p-2 rounded-lg bg-yellow-50 text-yellow-800 font-medium">📝 {order.rider_notes}</p>
+          )}
+          {order.delivery_lat != null && (
+            <a href={getDirectionsUrl({ lat: order.delivery_lat, lng: order.delivery_lng })} target="_blank" rel="noreferrer" className="text-xs font-bold underline" style={{ color: NAVY }}>
+              🧭 Directions to the pin
+            </a>
+          )}
+          {showCustomerContact && (
+            <p className="text-gray-600">
+              {order.contact_name} • <a href={`tel:${order.contact_phone}`} className="font-semibold underline">{order.contact_phone}</a>
+            </p>
+          )}
+        </div>
+        <div>
+          <p className="text-xs uppercase font-bold tracking-wider text-gray-500">{itemCount} item{itemCount !== 1 ? 's' : ''}</p>
+          <ul className="text-gray-600">
+            {(order.order_items || []).map((item, index) => {
+              const options = formatSelectedOptions(item.options || []);
+              return <li key={index}>{item.quantity}x {item.name}{options && <span className="text-xs text-gray-500"> ({options})</span>}</li>;
+            })}
+          </ul>
+        </div>
+        <div className="flex justify-between items-center pt-2 border-t" style={{ borderColor: BORDER }}>
+          <span className="text-gray-500">{isCashOnDelivery ? 'Collect cash' : `Paid (${order.payment_method})`}</span>
+          <span className="font-bold text-lg" style={{ color: NAVY }}>₱{Number(order.total || 0).toFixed(2)}</span>
+        </div>
+      </div>
+
+      {children && <div className="mt-4 space-y-2">{children}</div>}
+    </div>
+  );
+};
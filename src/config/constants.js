@@ -7,12 +7,7 @@ export const BORDER = 'var(--shopee-border)';
 
 export const MOCK_ILIGAN_CENTER = { lat: 8.2280, lng: 124.2452 };
 
-export const ORDER_STATUSES = [
-  'Preparing', 
-  'Out for Delivery', 
-  'Delivered', 
-  'Completed', 
-  'Cancelled',
-];
+// Delivery pins must fall inside this box (see assert_delivery_point)
+export const ILIGAN_BOUNDS = { south: 8.05, north: 8.40, west: 124.15, east: 124.50 };
 
 export const MOCK_MAPS_API_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY || 'YOUR_API_KEY_HERE';
\ No newline at end of file
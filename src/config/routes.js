@@ -0,0 +1,16 @@
+// config/routes.js
+// URL builders for every page, so links are never hand-assembled
+export const paths = {
+  shops: (query) => (query ? `/shops?q=${encodeURIComponent(query)}` : '/shops'),
+  restaurant: (restaurantId) => `/shops/${encodeURIComponent(restaurantId)}`,
+  cart: () => '/cart',
+  checkout: () => '/checkout',
+  orders: () => '/orders',
+  profile: () => '/profile',
+  order: (orderId) => `/orders/${encodeURIComponent(orderId)}`,
+  login: (redirect) => (redirect ? `/login?redirect=${encodeURIComponent(redirect)}` : '/login'),
+  owner: (tab = 'orders') => `/owner/${tab}`,
+  rider: () => '/rider',
+  pay: (paymentId) => `/pay/${encodeURIComponent(paymentId)}`,
+  admin: () => '/admin',
+};
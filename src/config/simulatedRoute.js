@@ -0,0 +1,27 @@
+// config/simulatedRoute.js
+// A synthetic route for the simulated rider replay (see
+// lib/riderTracking.js), not a recorded delivery: hand-placed points from
+// the shop pin (MOCK_ILIGAN_CENTER) to a drop-off about a kilometre
+// north-east in Iligan City. `t` is seconds since the first point.
+export const SIMULATED_ROUTE = [
+  { t: 0, lat: 8.22800, lng: 124.24520 },
+  { t: 11, lat: 8.22830, lng: 124.24560 },
+  { t: 22, lat: 8.22862, lng: 124.24605 },
+  { t: 34, lat: 8.22895, lng: 124.24650 },
+  { t: 45, lat: 8.22931, lng: 124.24688 },
+  { t: 58, lat: 8.22978, lng: 124.24712 },
+  { t: 71, lat: 8.23030, lng: 124.24735 },
+  { t: 83, lat: 8.23081, lng: 124.24760 },
+  { t: 96, lat: 8.23120, lng: 124.24803 },
+  { t: 110, lat: 8.23148, lng: 124.24857 },
+  { t: 121, lat: 8.23171, lng: 124.24912 },
+  { t: 133, lat: 8.23205, lng: 124.24955 },
+  { t: 146, lat: 8.23251, lng: 124.24978 },
+  { t: 158, lat: 8.23302, lng: 124.24996 },
+  { t: 171, lat: 8.23350, lng: 124.25021 },
+  { t: 183, lat: 8.23388, lng: 124.25062 },
+  { t: 196, lat: 8.23412, lng: 124.25115 },
+  { t: 208, lat: 8.23441, lng: 124.25163 },
+  { t: 219, lat: 8.23476, lng: 124.25197 },
+  { t: 230, lat: 8.23502, lng: 124.25231 },
+];
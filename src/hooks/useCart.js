@@ -0,0 +1,79 @@
+// hooks/useCart.js
+import { useState, useEffect, useRef } from 'react';
+import {
+  loadLocalCart,
+  saveLocalCart,
+  clearLocalCart,
+  fetchServerCart,
+  saveServerCart,
+  mergeCarts,
+  validateCart,
+} from '../lib/cart';
+
+const SERVER_SAVE_DELAY_MS = 500;
+
+// Owns the basket for the customer app. It starts from localStorage and,
+// once auth settles, merges in the account's saved cart and re-checks every
+// item against the database. Changes are written back to both places.
+export const useCart = (user, authReady) => {
+  const [cart, setCart] = useState(loadLocalCart);
+  const [validating, setValidating] = useState(false);
+  // Id of the account the server copy belongs to; null until it has been
+  // merged in, so an empty or stale local cart never overwrites it.
+  const syncedUserId = useRef(null);
+  const previousUserId = useRef(null);
+
+  const userId = user?.id ?? null;
+
+  useEffect(() => {
+    if (!authReady) return undefined;
+    let active = true;
+    const signedOut = previousUserId.current && !userId;
+    previousUserId.current = userId;
+    syncedUserId.current = null;
+
+    // The account keeps its cart; a shared device should not.
+    if (signedOut) {
+      clearLocalCart();
+      setCart([]);
+      return undefined;
+    }
+
+    const hydrate = async () => {
+      setValidating(true);
+      try {
+        const localCart = loadLocalCart();
+        const merged = userId ? mergeCarts(localCart, await fetchServerCart(userId)) : localCart;
+        if (!active) return;
+        setCart(merged);
+        syncedUserId.current = userId;
+
+        const checked = await validateCart(merged);
+        // Skip the refresh if the customer already changed the basket
+        if (active) setCart(current => (current === merged ? checked : current));
+      } catch (error) {
+        console.error('Error loading saved cart:', error);
+      } finally {
+        if (active) setValidating(false);
+      }
+    };
+
+    hydrate();
+    return () => { active = false; };
+  }, [authReady, userId]);
+
+  useEffect(() => {
+    if (!authReady || validating) return;
+    saveLocalCart(cart);
+  }, [cart, authReady, validating]);
+
+  useEffect(() => {
+    if (!userId || validating || syncedUserId.current !== userId) return undefined;
+    const timer = setTimeout(() => {
+      saveServerCart(userId, cart).catch(error => console.error('Error saving cart:', error));
+    }, SERVER_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [cart, userId, validating]);
+
+  return { cart, setCart, validating };
+};
@@ -0,0 +1,54 @@
+// hooks/useDeliveryZones.js
+import { useState, useEffect, useMemo } from 'react';
+import { supabase } from '../config/supabase';
+
+// Remembers the customer's barangay between the Cart and Checkout pages
+const SELECTED_ZONE_KEY = 'iliganFoodDeliveryZone';
+
+export const useDeliveryZones = () => {
+  const [zones, setZones] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedBarangay, setSelectedBarangay] = useState(() => {
+    if (typeof window !== 'undefined') {
+      return localStorage.getItem(SELECTED_ZONE_KEY) || '';
+    }
+    return '';
+  });
+
+  useEffect(() => {
+    let mounted = true;
+    const fetchZones = async () => {
+      const { data, error } = await supabase
+        .from('delivery_zones')
+        .select('*')
+        .eq('is_active', true)
+        .order('barangay_name', { ascending: true });
+
+      if (!mounted) return;
+      if (error) {
+        console.error('Error fetching delivery zones:', error);
+      } else {
+        setZones(data || []);
+      }
+      setLoading(false);
+    };
+
+    fetchZones();
+    return () => { mounted = false; };
+  }, []);
+
+  // Null until a barangay is picked, and when the picked one is not a zone
+  // we deliver to (a map pin can land anywhere)
+  const zone = useMemo(
+    () => zones.find(z => z.barangay_name === selectedBarangay) || null,
+    [zones, selectedBarangay]
+  );
+
+  useEffect(() => {
+    if (zone && typeof window !== 'undefined') {
+      localStorage.setItem(SELECTED_ZONE_KEY, zone.barangay_name);
+    }
+  }, [zone]);
+
+  return { zones, zone, selectedBarangay, loading, selectBarangay: setSelectedBarangay };
+};
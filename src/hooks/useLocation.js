@@ -0,0 +1,10 @@
+// hooks/useLocation.js
+import { useSyncExternalStore } from 'react';
+import { subscribeToLocation, getCurrentPath } from '../lib/router';
+
+// Re-renders whenever the URL changes; returns { pathname, search, path }
+export const useLocation = () => {
+  const path = useSyncExternalStore(subscribeToLocation, getCurrentPath, () => '/');
+  const [pathname, query = ''] = path.split('?');
+  return { pathname, search: query ? `?${query}` : '', path };
+};
@@ -0,0 +1,15 @@
+// hooks/useNow.js
+import { useState, useEffect } from 'react';
+
+// The current time, refreshed every `intervalMs` so time-based labels
+// (open/closed, "Opens at ...") stay correct while the page is open.
+export const useNow = (intervalMs = 60 * 1000) => {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs]);
+
+  return now;
+};
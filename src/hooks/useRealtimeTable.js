@@ -0,0 +1,25 @@
+// hooks/useRealtimeTable.js
+import { useEffect, useRef } from 'react';
+import { subscribeToTable } from '../lib/realtime';
+
+// Keeps a Realtime subscription open while the component is mounted and
+// `filter` stays the same. Handlers may change on every render without
+// re-subscribing. Pass `enabled: false` to hold off (e.g. until an id loads).
+export const useRealtimeTable = ({ table, filter, enabled = true, onInsert, onUpdate, onDelete }) => {
+  const handlers = useRef({ onInsert, onUpdate, onDelete });
+
+  useEffect(() => {
+    handlers.current = { onInsert, onUpdate, onDelete };
+  });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    return subscribeToTable({
+      table,
+      filter,
+      onInsert: (row) => handlers.current.onInsert?.(row),
+      onUpdate: (row, old) => handlers.current.onUpdate?.(row, old),
+      onDelete: (row) => handlers.current.onDelete?.(row),
+    });
+  }, [table, filter, enabled]);
+};
@@ -0,0 +1,55 @@
+// hooks/useRiderLocationSharing.js
+import { useState, useEffect, useRef } from 'react';
+import { distanceInMeters } from '../lib/geo';
+import {
+  LOCATION_UPDATE_MS,
+  MIN_MOVE_METERS,
+  recordRiderLocation,
+  watchDevicePosition,
+  replayRoute,
+} from '../lib/riderTracking';
+
+// Shares the rider's position for `orderIds` while there is at least one.
+// With `simulate` the recorded route is played back instead of the GPS.
+// Writes are throttled to one every LOCATION_UPDATE_MS unless the rider has
+// moved MIN_MOVE_METERS.
+export const useRiderLocationSharing = ({ riderId, orderIds, simulate = false }) => {
+  const [position, setPosition] = useState(null);
+  const [error, setError] = useState('');
+  const orderIdsRef = useRef(orderIds);
+  const lastSentRef = useRef(null);
+  const active = Boolean(riderId) && orderIds.length > 0;
+
+  useEffect(() => {
+    orderIdsRef.current = orderIds;
+  });
+
+  useEffect(() => {
+    if (!active) {
+      setPosition(null);
+      return undefined;
+    }
+    setError('');
+    lastSentRef.current = null;
+
+    const handlePosition = (next) => {
+      setPosition(next);
+      const last = lastSentRef.current;
+      const now = Date.now();
+      if (last && now - last.at < LOCATION_UPDATE_MS && distanceInMeters(last, next) < MIN_MOVE_METERS) return;
+      lastSentRef.current = { ...next, at: now };
+      recordRiderLocation({ riderId, orderIds: orderIdsRef.current, position: next })
+        .then(() => setError(''))
+        .catch(e => {
+          console.error('Error sharing location:', e);
+          setError('Could not send your location. Retrying...');
+        });
+    };
+
+    return simulate
+      ? replayRoute({ onPosition: handlePosition })
+      : watchDevicePosition({ onPosition: handlePosition, onError: setError });
+  }, [active, riderId, simulate]);
+
+  return { sharing: active, position, error };
+};
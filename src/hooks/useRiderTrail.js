@@ -0,0 +1,39 @@
+// hooks/useRiderTrail.js
+import { useState, useEffect } from 'react';
+import { fetchRiderTrail, replayRoute } from '../lib/riderTracking';
+import { useRealtimeTable } from './useRealtimeTable';
+
+// The points a rider has shared for an order, oldest first, kept live over
+// Realtime. With `simulate` nothing is read from the server: the recorded
+// route is played back locally instead.
+export const useRiderTrail = ({ orderId, riderId, simulate = false }) => {
+  const [trail, setTrail] = useState([]);
+
+  useEffect(() => {
+    setTrail([]);
+    if (simulate) {
+      return replayRoute({
+        onPosition: (point) => setTrail(prev => [...prev, { ...point, recorded_at: new Date().toISOString() }]),
+      });
+    }
+    if (!riderId) return undefined;
+
+    let mounted = true;
+    fetchRiderTrail(orderId)
+      .then(points => {
+        // Keep anything Realtime delivered while the fetch was in flight
+        if (mounted) setTrail(prev => [...points, ...prev.filter(p => !points.some(q => q.recorded_at === p.recorded_at))]);
+      })
+      .catch(error => console.error('Error loading rider trail:', error));
+    return () => { mounted = false; };
+  }, [orderId, riderId, simulate]);
+
+  useRealtimeTable({
+    table: 'rider_locations',
+    filter: `order_id=eq.${orderId}`,
+    enabled: Boolean(riderId) && !simulate,
+    onInsert: (row) => setTrail(prev => [...prev, row]),
+  });
+
+  return trail;
+};
@@ -0,0 +1,99 @@
+// lib/addresses.js
+// The customer's address book. Which address is the default is kept
+// consistent by triggers on customer_addresses (see the address book
+// migration), so callers only ever flag the one they want.
+import { supabase } from '../config/supabase';
+
+export const ADDRESS_LABELS = ['Home', 'Office', 'School', 'Other'];
+
+export const EMPTY_ADDRESS = {
+  label: 'Home',
+  contact_name: '',
+  contact_phone: '',
+  barangay: '',
+  street: '',
+  landmark: '',
+  rider_notes: '',
+  lat: null,
+  lng: null,
+  is_default: false,
+};
+
+// Default first, then the most recently updated
+export const fetchAddresses = async () => {
+  const { data, error } = await supabase
+    .from('customer_addresses')
+    .select('*')
+    .order('is_default', { ascending: false })
+    .order('updated_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+};
+
+export const getDefaultAddress = (addresses) =>
+  addresses.find(address => address.is_default) || addresses[0] || null;
+
+// Inserts or updates (when `address.id` is set) and resolves with the row
+export const saveAddress = async (address) => {
+  const row = {
+    label: address.label.trim(),
+    contact_name: address.contact_name.trim(),
+    contact_phone: address.contact_phone.trim(),
+    barangay: address.barangay,
+    street: address.street.trim(),
+    landmark: address.landmark?.trim() || null,
+    rider_notes: address.rider_notes?.trim() || null,
+    lat: address.lat,
+    lng: address.lng,
+    is_default: Boolean(address.is_default),
+  };
+  const query = address.id
+    ? supabase.from('customer_addresses').update(row).eq('id', address.id)
+    : supabase.from('customer_addresses').insert(row);
+  const { data, error } = await query.select().single();
+
+  if (error) throw error;
+  return data;
+};
+
+export const setDefaultAddress = async (addressId) => {
+  const { error } = await supabase
+    .from('customer_addresses')
+    .update({ is_default: true })
+    .eq('id', addressId);
+
+  if (error) throw error;
+};
+
+export const deleteAddress = async (addressId) => {
+  const { error } = await supabase
+    .from('customer_addresses')
+    .delete()
+    .eq('id', addressId);
+
+  if (error) throw error;
+};
+
+// What's missing before an address can be saved, or ''
+export const validateAddress = (address) => {
+  if (!address.label.trim()) return 'Give the address a label, like Home.';
+  if (!address.contact_name.trim() || !address.contact_phone.trim()) return 'Add the recipient\'s name and phone number.';
+  if (address.lat == null || !address.barangay) return 'Pin the address on the map inside our delivery area.';
+  if (!address.street.trim()) return 'Add the street, unit or house number.';
+  return '';
+};
+
+// The map pin AddressMapPreview expects for a saved address
+export const addressToPin = (address) => ({
+  lat: address.lat,
+  lng: address.lng,
+  formattedAddress: null,
+  barangay: address.barangay,
+});
+
+// The single line stored on orders as shipping_address
+export const formatShippingAddress = ({ barangay, street, landmark }) =>
+  [`Iligan City, Brgy. ${barangay}`, street.trim(), landmark?.trim() && `Landmark: ${landmark.trim()}`]
+    .filter(Boolean)
+    .join(' • ');
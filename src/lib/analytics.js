@@ -0,0 +1,143 @@
+// lib/analytics.js
+// Sales figures for the owner's Analytics tab, worked out in the browser
+// from the restaurant's own orders. Days and hours are Manila time.
+import { supabase } from '../config/supabase';
+import { ORDER_STATUS } from './orderLifecycle';
+import { getCancelReasonLabel } from './cancellations';
+import { getManilaClock, getManilaDateKey, getManilaStartOfDay, addDaysToDateKey } from './time';
+
+export const DATE_RANGE_PRESETS = [
+  { key: 'today', label: 'Today', days: 1 },
+  { key: '7d', label: 'Last 7 days', days: 7 },
+  { key: '30d', label: 'Last 30 days', days: 30 },
+  { key: '90d', label: 'Last 90 days', days: 90 },
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// { from, to } as inclusive Manila date keys for a preset ending today
+export const getPresetRange = (presetKey, now = new Date()) => {
+  const preset = DATE_RANGE_PRESETS.find(p => p.key === presetKey) || DATE_RANGE_PRESETS[1];
+  const to = getManilaDateKey(now);
+  return { from: addDaysToDateKey(to, 1 - preset.days), to };
+};
+
+export const countRangeDays = ({ from, to }) =>
+  Math.round((getManilaStartOfDay(to) - getManilaStartOfDay(from)) / (24 * 60 * 60 * 1000)) + 1;
+
+// The range of the same length that ends the day before `range` starts
+export const getPreviousRange = (range) => {
+  const days = countRangeDays(range);
+  return { from: addDaysToDateKey(range.from, -days), to: addDaysToDateKey(range.from, -1) };
+};
+
+export const isInRange = (order, { from, to }) => {
+  const day = getManilaDateKey(new Date(order.created_at));
+  return day >= from && day <= to;
+};
+
+// Orders for `restaurantId` created between the two date keys, inclusive
+export const fetchRestaurantSales = async (restaurantId, { from, to }) => {
+  const { data, error } = await supabase
+    .from('orders')
+    .select('id, status, subtotal, total, discount, created_at, cancel_reason, cancelled_by, payment_status, order_items ( food_item_id, name, price, quantity )')
+    .eq('restaurant_id', restaurantId)
+    .gte('created_at', getManilaStartOfDay(from).toISOString())
+    .lt('created_at', getManilaStartOfDay(addDaysToDateKey(to, 1)).toISOString())
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+};
+
+const isCancelled = (order) => order.status === ORDER_STATUS.CANCELLED;
+
+// Food sales the restaurant earns from an order; delivery fees go to riders
+export const getOrderRevenue = (order) => Number(order.subtotal ?? order.total ?? 0);
+
+// { revenue, orderCount, averageOrderValue, cancellationRate (0-1), cancelledCount }
+// Revenue and the average only count orders that were not cancelled.
+export const summarizeSales = (orders) => {
+  const kept = orders.filter(order => !isCancelled(order));
+  const revenue = kept.reduce((sum, order) => sum + getOrderRevenue(order), 0);
+  const cancelledCount = orders.length - kept.length;
+  return {
+    revenue: round(revenue),
+    orderCount: kept.length,
+    averageOrderValue: kept.length > 0 ? round(revenue / kept.length) : 0,
+    cancellationRate: orders.length > 0 ? cancelledCount / orders.length : 0,
+    cancelledCount,
+  };
+};
+
+// Relative change from `previous` to `current`, or null when there is
+// nothing to compare against
+export const getChange = (current, previous) => {
+  if (!previous) return current ? null : 0;
+  return (current - previous) / previous;
+};
+
+// [{ dateKey, revenue, orderCount }] for every day in the range, zeros included
+export const getDailySales = (orders, range) => {
+  const days = new Map();
+  for (let day = range.from; day <= range.to; day = addDaysToDateKey(day, 1)) {
+    days.set(day, { dateKey: day, revenue: 0, orderCount: 0 });
+  }
+  orders.filter(order => !isCancelled(order)).forEach(order => {
+    const entry = days.get(getManilaDateKey(new Date(order.created_at)));
+    if (!entry) return;
+    entry.revenue = round(entry.revenue + getOrderRevenue(order));
+    entry.orderCount += 1;
+  });
+  return [...days.values()];
+};
+
+// Top items by quantity sold: [{ foodItemId, name, quantity, revenue, share }]
+export const getBestSellers = (orders, limit = 10) => {
+  const items = new Map();
+  orders.filter(order => !isCancelled(order)).forEach(order => {
+    (order.order_items || []).forEach(item => {
+      const key = item.food_item_id || item.name;
+      const entry = items.get(key) || { foodItemId: item.food_item_id, name: item.name, quantity: 0, revenue: 0 };
+      entry.quantity += item.quantity;
+      entry.revenue = round(entry.revenue + Number(item.price) * item.quantity);
+      items.set(key, entry);
+    });
+  });
+  const totalQuantity = [...items.values()].reduce((sum, item) => sum + item.quantity, 0);
+  return [...items.values()]
+    .sort((a, b) => b.quantity - a.quantity || b.revenue - a.revenue)
+    .slice(0, limit)
+    .map(item => ({ ...item, share: totalQuantity > 0 ? item.quantity / totalQuantity : 0 }));
+};
+
+// counts[weekday][hour] of orders placed, Sunday = 0
+export const getOrdersByHour = (orders) => {
+  const counts = Array.from({ length: 7 }, () => Array(24).fill(0));
+  orders.forEach(order => {
+    const { weekday, minutes } = getManilaClock(new Date(order.created_at));
+    counts[weekday][Math.floor(minutes / 60)] += 1;
+  });
+  return counts;
+};
+
+// Why and by whom orders were cancelled:
+// { reasons: [{ reason, label, count, share }], byWho: { customer, owner, system }, refundedTotal }
+export const getCancellationBreakdown = (orders) => {
+  const cancelled = orders.filter(isCancelled);
+  const reasons = new Map();
+  const byWho = { customer: 0, owner: 0, system: 0 };
+  let refundedTotal = 0;
+  cancelled.forEach(order => {
+    const reason = order.cancel_reason || 'other';
+    reasons.set(reason, (reasons.get(reason) || 0) + 1);
+    byWho[order.cancelled_by || 'system'] += 1;
+    if (order.payment_status === 'refunded') refundedTotal += Number(order.total || 0);
+  });
+  return {
+    reasons: [...reasons.entries()]
+      .map(([reason, count]) => ({ reason, label: getCancelReasonLabel(reason), count, share: count / cancelled.length }))
+      .sort((a, b) => b.count - a.count),
+    byWho,
+    refundedTotal: round(refundedTotal),
+  };
+};
@@ -0,0 +1,90 @@
+// lib/cancellations.js
+// Cancelling an order: the reasons each role may give, who may cancel at
+// which status, and the refund that follows for prepaid orders. The same
+// rules are enforced by cancel_order() (see the cancellations migration).
+import { supabase } from '../config/supabase';
+import { ORDER_STATUS, ORDER_ROLES } from './orderLifecycle';
+import { fakePaymentProvider, simulateRefundEvent } from './fakePaymentProvider';
+
+// Customers can still cancel this long after ordering, even once the
+// restaurant has started preparing
+export const CUSTOMER_CANCEL_WINDOW_MINUTES = 5;
+
+export const CANCEL_REASONS = {
+  changed_mind: { label: 'Customer changed their mind', customerLabel: 'I changed my mind', roles: [ORDER_ROLES.CUSTOMER, ORDER_ROLES.OWNER] },
+  out_of_stock: { label: 'Out of stock', roles: [ORDER_ROLES.OWNER] },
+  rider_unavailable: { label: 'No rider available', roles: [ORDER_ROLES.OWNER] },
+  payment_expired: { label: 'Payment not completed', roles: [] },
+  other: { label: 'Other', roles: [ORDER_ROLES.CUSTOMER, ORDER_ROLES.OWNER], needsNote: true },
+};
+
+const CANCELLABLE_STATUSES = [ORDER_STATUS.SCHEDULED, ORDER_STATUS.PENDING, ORDER_STATUS.PREPARING];
+
+// [{ value, label, needsNote }] a role can pick from
+export const getCancelReasons = (role) =>
+  Object.entries(CANCEL_REASONS)
+    .filter(([, reason]) => reason.roles.includes(role))
+    .map(([value, reason]) => ({
+      value,
+      label: (role === ORDER_ROLES.CUSTOMER && reason.customerLabel) || reason.label,
+      needsNote: Boolean(reason.needsNote),
+    }));
+
+export const getCancelReasonLabel = (reason) => CANCEL_REASONS[reason]?.label || 'Other';
+
+// Milliseconds left in the customer's cancel window, never below zero
+export const getCustomerCancelTimeLeft = (order, now = new Date()) =>
+  Math.max(new Date(order.created_at).getTime() + CUSTOMER_CANCEL_WINDOW_MINUTES * 60 * 1000 - now.getTime(), 0);
+
+export const canCancelOrder = (order, role, now = new Date()) => {
+  if (!CANCELLABLE_STATUSES.includes(order.status)) return false;
+  if (role === ORDER_ROLES.OWNER) return true;
+  if (role !== ORDER_ROLES.CUSTOMER) return false;
+  return order.status !== ORDER_STATUS.PREPARING || getCustomerCancelTimeLeft(order, now) > 0;
+};
+
+// The order's refund row, or null. Embedded one-to-one, so it may come
+// back as an object or a one-element array.
+export const getOrderRefund = (order) =>
+  (Array.isArray(order.refunds) ? order.refunds[0] : order.refunds) || null;
+
+export const fetchRefund = async (orderId) => {
+  const { data, error } = await supabase
+    .from('refunds')
+    .select('*')
+    .eq('order_id', orderId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// The refund cancel_order() just wrote. Providers settle refunds from
+// their server through apply_refund_event(); only the fake provider, which
+// has no server, is settled from here, and only in development builds.
+const loadRefund = async (orderId) => {
+  try {
+    const refund = await fetchRefund(orderId);
+    if (import.meta.env.DEV && refund?.status === 'pending' && refund.provider === fakePaymentProvider.id) {
+      return await simulateRefundEvent(refund.id, 'succeeded');
+    }
+    return refund;
+  } catch (e) {
+    console.error('Error loading refund:', e);
+    return null;
+  }
+};
+
+// Cancels with a reason and starts the refund for prepaid orders.
+// Resolves with the updated order, with its refund under `refunds`.
+export const cancelOrder = async (order, { reason, note = '' }) => {
+  const { data, error } = await supabase.rpc('cancel_order', {
+    p_order_id: order.id,
+    p_reason: reason,
+    p_note: note.trim() || null,
+  });
+
+  if (error) throw error;
+  const refund = data.payment_status === 'refunded' ? await loadRefund(order.id) : null;
+  return { ...data, refunds: refund };
+};
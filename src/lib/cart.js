@@ -0,0 +1,214 @@
+// lib/cart.js
+// The basket is kept in localStorage for everyone and mirrored to the
+// `carts` table for signed-in users, so it survives reloads and follows the
+// customer to other devices.
+import { supabase } from '../config/supabase';
+import { OPTION_GROUPS_SELECT, getOptionsKey, getUnitPrice, validateOptionSelection } from './menuOptions';
+import { RESTAURANT_HOURS_SELECT, getRestaurantStatus } from './openingHours';
+import { isSoldOut, getRemainingStock } from './inventory';
+
+const CART_STORAGE_KEY = 'iliganFoodCart';
+
+export const CART_ISSUES = {
+  UNAVAILABLE: 'unavailable',
+  OPTIONS_CHANGED: 'options_changed',
+  RESTAURANT_CLOSED: 'restaurant_closed',
+  SOLD_OUT: 'sold_out',
+  LOW_STOCK: 'low_stock',
+};
+
+const ISSUE_MESSAGES = {
+  [CART_ISSUES.UNAVAILABLE]: 'No longer on the menu',
+  [CART_ISSUES.OPTIONS_CHANGED]: 'Its options changed; remove it and add it again',
+  [CART_ISSUES.SOLD_OUT]: 'Sold out',
+};
+
+// Only what is needed to show the basket again; stock and availability are
+// re-read from the database every time the cart loads.
+const toCartLine = (item) => ({
+  id: item.id,
+  name: item.name,
+  price: Number(item.price),
+  base_price: Number(item.base_price ?? item.price),
+  options: item.options || [],
+  image_url: item.image_url,
+  restaurant_id: item.restaurant_id,
+  restaurant_name: item.restaurant_name,
+  quantity: item.quantity,
+});
+
+// The same item with different options is a separate line
+export const getCartLineKey = (item) => {
+  const optionsKey = getOptionsKey(item.options);
+  return optionsKey ? `${item.id}|${optionsKey}` : String(item.id);
+};
+
+// Every line of the same item counts against its stock, whatever the options
+export const getItemQuantityInCart = (cart, itemId) =>
+  cart.filter(cartItem => cartItem.id === itemId).reduce((sum, cartItem) => sum + cartItem.quantity, 0);
+
+// Adds `quantity` of a menu item with the chosen `options` to the cart.
+// Each distinct set of choices gets its own line priced with its add-ons,
+// and at most what is left in stock is added; the cart comes back unchanged
+// when nothing more can be added.
+export const addCartLine = (cart, foodItem, quantity = 1, options = []) => {
+  const { option_groups: _optionGroups, ...item } = foodItem;
+  const allowed = Math.min(quantity, getRemainingStock(item, getItemQuantityInCart(cart, item.id)));
+  if (allowed <= 0) return cart;
+
+  const line = {
+    ...item,
+    base_price: item.price,
+    price: getUnitPrice(item.price, options),
+    options,
+    quantity: allowed,
+  };
+  const key = getCartLineKey(line);
+
+  if (cart.some(cartItem => getCartLineKey(cartItem) === key)) {
+    return cart.map(cartItem =>
+      getCartLineKey(cartItem) === key ? { ...cartItem, quantity: cartItem.quantity + allowed } : cartItem
+    );
+  }
+  return [...cart, line];
+};
+
+// Basket lines as place_order() and check_promotion() expect them
+export const toOrderLines = (cart) => cart.map(item => ({
+  food_item_id: item.id,
+  quantity: item.quantity,
+  option_ids: (item.options || []).map(option => option.choice_id),
+}));
+
+const isCartLine = (line) => line && line.id != null && Number(line.quantity) > 0;
+
+export const loadLocalCart = () => {
+  if (typeof window === 'undefined') return [];
+  try {
+    const saved = JSON.parse(localStorage.getItem(CART_STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved.filter(isCartLine) : [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveLocalCart = (cart) => {
+  if (typeof window === 'undefined') return;
+  localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(cart.map(toCartLine)));
+};
+
+export const clearLocalCart = () => {
+  if (typeof window === 'undefined') return;
+  localStorage.removeItem(CART_STORAGE_KEY);
+};
+
+export const fetchServerCart = async (userId) => {
+  const { data, error } = await supabase
+    .from('carts')
+    .select('items')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  return Array.isArray(data?.items) ? data.items.filter(isCartLine) : [];
+};
+
+export const saveServerCart = async (userId, cart) => {
+  const { error } = await supabase
+    .from('carts')
+    .upsert({ user_id: userId, items: cart.map(toCartLine), updated_at: new Date().toISOString() });
+  if (error) throw error;
+};
+
+// Combines the basket built while signed out with the one saved on the
+// account. An item in both keeps the larger quantity rather than the sum,
+// since the local copy is usually just the account cart from last visit.
+export const mergeCarts = (localCart, serverCart) => {
+  const merged = new Map(serverCart.map(item => [getCartLineKey(item), item]));
+  localCart.forEach(item => {
+    const key = getCartLineKey(item);
+    const existing = merged.get(key);
+    merged.set(key, existing
+      ? { ...existing, ...item, quantity: Math.max(existing.quantity, item.quantity) }
+      : item);
+  });
+  return [...merged.values()];
+};
+
+// Re-reads every item from food_items and refreshes price (options
+// included), stock and whether the restaurant is open (by its hours).
+// `previous_price` is set when the price moved since the item was added so
+// the Cart can point it out.
+export const validateCart = async (cart) => {
+  if (cart.length === 0) return cart;
+
+  const { data, error } = await supabase
+    .from('food_items')
+    .select(`food_item_id, name, price, stock, image_url, restaurants ( id, name, ${RESTAURANT_HOURS_SELECT} ), ${OPTION_GROUPS_SELECT}`)
+    .in('food_item_id', cart.map(item => item.id));
+  if (error) throw error;
+
+  const current = new Map((data || []).map(food => [String(food.food_item_id), food]));
+
+  return cart.map(item => {
+    const food = current.get(String(item.id));
+    if (!food) return { ...item, available: false };
+
+    // Re-read each picked choice; a removed or sold-out choice, or a rule
+    // the old selection no longer meets, means the line has to be re-added.
+    const groups = food.option_groups || [];
+    const choices = new Map(groups.flatMap(group =>
+      (group.option_choices || []).map(choice => [choice.id, { group, choice }])));
+    const options = (item.options || []).map(option => {
+      const picked = choices.get(option.choice_id);
+      return picked ? {
+        ...option,
+        group_name: picked.group.name,
+        choice_name: picked.choice.name,
+        price_delta: Number(picked.choice.price_delta || 0),
+      } : option;
+    });
+    const optionsValid = options.every(option => choices.get(option.choice_id)?.choice.is_available)
+      && Object.keys(validateOptionSelection(groups, options.map(option => option.choice_id))).length === 0;
+
+    const restaurantStatus = getRestaurantStatus(food.restaurants);
+    const price = getUnitPrice(food.price, options);
+    const seenPrice = Number(item.previous_price ?? item.price);
+    return {
+      ...item,
+      name: food.name,
+      price,
+      base_price: Number(food.price),
+      options,
+      options_valid: optionsValid,
+      previous_price: seenPrice !== price ? seenPrice : null,
+      stock: food.stock,
+      image_url: food.image_url,
+      restaurant_id: food.restaurants?.id ?? item.restaurant_id,
+      restaurant_name: food.restaurants?.name ?? item.restaurant_name,
+      restaurant_is_open: restaurantStatus.isOpen,
+      restaurant_status_label: restaurantStatus.label,
+      available: true,
+    };
+  });
+};
+
+// What is stopping this line from being ordered as it stands, if anything
+// A closed restaurant only blocks ASAP orders; pass `scheduled: true` when
+// the order is (or can still be) booked for a later slot.
+export const getCartItemIssue = (item, { scheduled = false } = {}) => {
+  if (item.available === false) return CART_ISSUES.UNAVAILABLE;
+  if (item.options_valid === false) return CART_ISSUES.OPTIONS_CHANGED;
+  if (item.restaurant_is_open === false && !scheduled) return CART_ISSUES.RESTAURANT_CLOSED;
+  if (isSoldOut(item)) return CART_ISSUES.SOLD_OUT;
+  if (item.stock != null && item.quantity > item.stock) return CART_ISSUES.LOW_STOCK;
+  return null;
+};
+
+export const describeCartItemIssue = (item) => {
+  const issue = getCartItemIssue(item);
+  if (issue === CART_ISSUES.LOW_STOCK) return `Only ${item.stock} left`;
+  if (issue === CART_ISSUES.RESTAURANT_CLOSED) return `Restaurant is closed · ${item.restaurant_status_label || 'Closed'}`;
+  return issue ? ISSUE_MESSAGES[issue] : '';
+};
+
+export const hasCartIssues = (cart, options) => cart.some(item => getCartItemIssue(item, options) != null);
@@ -0,0 +1,185 @@
+// lib/deliveryZones.js
+// Delivery zone boundaries: which zone a pin falls in, which shops deliver
+// to a zone, and the admin helpers for editing the GeoJSON shapes. The
+// database applies the same rules (zone_boundaries migration).
+import { supabase } from '../config/supabase';
+import { distanceInMeters, isPointInGeometry, getGeometryCenter } from './geo';
+
+export const DEFAULT_DELIVERY_RADIUS_KM = 5;
+
+// The zone whose boundary contains the point, or null
+export const findZoneAtPoint = (zones, point) =>
+  zones.find(zone => zone.boundary && isPointInGeometry(point, zone.boundary)) || null;
+
+// Whether `restaurant` (with address_barangay and delivery_radius_km)
+// delivers to `zone`, measured centre to centre. Shops or zones without a
+// boundary yet are assumed to deliver, like restaurant_delivers_to().
+export const deliversToZone = (restaurant, zone, zones) => {
+  if (!zone) return true;
+  const home = zones.find(z => z.barangay_name === restaurant.address_barangay);
+  const from = getGeometryCenter(home?.boundary);
+  const to = getGeometryCenter(zone.boundary);
+  if (!from || !to) return true;
+  const radiusKm = Number(restaurant.delivery_radius_km ?? DEFAULT_DELIVERY_RADIUS_KM);
+  return distanceInMeters(from, to) <= radiusKm * 1000;
+};
+
+// { [barangayName]: { lat, lng } } centres of the named zones that have a
+// boundary; stands in for pins the tracking map does not have
+export const fetchZoneCenters = async (barangayNames) => {
+  const names = [...new Set(barangayNames.filter(Boolean))];
+  if (names.length === 0) return {};
+  const { data, error } = await supabase
+    .from('delivery_zones')
+    .select('barangay_name, boundary')
+    .in('barangay_name', names);
+
+  if (error) throw error;
+  return Object.fromEntries((data || [])
+    .map(zone => [zone.barangay_name, getGeometryCenter(zone.boundary)])
+    .filter(([, center]) => center));
+};
+
+// --- Admin ---
+
+export const isCurrentUserAdmin = async () => {
+  const { data, error } = await supabase.rpc('is_admin');
+  if (error) throw error;
+  return Boolean(data);
+};
+
+// Every zone, inactive ones included
+export const fetchAllZones = async () => {
+  const { data, error } = await supabase
+    .from('delivery_zones')
+    .select('*')
+    .order('barangay_name', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+// Inserts or updates a zone by barangay name
+export const saveZone = async (zone) => {
+  const { data, error } = await supabase
+    .from('delivery_zones')
+    .upsert(zone, { onConflict: 'barangay_name' })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error('That is not valid JSON.');
+  }
+};
+
+// A Polygon or MultiPolygon geometry, checked ring by ring
+const toBoundary = (json) => {
+  if (json?.type !== 'Polygon' && json?.type !== 'MultiPolygon') {
+    throw new Error('Paste a GeoJSON Polygon or MultiPolygon.');
+  }
+  const polygons = json.type === 'Polygon' ? [json.coordinates] : json.coordinates;
+  const valid = Array.isArray(polygons) && polygons.length > 0 && polygons.every(rings =>
+    Array.isArray(rings) && rings.length > 0 && rings.every(ring =>
+      Array.isArray(ring) && ring.length >= 4 && ring.every(position =>
+        Array.isArray(position) && Number.isFinite(position[0]) && Number.isFinite(position[1]))));
+  if (!valid) throw new Error('Each ring needs at least four [lng, lat] positions.');
+  return { type: json.type, coordinates: json.coordinates };
+};
+
+// Parses pasted GeoJSON: a bare geometry, a Feature or a one-feature
+// FeatureCollection. Throws a readable error for anything else.
+export const parseBoundary = (text) => {
+  let json = parseJson(text);
+  if (json?.type === 'FeatureCollection') json = json.features?.[0];
+  if (json?.type === 'Feature') json = json.geometry;
+  return toBoundary(json);
+};
+
+// Where the barangay's name sits in a feature's properties, in the
+// official PSA / NAMRIA boundary exports (OCHA's ADM4 layer, GADM level 3)
+// and in files exported from here
+const BARANGAY_NAME_PROPERTIES = ['ADM4_EN', 'adm4_en', 'NAME_3', 'barangay_name', 'barangay', 'name'];
+
+const normalizeBarangayName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Matches every feature of a GeoJSON FeatureCollection to a zone by
+// barangay name, ignoring case, spaces and punctuation. Returns
+// { boundaries: [{ barangay_name, boundary }], unmatched: [feature names] }
+// and throws on the first feature with an unusable shape.
+export const parseZoneBoundaries = (text, zones) => {
+  const json = parseJson(text);
+  if (json?.type !== 'FeatureCollection' || !Array.isArray(json.features)) {
+    throw new Error('Import a GeoJSON FeatureCollection with one feature per barangay.');
+  }
+  const zonesByName = new Map(zones.map(zone => [normalizeBarangayName(zone.barangay_name), zone]));
+  const boundaries = [];
+  const unmatched = [];
+  json.features.forEach((feature, index) => {
+    const key = BARANGAY_NAME_PROPERTIES.find(property => feature?.properties?.[property]);
+    const name = key ? String(feature.properties[key]) : `Feature ${index + 1}`;
+    const zone = key && zonesByName.get(normalizeBarangayName(name));
+    if (!zone) {
+      unmatched.push(name);
+      return;
+    }
+    try {
+      boundaries.push({ barangay_name: zone.barangay_name, boundary: toBoundary(feature.geometry) });
+    } catch (e) {
+      throw new Error(`${name}: ${e.message}`);
+    }
+  });
+  return { boundaries, unmatched };
+};
+
+// Saves many zones' boundaries in one request; resolves with the saved zones
+export const saveZoneBoundaries = async (boundaries) => {
+  const { data, error } = await supabase
+    .from('delivery_zones')
+    .upsert(boundaries, { onConflict: 'barangay_name' })
+    .select();
+
+  if (error) throw error;
+  return data || [];
+};
+
+// Outer rings as Google Maps paths ([{ lat, lng }], unclosed). Holes are
+// not editable on the map and are dropped when the shape is saved from it.
+export const boundaryToPaths = (boundary) => {
+  const polygons = boundary?.type === 'Polygon' ? [boundary.coordinates]
+    : boundary?.type === 'MultiPolygon' ? boundary.coordinates
+    : [];
+  return polygons.map(([outer]) => outer.slice(0, -1).map(([lng, lat]) => ({ lat, lng })));
+};
+
+// Google Maps paths back to GeoJSON, closing each ring
+export const pathsToBoundary = (paths) => {
+  const polygons = paths
+    .filter(path => path.length >= 3)
+    .map(path => {
+      const ring = path.map(({ lat, lng }) => [lng, lat]);
+      return [[...ring, ring[0]]];
+    });
+  if (polygons.length === 0) return null;
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+};
+
+// A square of `sizeMeters` around a point, as a starting shape to drag
+export const squareBoundaryAround = ({ lat, lng }, sizeMeters = 800) => {
+  const dLat = sizeMeters / 2 / 111320;
+  const dLng = dLat / Math.cos((lat * Math.PI) / 180);
+  return pathsToBoundary([[
+    { lat: lat - dLat, lng: lng - dLng },
+    { lat: lat - dLat, lng: lng + dLng },
+    { lat: lat + dLat, lng: lng + dLng },
+    { lat: lat + dLat, lng: lng - dLng },
+  ]]);
+};
@@ -0,0 +1,177 @@
+// lib/exports.js
+// Order and payout exports for restaurant owners: CSV files for
+// spreadsheets and a printable HTML report. Dates are Manila time.
+import { supabase } from '../config/supabase';
+import { ORDER_STATUS } from './orderLifecycle';
+import { formatSelectedOptions } from './menuOptions';
+import { getManilaClock, getManilaDateKey, getManilaStartOfDay, addDaysToDateKey } from './time';
+
+export const DEFAULT_COMMISSION_RATE = 0.15;
+
+const round = (value) => Math.round(value * 100) / 100;
+const money = (value) => round(Number(value || 0)).toFixed(2);
+
+const formatDateTime = (iso) => {
+  const date = new Date(iso);
+  const { minutes } = getManilaClock(date);
+  const hh = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mm = String(minutes % 60).padStart(2, '0');
+  return `${getManilaDateKey(date)} ${hh}:${mm}`;
+};
+
+// `statusFilter` is the dashboard's: 'all' or one status
+export const fetchOrdersForExport = async (restaurantId, { from, to }, statusFilter = 'all') => {
+  let query = supabase
+    .from('orders')
+    .select('id, created_at, status, contact_name, payment_method, subtotal, delivery_fee, small_order_fee, discount, total, order_items ( name, price, quantity, options )')
+    .eq('restaurant_id', restaurantId)
+    .gte('created_at', getManilaStartOfDay(from).toISOString())
+    .lt('created_at', getManilaStartOfDay(addDaysToDateKey(to, 1)).toISOString())
+    .order('created_at', { ascending: true });
+  if (statusFilter !== 'all') query = query.eq('status', statusFilter);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+};
+
+const describeItems = (order) =>
+  (order.order_items || [])
+    .map(item => {
+      const options = formatSelectedOptions(item.options || []);
+      return `${item.quantity}x ${item.name}${options ? ` (${options})` : ''}`;
+    })
+    .join('; ');
+
+const countItems = (order) => (order.order_items || []).reduce((sum, item) => sum + item.quantity, 0);
+
+// Table of orders, header row first
+export const buildOrderRows = (orders) => [
+  ['Date', 'Order ID', 'Customer', 'Items', 'Quantity', 'Restaurant Subtotal', 'Delivery Fee', 'Payment Method', 'Status'],
+  ...orders.map(order => [
+    formatDateTime(order.created_at),
+    order.id,
+    order.contact_name || '',
+    describeItems(order),
+    countItems(order),
+    money(order.subtotal ?? order.total),
+    money(order.delivery_fee),
+    order.payment_method || '',
+    order.status,
+  ]),
+];
+
+// Per-day payouts for orders that were not cancelled:
+// [{ dateKey, orderCount, sales, commission, payout, cashCollected }]
+// `cashCollected` is what riders took in cash (COD orders, full total).
+export const buildPayoutSummary = (orders, commissionRate = DEFAULT_COMMISSION_RATE) => {
+  const days = new Map();
+  orders
+    .filter(order => order.status !== ORDER_STATUS.CANCELLED)
+    .forEach(order => {
+      const dateKey = getManilaDateKey(new Date(order.created_at));
+      const day = days.get(dateKey) || { dateKey, orderCount: 0, sales: 0, cashCollected: 0 };
+      day.orderCount += 1;
+      day.sales = round(day.sales + Number(order.subtotal ?? order.total ?? 0));
+      if (order.payment_method === 'COD') day.cashCollected = round(day.cashCollected + Number(order.total || 0));
+      days.set(dateKey, day);
+    });
+
+  return [...days.values()]
+    .sort((a, b) => a.dateKey.localeCompare(b.dateKey))
+    .map(day => {
+      const commission = round(day.sales * commissionRate);
+      return { ...day, commission, payout: round(day.sales - commission) };
+    });
+};
+
+export const sumPayouts = (days) => days.reduce((acc, day) => ({
+  orderCount: acc.orderCount + day.orderCount,
+  sales: round(acc.sales + day.sales),
+  commission: round(acc.commission + day.commission),
+  payout: round(acc.payout + day.payout),
+  cashCollected: round(acc.cashCollected + day.cashCollected),
+}), { orderCount: 0, sales: 0, commission: 0, payout: 0, cashCollected: 0 });
+
+export const buildPayoutRows = (days, commissionRate = DEFAULT_COMMISSION_RATE) => {
+  const totals = sumPayouts(days);
+  const percent = `${round(commissionRate * 100)}%`;
+  return [
+    ['Date', 'Orders', 'Food Sales', `Commission (${percent})`, 'Net Payout', 'COD Cash Collected'],
+    ...days.map(day => [day.dateKey, day.orderCount, money(day.sales), money(day.commission), money(day.payout), money(day.cashCollected)]),
+    ['Total', totals.orderCount, money(totals.sales), money(totals.commission), money(totals.payout), money(totals.cashCollected)],
+  ];
+};
+
+// Names and addresses are typed by customers; a cell starting with = + - @
+// tab or CR would run as a formula in Excel or Sheets, so it gets a leading
+// apostrophe. Plain numbers, negative ones included, are left alone.
+const escapeCsvCell = (value) => {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n');
+
+// Saves `rows` as a CSV file. The byte-order mark makes Excel read ₱ and
+// accented names correctly.
+export const downloadCsv = (filename, rows) => {
+  const blob = new Blob(['\uFEFF', toCsv(rows)], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const htmlTable = (rows) => {
+  const [header, ...body] = rows;
+  return `<table><thead><tr>${header.map(cell => `<th>${escapeHtml(cell)}</th>`).join('')}</tr></thead>`
+    + `<tbody>${body.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+};
+
+// Writes the report into `win` and brings up the print dialog, where it
+// can be saved as a PDF. Open `win` straight from the click handler
+// (before any await) or pop-up blockers will stop it.
+export const writePrintableReport = (win, { restaurantName, range, statusFilter, orderRows, payoutRows }) => {
+  const title = `${restaurantName} · Orders ${range.from} to ${range.to}`;
+  win.document.write(`<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #111; margin: 24px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 24px 0 8px; }
+  p { margin: 0; color: #555; font-size: 12px; }
+  table { width: 100%; border-collapse: collapse; font-size: 11px; }
+  th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #f3f3f3; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>Status: ${escapeHtml(statusFilter === 'all' ? 'All orders' : statusFilter)} · Generated ${escapeHtml(formatDateTime(new Date().toISOString()))} (Manila time)</p>
+<h2>Payout Summary</h2>
+${htmlTable(payoutRows)}
+<h2>Orders</h2>
+${htmlTable(orderRows)}
+</body>
+</html>`);
+  win.document.close();
+  win.focus();
+  win.print();
+};
@@ -0,0 +1,39 @@
+// lib/fakePaymentProvider.js
+// A payment provider that never touches real money, for development
+// builds only (see getPaymentProvider). Its checkout page (FakePaymentPage)
+// lets you approve, hold, decline or expire a payment, and reports the
+// outcome through simulate_payment_event (see the payments migration);
+// refunds settle at once through simulate_refund_event. Both refuse to run
+// unless the fake provider is enabled in the database, which only the
+// local seed does.
+import { supabase } from '../config/supabase';
+import { paths } from '../config/routes';
+
+// Sends one of 'authorized', 'succeeded', 'failed', 'expired' or
+// 'refunded' for a payment; resolves with the updated payment
+export const simulatePaymentEvent = async (paymentId, event) => {
+  const { data, error } = await supabase.rpc('simulate_payment_event', {
+    p_payment_id: paymentId,
+    p_event: event,
+  });
+
+  if (error) throw error;
+  return data;
+};
+
+// Sends 'succeeded' or 'failed' for a refund; resolves with the updated refund
+export const simulateRefundEvent = async (refundId, event) => {
+  const { data, error } = await supabase.rpc('simulate_refund_event', {
+    p_refund_id: refundId,
+    p_event: event,
+  });
+
+  if (error) throw error;
+  return data;
+};
+
+export const fakePaymentProvider = {
+  id: 'fake',
+  label: 'Test payments',
+  startCheckout: async (payment) => paths.pay(payment.id),
+};
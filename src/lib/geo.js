@@ -0,0 +1,60 @@
+// lib/geo.js
+// Small geometry helpers for points shaped { lat, lng }.
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance in metres
+export const distanceInMeters = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// '850 m' or '2.4 km'
+export const formatDistance = (meters) =>
+  meters < 1000 ? `${Math.max(Math.round(meters / 10) * 10, 0)} m` : `${(meters / 1000).toFixed(1)} km`;
+
+// Google Maps directions to a point, for the rider's or owner's phone
+export const getDirectionsUrl = ({ lat, lng }) =>
+  `https://www.google.com/maps/dir/?api=1&destination=${lat},${lng}`;
+
+// GeoJSON Polygon / MultiPolygon as a list of polygons, each a list of
+// rings of [lng, lat] positions (outer ring first, then holes)
+const toPolygons = (geometry) => {
+  if (geometry?.type === 'Polygon') return [geometry.coordinates];
+  if (geometry?.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+};
+
+// Ray casting; same rule as geojson_ring_contains() in the database
+const ringContains = (ring, { lat, lng }) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Whether a point lies inside a GeoJSON Polygon or MultiPolygon
+export const isPointInGeometry = (point, geometry) =>
+  toPolygons(geometry).some(([outer, ...holes]) =>
+    outer && ringContains(outer, point) && !holes.some(hole => ringContains(hole, point)));
+
+// Mean of the outer-ring vertices as { lat, lng }, or null; mirrors
+// geojson_center() in the database
+export const getGeometryCenter = (geometry) => {
+  const positions = toPolygons(geometry).flatMap(([outer]) => outer || []);
+  if (positions.length === 0) return null;
+  return {
+    lat: positions.reduce((sum, [, lat]) => sum + lat, 0) / positions.length,
+    lng: positions.reduce((sum, [lng]) => sum + lng, 0) / positions.length,
+  };
+};
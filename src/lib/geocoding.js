@@ -0,0 +1,73 @@
+// lib/geocoding.js
+// Turns a map pin into a readable address and a delivery zone. Uses the
+// Google Maps Geocoder, so the Maps script has to be loaded first
+// (useJsApiLoader).
+import { ILIGAN_BOUNDS } from '../config/constants';
+import { findZoneAtPoint } from './deliveryZones';
+
+// 'Brgy. Santo Rosario' and 'Sto. Rosario' style variations compare equal
+const normalizePlaceName = (name) =>
+  String(name || '')
+    .toLowerCase()
+    .replace(/^(brgy\.?|barangay)\s+/, '')
+    .replace(/\bsto\b\.?/g, 'santo')
+    .replace(/\bsta\b\.?/g, 'santa')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+export const isWithinIliganBounds = ({ lat, lng }) =>
+  lat >= ILIGAN_BOUNDS.south && lat <= ILIGAN_BOUNDS.north
+  && lng >= ILIGAN_BOUNDS.west && lng <= ILIGAN_BOUNDS.east;
+
+// One-off reading of the device's position as { lat, lng }
+export const getDevicePosition = () => new Promise((resolve, reject) => {
+  if (typeof navigator === 'undefined' || !navigator.geolocation) {
+    reject(new Error('This device cannot share its location. Drop the pin on the map instead.'));
+    return;
+  }
+  navigator.geolocation.getCurrentPosition(
+    ({ coords }) => resolve({ lat: coords.latitude, lng: coords.longitude }),
+    (error) => reject(new Error(error.code === error.PERMISSION_DENIED
+      ? 'Location access is blocked. Drop the pin on the map instead.'
+      : 'Could not find your location. Drop the pin on the map instead.')),
+    { enableHighAccuracy: true, timeout: 15000 }
+  );
+});
+
+// The active zone named by any component of the geocoder results, most
+// specific result first, or null
+export const findZoneForPlace = (results, zones) => {
+  const zonesByName = new Map(zones.map(zone => [normalizePlaceName(zone.barangay_name), zone]));
+  for (const result of results) {
+    for (const component of result.address_components || []) {
+      const zone = zonesByName.get(normalizePlaceName(component.long_name))
+        || zonesByName.get(normalizePlaceName(component.short_name));
+      if (zone) return zone;
+    }
+  }
+  return null;
+};
+
+// The zone whose boundary holds the pin. Zones still without a boundary
+// are matched by the barangay names the geocoder returns.
+const findZoneForPoint = (point, results, zones) => {
+  if (!isWithinIliganBounds(point)) return null;
+  return findZoneAtPoint(zones, point)
+    || findZoneForPlace(results, zones.filter(zone => !zone.boundary));
+};
+
+// Resolves with { lat, lng, formattedAddress, barangay } for a pin.
+// `barangay` is null when the pin is outside Iligan City or in a barangay
+// without an active delivery zone.
+export const locateAddress = async (point, zones) => {
+  const { results } = await new window.google.maps.Geocoder().geocode({ location: point });
+  if (!results || results.length === 0) throw new Error('We could not find an address at that spot. Try moving the pin.');
+
+  const zone = findZoneForPoint(point, results, zones);
+  return {
+    lat: point.lat,
+    lng: point.lng,
+    formattedAddress: results[0].formatted_address,
+    barangay: zone?.barangay_name || null,
+  };
+};
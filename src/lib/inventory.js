@@ -0,0 +1,36 @@
+// lib/inventory.js
+// Stock rules shared by the menu, the basket and the owner's Products tab.
+// A null `stock` means unlimited (made to order); place_order() decrements
+// the rest and a cancelled order puts its portions back (see
+// supabase/migrations).
+
+export const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+export const isUnlimitedStock = (item) => item.stock == null;
+
+export const isSoldOut = (item) => !isUnlimitedStock(item) && item.stock <= 0;
+
+export const isLowStock = (item) =>
+  !isUnlimitedStock(item)
+  && !isSoldOut(item)
+  && item.stock <= (item.low_stock_threshold ?? DEFAULT_LOW_STOCK_THRESHOLD);
+
+// How many more of `item` fit in the basket given `quantityInCart`
+export const getRemainingStock = (item, quantityInCart = 0) =>
+  (isUnlimitedStock(item) ? Infinity : Math.max(item.stock - quantityInCart, 0));
+
+// Short label for menus: 'Sold out', 'Only 3 left' or '' when plenty is left
+export const describeStockForCustomer = (item) => {
+  if (isSoldOut(item)) return 'Sold out';
+  if (isLowStock(item)) return `Only ${item.stock} left`;
+  return '';
+};
+
+// Label for the owner's product cards
+export const describeStockForOwner = (item) => {
+  if (isUnlimitedStock(item)) return 'Made to order';
+  if (isSoldOut(item)) return 'Sold out';
+  return `Stock: ${item.stock}`;
+};
+
+export const getLowStockItems = (items) => items.filter(item => isLowStock(item) || isSoldOut(item));
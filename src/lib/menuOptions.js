@@ -0,0 +1,153 @@
+// lib/menuOptions.js
+// Option groups (sizes, required choices, paid add-ons) on menu items.
+// Selection rules and prices mirror price_basket_line() in supabase/migrations.
+import { supabase } from '../config/supabase';
+
+// Nested select for food_items queries
+export const OPTION_GROUPS_SELECT = `
+  option_groups (
+    id,
+    name,
+    min_select,
+    max_select,
+    sort_order,
+    option_choices ( id, name, price_delta, is_available, sort_order )
+  )
+`;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const bySortOrder = (a, b) => (a.sort_order ?? 0) - (b.sort_order ?? 0) || String(a.name).localeCompare(String(b.name));
+
+export const sortOptionGroups = (groups = []) =>
+  [...groups]
+    .sort(bySortOrder)
+    .map(group => ({ ...group, option_choices: [...(group.option_choices || [])].sort(bySortOrder) }));
+
+export const hasOptionGroups = (foodItem) => (foodItem?.option_groups?.length || 0) > 0;
+
+export const isRequiredGroup = (group) => group.min_select > 0;
+
+// "Pick 1", "Pick up to 3", "Pick 2 to 4"
+export const describeGroupRule = (group) => {
+  if (group.min_select === group.max_select) return `Pick ${group.max_select}`;
+  if (group.min_select === 0) return `Pick up to ${group.max_select}`;
+  return `Pick ${group.min_select} to ${group.max_select}`;
+};
+
+// { groupId: message } for every group whose selection breaks its min/max
+export const validateOptionSelection = (groups, selectedIds) => {
+  const selected = new Set(selectedIds);
+  return groups.reduce((errors, group) => {
+    const count = (group.option_choices || []).filter(choice => selected.has(choice.id)).length;
+    if (count < group.min_select || count > group.max_select) {
+      errors[group.id] = `${describeGroupRule(group)} for ${group.name}`;
+    }
+    return errors;
+  }, {});
+};
+
+// Snapshot of the picked choices as stored on cart lines and order_items
+export const buildSelectedOptions = (groups, selectedIds) => {
+  const selected = new Set(selectedIds);
+  return groups.flatMap(group => (group.option_choices || [])
+    .filter(choice => selected.has(choice.id))
+    .map(choice => ({
+      group_id: group.id,
+      group_name: group.name,
+      choice_id: choice.id,
+      choice_name: choice.name,
+      price_delta: Number(choice.price_delta || 0),
+    })));
+};
+
+export const getUnitPrice = (basePrice, options = []) =>
+  round(Number(basePrice) + options.reduce((sum, option) => sum + Number(option.price_delta || 0), 0));
+
+// Identifies a cart line: the same item with different choices is a separate line
+export const getOptionsKey = (options = []) => options.map(option => option.choice_id).sort().join(',');
+
+// "Large, Extra rice (+₱15.00)"
+export const formatSelectedOptions = (options = []) =>
+  options
+    .map(option => (Number(option.price_delta) > 0
+      ? `${option.choice_name} (+₱${Number(option.price_delta).toFixed(2)})`
+      : option.choice_name))
+    .join(', ');
+
+export const fetchOptionGroups = async (foodItemId) => {
+  const { data, error } = await supabase
+    .from('food_items')
+    .select(OPTION_GROUPS_SELECT)
+    .eq('food_item_id', foodItemId)
+    .maybeSingle();
+  if (error) throw error;
+  return sortOptionGroups(data?.option_groups || []);
+};
+
+// Replaces the item's option groups with `groups` in one transaction
+// (replace_option_groups). Ids are kept (new rows get one client-side) so
+// choices already sitting in customers' carts still match.
+export const saveOptionGroups = async (foodItemId, groups) => {
+  const { error } = await supabase.rpc('replace_option_groups', {
+    p_food_item_id: foodItemId,
+    p_groups: groups.map(group => ({
+      id: group.id,
+      name: group.name.trim(),
+      min_select: Number(group.min_select) || 0,
+      max_select: Math.max(Number(group.max_select) || 1, Number(group.min_select) || 0, 1),
+      choices: (group.option_choices || []).map(choice => ({
+        id: choice.id,
+        name: choice.name.trim(),
+        price_delta: Number(choice.price_delta) || 0,
+        is_available: choice.is_available !== false,
+      })),
+    })),
+  });
+  if (error) throw error;
+};
+
+// The biggest discount a customer can put together: in each group the
+// cheapest choices it requires, plus any other negative ones it allows
+const getLowestOptionsDelta = (groups) => groups.reduce((total, group) => {
+  const deltas = (group.option_choices || []).map(choice => Number(choice.price_delta) || 0).sort((a, b) => a - b);
+  const min = Number(group.min_select) || 0;
+  const max = Number(group.max_select) || 0;
+  const picked = deltas.slice(0, max).filter((delta, index) => index < min || delta < 0);
+  return total + picked.reduce((sum, delta) => sum + delta, 0);
+}, 0);
+
+// Owner-side check before saving; returns a message or null. Like
+// price_basket_line(), no set of choices may take the item below ₱0.
+export const validateOptionGroupsDraft = (groups, basePrice = 0) => {
+  for (const group of groups) {
+    if (!group.name.trim()) return 'Every option group needs a name.';
+    const name = group.name.trim();
+    const choices = group.option_choices || [];
+    const min = Number(group.min_select) || 0;
+    const max = Number(group.max_select) || 0;
+    if (choices.length === 0) return `${name} needs at least one choice.`;
+    if (choices.some(choice => !choice.name.trim())) return `Every choice in ${name} needs a name.`;
+    if (max < 1 || min > max) return `${name}: the maximum must be at least 1 and not below the minimum.`;
+    if (min > choices.length) return `${name} requires ${min} choices but only has ${choices.length}.`;
+  }
+  if (Number(basePrice) + getLowestOptionsDelta(groups) < 0) {
+    return 'Some combinations of choices would make the item cost less than ₱0. Lower the discounts on its options.';
+  }
+  return null;
+};
+
+export const newOptionGroup = () => ({
+  id: crypto.randomUUID(),
+  name: '',
+  min_select: 0,
+  max_select: 1,
+  option_choices: [],
+});
+
+export const newOptionChoice = () => ({
+  id: crypto.randomUUID(),
+  name: '',
+  price_delta: 0,
+  is_available: true,
+});
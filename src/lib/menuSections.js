@@ -0,0 +1,60 @@
+// lib/menuSections.js
+// Owner-defined sections that organise a restaurant's menu page.
+import { supabase } from '../config/supabase';
+
+export const UNSECTIONED_ID = 'more';
+
+export const fetchMenuSections = async (restaurantId) => {
+  const { data, error } = await supabase
+    .from('menu_sections')
+    .select('id, name, sort_order')
+    .eq('restaurant_id', restaurantId)
+    .order('sort_order', { ascending: true })
+    .order('name', { ascending: true });
+  if (error) throw error;
+  return data || [];
+};
+
+export const createMenuSection = async (restaurantId, name, sortOrder) => {
+  const { data, error } = await supabase
+    .from('menu_sections')
+    .insert({ restaurant_id: restaurantId, name: name.trim(), sort_order: sortOrder })
+    .select('id, name, sort_order')
+    .single();
+  if (error) throw error;
+  return data;
+};
+
+export const renameMenuSection = async (sectionId, name) => {
+  const { error } = await supabase.from('menu_sections').update({ name: name.trim() }).eq('id', sectionId);
+  if (error) throw error;
+};
+
+// Items in the section fall back to "More" (food_items.section_id is set null)
+export const deleteMenuSection = async (sectionId) => {
+  const { error } = await supabase.from('menu_sections').delete().eq('id', sectionId);
+  if (error) throw error;
+};
+
+// Saves the order of `sections` as shown
+export const saveMenuSectionOrder = async (sections) => {
+  const results = await Promise.all(sections.map((section, index) =>
+    supabase.from('menu_sections').update({ sort_order: index }).eq('id', section.id)
+  ));
+  const failed = results.find(result => result.error);
+  if (failed) throw failed.error;
+};
+
+// [{ id, name, items }] in section order, skipping empty sections. Items
+// with no section (or a deleted one) are collected under "More" at the end.
+export const groupMenuBySection = (items, sections) => {
+  const groups = sections.map(section => ({ id: section.id, name: section.name, items: [] }));
+  const byId = new Map(groups.map(group => [group.id, group]));
+  const unsectioned = { id: UNSECTIONED_ID, name: groups.length > 0 ? 'More' : 'Menu', items: [] };
+
+  items.forEach(item => {
+    (byId.get(item.section_id) || unsectioned).items.push(item);
+  });
+
+  return [...groups, unsectioned].filter(group => group.items.length > 0);
+};
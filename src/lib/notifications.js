@@ -0,0 +1,47 @@
+// lib/notifications.js
+// New-order alerts for the owner dashboard: a short chime plus a desktop
+// notification when the browser allows it.
+let audioContext = null;
+
+// Browsers only allow audio after a user gesture, so call this from a click
+// handler once to unlock the chime for later alerts.
+export const unlockAlertSound = () => {
+  if (typeof window === 'undefined') return;
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+  if (!audioContext) audioContext = new AudioContextClass();
+  if (audioContext.state === 'suspended') audioContext.resume();
+};
+
+export const playAlertSound = () => {
+  if (!audioContext) return;
+  const now = audioContext.currentTime;
+  [880, 1175].forEach((frequency, index) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.type = 'sine';
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.0001, now + index * 0.18);
+    gain.gain.exponentialRampToValueAtTime(0.3, now + index * 0.18 + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, now + index * 0.18 + 0.16);
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(now + index * 0.18);
+    oscillator.stop(now + index * 0.18 + 0.17);
+  });
+};
+
+export const requestNotificationPermission = async () => {
+  if (typeof window === 'undefined' || !('Notification' in window)) return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+  return Notification.requestPermission();
+};
+
+export const showDesktopNotification = (title, body) => {
+  if (typeof window === 'undefined' || !('Notification' in window)) return;
+  if (Notification.permission !== 'granted') return;
+  try {
+    new Notification(title, { body, icon: '/vite.svg' });
+  } catch (e) {
+    console.error('Failed to show notification:', e);
+  }
+};
@@ -0,0 +1,214 @@
+// lib/openingHours.js
+// Whether a restaurant is open right now, worked out from its weekly hours,
+// closure days and a temporary pause, all in Manila time. Mirrors
+// is_restaurant_open() in supabase/migrations, which checkout relies on.
+import { supabase } from '../config/supabase';
+import { getManilaClock, getManilaDateKey, parseTimeToMinutes, formatMinutes } from './time';
+
+export const PAUSE_MINUTES = 30;
+
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const SHORT_WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const RESTAURANT_STATUS = {
+  OPEN: 'open',
+  OUTSIDE_HOURS: 'outside_hours',
+  PAUSED: 'paused',
+  CLOSURE: 'closure',
+  DISABLED: 'disabled',
+};
+
+// Nested select for restaurants queries
+export const RESTAURANT_HOURS_SELECT = `
+  is_open,
+  paused_until,
+  restaurant_hours ( weekday, opens_at, closes_at ),
+  restaurant_closures ( starts_on, ends_on, reason )
+`;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const LOOKAHEAD_DAYS = 8;
+
+const getWindows = (restaurant) =>
+  (restaurant.restaurant_hours || []).map(hours => ({
+    weekday: Number(hours.weekday),
+    from: parseTimeToMinutes(hours.opens_at),
+    until: parseTimeToMinutes(hours.closes_at),
+  }));
+
+const getClosure = (restaurant, date) => {
+  const day = getManilaDateKey(date);
+  return (restaurant.restaurant_closures || []).find(closure => day >= closure.starts_on && day <= closure.ends_on) || null;
+};
+
+// A window whose closing time is earlier than its opening time runs past
+// midnight into the next day.
+const isWithinHours = (windows, { weekday, minutes }) => {
+  if (windows.length === 0) return true;
+  const yesterday = (weekday + 6) % 7;
+  return windows.some(({ weekday: day, from, until }) =>
+    (day === weekday && (from < until ? minutes >= from && minutes < until : minutes >= from))
+    || (day === yesterday && from > until && minutes < until));
+};
+
+// The reason the restaurant is closed at `date`, or OPEN
+const getStatusAt = (restaurant, date) => {
+  if (restaurant.is_open === false) return RESTAURANT_STATUS.DISABLED;
+  if (restaurant.paused_until && date < new Date(restaurant.paused_until)) return RESTAURANT_STATUS.PAUSED;
+  if (getClosure(restaurant, date)) return RESTAURANT_STATUS.CLOSURE;
+  if (!isWithinHours(getWindows(restaurant), getManilaClock(date))) return RESTAURANT_STATUS.OUTSIDE_HOURS;
+  return RESTAURANT_STATUS.OPEN;
+};
+
+export const isRestaurantOpenAt = (restaurant, date) =>
+  Boolean(restaurant) && getStatusAt(restaurant, date) === RESTAURANT_STATUS.OPEN;
+
+// Earliest moment within the next week the restaurant opens, or null.
+// Only opening times, midnights and the end of a pause can be that moment,
+// so just those are checked.
+const getNextOpening = (restaurant, now) => {
+  if (restaurant.is_open === false) return null;
+
+  const clock = getManilaClock(now);
+  const startOfToday = now.getTime() - clock.minutes * MINUTE_MS - (now.getTime() % MINUTE_MS);
+  const windows = getWindows(restaurant);
+
+  const candidates = [];
+  for (let day = 0; day <= LOOKAHEAD_DAYS; day++) {
+    const dayStart = startOfToday + day * DAY_MS;
+    const weekday = (clock.weekday + day) % 7;
+    candidates.push(dayStart);
+    windows
+      .filter(window => window.weekday === weekday)
+      .forEach(window => candidates.push(dayStart + window.from * MINUTE_MS));
+  }
+  if (restaurant.paused_until) candidates.push(new Date(restaurant.paused_until).getTime());
+
+  const next = candidates
+    .filter(time => time > now.getTime())
+    .sort((a, b) => a - b)
+    .find(time => getStatusAt(restaurant, new Date(time)) === RESTAURANT_STATUS.OPEN);
+  return next ? new Date(next) : null;
+};
+
+// "Opens at 10:00 AM", "Opens tomorrow at 10:00 AM", "Opens Mon at 10:00 AM"
+export const describeOpening = (opensAt, now = new Date()) => {
+  if (!opensAt) return 'Closed';
+  const { weekday, minutes } = getManilaClock(opensAt);
+  const time = formatMinutes(minutes);
+  if (getManilaDateKey(opensAt) === getManilaDateKey(now)) return `Opens at ${time}`;
+  if (getManilaDateKey(opensAt) === getManilaDateKey(new Date(now.getTime() + DAY_MS))) return `Opens tomorrow at ${time}`;
+  return `Opens ${SHORT_WEEKDAY_NAMES[weekday]} at ${time}`;
+};
+
+// { isOpen, reason, opensAt, label } for showing and gating a restaurant
+export const getRestaurantStatus = (restaurant, now = new Date()) => {
+  if (!restaurant) return { isOpen: false, reason: RESTAURANT_STATUS.DISABLED, opensAt: null, label: 'Closed' };
+
+  const reason = getStatusAt(restaurant, now);
+  if (reason === RESTAURANT_STATUS.OPEN) {
+    return { isOpen: true, reason, opensAt: null, label: 'Open now' };
+  }
+
+  const opensAt = getNextOpening(restaurant, now);
+  let label = describeOpening(opensAt, now);
+  if (reason === RESTAURANT_STATUS.PAUSED) label = `Not taking orders · ${label}`;
+  if (reason === RESTAURANT_STATUS.CLOSURE) label = `${getClosure(restaurant, now).reason || 'Closed today'} · ${label}`;
+  if (reason === RESTAURANT_STATUS.DISABLED) label = 'Closed until further notice';
+  return { isOpen: false, reason, opensAt, label };
+};
+
+// [{ weekday, name, windows: ['10:00 AM – 9:00 PM'] }] for display
+export const describeWeeklyHours = (restaurant) => {
+  const windows = getWindows(restaurant);
+  return WEEKDAY_NAMES.map((name, weekday) => ({
+    weekday,
+    name,
+    windows: windows
+      .filter(window => window.weekday === weekday)
+      .sort((a, b) => a.from - b.from)
+      .map(window => `${formatMinutes(window.from)} – ${formatMinutes(window.until)}`),
+  }));
+};
+
+// Restaurants with everything getRestaurantStatus() and deliversToZone()
+// need, by id
+export const fetchRestaurantsWithHours = async (restaurantIds) => {
+  if (restaurantIds.length === 0) return [];
+  const { data, error } = await supabase
+    .from('restaurants')
+    .select(`id, name, address_barangay, delivery_radius_km, ${RESTAURANT_HOURS_SELECT}`)
+    .in('id', restaurantIds);
+  if (error) throw error;
+  return data || [];
+};
+
+export const fetchOpeningSchedule = async (restaurantId) => {
+  const [hoursResult, closuresResult] = await Promise.all([
+    supabase
+      .from('restaurant_hours')
+      .select('weekday, opens_at, closes_at')
+      .eq('restaurant_id', restaurantId)
+      .order('weekday', { ascending: true })
+      .order('opens_at', { ascending: true }),
+    supabase
+      .from('restaurant_closures')
+      .select('id, starts_on, ends_on, reason')
+      .eq('restaurant_id', restaurantId)
+      .gte('ends_on', getManilaDateKey())
+      .order('starts_on', { ascending: true }),
+  ]);
+  if (hoursResult.error) throw hoursResult.error;
+  if (closuresResult.error) throw closuresResult.error;
+  return { hours: hoursResult.data || [], closures: closuresResult.data || [] };
+};
+
+// Replaces the weekly hours with `hours` ([{ weekday, opens_at, closes_at }])
+// in one transaction
+export const saveWeeklyHours = async (restaurantId, hours) => {
+  const { error } = await supabase.rpc('replace_restaurant_hours', {
+    p_restaurant_id: restaurantId,
+    p_hours: hours.map(({ weekday, opens_at, closes_at }) => ({ weekday, opens_at, closes_at })),
+  });
+  if (error) throw error;
+};
+
+export const addClosure = async (restaurantId, { starts_on, ends_on, reason }) => {
+  const { data, error } = await supabase
+    .from('restaurant_closures')
+    .insert({ restaurant_id: restaurantId, starts_on, ends_on: ends_on || starts_on, reason: reason?.trim() || null })
+    .select('id, starts_on, ends_on, reason')
+    .single();
+  if (error) throw error;
+  return data;
+};
+
+export const deleteClosure = async (closureId) => {
+  const { error } = await supabase.from('restaurant_closures').delete().eq('id', closureId);
+  if (error) throw error;
+};
+
+// Pass `minutes: 0` to resume straight away. Resolves with the updated restaurant.
+export const pauseOrders = async (restaurantId, minutes = PAUSE_MINUTES) => {
+  const pausedUntil = minutes > 0 ? new Date(Date.now() + minutes * MINUTE_MS).toISOString() : null;
+  const { data, error } = await supabase
+    .from('restaurants')
+    .update({ paused_until: pausedUntil })
+    .eq('id', restaurantId)
+    .select('*')
+    .single();
+  if (error) throw error;
+  return data;
+};
+
+export const setAcceptingOrders = async (restaurantId, isOpen) => {
+  const { data, error } = await supabase
+    .from('restaurants')
+    .update({ is_open: isOpen })
+    .eq('id', restaurantId)
+    .select('*')
+    .single();
+  if (error) throw error;
+  return data;
+};
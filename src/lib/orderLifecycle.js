@@ -0,0 +1,174 @@
+// lib/orderLifecycle.js
+// Single source of truth for the order state machine. Every screen that shows
+// a status, moves an order forward or cancels one reads from here.
+import { supabase } from '../config/supabase';
+
+export const ORDER_STATUS = {
+  SCHEDULED: 'Scheduled',
+  PENDING: 'Pending',
+  PREPARING: 'Preparing',
+  DRIVER_ASSIGNED: 'Driver Assigned',
+  OUT_FOR_DELIVERY: 'Out for Delivery',
+  DELIVERED: 'Delivered',
+  COMPLETED: 'Completed',
+  CANCELLED: 'Cancelled',
+};
+
+export const ORDER_ROLES = {
+  CUSTOMER: 'customer',
+  OWNER: 'owner',
+  RIDER: 'rider',
+};
+
+// Display order for filters and dropdowns
+export const ORDER_STATUSES = Object.values(ORDER_STATUS);
+
+// The "happy path" an order walks through; used for progress bars
+const DELIVERY_PATH = [
+  ORDER_STATUS.PENDING,
+  ORDER_STATUS.PREPARING,
+  ORDER_STATUS.DRIVER_ASSIGNED,
+  ORDER_STATUS.OUT_FOR_DELIVERY,
+  ORDER_STATUS.DELIVERED,
+];
+
+const STATUS_META = {
+  [ORDER_STATUS.SCHEDULED]: {
+    label: 'Scheduled',
+    bg: '#EDE9FE', text: '#7C3AED',
+    trackingText: 'Your order is booked. The restaurant starts on it shortly before your delivery time.',
+  },
+  [ORDER_STATUS.PENDING]: {
+    label: 'Pending',
+    bg: '#FEF3C7', text: '#F59E0B',
+    trackingText: 'Waiting for the restaurant to accept your order.',
+  },
+  [ORDER_STATUS.PREPARING]: {
+    label: 'Preparing',
+    bg: '#E0F2F7', text: '#003366',
+    trackingText: 'The restaurant is preparing your food.',
+  },
+  [ORDER_STATUS.DRIVER_ASSIGNED]: {
+    label: 'Driver Assigned',
+    bg: '#DBEAFE', text: '#3B82F6',
+    trackingText: 'A rider is heading to the restaurant.',
+  },
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: {
+    label: 'Out for Delivery',
+    bg: '#DBEAFE', text: '#3B82F6',
+    trackingText: 'Your rider is en route to your location.',
+  },
+  [ORDER_STATUS.DELIVERED]: {
+    label: 'Delivered',
+    bg: '#D1FAE5', text: '#10B981',
+    trackingText: 'Order delivered successfully!',
+  },
+  [ORDER_STATUS.COMPLETED]: {
+    label: 'Completed',
+    bg: '#D1FAE5', text: '#10B981',
+    trackingText: 'Order completed. Enjoy your meal!',
+  },
+  [ORDER_STATUS.CANCELLED]: {
+    label: 'Cancelled',
+    bg: '#FEE2E2', text: '#EF4444',
+    trackingText: 'This order was cancelled.',
+  },
+};
+
+const UNKNOWN_META = { bg: '#F3F4F6', text: '#6B7280', trackingText: '' };
+
+// from -> { to: [roles allowed to make that move] }
+// The database enforces the same table (guard_order_status_change in
+// supabase/migrations); change both together.
+// The first entry is the "primary" next step shown on buttons. Cancelling
+// is not a plain status move: it needs a reason and may refund, so it goes
+// through lib/cancellations.js.
+// Scheduled orders normally move to Pending on their own (see
+// release_scheduled_orders in supabase/migrations); the owner can also
+// start one early. A rider takes a Preparing order to Driver Assigned by
+// accepting it (accept_order in supabase/migrations); the owner can move it
+// there too when the shop delivers it itself or no rider picks it up.
+const TRANSITIONS = {
+  [ORDER_STATUS.SCHEDULED]: {
+    [ORDER_STATUS.PENDING]: [ORDER_ROLES.OWNER],
+  },
+  [ORDER_STATUS.PENDING]: {
+    [ORDER_STATUS.PREPARING]: [ORDER_ROLES.OWNER],
+  },
+  [ORDER_STATUS.PREPARING]: {
+    [ORDER_STATUS.DRIVER_ASSIGNED]: [ORDER_ROLES.RIDER, ORDER_ROLES.OWNER],
+  },
+  [ORDER_STATUS.DRIVER_ASSIGNED]: {
+    [ORDER_STATUS.OUT_FOR_DELIVERY]: [ORDER_ROLES.OWNER, ORDER_ROLES.RIDER],
+  },
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: {
+    [ORDER_STATUS.DELIVERED]: [ORDER_ROLES.OWNER, ORDER_ROLES.RIDER],
+  },
+  [ORDER_STATUS.DELIVERED]: {
+    [ORDER_STATUS.COMPLETED]: [ORDER_ROLES.CUSTOMER, ORDER_ROLES.OWNER],
+  },
+  [ORDER_STATUS.COMPLETED]: {},
+  [ORDER_STATUS.CANCELLED]: {},
+};
+
+export const getStatusMeta = (status) => ({
+  label: status,
+  ...(STATUS_META[status] || UNKNOWN_META),
+});
+
+export const isTerminalStatus = (status) =>
+  status === ORDER_STATUS.COMPLETED || status === ORDER_STATUS.CANCELLED;
+
+export const canTransition = (from, to, role) =>
+  Boolean(TRANSITIONS[from]?.[to]?.includes(role));
+
+// All statuses `role` may move an order to from `status`
+export const getAllowedTransitions = (status, role) =>
+  Object.entries(TRANSITIONS[status] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([to]) => to);
+
+// The forward step for `role`, or null if there is none
+export const getNextStatus = (status, role) =>
+  getAllowedTransitions(status, role)[0] || null;
+
+// True once `status` has reached or passed `target` on the delivery path
+export const hasReachedStatus = (status, target) => {
+  if (status === ORDER_STATUS.COMPLETED) return target !== ORDER_STATUS.CANCELLED;
+  const index = DELIVERY_PATH.indexOf(status);
+  const targetIndex = DELIVERY_PATH.indexOf(target);
+  return index !== -1 && targetIndex !== -1 && index >= targetIndex;
+};
+
+// 0-100 progress along the delivery path
+export const getStatusProgress = (status) => {
+  if (status === ORDER_STATUS.COMPLETED) return 100;
+  const index = DELIVERY_PATH.indexOf(status);
+  if (index === -1) return 0;
+  return Math.round((index / (DELIVERY_PATH.length - 1)) * 100);
+};
+
+export const assertTransition = (from, to, role) => {
+  if (!canTransition(from, to, role)) {
+    throw new Error(`An order that is "${from}" cannot be moved to "${to}" by the ${role}.`);
+  }
+};
+
+// Validates the move locally, then writes it only if nobody else has changed
+// the order's status in the meantime. Resolves with the updated row.
+export const updateOrderStatus = async (order, nextStatus, role) => {
+  assertTransition(order.status, nextStatus, role);
+
+  const { data, error } = await supabase
+    .from('orders')
+    .update({ status: nextStatus })
+    .eq('id', order.id)
+    .eq('status', order.status)
+    .select();
+
+  if (error) throw error;
+  if (!data || data.length === 0) {
+    throw new Error('This order was updated elsewhere. Please refresh and try again.');
+  }
+  return data[0];
+};
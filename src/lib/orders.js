@@ -0,0 +1,78 @@
+// lib/orders.js
+import { supabase } from '../config/supabase';
+import { toOrderLines } from './cart';
+import { RIDER_CONTACT_SELECT } from './riders';
+
+// Places the whole basket in one server-side transaction (see the
+// place_order migration). Prices, stock and fees for the barangay's
+// delivery zone are all decided by the database; the client only sends
+// what was picked and where it goes.
+// Resolves with the parent checkout and an `orders` array holding one
+// order per restaurant, each with its items and restaurant name.
+// `location` is the { lat, lng } pinned at checkout, stored as the exact
+// drop-off point. `scheduledFor` (ISO string) books the order for a later
+// delivery slot; leave it null for as soon as possible.
+export const placeOrder = async ({ cart, contactName, contactPhone, shippingAddress, barangay, location, riderNotes = '', paymentMethod, promoCode = null, scheduledFor = null }) => {
+  const { data, error } = await supabase.rpc('place_order', {
+    p_items: toOrderLines(cart),
+    p_address: {
+      contact_name: contactName,
+      contact_phone: contactPhone,
+      shipping_address: shippingAddress,
+      barangay,
+      lat: location.lat,
+      lng: location.lng,
+      rider_notes: riderNotes.trim() || null,
+    },
+    p_payment_method: paymentMethod,
+    p_promo_code: promoCode,
+    p_scheduled_for: scheduledFor,
+  });
+
+  if (error) throw error;
+  if (!data) throw new Error('Failed to create order, no data returned.');
+  return data;
+};
+
+// Columns a customer needs to show an order: its restaurant, rider and
+// items. Older orders placed before checkouts were split only know their
+// restaurant through the items.
+export const CUSTOMER_ORDER_SELECT = `
+  *,
+  restaurants ( name, image_url, address_barangay ),
+  ${RIDER_CONTACT_SELECT},
+  refunds ( amount, status, processed_at ),
+  reviews ( id, rating, created_at ),
+  order_items (
+    food_item_id,
+    name,
+    price,
+    quantity,
+    options,
+    food_items (
+      restaurant_id,
+      food_item_id,
+      image_url,
+      restaurants (
+        name,
+        image_url
+      )
+    )
+  )
+`;
+
+export const getOrderRestaurantName = (order) =>
+  order.restaurants?.name
+  || order.order_items?.find(item => item.food_items?.restaurants)?.food_items.restaurants.name
+  || 'Unknown Restaurant';
+
+export const fetchOrder = async (orderId) => {
+  const { data, error } = await supabase
+    .from('orders')
+    .select(CUSTOMER_ORDER_SELECT)
+    .eq('id', orderId)
+    .single();
+
+  if (error) throw error;
+  return { ...data, restaurant_name: getOrderRestaurantName(data) };
+};
@@ -0,0 +1,147 @@
+// lib/payments.js
+// Paying for e-wallet and card checkouts. A payment intent is opened in
+// the database for the whole checkout, the customer is sent to the
+// provider's checkout step, and the provider's callbacks settle it (see
+// the payments migration). COD orders never get an intent; they count as
+// paid once delivered.
+//
+// A provider is { id, label, startCheckout(payment) }: `startCheckout`
+// resolves with the URL or in-app path to send the customer to. Success,
+// failure and expiry arrive later through the provider's callbacks, and so
+// do refunds: the provider's server picks up pending rows of the refunds
+// table and settles them through apply_refund_event(). The provider is
+// picked with VITE_PAYMENT_PROVIDER and has to be enabled in the
+// payment_providers table. Development builds fall back to the fake
+// provider; production builds without a real one only offer cash on
+// delivery.
+import { supabase } from '../config/supabase';
+import { navigate } from './router';
+import { fakePaymentProvider } from './fakePaymentProvider';
+
+export const PAYMENT_STATUS = {
+  UNPAID: 'unpaid',
+  AUTHORIZED: 'authorized',
+  PAID: 'paid',
+  REFUNDED: 'refunded',
+};
+
+export const PAYMENT_METHODS = [
+  { value: 'COD', label: 'Cash on Delivery (COD) - Preferred' },
+  { value: 'E-Wallet', label: 'GCash/Maya (E-Wallet)' },
+  { value: 'CreditCard', label: 'Credit/Debit Card' },
+];
+
+const PAYMENT_STATUS_META = {
+  [PAYMENT_STATUS.UNPAID]: { label: 'Awaiting payment', bg: '#FEF3C7', text: '#B45309' },
+  [PAYMENT_STATUS.AUTHORIZED]: { label: 'Payment held', bg: '#DBEAFE', text: '#1D4ED8' },
+  [PAYMENT_STATUS.PAID]: { label: 'Paid', bg: '#D1FAE5', text: '#047857' },
+  [PAYMENT_STATUS.REFUNDED]: { label: 'Refunded', bg: '#F3F4F6', text: '#4B5563' },
+};
+
+const PROVIDERS = import.meta.env.DEV ? { [fakePaymentProvider.id]: fakePaymentProvider } : {};
+
+const CONFIGURED_PROVIDER_ID = import.meta.env.VITE_PAYMENT_PROVIDER || (import.meta.env.DEV ? fakePaymentProvider.id : null);
+
+export const isOnlinePayment = (paymentMethod) => Boolean(paymentMethod) && paymentMethod !== 'COD';
+
+export const getPaymentMethodLabel = (paymentMethod) =>
+  PAYMENT_METHODS.find(method => method.value === paymentMethod)?.label || paymentMethod;
+
+// Label and colours for an order's payment, e.g. "Cash on delivery"
+export const getPaymentStatusMeta = (order) => {
+  if (!isOnlinePayment(order.payment_method) && order.payment_status === PAYMENT_STATUS.UNPAID) {
+    return { label: 'Cash on delivery', bg: '#F3F4F6', text: '#4B5563' };
+  }
+  return PAYMENT_STATUS_META[order.payment_status] || PAYMENT_STATUS_META[PAYMENT_STATUS.UNPAID];
+};
+
+// True while an online order still waits for its money
+export const needsPayment = (order) =>
+  isOnlinePayment(order.payment_method) && order.payment_status === PAYMENT_STATUS.UNPAID;
+
+export const getPaymentProvider = (providerId = CONFIGURED_PROVIDER_ID) => {
+  if (!providerId) throw new Error('Online payments are not set up.');
+  const provider = PROVIDERS[providerId];
+  if (!provider) throw new Error(`Unknown payment provider "${providerId}".`);
+  return provider;
+};
+
+// Cash on delivery only, unless a payment provider is set up for this build
+export const getAvailablePaymentMethods = () =>
+  (PROVIDERS[CONFIGURED_PROVIDER_ID] ? PAYMENT_METHODS : PAYMENT_METHODS.filter(method => !isOnlinePayment(method.value)));
+
+export const fetchPayment = async (paymentId) => {
+  const { data, error } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('id', paymentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// The newest payment attempt for a checkout, or null
+export const fetchLatestPayment = async (checkoutId) => {
+  const { data, error } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('checkout_id', checkoutId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Closes a pending payment whose time is up; the checkout's unpaid orders
+// are cancelled with it. Does nothing before `expires_at`.
+export const expirePayment = async (paymentId) => {
+  const { data, error } = await supabase.rpc('expire_payment', { p_payment_id: paymentId });
+  if (error) throw error;
+  return data;
+};
+
+// Cancels online orders that were not paid within 15 minutes of being
+// placed; resolves with how many were cancelled outside an open payment
+export const releaseUnpaidOrders = async () => {
+  const { data, error } = await supabase.rpc('release_unpaid_orders');
+  if (error) throw error;
+  return data || 0;
+};
+
+// Opens (or reuses) the checkout's payment intent with the configured
+// provider and resolves with where to send the customer, or null when the
+// checkout is already paid
+export const startPayment = async (checkoutId) => {
+  const provider = getPaymentProvider();
+  const { data: payment, error } = await supabase.rpc('create_payment_intent', {
+    p_checkout_id: checkoutId,
+    p_provider: provider.id,
+  });
+
+  if (error) throw error;
+  if (payment.status !== 'pending') return null;
+  return provider.startCheckout(payment);
+};
+
+// In-app paths use the router; provider pages are a full page load
+export const goToPaymentCheckout = (target) => {
+  if (target.startsWith('/')) {
+    navigate(target);
+  } else {
+    window.location.assign(target);
+  }
+};
+
+// Ids of the orders a checkout was split into
+export const fetchCheckoutOrderIds = async (checkoutId) => {
+  const { data, error } = await supabase
+    .from('orders')
+    .select('id')
+    .eq('checkout_id', checkoutId);
+
+  if (error) throw error;
+  return (data || []).map(order => order.id);
+};
@@ -0,0 +1,90 @@
+// lib/pricing.js
+// Price breakdown shared by the Cart, Checkout and (mirrored in SQL by
+// compute_order_pricing) the stored order, so the numbers always agree.
+import { getManilaClock, parseTimeToMinutes, isWithinWindow, formatMinutes } from './time';
+import { allocatePromotionDiscounts } from './promotions';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export const EMPTY_BREAKDOWN = {
+  subtotal: 0,
+  deliveryFee: 0,
+  smallOrderFee: 0,
+  discount: 0,
+  total: 0,
+};
+
+// Whether the zone is accepting deliveries right now (Asia/Manila time)
+export const isZoneOpen = (zone, date = new Date()) => {
+  if (!zone) return false;
+  const { minutes } = getManilaClock(date);
+  return isWithinWindow(minutes, parseTimeToMinutes(zone.active_from), parseTimeToMinutes(zone.active_until));
+};
+
+export const describeZoneHours = (zone) => {
+  const from = parseTimeToMinutes(zone?.active_from);
+  const until = parseTimeToMinutes(zone?.active_until);
+  if (from == null || until == null) return 'Delivers all day';
+  return `Delivers ${formatMinutes(from)} – ${formatMinutes(until)}`;
+};
+
+// Breakdown for a single restaurant order delivered to `zone`
+export const computeOrderPricing = ({ subtotal, zone, discount = 0 }) => {
+  const baseFee = Number(zone?.delivery_fee ?? 0);
+  const freeThreshold = zone?.free_delivery_threshold;
+  const deliveryFee = freeThreshold != null && subtotal >= Number(freeThreshold) ? 0 : baseFee;
+  const smallOrderFee = Math.max(Number(zone?.min_order_amount ?? 0) - subtotal, 0);
+  const gross = subtotal + deliveryFee + smallOrderFee;
+  const appliedDiscount = Math.min(Math.max(discount, 0), gross);
+
+  return {
+    subtotal: round(subtotal),
+    deliveryFee: round(deliveryFee),
+    smallOrderFee: round(smallOrderFee),
+    discount: round(appliedDiscount),
+    total: round(gross - appliedDiscount),
+  };
+};
+
+export const sumBreakdowns = (breakdowns) =>
+  breakdowns.reduce((acc, b) => ({
+    subtotal: round(acc.subtotal + b.subtotal),
+    deliveryFee: round(acc.deliveryFee + b.deliveryFee),
+    smallOrderFee: round(acc.smallOrderFee + b.smallOrderFee),
+    discount: round(acc.discount + b.discount),
+    total: round(acc.total + b.total),
+  }), EMPTY_BREAKDOWN);
+
+// Breakdown as stored on an `orders` row by place_order()
+export const breakdownFromOrder = (order) => ({
+  orders: [order],
+  subtotal: Number(order.subtotal ?? order.total ?? 0),
+  deliveryFee: Number(order.delivery_fee ?? 0),
+  smallOrderFee: Number(order.small_order_fee ?? 0),
+  discount: Number(order.discount ?? 0),
+  total: Number(order.total ?? 0),
+});
+
+// Every restaurant in the basket is placed as its own order, so fees are
+// worked out per restaurant and then added up. A promotion's discount is
+// shared out across the restaurant orders it applies to.
+export const computeCartPricing = (cart, zone, promotion = null) => {
+  const subtotals = cart.reduce((acc, item) => {
+    const key = item.restaurant_id || item.restaurant_name;
+    acc[key] = (acc[key] || 0) + item.price * item.quantity;
+    return acc;
+  }, {});
+
+  const undiscounted = Object.entries(subtotals).map(([restaurantId, subtotal]) => ({
+    restaurantId,
+    ...computeOrderPricing({ subtotal, zone }),
+  }));
+
+  const discounts = allocatePromotionDiscounts(undiscounted, promotion);
+  const orders = undiscounted.map(order => ({
+    restaurantId: order.restaurantId,
+    ...computeOrderPricing({ subtotal: order.subtotal, zone, discount: discounts[order.restaurantId] || 0 }),
+  }));
+
+  return { orders, ...sumBreakdowns(orders) };
+};
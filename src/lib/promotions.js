@@ -0,0 +1,72 @@
+// lib/promotions.js
+import { supabase } from '../config/supabase';
+import { toOrderLines } from './cart';
+
+export const PROMO_KINDS = {
+  PERCENT: 'percent',
+  FIXED: 'fixed',
+  FREE_DELIVERY: 'free_delivery',
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Asks the database whether `code` can be used on this basket by the signed
+// in user (dates, limits, first-order and minimum-spend rules). Resolves with
+// the promotion or rejects with a customer-facing message.
+export const checkPromotion = async (code, cart) => {
+  const { data, error } = await supabase.rpc('check_promotion', {
+    p_code: code,
+    p_items: toOrderLines(cart),
+  });
+  if (error) throw error;
+  return data;
+};
+
+export const describePromotion = (promotion) => {
+  if (!promotion) return '';
+  if (promotion.description) return promotion.description;
+  switch (promotion.kind) {
+    case PROMO_KINDS.PERCENT:
+      return `${Number(promotion.value)}% off${promotion.max_discount != null ? ` (up to ₱${Number(promotion.max_discount).toFixed(2)})` : ''}`;
+    case PROMO_KINDS.FIXED:
+      return `₱${Number(promotion.value).toFixed(2)} off`;
+    case PROMO_KINDS.FREE_DELIVERY:
+      return 'Free delivery';
+    default:
+      return promotion.code;
+  }
+};
+
+const isEligible = (order, promotion) =>
+  !promotion.restaurant_id || String(order.restaurantId) === String(promotion.restaurant_id);
+
+// { restaurantId: discount } for each restaurant order in the basket.
+// `orders` are per-restaurant breakdowns computed without a discount.
+// Percent and fixed promos are split in proportion to subtotals, with the
+// last restaurant (by id) taking the rounding remainder; mirrors
+// allocate_promotion() in supabase/migrations.
+export const allocatePromotionDiscounts = (orders, promotion) => {
+  if (!promotion) return {};
+  const eligible = orders
+    .filter(order => isEligible(order, promotion))
+    .sort((a, b) => (String(a.restaurantId) < String(b.restaurantId) ? -1 : 1));
+
+  if (promotion.kind === PROMO_KINDS.FREE_DELIVERY) {
+    return Object.fromEntries(eligible.map(order => [order.restaurantId, order.deliveryFee]));
+  }
+
+  const eligibleSubtotal = eligible.reduce((sum, order) => sum + order.subtotal, 0);
+  if (eligibleSubtotal <= 0) return {};
+
+  let total = promotion.kind === PROMO_KINDS.PERCENT
+    ? round(eligibleSubtotal * Number(promotion.value) / 100)
+    : Math.min(Number(promotion.value), eligibleSubtotal);
+  if (promotion.max_discount != null) total = Math.min(total, Number(promotion.max_discount));
+
+  let left = total;
+  return Object.fromEntries(eligible.map((order, index) => {
+    const share = index === eligible.length - 1 ? round(left) : round(total * order.subtotal / eligibleSubtotal);
+    left -= share;
+    return [order.restaurantId, share];
+  }));
+};
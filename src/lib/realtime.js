@@ -0,0 +1,33 @@
+// lib/realtime.js
+// Thin wrapper over Supabase Realtime postgres_changes so screens subscribe
+// to table changes the same way and always clean their channels up.
+import { supabase } from '../config/supabase';
+
+let channelCount = 0;
+
+// Subscribes to INSERT/UPDATE/DELETE events on `table`, optionally narrowed
+// by a Realtime filter such as `restaurant_id=eq.<id>`. Returns an
+// unsubscribe function.
+export const subscribeToTable = ({ table, filter, onInsert, onUpdate, onDelete }) => {
+  channelCount += 1;
+  const channel = supabase
+    .channel(`${table}:${filter || 'all'}:${channelCount}`)
+    .on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table, ...(filter ? { filter } : {}) },
+      (payload) => {
+        if (payload.eventType === 'INSERT') onInsert?.(payload.new);
+        else if (payload.eventType === 'UPDATE') onUpdate?.(payload.new, payload.old);
+        else if (payload.eventType === 'DELETE') onDelete?.(payload.old);
+      }
+    )
+    .subscribe((status, err) => {
+      if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+        console.error(`Realtime subscription to ${table} failed:`, err || status);
+      }
+    });
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+};
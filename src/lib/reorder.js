@@ -0,0 +1,88 @@
+// lib/reorder.js
+// Rebuilding the basket from a past order. Lines are re-read through
+// validateCart(), so they carry today's prices, stock and opening status,
+// and every difference from the original order is reported back.
+import { ORDER_STATUS, isTerminalStatus } from './orderLifecycle';
+import { CART_ISSUES, getCartLineKey, getCartItemIssue, validateCart } from './cart';
+import { formatSelectedOptions } from './menuOptions';
+
+export const REORDER_CHANGES = {
+  SKIPPED: 'skipped',
+  CHANGED: 'changed',
+};
+
+const SKIP_MESSAGES = {
+  [CART_ISSUES.UNAVAILABLE]: 'No longer on the menu',
+  [CART_ISSUES.OPTIONS_CHANGED]: 'Its options changed; add it again from the menu',
+  [CART_ISSUES.SOLD_OUT]: 'Sold out',
+};
+
+const formatPeso = (value) => `₱${Number(value).toFixed(2)}`;
+
+// Orders that are still on their way can't be reordered yet
+export const canReorder = (order) =>
+  (isTerminalStatus(order.status) || order.status === ORDER_STATUS.DELIVERED)
+  && (order.order_items || []).length > 0;
+
+// The order's lines as cart lines at the price paid; the same dish with
+// the same options twice becomes one line
+const toReorderLines = (order) => {
+  const lines = new Map();
+  (order.order_items || []).forEach(item => {
+    if (!item.food_item_id) return;
+    const line = {
+      id: item.food_item_id,
+      name: item.name,
+      price: Number(item.price),
+      options: item.options || [],
+      quantity: item.quantity,
+      restaurant_id: order.restaurant_id,
+      restaurant_name: order.restaurant_name,
+    };
+    const key = getCartLineKey(line);
+    const existing = lines.get(key);
+    lines.set(key, existing ? { ...existing, quantity: existing.quantity + line.quantity } : line);
+  });
+  return [...lines.values()];
+};
+
+// Resolves with { cart, changes }: the lines that can be ordered today and
+// [{ name, type, message }] for everything skipped or changed on the way.
+// Lines from a closed restaurant are kept, since Cart still lets the
+// customer book them for later.
+export const buildReorderCart = async (order) => {
+  const lines = await validateCart(toReorderLines(order));
+  const cart = [];
+  const changes = [];
+
+  lines.forEach(line => {
+    const name = line.options.length > 0 ? `${line.name} (${formatSelectedOptions(line.options)})` : line.name;
+    const issue = getCartItemIssue(line, { scheduled: true });
+
+    if (SKIP_MESSAGES[issue]) {
+      changes.push({ name, type: REORDER_CHANGES.SKIPPED, message: SKIP_MESSAGES[issue] });
+      return;
+    }
+
+    let quantity = line.quantity;
+    if (issue === CART_ISSUES.LOW_STOCK) {
+      quantity = line.stock;
+      changes.push({ name, type: REORDER_CHANGES.CHANGED, message: `Only ${line.stock} left, so you get ${line.stock} instead of ${line.quantity}` });
+    }
+    if (line.previous_price != null) {
+      changes.push({ name, type: REORDER_CHANGES.CHANGED, message: `Price changed from ${formatPeso(line.previous_price)} to ${formatPeso(line.price)}` });
+    }
+    cart.push({ ...line, quantity });
+  });
+
+  const closedLine = cart.find(line => line.restaurant_is_open === false);
+  if (closedLine) {
+    changes.push({
+      name: closedLine.restaurant_name,
+      type: REORDER_CHANGES.CHANGED,
+      message: `Closed right now (${closedLine.restaurant_status_label || 'Closed'}); you can schedule the order for later`,
+    });
+  }
+
+  return { cart, changes };
+};
@@ -0,0 +1,102 @@
+// lib/reviews.js
+// Ratings and reviews: customers rate a completed order once (the
+// restaurant and each dish), owners reply publicly. Writes go through
+// submit_review() and reply_to_review() (see the reviews migration).
+import { supabase } from '../config/supabase';
+import { ORDER_STATUS } from './orderLifecycle';
+
+export const REVIEW_PHOTO_BUCKET = 'review-photos';
+
+export const REVIEW_SELECT = '*, review_items ( food_item_id, name, rating )';
+
+// "4.6" for an average rating, or null before the first review
+export const formatRating = (average) =>
+  (average == null ? null : Number(average).toFixed(1));
+
+// The order's review, or null. Embedded one-to-one, so it may come back as
+// an object or a one-element array.
+export const getOrderReview = (order) =>
+  (Array.isArray(order.reviews) ? order.reviews[0] : order.reviews) || null;
+
+export const canReviewOrder = (order) =>
+  order.status === ORDER_STATUS.COMPLETED && !getOrderReview(order);
+
+// One entry per dish in the order, however many lines it took up
+export const getReviewableItems = (order) => {
+  const items = new Map();
+  (order.order_items || []).forEach(item => {
+    if (item.food_item_id && !items.has(item.food_item_id)) {
+      items.set(item.food_item_id, { food_item_id: item.food_item_id, name: item.name, image_url: item.image_url });
+    }
+  });
+  return [...items.values()];
+};
+
+// Reviews store where their photo sits in the bucket; this is its public URL
+export const getReviewPhotoUrl = (review) =>
+  (review.photo_path ? supabase.storage.from(REVIEW_PHOTO_BUCKET).getPublicUrl(review.photo_path).data.publicUrl : null);
+
+// Resolves with the photo's path in the bucket
+const uploadReviewPhoto = async (userId, file) => {
+  const path = `${userId}/${Date.now()}_${file.name}`;
+  const { error } = await supabase.storage.from(REVIEW_PHOTO_BUCKET).upload(path, file);
+  if (error) throw error;
+  return path;
+};
+
+// itemRatings: { [food_item_id]: 1-5 }; unrated dishes are left out. The
+// checks submit_review() would fail on run before the photo is uploaded, and
+// the photo is removed again if the review still cannot be saved.
+export const submitReview = async (order, { rating, comment = '', photoFile = null, itemRatings = {} }) => {
+  if (!canReviewOrder(order)) throw new Error('This order cannot be reviewed.');
+  if (!(rating >= 1 && rating <= 5)) throw new Error('Rate the restaurant from 1 to 5 stars.');
+
+  const photoPath = photoFile ? await uploadReviewPhoto(order.user_id, photoFile) : null;
+  const { data, error } = await supabase.rpc('submit_review', {
+    p_order_id: order.id,
+    p_rating: rating,
+    p_comment: comment.trim() || null,
+    p_photo_path: photoPath,
+    p_items: Object.entries(itemRatings)
+      .filter(([, value]) => value > 0)
+      .map(([foodItemId, value]) => ({ food_item_id: foodItemId, rating: value })),
+  });
+
+  if (error) {
+    if (photoPath) {
+      const { error: removeError } = await supabase.storage.from(REVIEW_PHOTO_BUCKET).remove([photoPath]);
+      if (removeError) console.error('Error removing review photo:', removeError);
+    }
+    throw error;
+  }
+  return data;
+};
+
+export const fetchRestaurantReviews = async (restaurantId, { limit = 50 } = {}) => {
+  const { data, error } = await supabase
+    .from('reviews')
+    .select(REVIEW_SELECT)
+    .eq('restaurant_id', restaurantId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+};
+
+export const replyToReview = async (reviewId, reply) => {
+  const { data, error } = await supabase.rpc('reply_to_review', {
+    p_review_id: reviewId,
+    p_reply: reply,
+  });
+
+  if (error) throw error;
+  return data;
+};
+
+// counts[stars - 1] of reviews with that many stars
+export const getRatingDistribution = (reviews) => {
+  const counts = [0, 0, 0, 0, 0];
+  reviews.forEach(review => { counts[review.rating - 1] += 1; });
+  return counts;
+};
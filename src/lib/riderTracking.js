@@ -0,0 +1,111 @@
+// lib/riderTracking.js
+// Rider GPS: writing points from the rider's device, reading an order's
+// trail, estimating the time to the customer and a simulated rider that
+// replays a synthetic route for demos and offline testing.
+import { supabase } from '../config/supabase';
+import { SIMULATED_ROUTE } from '../config/simulatedRoute';
+import { distanceInMeters } from './geo';
+
+// The rider app writes at most one point per order this often...
+export const LOCATION_UPDATE_MS = 10 * 1000;
+// ...unless the rider has moved at least this far since the last one
+export const MIN_MOVE_METERS = 25;
+
+// Rough city riding figures for the ETA. Roads are never straight, so the
+// straight-line distance is stretched by ROAD_FACTOR.
+const AVERAGE_SPEED_KMH = 20;
+const ROAD_FACTOR = 1.3;
+const PICKUP_HANDOVER_MINUTES = 3;
+
+// Replayed routes run this many times faster than their timestamps
+const REPLAY_SPEEDUP = 5;
+
+// `?simulate=1` in the URL, or VITE_SIMULATE_RIDER=true at build time,
+// swaps the GPS for the synthetic route.
+export const isRiderSimulationEnabled = () => {
+  if (import.meta.env.VITE_SIMULATE_RIDER === 'true') return true;
+  if (typeof window === 'undefined') return false;
+  return new URLSearchParams(window.location.search).has('simulate');
+};
+
+export const fetchRiderTrail = async (orderId) => {
+  const { data, error } = await supabase
+    .from('rider_locations')
+    .select('lat, lng, accuracy, heading, speed, recorded_at')
+    .eq('order_id', orderId)
+    .order('recorded_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+// One row per order the rider is carrying, all at the same point
+export const recordRiderLocation = async ({ riderId, orderIds, position }) => {
+  const rows = orderIds.map(orderId => ({
+    order_id: orderId,
+    rider_id: riderId,
+    lat: position.lat,
+    lng: position.lng,
+    accuracy: position.accuracy ?? null,
+    heading: position.heading ?? null,
+    speed: position.speed ?? null,
+  }));
+  const { error } = await supabase.from('rider_locations').insert(rows);
+  if (error) throw error;
+};
+
+// Follows the device's position. `onPosition` gets { lat, lng, accuracy,
+// heading, speed }; `onError` gets a readable message. Returns a stop
+// function.
+export const watchDevicePosition = ({ onPosition, onError }) => {
+  if (typeof navigator === 'undefined' || !navigator.geolocation) {
+    onError('This device cannot share its location.');
+    return () => {};
+  }
+  const watchId = navigator.geolocation.watchPosition(
+    ({ coords }) => onPosition({
+      lat: coords.latitude,
+      lng: coords.longitude,
+      accuracy: coords.accuracy,
+      heading: coords.heading,
+      speed: coords.speed,
+    }),
+    (error) => onError(error.code === error.PERMISSION_DENIED
+      ? 'Location access is blocked. Allow it in your browser settings so customers can follow you.'
+      : 'Could not get your location. Check that GPS is on.'),
+    { enableHighAccuracy: true, maximumAge: 5000, timeout: 20000 }
+  );
+  return () => navigator.geolocation.clearWatch(watchId);
+};
+
+// Plays `route` back through `onPosition` with the spacing of its timestamps
+// (sped up), like a device would report it. Returns a stop
+// function.
+export const replayRoute = ({ route = SIMULATED_ROUTE, onPosition, speedup = REPLAY_SPEEDUP }) => {
+  const timers = route.map((point, index) => {
+    const previous = route[index - 1];
+    const seconds = previous ? point.t - previous.t : 0;
+    const speed = previous && seconds > 0 ? distanceInMeters(previous, point) / seconds : null;
+    return setTimeout(
+      () => onPosition({ lat: point.lat, lng: point.lng, accuracy: 5, heading: null, speed }),
+      ((point.t - route[0].t) * 1000) / speedup
+    );
+  });
+  return () => timers.forEach(clearTimeout);
+};
+
+// Distance left and minutes to the customer. Before pickup the rider
+// still has to reach the shop and collect the food.
+export const estimateDelivery = ({ position, pickup, dropoff, pickedUp }) => {
+  const straight = pickedUp
+    ? distanceInMeters(position, dropoff)
+    : distanceInMeters(position, pickup) + distanceInMeters(pickup, dropoff);
+  const distanceMeters = straight * ROAD_FACTOR;
+  const rideMinutes = distanceMeters / ((AVERAGE_SPEED_KMH * 1000) / 60);
+  return {
+    distanceMeters,
+    etaMinutes: Math.ceil(rideMinutes + (pickedUp ? 0 : PICKUP_HANDOVER_MINUTES)),
+  };
+};
+
+export const formatEta = (minutes) => (minutes <= 1 ? 'arriving now' : `about ${minutes} min`);
@@ -0,0 +1,110 @@
+// lib/riders.js
+// Rider profiles and the rider's order queue. Which orders a rider can see
+// and accept is enforced by the riders migration; these helpers only ask.
+import { supabase } from '../config/supabase';
+import { ORDER_STATUS } from './orderLifecycle';
+
+// Embed for order queries: the accepted rider's name and phone, or null
+export const RIDER_CONTACT_SELECT = 'riders ( full_name, phone )';
+
+const RIDER_ORDER_SELECT = `
+  *,
+  restaurants ( name, address_street, address_barangay ),
+  order_items ( name, quantity, options )
+`;
+
+// Orders the rider has accepted and not yet handed over
+const ACTIVE_DELIVERY_STATUSES = [ORDER_STATUS.DRIVER_ASSIGNED, ORDER_STATUS.OUT_FOR_DELIVERY];
+
+// Resolves with the rider profile for `userId`, or null for accounts that
+// are not riders
+export const fetchRiderProfile = async (userId) => {
+  const { data, error } = await supabase
+    .from('riders')
+    .select('*')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+export const registerRider = async ({ userId, fullName, phone, zone }) => {
+  const { data, error } = await supabase
+    .from('riders')
+    .insert({ id: userId, full_name: fullName.trim(), phone: phone.trim(), zone })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+export const updateRiderZone = async (riderId, zone) => {
+  const { data, error } = await supabase
+    .from('riders')
+    .update({ zone })
+    .eq('id', riderId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+// Name and phone of one rider, for orders that just got one over Realtime
+export const fetchRiderContact = async (riderId) => {
+  const { data, error } = await supabase
+    .from('riders')
+    .select('full_name, phone')
+    .eq('id', riderId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Orders being prepared for the rider's zone that nobody has taken yet,
+// oldest first
+export const fetchAvailableOrders = async (zone) => {
+  const { data, error } = await supabase
+    .from('orders')
+    .select(RIDER_ORDER_SELECT)
+    .eq('delivery_zone', zone)
+    .eq('status', ORDER_STATUS.PREPARING)
+    .is('rider_id', null)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+export const fetchActiveDeliveries = async (riderId) => {
+  const { data, error } = await supabase
+    .from('orders')
+    .select(RIDER_ORDER_SELECT)
+    .eq('rider_id', riderId)
+    .in('status', ACTIVE_DELIVERY_STATUSES)
+    .order('rider_accepted_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+// Claims the order for the signed-in rider and marks it Driver Assigned.
+// Fails if another rider got there first.
+export const acceptOrder = async (orderId) => {
+  const { data, error } = await supabase.rpc('accept_order', { p_order_id: orderId });
+  if (error) throw error;
+  return data;
+};
+
+// Picks up (Out for Delivery) or drops off (Delivered) one of the rider's
+// orders. Resolves with the updated row.
+export const advanceDelivery = async (orderId, nextStatus) => {
+  const { data, error } = await supabase.rpc('advance_delivery', { p_order_id: orderId, p_status: nextStatus });
+  if (error) throw error;
+  return data;
+};
+
+export const isActiveDelivery = (order) => ACTIVE_DELIVERY_STATUSES.includes(order.status);
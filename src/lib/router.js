@@ -0,0 +1,46 @@
+// lib/router.js
+// A small History API router: URLs drive which page renders, so refresh,
+// the back button and shared links all work.
+const listeners = new Set();
+
+const notify = () => listeners.forEach(listener => listener());
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('popstate', notify);
+}
+
+export const subscribeToLocation = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const getCurrentPath = () =>
+  typeof window === 'undefined' ? '/' : `${window.location.pathname}${window.location.search}`;
+
+export const navigate = (to, { replace = false } = {}) => {
+  if (to === getCurrentPath()) return;
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', to);
+  notify();
+};
+
+// matchPath('/orders/:id', '/orders/42') -> { id: '42' }; null when it does not match or
+// a parameter is not valid percent-encoding
+export const matchPath = (pattern, pathname) => {
+  const patternParts = pattern.split('/').filter(Boolean);
+  const pathParts = pathname.split('/').filter(Boolean);
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      try {
+        params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+      } catch {
+        return null;
+      }
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+};
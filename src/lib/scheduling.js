@@ -0,0 +1,81 @@
+// lib/scheduling.js
+// Delivery slots for pre-orders. A slot is offered only when every
+// restaurant in the basket is open and the zone delivers at that time;
+// place_order() checks the same things again (see supabase/migrations).
+import { supabase } from '../config/supabase';
+import { MANILA_TIME_ZONE, getManilaClock, getManilaDateKey, formatMinutes } from './time';
+import { isRestaurantOpenAt } from './openingHours';
+import { isZoneOpen } from './pricing';
+
+export const SLOT_MINUTES = 30;
+// Earliest slot offered; the database accepts anything 30 minutes out so a
+// page left open for a while still checks out.
+export const MIN_LEAD_MINUTES = 60;
+export const SCHEDULE_DAYS_AHEAD = 2;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const formatDay = (date, now) => {
+  const dateKey = getManilaDateKey(date);
+  if (dateKey === getManilaDateKey(now)) return 'Today';
+  if (dateKey === getManilaDateKey(new Date(now.getTime() + DAY_MS))) return 'Tomorrow';
+  return new Intl.DateTimeFormat('en-PH', {
+    timeZone: MANILA_TIME_ZONE,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+  }).format(date);
+};
+
+// [{ dateKey, label: 'Today', slots: [{ value: ISO string, label: '12:30 PM' }] }]
+// Days without a single usable slot are left out.
+export const getDeliverySlots = ({ restaurants, zone, now = new Date() }) => {
+  if (!zone || restaurants.length === 0) return [];
+
+  const clock = getManilaClock(now);
+  const startOfToday = now.getTime() - clock.minutes * MINUTE_MS - (now.getTime() % MINUTE_MS);
+  const earliest = now.getTime() + MIN_LEAD_MINUTES * MINUTE_MS;
+
+  const days = [];
+  for (let day = 0; day <= SCHEDULE_DAYS_AHEAD; day++) {
+    const dayStart = startOfToday + day * DAY_MS;
+    const slots = [];
+    for (let minutes = 0; minutes < 24 * 60; minutes += SLOT_MINUTES) {
+      const slot = new Date(dayStart + minutes * MINUTE_MS);
+      if (slot.getTime() < earliest) continue;
+      if (!isZoneOpen(zone, slot)) continue;
+      if (!restaurants.every(restaurant => isRestaurantOpenAt(restaurant, slot))) continue;
+      slots.push({ value: slot.toISOString(), label: formatMinutes(minutes) });
+    }
+    if (slots.length > 0) {
+      const date = new Date(dayStart);
+      days.push({ dateKey: getManilaDateKey(date), label: formatDay(date, now), slots });
+    }
+  }
+  return days;
+};
+
+// 'Today, 12:30 PM', 'Tomorrow, 11:00 AM' or 'Wed, Oct 21, 11:00 AM'
+export const describeSchedule = (scheduledFor, now = new Date()) => {
+  const date = new Date(scheduledFor);
+  return `${formatDay(date, now)}, ${formatMinutes(getManilaClock(date).minutes)}`;
+};
+
+// Moves due scheduled orders into the kitchen queue; resolves with how many moved
+export const releaseDueOrders = async () => {
+  const { data, error } = await supabase.rpc('release_scheduled_orders');
+  if (error) throw error;
+  return data || 0;
+};
+
+export const setScheduledReleaseMinutes = async (restaurantId, minutes) => {
+  const { data, error } = await supabase
+    .from('restaurants')
+    .update({ scheduled_release_minutes: minutes })
+    .eq('id', restaurantId)
+    .select('*')
+    .single();
+  if (error) throw error;
+  return data;
+};
@@ -0,0 +1,211 @@
+// lib/search.js
+// Client-side search over the menu the shops page already loads: food item
+// names, descriptions and restaurant names. Handles Filipino/English
+// spelling variants ("litson" finds "lechon", "pansit" finds "pancit"),
+// typos ("sisg" finds "sisig") and ranks by where and how well words match.
+
+const RECENT_SEARCHES_KEY = 'iliganFoodRecentSearches';
+const MAX_RECENT_SEARCHES = 8;
+
+// Each row is one dish or ingredient written several ways; every spelling
+// is searched when any of them is typed.
+const VARIANT_GROUPS = [
+  ['lechon', 'litson', 'lichon'],
+  ['pancit', 'pansit', 'noodles', 'canton', 'bihon'],
+  ['siomai', 'siumai', 'shumai', 'siomay'],
+  ['chicharon', 'chicharron', 'tsitsaron', 'chicharong'],
+  ['halohalo', 'halo-halo'],
+  ['milktea', 'milk tea', 'boba', 'pearl tea'],
+  ['barbecue', 'barbeque', 'bbq', 'barbikyu'],
+  ['spaghetti', 'ispageti', 'spagetti'],
+  ['kwekkwek', 'kwek kwek', 'kwek-kwek', 'tokneneng'],
+  ['tsokolate', 'chocolate', 'choco'],
+  ['kape', 'coffee', 'kopi'],
+  ['tsaa', 'tea'],
+  ['manok', 'chicken'],
+  ['baboy', 'pork'],
+  ['baka', 'beef'],
+  ['isda', 'fish'],
+  ['hipon', 'shrimp', 'prawn'],
+  ['pusit', 'squid', 'calamares'],
+  ['itlog', 'egg'],
+  ['kanin', 'rice'],
+  ['gulay', 'vegetables', 'veggies'],
+  ['inihaw', 'grilled', 'sinugba'],
+  ['prito', 'fried', 'pinirito'],
+  ['dyus', 'juice'],
+  ['burger', 'hamburger'],
+  ['fries', 'french fries', 'patatas'],
+  ['shake', 'milkshake'],
+  ['lumpia', 'lumpiang', 'spring roll'],
+  ['longganisa', 'longganiza', 'longsilog'],
+];
+
+const normalize = (text = '') =>
+  String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .replace(/-/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const tokenize = (text) => normalize(text).split(' ').filter(Boolean);
+
+// Words plus each pair joined ("milk tea" also indexes "milktea")
+const indexTokens = (text) => {
+  const words = tokenize(text);
+  const joined = words.slice(1).map((word, i) => words[i] + word);
+  return [...new Set([...words, ...joined])];
+};
+
+// word -> every spelling in its variant groups, as single tokens
+const VARIANTS = VARIANT_GROUPS.reduce((map, group) => {
+  const spellings = group.map(spelling => normalize(spelling).replace(/ /g, ''));
+  spellings.forEach(spelling => {
+    map.set(spelling, new Set([...(map.get(spelling) || []), ...spellings]));
+  });
+  return map;
+}, new Map());
+
+const expandVariants = (word) => [...(VARIANTS.get(word) || [word])];
+
+// Optimal string alignment distance, stopping early once past `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+// Longer words get more room for typos; very short words must match exactly
+const allowedTypos = (word) => {
+  if (word.length <= 3) return 0;
+  if (word.length <= 6) return 1;
+  return 2;
+};
+
+const FIELD_WEIGHTS = { name: 3, restaurant: 2, description: 1 };
+
+// How well one query word matches a field's tokens: 1 exact, 0.8 prefix,
+// 0.5 typo, 0 none. `isLast` allows prefixes so results show while typing.
+const matchWord = (word, tokens, isLast) => {
+  const spellings = expandVariants(word);
+  let best = 0;
+  for (const token of tokens) {
+    for (const spelling of spellings) {
+      if (token === spelling) return 1;
+      if (isLast && spelling.length >= 2 && token.startsWith(spelling)) best = Math.max(best, 0.8);
+      else if (best < 0.5) {
+        const max = allowedTypos(spelling);
+        if (max > 0 && editDistance(spelling, token, max) <= max) best = 0.5;
+      }
+    }
+  }
+  return best;
+};
+
+// `items` are food items as listed on the shops page (with restaurant_name)
+export const buildSearchIndex = (items) =>
+  items.map(item => ({
+    item,
+    fields: {
+      name: indexTokens(item.name),
+      restaurant: indexTokens(item.restaurant_name),
+      description: indexTokens(item.description),
+    },
+    phrase: {
+      name: normalize(item.name),
+      restaurant: normalize(item.restaurant_name),
+    },
+  }));
+
+// Ranked [{ item, score }]. Every query word has to match somewhere; the
+// score adds up the best field for each word, with a bonus when the whole
+// query appears as-is in the item or restaurant name.
+export const searchIndex = (index, query) => {
+  const words = [...new Set(tokenize(query))];
+  if (words.length === 0) return [];
+  const phrase = normalize(query);
+
+  return index
+    .map(doc => {
+      let score = 0;
+      for (const [i, word] of words.entries()) {
+        const isLast = i === words.length - 1;
+        const best = Math.max(...Object.entries(doc.fields).map(([field, tokens]) =>
+          matchWord(word, tokens, isLast) * FIELD_WEIGHTS[field]));
+        if (best === 0) return null;
+        score += best;
+      }
+      if (doc.phrase.name.includes(phrase)) score += 2;
+      else if (doc.phrase.restaurant.includes(phrase)) score += 1;
+      if (doc.phrase.name.startsWith(phrase)) score += 1;
+      return { item: doc.item, score };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.item.name.localeCompare(b.item.name));
+};
+
+// Up to `limit` distinct dish and restaurant names for the query, best
+// first: [{ label, type: 'item' | 'restaurant', restaurantId }]
+export const getSearchSuggestions = (index, query, limit = 6) => {
+  const words = tokenize(query);
+  const suggestions = [];
+  const seen = new Set();
+  const add = (label, type, restaurantId) => {
+    const key = `${type}:${normalize(label)}`;
+    if (!label || seen.has(key) || suggestions.length >= limit) return;
+    seen.add(key);
+    suggestions.push({ label, type, restaurantId });
+  };
+
+  searchIndex(index, query).forEach(({ item }) => {
+    const matchesRestaurant = words.every((word, i) =>
+      matchWord(word, indexTokens(item.restaurant_name), i === words.length - 1) > 0);
+    if (matchesRestaurant) add(item.restaurant_name, 'restaurant', item.restaurant_id);
+    add(item.name, 'item', item.restaurant_id);
+  });
+  return suggestions;
+};
+
+export const loadRecentSearches = () => {
+  if (typeof window === 'undefined') return [];
+  try {
+    const saved = JSON.parse(localStorage.getItem(RECENT_SEARCHES_KEY) || '[]');
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+// Moves `query` to the front of the recent list and returns the new list
+export const saveRecentSearch = (query) => {
+  const trimmed = query.trim();
+  if (!trimmed) return loadRecentSearches();
+  const recent = [trimmed, ...loadRecentSearches().filter(q => normalize(q) !== normalize(trimmed))]
+    .slice(0, MAX_RECENT_SEARCHES);
+  localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(recent));
+  return recent;
+};
+
+export const clearRecentSearches = () => {
+  localStorage.removeItem(RECENT_SEARCHES_KEY);
+  return [];
+};
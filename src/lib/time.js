@@ -0,0 +1,65 @@
+// lib/time.js
+// Everything the shop cares about happens on Iligan time, whatever the
+// device clock is set to.
+export const MANILA_TIME_ZONE = 'Asia/Manila';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// { weekday: 0-6 (Sunday = 0), minutes: minutes since local midnight }
+export const getManilaClock = (date = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: MANILA_TIME_ZONE,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(p => p.type === type)?.value;
+  return {
+    weekday: WEEKDAYS.indexOf(get('weekday')),
+    minutes: Number(get('hour')) * 60 + Number(get('minute')),
+  };
+};
+
+// 'YYYY-MM-DD' for the Manila calendar day `date` falls on
+export const getManilaDateKey = (date = new Date()) =>
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone: MANILA_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+
+// The moment a Manila calendar day ('YYYY-MM-DD') starts. Manila has no
+// daylight saving, so the offset is always +08:00.
+export const getManilaStartOfDay = (dateKey) => new Date(`${dateKey}T00:00:00+08:00`);
+
+// '2026-10-19' + 3 days -> '2026-10-22'
+export const addDaysToDateKey = (dateKey, days) =>
+  getManilaDateKey(new Date(getManilaStartOfDay(dateKey).getTime() + days * 24 * 60 * 60 * 1000));
+
+// '10:30' or '10:30:00' -> 630; null for empty values
+export const parseTimeToMinutes = (value) => {
+  if (!value) return null;
+  const [hours, minutes] = String(value).split(':').map(Number);
+  if (Number.isNaN(hours) || Number.isNaN(minutes)) return null;
+  return hours * 60 + minutes;
+};
+
+// 630 -> '10:30 AM'
+export const formatMinutes = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60) % 24;
+  const minutes = totalMinutes % 60;
+  const suffix = hours < 12 ? 'AM' : 'PM';
+  const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+  return `${displayHours}:${String(minutes).padStart(2, '0')} ${suffix}`;
+};
+
+// True when `minutes` falls in [from, until); windows may wrap past midnight.
+// A missing bound means "no restriction".
+export const isWithinWindow = (minutes, from, until) => {
+  if (from == null || until == null) return true;
+  if (from <= until) return minutes >= from && minutes < until;
+  return minutes >= from || minutes < until;
+};
@@ -0,0 +1,118 @@
+-- Atomic order placement.
+--
+-- The client used to insert into `orders`, then `order_items`, and delete the
+-- order by hand when the second insert failed. place_order() does the whole
+-- thing in one transaction: items are re-priced from food_items, stock is
+-- checked and decremented, the delivery fee is added server-side and the
+-- order is written together with its items.
+
+alter table public.orders
+  add column if not exists subtotal numeric(10, 2),
+  add column if not exists delivery_fee numeric(10, 2);
+
+create or replace function public.place_order(
+  p_items jsonb,                        -- [{ "food_item_id": "...", "quantity": 2 }, ...]
+  p_address jsonb,                      -- { "contact_name", "contact_phone", "shipping_address" }
+  p_payment_method text default 'COD'
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_delivery_fee constant numeric := 50;
+  v_order public.orders%rowtype;
+  v_line jsonb;
+  v_food public.food_items%rowtype;
+  v_quantity integer;
+  v_subtotal numeric := 0;
+  v_items jsonb := '[]'::jsonb;
+  v_restaurant_names text;
+begin
+  if v_user_id is null then
+    raise exception 'You must be signed in to place an order.' using errcode = '28000';
+  end if;
+
+  if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'Your cart is empty.' using errcode = '22023';
+  end if;
+
+  if coalesce(p_address->>'contact_name', '') = ''
+     or coalesce(p_address->>'contact_phone', '') = ''
+     or coalesce(p_address->>'shipping_address', '') = '' then
+    raise exception 'Recipient name, phone and address are required.' using errcode = '22023';
+  end if;
+
+  insert into public.orders (
+    user_id, total, subtotal, delivery_fee, shipping_address,
+    contact_name, contact_phone, payment_method, status
+  )
+  values (
+    v_user_id, 0, 0, v_delivery_fee, p_address->>'shipping_address',
+    p_address->>'contact_name', p_address->>'contact_phone',
+    coalesce(p_payment_method, 'COD'), 'Pending'
+  )
+  returning * into v_order;
+
+  for v_line in select * from jsonb_array_elements(p_items)
+  loop
+    v_quantity := coalesce((v_line->>'quantity')::integer, 0);
+    if v_quantity <= 0 then
+      raise exception 'Invalid quantity for item %.', v_line->>'food_item_id' using errcode = '22023';
+    end if;
+
+    -- Lock the row so two checkouts cannot sell the same last portion
+    select * into v_food
+      from public.food_items
+     where food_item_id = v_line->>'food_item_id'
+       for update;
+
+    if not found then
+      raise exception 'An item in your cart is no longer available.' using errcode = 'P0002';
+    end if;
+
+    if v_food.stock is not null and v_food.stock < v_quantity then
+      raise exception 'Only % left of "%".', greatest(v_food.stock, 0), v_food.name using errcode = 'P0001';
+    end if;
+
+    update public.food_items
+       set stock = stock - v_quantity
+     where food_item_id = v_food.food_item_id
+       and stock is not null;
+
+    insert into public.order_items (order_id, food_item_id, name, price, quantity)
+    values (v_order.id, v_food.food_item_id, v_food.name, v_food.price, v_quantity);
+
+    v_subtotal := v_subtotal + v_food.price * v_quantity;
+    v_items := v_items || jsonb_build_object(
+      'food_item_id', v_food.food_item_id,
+      'name', v_food.name,
+      'price', v_food.price,
+      'quantity', v_quantity
+    );
+  end loop;
+
+  update public.orders
+     set subtotal = v_subtotal,
+         total = v_subtotal + v_delivery_fee
+   where id = v_order.id
+  returning * into v_order;
+
+  select string_agg(distinct r.name, ', ')
+    into v_restaurant_names
+    from public.order_items oi
+    join public.food_items f on f.food_item_id = oi.food_item_id
+    join public.restaurants r on r.id = f.restaurant_id
+   where oi.order_id = v_order.id;
+
+  return to_jsonb(v_order) || jsonb_build_object(
+    'order_items', v_items,
+    'restaurant_name', coalesce(v_restaurant_names, 'Unknown Restaurant')
+  );
+end;
+$$;
+
+revoke all on function public.place_order(jsonb, jsonb, text) from public;
+grant execute on function public.place_order(jsonb, jsonb, text) to authenticated;
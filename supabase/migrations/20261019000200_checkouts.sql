@@ -0,0 +1,190 @@
+-- One checkout, one order per restaurant.
+--
+-- A basket can hold food from several restaurants. Each restaurant now gets
+-- its own child order (own status, subtotal and delivery fee) under a parent
+-- `checkouts` row, so owners only see their own part and customers can track
+-- every restaurant separately.
+
+create table if not exists public.checkouts (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  total numeric(10, 2) not null default 0,
+  shipping_address text not null,
+  contact_name text not null,
+  contact_phone text not null,
+  payment_method text not null default 'COD',
+  created_at timestamptz not null default now()
+);
+
+alter table public.checkouts enable row level security;
+
+create policy "Customers read their own checkouts"
+  on public.checkouts for select
+  using (user_id = auth.uid());
+
+alter table public.orders
+  add column if not exists checkout_id uuid references public.checkouts (id) on delete set null,
+  add column if not exists restaurant_id uuid references public.restaurants (id);
+
+create index if not exists orders_checkout_id_idx on public.orders (checkout_id);
+create index if not exists orders_restaurant_id_idx on public.orders (restaurant_id);
+
+-- Older single-restaurant orders can be attributed directly
+update public.orders o
+   set restaurant_id = sub.restaurant_id
+  from (
+    select oi.order_id, (array_agg(distinct f.restaurant_id))[1] as restaurant_id
+      from public.order_items oi
+      join public.food_items f on f.food_item_id = oi.food_item_id
+     group by oi.order_id
+    having count(distinct f.restaurant_id) = 1
+  ) sub
+ where o.id = sub.order_id
+   and o.restaurant_id is null;
+
+create policy "Owners read their restaurant orders"
+  on public.orders for select
+  using (restaurant_id in (select id from public.restaurants where owner_id = auth.uid()));
+
+create policy "Owners update their restaurant orders"
+  on public.orders for update
+  using (restaurant_id in (select id from public.restaurants where owner_id = auth.uid()));
+
+-- Same signature as before; now returns the checkout with an `orders` array.
+create or replace function public.place_order(
+  p_items jsonb,                        -- [{ "food_item_id": "...", "quantity": 2 }, ...]
+  p_address jsonb,                      -- { "contact_name", "contact_phone", "shipping_address" }
+  p_payment_method text default 'COD'
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_delivery_fee constant numeric := 50;
+  v_checkout public.checkouts%rowtype;
+  v_order public.orders%rowtype;
+  v_restaurant public.restaurants%rowtype;
+  v_line jsonb;
+  v_food public.food_items%rowtype;
+  v_quantity integer;
+  v_subtotal numeric;
+  v_items jsonb;
+  v_orders jsonb := '[]'::jsonb;
+  v_total numeric := 0;
+begin
+  if v_user_id is null then
+    raise exception 'You must be signed in to place an order.' using errcode = '28000';
+  end if;
+
+  if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'Your cart is empty.' using errcode = '22023';
+  end if;
+
+  if coalesce(p_address->>'contact_name', '') = ''
+     or coalesce(p_address->>'contact_phone', '') = ''
+     or coalesce(p_address->>'shipping_address', '') = '' then
+    raise exception 'Recipient name, phone and address are required.' using errcode = '22023';
+  end if;
+
+  if exists (
+    select 1
+      from jsonb_array_elements(p_items) e
+      left join public.food_items f on f.food_item_id = e->>'food_item_id'
+     where f.food_item_id is null
+  ) then
+    raise exception 'An item in your cart is no longer available.' using errcode = 'P0002';
+  end if;
+
+  insert into public.checkouts (user_id, shipping_address, contact_name, contact_phone, payment_method)
+  values (
+    v_user_id, p_address->>'shipping_address', p_address->>'contact_name',
+    p_address->>'contact_phone', coalesce(p_payment_method, 'COD')
+  )
+  returning * into v_checkout;
+
+  for v_restaurant in
+    select r.*
+      from public.restaurants r
+     where r.id in (
+       select f.restaurant_id
+         from jsonb_array_elements(p_items) e
+         join public.food_items f on f.food_item_id = e->>'food_item_id'
+     )
+     order by r.name
+  loop
+    insert into public.orders (
+      user_id, checkout_id, restaurant_id, total, subtotal, delivery_fee,
+      shipping_address, contact_name, contact_phone, payment_method, status
+    )
+    values (
+      v_user_id, v_checkout.id, v_restaurant.id, 0, 0, v_delivery_fee,
+      v_checkout.shipping_address, v_checkout.contact_name, v_checkout.contact_phone,
+      v_checkout.payment_method, 'Pending'
+    )
+    returning * into v_order;
+
+    v_subtotal := 0;
+    v_items := '[]'::jsonb;
+
+    for v_line in
+      select e
+        from jsonb_array_elements(p_items) e
+        join public.food_items f on f.food_item_id = e->>'food_item_id'
+       where f.restaurant_id = v_restaurant.id
+    loop
+      v_quantity := coalesce((v_line->>'quantity')::integer, 0);
+      if v_quantity <= 0 then
+        raise exception 'Invalid quantity for item %.', v_line->>'food_item_id' using errcode = '22023';
+      end if;
+
+      -- Lock the row so two checkouts cannot sell the same last portion
+      select * into v_food
+        from public.food_items
+       where food_item_id = v_line->>'food_item_id'
+         for update;
+
+      if v_food.stock is not null and v_food.stock < v_quantity then
+        raise exception 'Only % left of "%".', greatest(v_food.stock, 0), v_food.name using errcode = 'P0001';
+      end if;
+
+      update public.food_items
+         set stock = stock - v_quantity
+       where food_item_id = v_food.food_item_id
+         and stock is not null;
+
+      insert into public.order_items (order_id, food_item_id, name, price, quantity)
+      values (v_order.id, v_food.food_item_id, v_food.name, v_food.price, v_quantity);
+
+      v_subtotal := v_subtotal + v_food.price * v_quantity;
+      v_items := v_items || jsonb_build_object(
+        'food_item_id', v_food.food_item_id,
+        'name', v_food.name,
+        'price', v_food.price,
+        'quantity', v_quantity
+      );
+    end loop;
+
+    update public.orders
+       set subtotal = v_subtotal,
+           total = v_subtotal + v_delivery_fee
+     where id = v_order.id
+    returning * into v_order;
+
+    v_total := v_total + v_order.total;
+    v_orders := v_orders || (to_jsonb(v_order) || jsonb_build_object(
+      'order_items', v_items,
+      'restaurant_name', v_restaurant.name
+    ));
+  end loop;
+
+  update public.checkouts
+     set total = v_total
+   where id = v_checkout.id
+  returning * into v_checkout;
+
+  return to_jsonb(v_checkout) || jsonb_build_object('orders', v_orders);
+end;
+$$;
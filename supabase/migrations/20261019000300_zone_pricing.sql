@@ -0,0 +1,226 @@
+-- Zone-based delivery pricing.
+--
+-- Every delivery zone now carries its own fee, minimum order, optional
+-- free-delivery threshold and active-hours window (Asia/Manila).
+-- compute_order_pricing() mirrors computeOrderPricing() in src/lib/pricing.js
+-- so the Cart, Checkout and the stored order show the same numbers.
+
+alter table public.delivery_zones
+  add column if not exists delivery_fee numeric(10, 2) not null default 50,
+  add column if not exists min_order_amount numeric(10, 2) not null default 0,
+  add column if not exists free_delivery_threshold numeric(10, 2),
+  add column if not exists active_from time,
+  add column if not exists active_until time;
+
+alter table public.orders
+  add column if not exists delivery_zone text,
+  add column if not exists small_order_fee numeric(10, 2) not null default 0,
+  add column if not exists discount numeric(10, 2) not null default 0;
+
+-- Open when there is no window, or Manila time falls in [from, until).
+-- Windows that wrap past midnight (e.g. 18:00-02:00) are supported.
+create or replace function public.is_zone_open(p_zone public.delivery_zones)
+returns boolean
+language sql
+stable
+as $$
+  select case
+    when p_zone.active_from is null or p_zone.active_until is null then true
+    when p_zone.active_from <= p_zone.active_until then
+      (now() at time zone 'Asia/Manila')::time >= p_zone.active_from
+      and (now() at time zone 'Asia/Manila')::time < p_zone.active_until
+    else
+      (now() at time zone 'Asia/Manila')::time >= p_zone.active_from
+      or (now() at time zone 'Asia/Manila')::time < p_zone.active_until
+  end;
+$$;
+
+create or replace function public.compute_order_pricing(
+  p_subtotal numeric,
+  p_zone public.delivery_zones,
+  p_discount numeric default 0
+)
+returns jsonb
+language plpgsql
+immutable
+as $$
+declare
+  v_delivery_fee numeric;
+  v_small_order_fee numeric;
+  v_discount numeric;
+  v_gross numeric;
+begin
+  v_delivery_fee := case
+    when p_zone.free_delivery_threshold is not null and p_subtotal >= p_zone.free_delivery_threshold then 0
+    else coalesce(p_zone.delivery_fee, 0)
+  end;
+  v_small_order_fee := greatest(coalesce(p_zone.min_order_amount, 0) - p_subtotal, 0);
+  v_gross := p_subtotal + v_delivery_fee + v_small_order_fee;
+  v_discount := least(greatest(coalesce(p_discount, 0), 0), v_gross);
+
+  return jsonb_build_object(
+    'subtotal', round(p_subtotal, 2),
+    'delivery_fee', round(v_delivery_fee, 2),
+    'small_order_fee', round(v_small_order_fee, 2),
+    'discount', round(v_discount, 2),
+    'total', round(v_gross - v_discount, 2)
+  );
+end;
+$$;
+
+create or replace function public.place_order(
+  p_items jsonb,                        -- [{ "food_item_id": "...", "quantity": 2 }, ...]
+  p_address jsonb,                      -- { "contact_name", "contact_phone", "shipping_address", "barangay" }
+  p_payment_method text default 'COD'
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_zone public.delivery_zones%rowtype;
+  v_checkout public.checkouts%rowtype;
+  v_order public.orders%rowtype;
+  v_restaurant public.restaurants%rowtype;
+  v_line jsonb;
+  v_food public.food_items%rowtype;
+  v_quantity integer;
+  v_subtotal numeric;
+  v_pricing jsonb;
+  v_items jsonb;
+  v_orders jsonb := '[]'::jsonb;
+  v_total numeric := 0;
+begin
+  if v_user_id is null then
+    raise exception 'You must be signed in to place an order.' using errcode = '28000';
+  end if;
+
+  if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'Your cart is empty.' using errcode = '22023';
+  end if;
+
+  if coalesce(p_address->>'contact_name', '') = ''
+     or coalesce(p_address->>'contact_phone', '') = ''
+     or coalesce(p_address->>'shipping_address', '') = '' then
+    raise exception 'Recipient name, phone and address are required.' using errcode = '22023';
+  end if;
+
+  select * into v_zone
+    from public.delivery_zones
+   where barangay_name = p_address->>'barangay'
+     and is_active;
+
+  if not found then
+    raise exception 'We do not deliver to that barangay yet.' using errcode = '22023';
+  end if;
+
+  if not public.is_zone_open(v_zone) then
+    raise exception 'We are not delivering to % right now.', v_zone.barangay_name using errcode = '22023';
+  end if;
+
+  if exists (
+    select 1
+      from jsonb_array_elements(p_items) e
+      left join public.food_items f on f.food_item_id = e->>'food_item_id'
+     where f.food_item_id is null
+  ) then
+    raise exception 'An item in your cart is no longer available.' using errcode = 'P0002';
+  end if;
+
+  insert into public.checkouts (user_id, shipping_address, contact_name, contact_phone, payment_method)
+  values (
+    v_user_id, p_address->>'shipping_address', p_address->>'contact_name',
+    p_address->>'contact_phone', coalesce(p_payment_method, 'COD')
+  )
+  returning * into v_checkout;
+
+  for v_restaurant in
+    select r.*
+      from public.restaurants r
+     where r.id in (
+       select f.restaurant_id
+         from jsonb_array_elements(p_items) e
+         join public.food_items f on f.food_item_id = e->>'food_item_id'
+     )
+     order by r.name
+  loop
+    insert into public.orders (
+      user_id, checkout_id, restaurant_id, delivery_zone, total, subtotal, delivery_fee,
+      shipping_address, contact_name, contact_phone, payment_method, status
+    )
+    values (
+      v_user_id, v_checkout.id, v_restaurant.id, v_zone.barangay_name, 0, 0, 0,
+      v_checkout.shipping_address, v_checkout.contact_name, v_checkout.contact_phone,
+      v_checkout.payment_method, 'Pending'
+    )
+    returning * into v_order;
+
+    v_subtotal := 0;
+    v_items := '[]'::jsonb;
+
+    for v_line in
+      select e
+        from jsonb_array_elements(p_items) e
+        join public.food_items f on f.food_item_id = e->>'food_item_id'
+       where f.restaurant_id = v_restaurant.id
+    loop
+      v_quantity := coalesce((v_line->>'quantity')::integer, 0);
+      if v_quantity <= 0 then
+        raise exception 'Invalid quantity for item %.', v_line->>'food_item_id' using errcode = '22023';
+      end if;
+
+      -- Lock the row so two checkouts cannot sell the same last portion
+      select * into v_food
+        from public.food_items
+       where food_item_id = v_line->>'food_item_id'
+         for update;
+
+      if v_food.stock is not null and v_food.stock < v_quantity then
+        raise exception 'Only % left of "%".', greatest(v_food.stock, 0), v_food.name using errcode = 'P0001';
+      end if;
+
+      update public.food_items
+         set stock = stock - v_quantity
+       where food_item_id = v_food.food_item_id
+         and stock is not null;
+
+      insert into public.order_items (order_id, food_item_id, name, price, quantity)
+      values (v_order.id, v_food.food_item_id, v_food.name, v_food.price, v_quantity);
+
+      v_subtotal := v_subtotal + v_food.price * v_quantity;
+      v_items := v_items || jsonb_build_object(
+        'food_item_id', v_food.food_item_id,
+        'name', v_food.name,
+        'price', v_food.price,
+        'quantity', v_quantity
+      );
+    end loop;
+
+    v_pricing := public.compute_order_pricing(v_subtotal, v_zone);
+
+    update public.orders
+       set subtotal = (v_pricing->>'subtotal')::numeric,
+           delivery_fee = (v_pricing->>'delivery_fee')::numeric,
+           small_order_fee = (v_pricing->>'small_order_fee')::numeric,
+           discount = (v_pricing->>'discount')::numeric,
+           total = (v_pricing->>'total')::numeric
+     where id = v_order.id
+    returning * into v_order;
+
+    v_total := v_total + v_order.total;
+    v_orders := v_orders || (to_jsonb(v_order) || jsonb_build_object(
+      'order_items', v_items,
+      'restaurant_name', v_restaurant.name
+    ));
+  end loop;
+
+  update public.checkouts
+     set total = v_total
+   where id = v_checkout.id
+  returning * into v_checkout;
+
+  return to_jsonb(v_checkout) || jsonb_build_object('orders', v_orders);
+end;
+$$;
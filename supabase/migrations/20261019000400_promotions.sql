@@ -0,0 +1,420 @@
+-- Promo codes and vouchers.
+--
+-- A promotion is percent-off, fixed-amount or free-delivery, optionally tied
+-- to one restaurant. Validity dates, minimum spend, global and per-user usage
+-- limits and first-order-only rules are enforced here; the redemption is
+-- recorded by place_order() in the same transaction as the order.
+
+create table if not exists public.promotions (
+  id uuid primary key default gen_random_uuid(),
+  code text not null unique check (code = upper(code)),
+  description text,
+  kind text not null check (kind in ('percent', 'fixed', 'free_delivery')),
+  value numeric(10, 2) not null default 0,      -- percent (0-100) or pesos
+  max_discount numeric(10, 2),                  -- cap for percent promos
+  restaurant_id uuid references public.restaurants (id) on delete cascade,
+  min_spend numeric(10, 2) not null default 0,
+  starts_at timestamptz,
+  ends_at timestamptz,
+  usage_limit integer,                          -- null = unlimited
+  per_user_limit integer default 1,             -- null = unlimited
+  first_order_only boolean not null default false,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.promotion_redemptions (
+  id uuid primary key default gen_random_uuid(),
+  promotion_id uuid not null references public.promotions (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  checkout_id uuid references public.checkouts (id) on delete set null,
+  discount numeric(10, 2) not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists promotion_redemptions_promotion_idx on public.promotion_redemptions (promotion_id);
+create index if not exists promotion_redemptions_user_idx on public.promotion_redemptions (promotion_id, user_id);
+
+-- Codes are only ever checked through check_promotion(), never listed
+alter table public.promotions enable row level security;
+alter table public.promotion_redemptions enable row level security;
+
+create policy "Customers read their own redemptions"
+  on public.promotion_redemptions for select
+  using (user_id = auth.uid());
+
+alter table public.checkouts
+  add column if not exists promotion_id uuid references public.promotions (id),
+  add column if not exists discount numeric(10, 2) not null default 0;
+
+alter table public.orders
+  add column if not exists promotion_id uuid references public.promotions (id);
+
+-- { restaurant_id: subtotal } for a basket, at current prices
+create or replace function public.basket_subtotals(p_items jsonb)
+returns jsonb
+language sql
+stable
+set search_path = public
+as $$
+  select coalesce(jsonb_object_agg(restaurant_id, subtotal), '{}'::jsonb)
+    from (
+      select f.restaurant_id, sum(f.price * coalesce((e->>'quantity')::integer, 0)) as subtotal
+        from jsonb_array_elements(p_items) e
+        join public.food_items f on f.food_item_id = e->>'food_item_id'
+       group by f.restaurant_id
+    ) s;
+$$;
+
+-- Raises a customer-facing error when the promotion cannot be used
+create or replace function public.assert_promotion_usable(
+  p_promo public.promotions,
+  p_user_id uuid,
+  p_subtotals jsonb
+)
+returns void
+language plpgsql
+stable
+set search_path = public
+as $$
+declare
+  v_eligible numeric;
+begin
+  if not p_promo.is_active
+     or (p_promo.starts_at is not null and now() < p_promo.starts_at)
+     or (p_promo.ends_at is not null and now() >= p_promo.ends_at) then
+    raise exception 'Promo code % is not valid right now.', p_promo.code using errcode = '22023';
+  end if;
+
+  if p_promo.usage_limit is not null
+     and (select count(*) from public.promotion_redemptions where promotion_id = p_promo.id) >= p_promo.usage_limit then
+    raise exception 'Promo code % has been fully redeemed.', p_promo.code using errcode = '22023';
+  end if;
+
+  if p_promo.per_user_limit is not null
+     and (select count(*) from public.promotion_redemptions
+           where promotion_id = p_promo.id and user_id = p_user_id) >= p_promo.per_user_limit then
+    raise exception 'You have already used promo code %.', p_promo.code using errcode = '22023';
+  end if;
+
+  if p_promo.first_order_only
+     and exists (select 1 from public.orders where user_id = p_user_id and status <> 'Cancelled') then
+    raise exception 'Promo code % is for first orders only.', p_promo.code using errcode = '22023';
+  end if;
+
+  if p_promo.restaurant_id is not null then
+    if not (p_subtotals ? p_promo.restaurant_id::text) then
+      raise exception 'Promo code % only works with items from its restaurant.', p_promo.code using errcode = '22023';
+    end if;
+    v_eligible := (p_subtotals->>p_promo.restaurant_id::text)::numeric;
+  else
+    select coalesce(sum(value::numeric), 0) into v_eligible from jsonb_each_text(p_subtotals);
+  end if;
+
+  if v_eligible < p_promo.min_spend then
+    raise exception 'Spend at least ₱% to use promo code %.', to_char(p_promo.min_spend, 'FM999999990.00'), p_promo.code
+      using errcode = '22023';
+  end if;
+end;
+$$;
+
+-- Splits a percent or fixed promotion across the eligible restaurant orders
+-- in proportion to their subtotals; the last one (by restaurant id) takes
+-- the rounding remainder. Mirrors allocatePromotionDiscounts() in
+-- src/lib/promotions.js. Free-delivery promos are applied per order instead.
+create or replace function public.allocate_promotion(
+  p_promo public.promotions,
+  p_subtotals jsonb
+)
+returns jsonb
+language plpgsql
+immutable
+as $$
+declare
+  v_eligible numeric := 0;
+  v_total numeric;
+  v_left numeric;
+  v_share numeric;
+  v_result jsonb := '{}'::jsonb;
+  v_row record;
+  v_count integer;
+  v_index integer := 0;
+begin
+  if p_promo.kind = 'free_delivery' then
+    return v_result;
+  end if;
+
+  select coalesce(sum(value::numeric), 0), count(*)
+    into v_eligible, v_count
+    from jsonb_each_text(p_subtotals)
+   where p_promo.restaurant_id is null or key = p_promo.restaurant_id::text;
+
+  if v_eligible <= 0 then
+    return v_result;
+  end if;
+
+  v_total := case p_promo.kind
+    when 'percent' then round(v_eligible * p_promo.value / 100, 2)
+    else least(p_promo.value, v_eligible)
+  end;
+  if p_promo.max_discount is not null then
+    v_total := least(v_total, p_promo.max_discount);
+  end if;
+  v_left := v_total;
+
+  for v_row in
+    select key, value::numeric as subtotal
+      from jsonb_each_text(p_subtotals)
+     where p_promo.restaurant_id is null or key = p_promo.restaurant_id::text
+     order by key
+  loop
+    v_index := v_index + 1;
+    v_share := case
+      when v_index = v_count then v_left
+      else round(v_total * v_row.subtotal / v_eligible, 2)
+    end;
+    v_left := v_left - v_share;
+    v_result := v_result || jsonb_build_object(v_row.key, v_share);
+  end loop;
+
+  return v_result;
+end;
+$$;
+
+-- Lets checkout preview a code against the basket without placing the order
+create or replace function public.check_promotion(p_code text, p_items jsonb)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_promo public.promotions%rowtype;
+begin
+  if auth.uid() is null then
+    raise exception 'You must be signed in to use a promo code.' using errcode = '28000';
+  end if;
+
+  select * into v_promo from public.promotions where code = upper(trim(p_code));
+  if not found then
+    raise exception 'Promo code % was not found.', upper(trim(p_code)) using errcode = 'P0002';
+  end if;
+
+  perform public.assert_promotion_usable(v_promo, auth.uid(), public.basket_subtotals(p_items));
+
+  return jsonb_build_object(
+    'id', v_promo.id,
+    'code', v_promo.code,
+    'description', v_promo.description,
+    'kind', v_promo.kind,
+    'value', v_promo.value,
+    'max_discount', v_promo.max_discount,
+    'restaurant_id', v_promo.restaurant_id,
+    'min_spend', v_promo.min_spend
+  );
+end;
+$$;
+
+revoke all on function public.check_promotion(text, jsonb) from public;
+grant execute on function public.check_promotion(text, jsonb) to authenticated;
+
+-- place_order() gains an optional promo code
+drop function if exists public.place_order(jsonb, jsonb, text);
+
+create or replace function public.place_order(
+  p_items jsonb,                        -- [{ "food_item_id": "...", "quantity": 2 }, ...]
+  p_address jsonb,                      -- { "contact_name", "contact_phone", "shipping_address", "barangay" }
+  p_payment_method text default 'COD',
+  p_promo_code text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_zone public.delivery_zones%rowtype;
+  v_promo public.promotions%rowtype;
+  v_has_promo boolean := false;
+  v_subtotals jsonb;
+  v_allocations jsonb := '{}'::jsonb;
+  v_checkout public.checkouts%rowtype;
+  v_order public.orders%rowtype;
+  v_restaurant public.restaurants%rowtype;
+  v_line jsonb;
+  v_food public.food_items%rowtype;
+  v_quantity integer;
+  v_subtotal numeric;
+  v_discount numeric;
+  v_pricing jsonb;
+  v_items jsonb;
+  v_orders jsonb := '[]'::jsonb;
+  v_total numeric := 0;
+  v_total_discount numeric := 0;
+begin
+  if v_user_id is null then
+    raise exception 'You must be signed in to place an order.' using errcode = '28000';
+  end if;
+
+  if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'Your cart is empty.' using errcode = '22023';
+  end if;
+
+  if coalesce(p_address->>'contact_name', '') = ''
+     or coalesce(p_address->>'contact_phone', '') = ''
+     or coalesce(p_address->>'shipping_address', '') = '' then
+    raise exception 'Recipient name, phone and address are required.' using errcode = '22023';
+  end if;
+
+  select * into v_zone
+    from public.delivery_zones
+   where barangay_name = p_address->>'barangay'
+     and is_active;
+
+  if not found then
+    raise exception 'We do not deliver to that barangay yet.' using errcode = '22023';
+  end if;
+
+  if not public.is_zone_open(v_zone) then
+    raise exception 'We are not delivering to % right now.', v_zone.barangay_name using errcode = '22023';
+  end if;
+
+  if exists (
+    select 1
+      from jsonb_array_elements(p_items) e
+      left join public.food_items f on f.food_item_id = e->>'food_item_id'
+     where f.food_item_id is null
+  ) then
+    raise exception 'An item in your cart is no longer available.' using errcode = 'P0002';
+  end if;
+
+  v_subtotals := public.basket_subtotals(p_items);
+
+  if coalesce(trim(p_promo_code), '') <> '' then
+    -- Lock the promotion so concurrent checkouts cannot exceed its limits
+    select * into v_promo
+      from public.promotions
+     where code = upper(trim(p_promo_code))
+       for update;
+    if not found then
+      raise exception 'Promo code % was not found.', upper(trim(p_promo_code)) using errcode = 'P0002';
+    end if;
+    perform public.assert_promotion_usable(v_promo, v_user_id, v_subtotals);
+    v_has_promo := true;
+    v_allocations := public.allocate_promotion(v_promo, v_subtotals);
+  end if;
+
+  insert into public.checkouts (user_id, shipping_address, contact_name, contact_phone, payment_method, promotion_id)
+  values (
+    v_user_id, p_address->>'shipping_address', p_address->>'contact_name',
+    p_address->>'contact_phone', coalesce(p_payment_method, 'COD'),
+    case when v_has_promo then v_promo.id end
+  )
+  returning * into v_checkout;
+
+  for v_restaurant in
+    select r.*
+      from public.restaurants r
+     where r.id in (
+       select f.restaurant_id
+         from jsonb_array_elements(p_items) e
+         join public.food_items f on f.food_item_id = e->>'food_item_id'
+     )
+     order by r.id
+  loop
+    insert into public.orders (
+      user_id, checkout_id, restaurant_id, delivery_zone, total, subtotal, delivery_fee,
+      shipping_address, contact_name, contact_phone, payment_method, status, promotion_id
+    )
+    values (
+      v_user_id, v_checkout.id, v_restaurant.id, v_zone.barangay_name, 0, 0, 0,
+      v_checkout.shipping_address, v_checkout.contact_name, v_checkout.contact_phone,
+      v_checkout.payment_method, 'Pending', v_checkout.promotion_id
+    )
+    returning * into v_order;
+
+    v_subtotal := 0;
+    v_items := '[]'::jsonb;
+
+    for v_line in
+      select e
+        from jsonb_array_elements(p_items) e
+        join public.food_items f on f.food_item_id = e->>'food_item_id'
+       where f.restaurant_id = v_restaurant.id
+    loop
+      v_quantity := coalesce((v_line->>'quantity')::integer, 0);
+      if v_quantity <= 0 then
+        raise exception 'Invalid quantity for item %.', v_line->>'food_item_id' using errcode = '22023';
+      end if;
+
+      -- Lock the row so two checkouts cannot sell the same last portion
+      select * into v_food
+        from public.food_items
+       where food_item_id = v_line->>'food_item_id'
+         for update;
+
+      if v_food.stock is not null and v_food.stock < v_quantity then
+        raise exception 'Only % left of "%".', greatest(v_food.stock, 0), v_food.name using errcode = 'P0001';
+      end if;
+
+      update public.food_items
+         set stock = stock - v_quantity
+       where food_item_id = v_food.food_item_id
+         and stock is not null;
+
+      insert into public.order_items (order_id, food_item_id, name, price, quantity)
+      values (v_order.id, v_food.food_item_id, v_food.name, v_food.price, v_quantity);
+
+      v_subtotal := v_subtotal + v_food.price * v_quantity;
+      v_items := v_items || jsonb_build_object(
+        'food_item_id', v_food.food_item_id,
+        'name', v_food.name,
+        'price', v_food.price,
+        'quantity', v_quantity
+      );
+    end loop;
+
+    v_discount := coalesce((v_allocations->>v_restaurant.id::text)::numeric, 0);
+    if v_has_promo and v_promo.kind = 'free_delivery'
+       and (v_promo.restaurant_id is null or v_promo.restaurant_id = v_restaurant.id) then
+      v_discount := (public.compute_order_pricing(v_subtotal, v_zone)->>'delivery_fee')::numeric;
+    end if;
+
+    v_pricing := public.compute_order_pricing(v_subtotal, v_zone, v_discount);
+
+    update public.orders
+       set subtotal = (v_pricing->>'subtotal')::numeric,
+           delivery_fee = (v_pricing->>'delivery_fee')::numeric,
+           small_order_fee = (v_pricing->>'small_order_fee')::numeric,
+           discount = (v_pricing->>'discount')::numeric,
+           total = (v_pricing->>'total')::numeric
+     where id = v_order.id
+    returning * into v_order;
+
+    v_total := v_total + v_order.total;
+    v_total_discount := v_total_discount + v_order.discount;
+    v_orders := v_orders || (to_jsonb(v_order) || jsonb_build_object(
+      'order_items', v_items,
+      'restaurant_name', v_restaurant.name
+    ));
+  end loop;
+
+  update public.checkouts
+     set total = v_total,
+         discount = v_total_discount
+   where id = v_checkout.id
+  returning * into v_checkout;
+
+  if v_has_promo then
+    insert into public.promotion_redemptions (promotion_id, user_id, checkout_id, discount)
+    values (v_promo.id, v_user_id, v_checkout.id, v_total_discount);
+  end if;
+
+  return to_jsonb(v_checkout) || jsonb_build_object('orders', v_orders);
+end;
+$$;
+
+revoke all on function public.place_order(jsonb, jsonb, text, text) from public;
+grant execute on function public.place_order(jsonb, jsonb, text, text) to authenticated;
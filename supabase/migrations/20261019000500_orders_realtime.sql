@@ -0,0 +1,8 @@
+-- Broadcast order changes over Supabase Realtime so the owner queue, the
+-- customer's history and the tracking page update without a refresh.
+-- Realtime applies the existing row-level security policies per subscriber.
+
+alter publication supabase_realtime add table public.orders;
+
+-- Send the full row on UPDATE so clients can merge it without refetching
+alter table public.orders replica identity full;
@@ -0,0 +1,26 @@
+-- Saved baskets.
+--
+-- One row per signed-in customer holding their cart lines as JSON, so the
+-- basket survives reloads and follows them between devices. Prices in here
+-- are only what the customer last saw; place_order() always re-prices.
+
+create table if not exists public.carts (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  items jsonb not null default '[]'::jsonb check (jsonb_typeof(items) = 'array'),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.carts enable row level security;
+
+create policy "Customers read their own cart"
+  on public.carts for select
+  using (user_id = auth.uid());
+
+create policy "Customers create their own cart"
+  on public.carts for insert
+  with check (user_id = auth.uid());
+
+create policy "Customers update their own cart"
+  on public.carts for update
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
@@ -0,0 +1,437 @@
+-- Menu item options, variants and add-ons.
+--
+-- An item can have option groups (Size, Drink flavour, Add-ons), each with
+-- a minimum and maximum number of choices; every choice carries a price
+-- delta on top of the item's base price. Cart lines send the chosen
+-- `option_ids`; place_order() checks them against the groups, prices the
+-- line and snapshots the choices onto `order_items.options`.
+
+create table if not exists public.option_groups (
+  id uuid primary key default gen_random_uuid(),
+  food_item_id text not null references public.food_items (food_item_id) on delete cascade,
+  name text not null,
+  min_select integer not null default 0 check (min_select >= 0),
+  max_select integer not null default 1 check (max_select >= 1 and max_select >= min_select),
+  sort_order integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.option_choices (
+  id uuid primary key default gen_random_uuid(),
+  group_id uuid not null references public.option_groups (id) on delete cascade,
+  name text not null,
+  price_delta numeric(10, 2) not null default 0,
+  is_available boolean not null default true,
+  sort_order integer not null default 0
+);
+
+create index if not exists option_groups_food_item_idx on public.option_groups (food_item_id);
+create index if not exists option_choices_group_idx on public.option_choices (group_id);
+
+alter table public.option_groups enable row level security;
+alter table public.option_choices enable row level security;
+
+create policy "Anyone can read option groups"
+  on public.option_groups for select
+  using (true);
+
+create policy "Owners manage option groups on their items"
+  on public.option_groups for all
+  using (food_item_id in (
+    select f.food_item_id
+      from public.food_items f
+      join public.restaurants r on r.id = f.restaurant_id
+     where r.owner_id = auth.uid()
+  ))
+  with check (food_item_id in (
+    select f.food_item_id
+      from public.food_items f
+      join public.restaurants r on r.id = f.restaurant_id
+     where r.owner_id = auth.uid()
+  ));
+
+create policy "Anyone can read option choices"
+  on public.option_choices for select
+  using (true);
+
+create policy "Owners manage option choices on their items"
+  on public.option_choices for all
+  using (group_id in (
+    select g.id
+      from public.option_groups g
+      join public.food_items f on f.food_item_id = g.food_item_id
+      join public.restaurants r on r.id = f.restaurant_id
+     where r.owner_id = auth.uid()
+  ))
+  with check (group_id in (
+    select g.id
+      from public.option_groups g
+      join public.food_items f on f.food_item_id = g.food_item_id
+      join public.restaurants r on r.id = f.restaurant_id
+     where r.owner_id = auth.uid()
+  ));
+
+-- What the customer picked, as it was when they ordered:
+-- [{ group_id, group_name, choice_id, choice_name, price_delta }, ...]
+alter table public.order_items
+  add column if not exists options jsonb not null default '[]'::jsonb;
+
+-- Validates the chosen options for one basket line and prices it.
+-- Returns { unit_price, options } or raises a customer-facing error.
+-- Mirrors validateOptionSelection() in src/lib/menuOptions.js.
+create or replace function public.price_basket_line(p_food public.food_items, p_option_ids jsonb)
+returns jsonb
+language plpgsql
+stable
+set search_path = public
+as $$
+declare
+  v_ids uuid[];
+  v_group public.option_groups%rowtype;
+  v_count integer;
+  v_rule text;
+  v_options jsonb;
+  v_delta numeric;
+begin
+  select coalesce(array_agg(distinct value::uuid), '{}')
+    into v_ids
+    from jsonb_array_elements_text(coalesce(p_option_ids, '[]'::jsonb));
+
+  if exists (
+    select 1
+      from unnest(v_ids) as picked (id)
+      left join public.option_choices c on c.id = picked.id
+      left join public.option_groups g on g.id = c.group_id
+     where c.id is null
+        or not c.is_available
+        or g.food_item_id <> p_food.food_item_id
+  ) then
+    raise exception 'An option for "%" is no longer available.', p_food.name using errcode = 'P0002';
+  end if;
+
+  for v_group in
+    select * from public.option_groups where food_item_id = p_food.food_item_id
+  loop
+    select count(*) into v_count
+      from public.option_choices
+     where group_id = v_group.id
+       and id = any (v_ids);
+
+    if v_count < v_group.min_select or v_count > v_group.max_select then
+      v_rule := case
+        when v_group.min_select = v_group.max_select then v_group.min_select::text
+        when v_group.min_select = 0 then 'up to ' || v_group.max_select
+        else v_group.min_select || ' to ' || v_group.max_select
+      end;
+      raise exception 'Choose % for % on "%".', v_rule, v_group.name, p_food.name using errcode = '22023';
+    end if;
+  end loop;
+
+  select coalesce(jsonb_agg(jsonb_build_object(
+           'group_id', g.id,
+           'group_name', g.name,
+           'choice_id', c.id,
+           'choice_name', c.name,
+           'price_delta', c.price_delta
+         ) order by g.sort_order, g.name, c.sort_order, c.name), '[]'::jsonb),
+         coalesce(sum(c.price_delta), 0)
+    into v_options, v_delta
+    from public.option_choices c
+    join public.option_groups g on g.id = c.group_id
+   where c.id = any (v_ids);
+
+  -- Deltas may be discounts (a smaller size), but never below free
+  if p_food.price + v_delta < 0 then
+    raise exception 'The options chosen for "%" would make it cost less than nothing.', p_food.name using errcode = '22023';
+  end if;
+
+  return jsonb_build_object('unit_price', p_food.price + v_delta, 'options', v_options);
+end;
+$$;
+
+-- Subtotals now include option prices
+create or replace function public.basket_subtotals(p_items jsonb)
+returns jsonb
+language sql
+stable
+set search_path = public
+as $$
+  select coalesce(jsonb_object_agg(restaurant_id, subtotal), '{}'::jsonb)
+    from (
+      select f.restaurant_id,
+             sum((public.price_basket_line(f, e->'option_ids')->>'unit_price')::numeric
+                 * coalesce((e->>'quantity')::integer, 0)) as subtotal
+        from jsonb_array_elements(p_items) e
+        join public.food_items f on f.food_item_id = e->>'food_item_id'
+       group by f.restaurant_id
+    ) s;
+$$;
+
+-- place_order() prices each line with its options. The same item can now
+-- appear on several lines with different choices.
+create or replace function public.place_order(
+  p_items jsonb,                        -- [{ "food_item_id": "...", "quantity": 2, "option_ids": ["..."] }, ...]
+  p_address jsonb,                      -- { "contact_name", "contact_phone", "shipping_address", "barangay" }
+  p_payment_method text default 'COD',
+  p_promo_code text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_zone public.delivery_zones%rowtype;
+  v_promo public.promotions%rowtype;
+  v_has_promo boolean := false;
+  v_subtotals jsonb;
+  v_allocations jsonb := '{}'::jsonb;
+  v_checkout public.checkouts%rowtype;
+  v_order public.orders%rowtype;
+  v_restaurant public.restaurants%rowtype;
+  v_line jsonb;
+  v_food public.food_items%rowtype;
+  v_quantity integer;
+  v_priced jsonb;
+  v_unit_price numeric;
+  v_subtotal numeric;
+  v_discount numeric;
+  v_pricing jsonb;
+  v_items jsonb;
+  v_orders jsonb := '[]'::jsonb;
+  v_total numeric := 0;
+  v_total_discount numeric := 0;
+begin
+  if v_user_id is null then
+    raise exception 'You must be signed in to place an order.' using errcode = '28000';
+  end if;
+
+  if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'Your cart is empty.' using errcode = '22023';
+  end if;
+
+  if coalesce(p_address->>'contact_name', '') = ''
+     or coalesce(p_address->>'contact_phone', '') = ''
+     or coalesce(p_address->>'shipping_address', '') = '' then
+    raise exception 'Recipient name, phone and address are required.' using errcode = '22023';
+  end if;
+
+  select * into v_zone
+    from public.delivery_zones
+   where barangay_name = p_address->>'barangay'
+     and is_active;
+
+  if not found then
+    raise exception 'We do not deliver to that barangay yet.' using errcode = '22023';
+  end if;
+
+  if not public.is_zone_open(v_zone) then
+    raise exception 'We are not delivering to % right now.', v_zone.barangay_name using errcode = '22023';
+  end if;
+
+  if exists (
+    select 1
+      from jsonb_array_elements(p_items) e
+      left join public.food_items f on f.food_item_id = e->>'food_item_id'
+     where f.food_item_id is null
+  ) then
+    raise exception 'An item in your cart is no longer available.' using errcode = 'P0002';
+  end if;
+
+  v_subtotals := public.basket_subtotals(p_items);
+
+  if coalesce(trim(p_promo_code), '') <> '' then
+    -- Lock the promotion so concurrent checkouts cannot exceed its limits
+    select * into v_promo
+      from public.promotions
+     where code = upper(trim(p_promo_code))
+       for update;
+    if not found then
+      raise exception 'Promo code % was not found.', upper(trim(p_promo_code)) using errcode = 'P0002';
+    end if;
+    perform public.assert_promotion_usable(v_promo, v_user_id, v_subtotals);
+    v_has_promo := true;
+    v_allocations := public.allocate_promotion(v_promo, v_subtotals);
+  end if;
+
+  insert into public.checkouts (user_id, shipping_address, contact_name, contact_phone, payment_method, promotion_id)
+  values (
+    v_user_id, p_address->>'shipping_address', p_address->>'contact_name',
+    p_address->>'contact_phone', coalesce(p_payment_method, 'COD'),
+    case when v_has_promo then v_promo.id end
+  )
+  returning * into v_checkout;
+
+  for v_restaurant in
+    select r.*
+      from public.restaurants r
+     where r.id in (
+       select f.restaurant_id
+         from jsonb_array_elements(p_items) e
+         join public.food_items f on f.food_item_id = e->>'food_item_id'
+     )
+     order by r.id
+  loop
+    insert into public.orders (
+      user_id, checkout_id, restaurant_id, delivery_zone, total, subtotal, delivery_fee,
+      shipping_address, contact_name, contact_phone, payment_method, status, promotion_id
+    )
+    values (
+      v_user_id, v_checkout.id, v_restaurant.id, v_zone.barangay_name, 0, 0, 0,
+      v_checkout.shipping_address, v_checkout.contact_name, v_checkout.contact_phone,
+      v_checkout.payment_method, 'Pending', v_checkout.promotion_id
+    )
+    returning * into v_order;
+
+    v_subtotal := 0;
+    v_items := '[]'::jsonb;
+
+    for v_line in
+      select e
+        from jsonb_array_elements(p_items) e
+        join public.food_items f on f.food_item_id = e->>'food_item_id'
+       where f.restaurant_id = v_restaurant.id
+    loop
+      v_quantity := coalesce((v_line->>'quantity')::integer, 0);
+      if v_quantity <= 0 then
+        raise exception 'Invalid quantity for item %.', v_line->>'food_item_id' using errcode = '22023';
+      end if;
+
+      -- Lock the row so two checkouts cannot sell the same last portion
+      select * into v_food
+        from public.food_items
+       where food_item_id = v_line->>'food_item_id'
+         for update;
+
+      if v_food.stock is not null and v_food.stock < v_quantity then
+        raise exception 'Only % left of "%".', greatest(v_food.stock, 0), v_food.name using errcode = 'P0001';
+      end if;
+
+      update public.food_items
+         set stock = stock - v_quantity
+       where food_item_id = v_food.food_item_id
+         and stock is not null;
+
+      v_priced := public.price_basket_line(v_food, v_line->'option_ids');
+      v_unit_price := (v_priced->>'unit_price')::numeric;
+
+      insert into public.order_items (order_id, food_item_id, name, price, quantity, options)
+      values (v_order.id, v_food.food_item_id, v_food.name, v_unit_price, v_quantity, v_priced->'options');
+
+      v_subtotal := v_subtotal + v_unit_price * v_quantity;
+      v_items := v_items || jsonb_build_object(
+        'food_item_id', v_food.food_item_id,
+        'name', v_food.name,
+        'price', v_unit_price,
+        'quantity', v_quantity,
+        'options', v_priced->'options'
+      );
+    end loop;
+
+    v_discount := coalesce((v_allocations->>v_restaurant.id::text)::numeric, 0);
+    if v_has_promo and v_promo.kind = 'free_delivery'
+       and (v_promo.restaurant_id is null or v_promo.restaurant_id = v_restaurant.id) then
+      v_discount := (public.compute_order_pricing(v_subtotal, v_zone)->>'delivery_fee')::numeric;
+    end if;
+
+    v_pricing := public.compute_order_pricing(v_subtotal, v_zone, v_discount);
+
+    update public.orders
+       set subtotal = (v_pricing->>'subtotal')::numeric,
+           delivery_fee = (v_pricing->>'delivery_fee')::numeric,
+           small_order_fee = (v_pricing->>'small_order_fee')::numeric,
+           discount = (v_pricing->>'discount')::numeric,
+           total = (v_pricing->>'total')::numeric
+     where id = v_order.id
+    returning * into v_order;
+
+    v_total := v_total + v_order.total;
+    v_total_discount := v_total_discount + v_order.discount;
+    v_orders := v_orders || (to_jsonb(v_order) || jsonb_build_object(
+      'order_items', v_items,
+      'restaurant_name', v_restaurant.name
+    ));
+  end loop;
+
+  update public.checkouts
+     set total = v_total,
+         discount = v_total_discount
+   where id = v_checkout.id
+  returning * into v_checkout;
+
+  if v_has_promo then
+    insert into public.promotion_redemptions (promotion_id, user_id, checkout_id, discount)
+    values (v_promo.id, v_user_id, v_checkout.id, v_total_discount);
+  end if;
+
+  return to_jsonb(v_checkout) || jsonb_build_object('orders', v_orders);
+end;
+$$;
+
+revoke all on function public.place_order(jsonb, jsonb, text, text) from public;
+grant execute on function public.place_order(jsonb, jsonb, text, text) to authenticated;
+
+-- Replaces an item's option groups and choices in one transaction, so a
+-- failure halfway never leaves required groups missing or choices without
+-- their group. Ids are kept, so choices already in customers' carts still
+-- match. p_groups: [{ "id", "name", "min_select", "max_select",
+-- "choices": [{ "id", "name", "price_delta", "is_available" }, ...] }, ...]
+create or replace function public.replace_option_groups(p_food_item_id text, p_groups jsonb)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (
+    select 1
+      from public.food_items f
+      join public.restaurants r on r.id = f.restaurant_id
+     where f.food_item_id = p_food_item_id and r.owner_id = auth.uid()
+  ) then
+    raise exception 'Menu item not found.' using errcode = 'P0002';
+  end if;
+
+  p_groups := coalesce(p_groups, '[]'::jsonb);
+
+  delete from public.option_groups
+   where food_item_id = p_food_item_id
+     and id not in (select (g->>'id')::uuid from jsonb_array_elements(p_groups) g);
+
+  insert into public.option_groups (id, food_item_id, name, min_select, max_select, sort_order)
+  select (g->>'id')::uuid, p_food_item_id, btrim(g->>'name'),
+         (g->>'min_select')::integer, (g->>'max_select')::integer, (n - 1)::integer
+    from jsonb_array_elements(p_groups) with ordinality as t (g, n)
+  on conflict (id) do update
+     set name = excluded.name,
+         min_select = excluded.min_select,
+         max_select = excluded.max_select,
+         sort_order = excluded.sort_order
+   where option_groups.food_item_id = p_food_item_id;
+
+  delete from public.option_choices
+   where group_id in (select id from public.option_groups where food_item_id = p_food_item_id)
+     and id not in (
+       select (c->>'id')::uuid
+         from jsonb_array_elements(p_groups) g, jsonb_array_elements(coalesce(g->'choices', '[]'::jsonb)) c
+     );
+
+  insert into public.option_choices (id, group_id, name, price_delta, is_available, sort_order)
+  select (c->>'id')::uuid, (g->>'id')::uuid, btrim(c->>'name'),
+         coalesce((c->>'price_delta')::numeric, 0), coalesce((c->>'is_available')::boolean, true), (n - 1)::integer
+    from jsonb_array_elements(p_groups) g,
+         jsonb_array_elements(coalesce(g->'choices', '[]'::jsonb)) with ordinality as t (c, n)
+   where (g->>'id')::uuid in (select id from public.option_groups where food_item_id = p_food_item_id)
+  on conflict (id) do update
+     set group_id = excluded.group_id,
+         name = excluded.name,
+         price_delta = excluded.price_delta,
+         is_available = excluded.is_available,
+         sort_order = excluded.sort_order
+   where option_choices.group_id in (select id from public.option_groups where food_item_id = p_food_item_id);
+end;
+$$;
+
+revoke all on function public.replace_option_groups(text, jsonb) from public;
+grant execute on function public.replace_option_groups(text, jsonb) to authenticated;
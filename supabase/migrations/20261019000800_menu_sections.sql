@@ -0,0 +1,29 @@
+-- Owner-defined menu sections.
+--
+-- A restaurant groups its menu into ordered sections (Best Sellers, Rice
+-- Meals, Drinks). Items without a section are shown under "More" on the
+-- restaurant page.
+
+create table if not exists public.menu_sections (
+  id uuid primary key default gen_random_uuid(),
+  restaurant_id uuid not null references public.restaurants (id) on delete cascade,
+  name text not null,
+  sort_order integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists menu_sections_restaurant_idx on public.menu_sections (restaurant_id, sort_order);
+
+alter table public.food_items
+  add column if not exists section_id uuid references public.menu_sections (id) on delete set null;
+
+alter table public.menu_sections enable row level security;
+
+create policy "Anyone can read menu sections"
+  on public.menu_sections for select
+  using (true);
+
+create policy "Owners manage their menu sections"
+  on public.menu_sections for all
+  using (restaurant_id in (select id from public.restaurants where owner_id = auth.uid()))
+  with check (restaurant_id in (select id from public.restaurants where owner_id = auth.uid()));
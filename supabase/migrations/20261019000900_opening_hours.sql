@@ -0,0 +1,156 @@
+-- Opening hours, closures and pausing.
+--
+-- A restaurant is open when the owner has not switched it off (is_open),
+-- orders are not paused, today is not a closure day and Manila time falls
+-- inside one of today's opening windows. A restaurant with no hours set is
+-- open all day. Mirrors getRestaurantStatus() in src/lib/openingHours.js.
+
+create table if not exists public.restaurant_hours (
+  id uuid primary key default gen_random_uuid(),
+  restaurant_id uuid not null references public.restaurants (id) on delete cascade,
+  weekday smallint not null check (weekday between 0 and 6),   -- 0 = Sunday
+  opens_at time not null,
+  closes_at time not null,                                     -- earlier than opens_at = past midnight
+  check (opens_at <> closes_at)
+);
+
+create table if not exists public.restaurant_closures (
+  id uuid primary key default gen_random_uuid(),
+  restaurant_id uuid not null references public.restaurants (id) on delete cascade,
+  starts_on date not null,
+  ends_on date not null,
+  reason text,
+  created_at timestamptz not null default now(),
+  check (ends_on >= starts_on)
+);
+
+create index if not exists restaurant_hours_restaurant_idx on public.restaurant_hours (restaurant_id, weekday);
+create index if not exists restaurant_closures_restaurant_idx on public.restaurant_closures (restaurant_id, ends_on);
+
+alter table public.restaurants
+  add column if not exists paused_until timestamptz;
+
+alter table public.restaurant_hours enable row level security;
+alter table public.restaurant_closures enable row level security;
+
+create policy "Anyone can read opening hours"
+  on public.restaurant_hours for select
+  using (true);
+
+create policy "Owners manage their opening hours"
+  on public.restaurant_hours for all
+  using (restaurant_id in (select id from public.restaurants where owner_id = auth.uid()))
+  with check (restaurant_id in (select id from public.restaurants where owner_id = auth.uid()));
+
+create policy "Anyone can read closures"
+  on public.restaurant_closures for select
+  using (true);
+
+create policy "Owners manage their closures"
+  on public.restaurant_closures for all
+  using (restaurant_id in (select id from public.restaurants where owner_id = auth.uid()))
+  with check (restaurant_id in (select id from public.restaurants where owner_id = auth.uid()));
+
+create or replace function public.is_restaurant_open(
+  p_restaurant public.restaurants,
+  p_at timestamptz default now()
+)
+returns boolean
+language plpgsql
+stable
+set search_path = public
+as $$
+declare
+  v_local timestamp := p_at at time zone 'Asia/Manila';
+  v_today date := v_local::date;
+  v_time time := v_local::time;
+  v_weekday smallint := extract(dow from v_local)::smallint;
+  v_yesterday smallint := (extract(dow from v_local)::smallint + 6) % 7;
+begin
+  if not coalesce(p_restaurant.is_open, false) then
+    return false;
+  end if;
+
+  if p_restaurant.paused_until is not null and p_at < p_restaurant.paused_until then
+    return false;
+  end if;
+
+  if exists (
+    select 1 from public.restaurant_closures
+     where restaurant_id = p_restaurant.id
+       and v_today between starts_on and ends_on
+  ) then
+    return false;
+  end if;
+
+  if not exists (select 1 from public.restaurant_hours where restaurant_id = p_restaurant.id) then
+    return true;
+  end if;
+
+  return exists (
+    select 1 from public.restaurant_hours h
+     where h.restaurant_id = p_restaurant.id
+       and (
+         -- today's windows, including the evening part of one that wraps
+         (h.weekday = v_weekday and (
+           (h.opens_at < h.closes_at and v_time >= h.opens_at and v_time < h.closes_at)
+           or (h.opens_at > h.closes_at and v_time >= h.opens_at)
+         ))
+         -- the after-midnight part of yesterday's wrapping window
+         or (h.weekday = v_yesterday and h.opens_at > h.closes_at and v_time < h.closes_at)
+       )
+  );
+end;
+$$;
+
+-- Checkout goes through place_order(), which inserts one order per
+-- restaurant; refuse the whole basket if any of them is closed.
+create or replace function public.assert_restaurant_open()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_restaurant public.restaurants%rowtype;
+begin
+  if new.restaurant_id is null then
+    return new;
+  end if;
+
+  select * into v_restaurant from public.restaurants where id = new.restaurant_id;
+  if found and not public.is_restaurant_open(v_restaurant) then
+    raise exception '% is closed right now and cannot take orders.', v_restaurant.name using errcode = '22023';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_require_open_restaurant on public.orders;
+create trigger orders_require_open_restaurant
+  before insert on public.orders
+  for each row execute function public.assert_restaurant_open();
+
+-- The weekly hours are saved as a whole; swapping them in one call keeps a
+-- failed insert from leaving the restaurant with no hours (open all day).
+-- p_hours: [{ "weekday": 1, "opens_at": "09:00", "closes_at": "21:00" }, ...]
+create or replace function public.replace_restaurant_hours(p_restaurant_id uuid, p_hours jsonb)
+returns setof public.restaurant_hours
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (select 1 from public.restaurants where id = p_restaurant_id and owner_id = auth.uid()) then
+    raise exception 'Restaurant not found.' using errcode = 'P0002';
+  end if;
+
+  delete from public.restaurant_hours where restaurant_id = p_restaurant_id;
+
+  return query
+  insert into public.restaurant_hours (restaurant_id, weekday, opens_at, closes_at)
+  select p_restaurant_id, (h->>'weekday')::smallint, (h->>'opens_at')::time, (h->>'closes_at')::time
+    from jsonb_array_elements(coalesce(p_hours, '[]'::jsonb)) h
+  returning *;
+end;
+$$;
@@ -0,0 +1,332 @@
+-- Scheduled (pre-order) deliveries.
+--
+-- An order can be placed for a later delivery slot. It waits as
+-- 'Scheduled' and moves to 'Pending' (the normal kitchen queue) a
+-- per-restaurant number of minutes before the slot, via
+-- release_scheduled_orders(). The slot must fall inside the zone's
+-- delivery window and the restaurant's opening hours; the restaurant check
+-- is done by the orders trigger from the opening hours migration, now at
+-- the scheduled time instead of now.
+
+alter table public.orders
+  add column if not exists scheduled_for timestamptz;
+
+alter table public.restaurants
+  add column if not exists scheduled_release_minutes integer not null default 45
+    check (scheduled_release_minutes between 0 and 240);
+
+create index if not exists orders_scheduled_idx
+  on public.orders (scheduled_for)
+  where status = 'Scheduled';
+
+-- is_zone_open() at any moment, not just now
+create or replace function public.is_zone_open_at(p_zone public.delivery_zones, p_at timestamptz)
+returns boolean
+language sql
+stable
+as $$
+  select case
+    when p_zone.active_from is null or p_zone.active_until is null then true
+    when p_zone.active_from <= p_zone.active_until then
+      (p_at at time zone 'Asia/Manila')::time >= p_zone.active_from
+      and (p_at at time zone 'Asia/Manila')::time < p_zone.active_until
+    else
+      (p_at at time zone 'Asia/Manila')::time >= p_zone.active_from
+      or (p_at at time zone 'Asia/Manila')::time < p_zone.active_until
+  end;
+$$;
+
+create or replace function public.is_zone_open(p_zone public.delivery_zones)
+returns boolean
+language sql
+stable
+as $$
+  select public.is_zone_open_at(p_zone, now());
+$$;
+
+-- A scheduled order has to fit the restaurant's hours at its slot
+create or replace function public.assert_restaurant_open()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_restaurant public.restaurants%rowtype;
+begin
+  if new.restaurant_id is null then
+    return new;
+  end if;
+
+  select * into v_restaurant from public.restaurants where id = new.restaurant_id;
+  if not found then
+    return new;
+  end if;
+
+  if new.scheduled_for is not null then
+    if not public.is_restaurant_open(v_restaurant, new.scheduled_for) then
+      raise exception '% is closed at the time you picked.', v_restaurant.name using errcode = '22023';
+    end if;
+  elsif not public.is_restaurant_open(v_restaurant) then
+    raise exception '% is closed right now and cannot take orders.', v_restaurant.name using errcode = '22023';
+  end if;
+  return new;
+end;
+$$;
+
+-- Moves every scheduled order that is due into 'Pending'. Runs every
+-- minute from pg_cron where available; the owner dashboard also calls it
+-- while open so releases never depend on the cron job alone.
+create or replace function public.release_scheduled_orders()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count integer;
+begin
+  update public.orders o
+     set status = 'Pending'
+    from public.restaurants r
+   where r.id = o.restaurant_id
+     and o.status = 'Scheduled'
+     and o.scheduled_for - make_interval(mins => r.scheduled_release_minutes) <= now();
+  get diagnostics v_count = row_count;
+  return v_count;
+end;
+$$;
+
+revoke all on function public.release_scheduled_orders() from public;
+grant execute on function public.release_scheduled_orders() to authenticated;
+
+do $$
+begin
+  if exists (select 1 from pg_extension where extname = 'pg_cron') then
+    perform cron.schedule('release-scheduled-orders', '* * * * *', 'select public.release_scheduled_orders()');
+  end if;
+end;
+$$;
+
+-- place_order() takes an optional delivery slot. The old signature is
+-- dropped so PostgREST does not see two candidates for the same call.
+drop function if exists public.place_order(jsonb, jsonb, text, text);
+
+create or replace function public.place_order(
+  p_items jsonb,                        -- [{ "food_item_id": "...", "quantity": 2, "option_ids": ["..."] }, ...]
+  p_address jsonb,                      -- { "contact_name", "contact_phone", "shipping_address", "barangay" }
+  p_payment_method text default 'COD',
+  p_promo_code text default null,
+  p_scheduled_for timestamptz default null  -- null = as soon as possible
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_zone public.delivery_zones%rowtype;
+  v_promo public.promotions%rowtype;
+  v_has_promo boolean := false;
+  v_subtotals jsonb;
+  v_allocations jsonb := '{}'::jsonb;
+  v_checkout public.checkouts%rowtype;
+  v_order public.orders%rowtype;
+  v_restaurant public.restaurants%rowtype;
+  v_line jsonb;
+  v_food public.food_items%rowtype;
+  v_quantity integer;
+  v_priced jsonb;
+  v_unit_price numeric;
+  v_subtotal numeric;
+  v_discount numeric;
+  v_pricing jsonb;
+  v_items jsonb;
+  v_orders jsonb := '[]'::jsonb;
+  v_total numeric := 0;
+  v_total_discount numeric := 0;
+begin
+  if v_user_id is null then
+    raise exception 'You must be signed in to place an order.' using errcode = '28000';
+  end if;
+
+  if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'Your cart is empty.' using errcode = '22023';
+  end if;
+
+  if coalesce(p_address->>'contact_name', '') = ''
+     or coalesce(p_address->>'contact_phone', '') = ''
+     or coalesce(p_address->>'shipping_address', '') = '' then
+    raise exception 'Recipient name, phone and address are required.' using errcode = '22023';
+  end if;
+
+  select * into v_zone
+    from public.delivery_zones
+   where barangay_name = p_address->>'barangay'
+     and is_active;
+
+  if not found then
+    raise exception 'We do not deliver to that barangay yet.' using errcode = '22023';
+  end if;
+
+  if p_scheduled_for is null then
+    if not public.is_zone_open(v_zone) then
+      raise exception 'We are not delivering to % right now.', v_zone.barangay_name using errcode = '22023';
+    end if;
+  else
+    if p_scheduled_for < now() + interval '30 minutes' then
+      raise exception 'Please pick a delivery time at least 30 minutes from now.' using errcode = '22023';
+    end if;
+    if p_scheduled_for > now() + interval '3 days' then
+      raise exception 'Deliveries can only be scheduled up to 3 days ahead.' using errcode = '22023';
+    end if;
+    if not public.is_zone_open_at(v_zone, p_scheduled_for) then
+      raise exception 'We do not deliver to % at that time.', v_zone.barangay_name using errcode = '22023';
+    end if;
+  end if;
+
+  if exists (
+    select 1
+      from jsonb_array_elements(p_items) e
+      left join public.food_items f on f.food_item_id = e->>'food_item_id'
+     where f.food_item_id is null
+  ) then
+    raise exception 'An item in your cart is no longer available.' using errcode = 'P0002';
+  end if;
+
+  v_subtotals := public.basket_subtotals(p_items);
+
+  if coalesce(trim(p_promo_code), '') <> '' then
+    -- Lock the promotion so concurrent checkouts cannot exceed its limits
+    select * into v_promo
+      from public.promotions
+     where code = upper(trim(p_promo_code))
+       for update;
+    if not found then
+      raise exception 'Promo code % was not found.', upper(trim(p_promo_code)) using errcode = 'P0002';
+    end if;
+    perform public.assert_promotion_usable(v_promo, v_user_id, v_subtotals);
+    v_has_promo := true;
+    v_allocations := public.allocate_promotion(v_promo, v_subtotals);
+  end if;
+
+  insert into public.checkouts (user_id, shipping_address, contact_name, contact_phone, payment_method, promotion_id)
+  values (
+    v_user_id, p_address->>'shipping_address', p_address->>'contact_name',
+    p_address->>'contact_phone', coalesce(p_payment_method, 'COD'),
+    case when v_has_promo then v_promo.id end
+  )
+  returning * into v_checkout;
+
+  for v_restaurant in
+    select r.*
+      from public.restaurants r
+     where r.id in (
+       select f.restaurant_id
+         from jsonb_array_elements(p_items) e
+         join public.food_items f on f.food_item_id = e->>'food_item_id'
+     )
+     order by r.id
+  loop
+    insert into public.orders (
+      user_id, checkout_id, restaurant_id, delivery_zone, total, subtotal, delivery_fee,
+      shipping_address, contact_name, contact_phone, payment_method, status, promotion_id,
+      scheduled_for
+    )
+    values (
+      v_user_id, v_checkout.id, v_restaurant.id, v_zone.barangay_name, 0, 0, 0,
+      v_checkout.shipping_address, v_checkout.contact_name, v_checkout.contact_phone,
+      v_checkout.payment_method,
+      case when p_scheduled_for is null then 'Pending' else 'Scheduled' end,
+      v_checkout.promotion_id, p_scheduled_for
+    )
+    returning * into v_order;
+
+    v_subtotal := 0;
+    v_items := '[]'::jsonb;
+
+    for v_line in
+      select e
+        from jsonb_array_elements(p_items) e
+        join public.food_items f on f.food_item_id = e->>'food_item_id'
+       where f.restaurant_id = v_restaurant.id
+    loop
+      v_quantity := coalesce((v_line->>'quantity')::integer, 0);
+      if v_quantity <= 0 then
+        raise exception 'Invalid quantity for item %.', v_line->>'food_item_id' using errcode = '22023';
+      end if;
+
+      -- Lock the row so two checkouts cannot sell the same last portion
+      select * into v_food
+        from public.food_items
+       where food_item_id = v_line->>'food_item_id'
+         for update;
+
+      if v_food.stock is not null and v_food.stock < v_quantity then
+        raise exception 'Only % left of "%".', greatest(v_food.stock, 0), v_food.name using errcode = 'P0001';
+      end if;
+
+      update public.food_items
+         set stock = stock - v_quantity
+       where food_item_id = v_food.food_item_id
+         and stock is not null;
+
+      v_priced := public.price_basket_line(v_food, v_line->'option_ids');
+      v_unit_price := (v_priced->>'unit_price')::numeric;
+
+      insert into public.order_items (order_id, food_item_id, name, price, quantity, options)
+      values (v_order.id, v_food.food_item_id, v_food.name, v_unit_price, v_quantity, v_priced->'options');
+
+      v_subtotal := v_subtotal + v_unit_price * v_quantity;
+      v_items := v_items || jsonb_build_object(
+        'food_item_id', v_food.food_item_id,
+        'name', v_food.name,
+        'price', v_unit_price,
+        'quantity', v_quantity,
+        'options', v_priced->'options'
+      );
+    end loop;
+
+    v_discount := coalesce((v_allocations->>v_restaurant.id::text)::numeric, 0);
+    if v_has_promo and v_promo.kind = 'free_delivery'
+       and (v_promo.restaurant_id is null or v_promo.restaurant_id = v_restaurant.id) then
+      v_discount := (public.compute_order_pricing(v_subtotal, v_zone)->>'delivery_fee')::numeric;
+    end if;
+
+    v_pricing := public.compute_order_pricing(v_subtotal, v_zone, v_discount);
+
+    update public.orders
+       set subtotal = (v_pricing->>'subtotal')::numeric,
+           delivery_fee = (v_pricing->>'delivery_fee')::numeric,
+           small_order_fee = (v_pricing->>'small_order_fee')::numeric,
+           discount = (v_pricing->>'discount')::numeric,
+           total = (v_pricing->>'total')::numeric
+     where id = v_order.id
+    returning * into v_order;
+
+    v_total := v_total + v_order.total;
+    v_total_discount := v_total_discount + v_order.discount;
+    v_orders := v_orders || (to_jsonb(v_order) || jsonb_build_object(
+      'order_items', v_items,
+      'restaurant_name', v_restaurant.name
+    ));
+  end loop;
+
+  update public.checkouts
+     set total = v_total,
+         discount = v_total_discount
+   where id = v_checkout.id
+  returning * into v_checkout;
+
+  if v_has_promo then
+    insert into public.promotion_redemptions (promotion_id, user_id, checkout_id, discount)
+    values (v_promo.id, v_user_id, v_checkout.id, v_total_discount);
+  end if;
+
+  return to_jsonb(v_checkout) || jsonb_build_object('orders', v_orders);
+end;
+$$;
+
+revoke all on function public.place_order(jsonb, jsonb, text, text, timestamptz) from public;
+grant execute on function public.place_order(jsonb, jsonb, text, text, timestamptz) to authenticated;
@@ -0,0 +1,49 @@
+-- Inventory.
+--
+-- place_order() already reserves stock by decrementing food_items.stock
+-- inside the checkout transaction. This adds the other half: a cancelled
+-- order puts its portions back. A null stock means "unlimited / made to
+-- order" and is never touched. low_stock_threshold drives the owner's
+-- low-stock warning.
+
+alter table public.food_items
+  alter column stock drop not null;
+
+alter table public.food_items
+  add column if not exists low_stock_threshold integer not null default 5
+    check (low_stock_threshold >= 0);
+
+-- Not validated so existing rows that already went negative do not block
+-- the migration; new writes are still checked.
+alter table public.food_items
+  drop constraint if exists food_items_stock_not_negative;
+alter table public.food_items
+  add constraint food_items_stock_not_negative check (stock is null or stock >= 0) not valid;
+
+create or replace function public.restore_cancelled_order_stock()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.food_items f
+     set stock = f.stock + returned.quantity
+    from (
+      select food_item_id, sum(quantity)::integer as quantity
+        from public.order_items
+       where order_id = new.id
+       group by food_item_id
+    ) returned
+   where f.food_item_id = returned.food_item_id
+     and f.stock is not null;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_restore_stock_on_cancel on public.orders;
+create trigger orders_restore_stock_on_cancel
+  after update of status on public.orders
+  for each row
+  when (new.status = 'Cancelled' and old.status is distinct from 'Cancelled')
+  execute function public.restore_cancelled_order_stock();
@@ -0,0 +1,24 @@
+-- Platform commission on restaurant food sales, used by the owner's payout
+-- export. Set by the platform; owners can read it but not change it.
+
+alter table public.restaurants
+  add column if not exists commission_rate numeric(5, 4) not null default 0.15
+    check (commission_rate between 0 and 1);
+
+create or replace function public.protect_commission_rate()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.commission_rate is distinct from old.commission_rate
+     and coalesce(auth.role(), '') <> 'service_role' then
+    raise exception 'The commission rate can only be changed by the platform.' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists restaurants_protect_commission_rate on public.restaurants;
+create trigger restaurants_protect_commission_rate
+  before update of commission_rate on public.restaurants
+  for each row execute function public.protect_commission_rate();
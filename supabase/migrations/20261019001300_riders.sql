@@ -0,0 +1,163 @@
+-- Riders.
+--
+-- A rider signs up with a name, phone and the barangay (delivery zone) they
+-- cover. Orders that are being prepared for that zone and have no rider yet
+-- are offered to every rider in it; the first to accept gets the order
+-- (accept_order) and then moves it through pickup and drop-off
+-- (advance_delivery). Riders have no direct write access to orders, so
+-- those two functions are all they can change. Customers and owners can
+-- read the name and phone of the rider on their orders.
+
+create table if not exists public.riders (
+  id uuid primary key references auth.users (id) on delete cascade,
+  full_name text not null check (length(trim(full_name)) > 0),
+  phone text not null check (length(trim(phone)) > 0),
+  zone text not null,                   -- delivery_zones.barangay_name
+  created_at timestamptz not null default now()
+);
+
+create index if not exists riders_zone_idx on public.riders (zone);
+
+alter table public.orders
+  add column if not exists rider_id uuid references public.riders (id) on delete set null,
+  add column if not exists rider_accepted_at timestamptz;
+
+create index if not exists orders_rider_id_idx on public.orders (rider_id);
+create index if not exists orders_available_idx on public.orders (delivery_zone, status) where rider_id is null;
+
+-- The zone of the signed-in rider, or null. Security definer so the
+-- orders policies below can use it without evaluating the riders policies
+-- (which read orders themselves and would otherwise recurse).
+create or replace function public.current_rider_zone()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select zone from public.riders where id = auth.uid();
+$$;
+
+alter table public.riders enable row level security;
+
+create policy "Riders read their own profile"
+  on public.riders for select
+  using (id = auth.uid());
+
+create policy "Riders create their own profile"
+  on public.riders for insert
+  with check (id = auth.uid());
+
+create policy "Riders update their own profile"
+  on public.riders for update
+  using (id = auth.uid())
+  with check (id = auth.uid());
+
+create policy "Customers read the rider on their orders"
+  on public.riders for select
+  using (id in (select rider_id from public.orders where user_id = auth.uid()));
+
+create policy "Owners read the riders on their restaurant orders"
+  on public.riders for select
+  using (id in (
+    select o.rider_id
+      from public.orders o
+      join public.restaurants r on r.id = o.restaurant_id
+     where r.owner_id = auth.uid()
+  ));
+
+create policy "Riders read available orders in their zone"
+  on public.orders for select
+  using (
+    rider_id is null
+    and status = 'Preparing'
+    and delivery_zone = public.current_rider_zone()
+  );
+
+create policy "Riders read their assigned orders"
+  on public.orders for select
+  using (rider_id = auth.uid());
+
+create policy "Riders read items on orders they can see"
+  on public.order_items for select
+  using (order_id in (
+    select id from public.orders
+     where rider_id = auth.uid()
+        or (rider_id is null
+            and status = 'Preparing'
+            and delivery_zone = public.current_rider_zone())
+  ));
+
+-- Claims an order for the calling rider. Only one rider can win: the
+-- update only matches while the order is still unassigned and Preparing.
+create or replace function public.accept_order(p_order_id uuid)
+returns public.orders
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_rider public.riders%rowtype;
+  v_order public.orders%rowtype;
+begin
+  select * into v_rider from public.riders where id = auth.uid();
+  if not found then
+    raise exception 'Only registered riders can accept orders.' using errcode = '42501';
+  end if;
+
+  update public.orders
+     set rider_id = v_rider.id,
+         rider_accepted_at = now(),
+         status = 'Driver Assigned'
+   where id = p_order_id
+     and rider_id is null
+     and status = 'Preparing'
+     and delivery_zone = v_rider.zone
+  returning * into v_order;
+
+  if not found then
+    raise exception 'This order is no longer available.' using errcode = 'P0002';
+  end if;
+  return v_order;
+end;
+$$;
+
+revoke all on function public.accept_order(uuid) from public;
+grant execute on function public.accept_order(uuid) to authenticated;
+
+-- Moves the calling rider's order one step on: Driver Assigned to Out for
+-- Delivery (picked up), then Out for Delivery to Delivered. Mirrors the
+-- rider's moves in TRANSITIONS (src/lib/orderLifecycle.js).
+create or replace function public.advance_delivery(p_order_id uuid, p_status text)
+returns public.orders
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_from text := case p_status
+    when 'Out for Delivery' then 'Driver Assigned'
+    when 'Delivered' then 'Out for Delivery'
+  end;
+  v_order public.orders%rowtype;
+begin
+  if v_from is null then
+    raise exception 'Riders cannot move an order to "%".', p_status using errcode = '22023';
+  end if;
+
+  update public.orders
+     set status = p_status
+   where id = p_order_id
+     and rider_id = auth.uid()
+     and status = v_from
+  returning * into v_order;
+
+  if not found then
+    raise exception 'This order was updated elsewhere. Please refresh and try again.' using errcode = 'P0002';
+  end if;
+  return v_order;
+end;
+$$;
+
+revoke all on function public.advance_delivery(uuid, text) from public;
+grant execute on function public.advance_delivery(uuid, text) to authenticated;
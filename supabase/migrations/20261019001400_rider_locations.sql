@@ -0,0 +1,52 @@
+-- Live rider locations.
+--
+-- The rider app writes a point from the browser's Geolocation API every few
+-- seconds for each order it is carrying. The customer's tracking page reads
+-- the trail for its order and follows new points over Realtime; the owner
+-- can see it for their restaurant's orders.
+
+create table if not exists public.rider_locations (
+  id bigint generated always as identity primary key,
+  order_id uuid not null references public.orders (id) on delete cascade,
+  rider_id uuid not null references public.riders (id) on delete cascade,
+  lat double precision not null check (lat between -90 and 90),
+  lng double precision not null check (lng between -180 and 180),
+  accuracy double precision,            -- metres, as reported by the device
+  heading double precision,             -- degrees clockwise from north
+  speed double precision,               -- metres per second
+  recorded_at timestamptz not null default now()
+);
+
+create index if not exists rider_locations_order_idx on public.rider_locations (order_id, recorded_at);
+
+alter table public.rider_locations enable row level security;
+
+create policy "Riders record locations for orders they are carrying"
+  on public.rider_locations for insert
+  with check (
+    rider_id = auth.uid()
+    and order_id in (
+      select id from public.orders
+       where rider_id = auth.uid()
+         and status in ('Driver Assigned', 'Out for Delivery')
+    )
+  );
+
+create policy "Riders read their own locations"
+  on public.rider_locations for select
+  using (rider_id = auth.uid());
+
+create policy "Customers read the rider trail on their orders"
+  on public.rider_locations for select
+  using (order_id in (select id from public.orders where user_id = auth.uid()));
+
+create policy "Owners read the rider trail on their restaurant orders"
+  on public.rider_locations for select
+  using (order_id in (
+    select o.id
+      from public.orders o
+      join public.restaurants r on r.id = o.restaurant_id
+     where r.owner_id = auth.uid()
+  ));
+
+alter publication supabase_realtime add table public.rider_locations;
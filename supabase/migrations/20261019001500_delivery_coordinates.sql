@@ -0,0 +1,258 @@
+-- Exact drop-off points.
+--
+-- Checkout now pins the delivery address on a map (device location or a
+-- dragged pin, reverse-geocoded in the browser). place_order() requires the
+-- pin, checks it with assert_delivery_point() and stores it on every order
+-- next to shipping_address so owners and riders get the exact spot.
+
+alter table public.orders
+  add column if not exists delivery_lat double precision check (delivery_lat between -90 and 90),
+  add column if not exists delivery_lng double precision check (delivery_lng between -180 and 180);
+
+-- Rejects pins outside Iligan City (ILIGAN_BOUNDS in src/config/constants.js).
+-- The browser also matches the pin's barangay against the active delivery
+-- zones before it gets here.
+create or replace function public.assert_delivery_point(
+  p_lat double precision,
+  p_lng double precision,
+  p_zone public.delivery_zones
+)
+returns void
+language plpgsql
+stable
+as $$
+begin
+  if p_lat not between 8.05 and 8.40 or p_lng not between 124.15 and 124.50 then
+    raise exception 'That address is outside our delivery area.' using errcode = '22023';
+  end if;
+end;
+$$;
+
+-- Same signature as before; now requires and stores the pin.
+create or replace function public.place_order(
+  p_items jsonb,                        -- [{ "food_item_id": "...", "quantity": 2, "option_ids": ["..."] }, ...]
+  p_address jsonb,                      -- { "contact_name", "contact_phone", "shipping_address", "barangay", "lat", "lng" }
+  p_payment_method text default 'COD',
+  p_promo_code text default null,
+  p_scheduled_for timestamptz default null  -- null = as soon as possible
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_zone public.delivery_zones%rowtype;
+  v_promo public.promotions%rowtype;
+  v_has_promo boolean := false;
+  v_subtotals jsonb;
+  v_allocations jsonb := '{}'::jsonb;
+  v_checkout public.checkouts%rowtype;
+  v_order public.orders%rowtype;
+  v_restaurant public.restaurants%rowtype;
+  v_line jsonb;
+  v_food public.food_items%rowtype;
+  v_quantity integer;
+  v_priced jsonb;
+  v_unit_price numeric;
+  v_subtotal numeric;
+  v_discount numeric;
+  v_pricing jsonb;
+  v_items jsonb;
+  v_orders jsonb := '[]'::jsonb;
+  v_total numeric := 0;
+  v_total_discount numeric := 0;
+  v_lat double precision;
+  v_lng double precision;
+begin
+  if v_user_id is null then
+    raise exception 'You must be signed in to place an order.' using errcode = '28000';
+  end if;
+
+  if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'Your cart is empty.' using errcode = '22023';
+  end if;
+
+  if coalesce(p_address->>'contact_name', '') = ''
+     or coalesce(p_address->>'contact_phone', '') = ''
+     or coalesce(p_address->>'shipping_address', '') = '' then
+    raise exception 'Recipient name, phone and address are required.' using errcode = '22023';
+  end if;
+
+  select * into v_zone
+    from public.delivery_zones
+   where barangay_name = p_address->>'barangay'
+     and is_active;
+
+  if not found then
+    raise exception 'We do not deliver to that barangay yet.' using errcode = '22023';
+  end if;
+
+  if jsonb_typeof(p_address->'lat') <> 'number' or jsonb_typeof(p_address->'lng') <> 'number' then
+    raise exception 'Please pin your delivery address on the map.' using errcode = '22023';
+  end if;
+  v_lat := (p_address->>'lat')::double precision;
+  v_lng := (p_address->>'lng')::double precision;
+  perform public.assert_delivery_point(v_lat, v_lng, v_zone);
+
+  if p_scheduled_for is null then
+    if not public.is_zone_open(v_zone) then
+      raise exception 'We are not delivering to % right now.', v_zone.barangay_name using errcode = '22023';
+    end if;
+  else
+    if p_scheduled_for < now() + interval '30 minutes' then
+      raise exception 'Please pick a delivery time at least 30 minutes from now.' using errcode = '22023';
+    end if;
+    if p_scheduled_for > now() + interval '3 days' then
+      raise exception 'Deliveries can only be scheduled up to 3 days ahead.' using errcode = '22023';
+    end if;
+    if not public.is_zone_open_at(v_zone, p_scheduled_for) then
+      raise exception 'We do not deliver to % at that time.', v_zone.barangay_name using errcode = '22023';
+    end if;
+  end if;
+
+  if exists (
+    select 1
+      from jsonb_array_elements(p_items) e
+      left join public.food_items f on f.food_item_id = e->>'food_item_id'
+     where f.food_item_id is null
+  ) then
+    raise exception 'An item in your cart is no longer available.' using errcode = 'P0002';
+  end if;
+
+  v_subtotals := public.basket_subtotals(p_items);
+
+  if coalesce(trim(p_promo_code), '') <> '' then
+    -- Lock the promotion so concurrent checkouts cannot exceed its limits
+    select * into v_promo
+      from public.promotions
+     where code = upper(trim(p_promo_code))
+       for update;
+    if not found then
+      raise exception 'Promo code % was not found.', upper(trim(p_promo_code)) using errcode = 'P0002';
+    end if;
+    perform public.assert_promotion_usable(v_promo, v_user_id, v_subtotals);
+    v_has_promo := true;
+    v_allocations := public.allocate_promotion(v_promo, v_subtotals);
+  end if;
+
+  insert into public.checkouts (user_id, shipping_address, contact_name, contact_phone, payment_method, promotion_id)
+  values (
+    v_user_id, p_address->>'shipping_address', p_address->>'contact_name',
+    p_address->>'contact_phone', coalesce(p_payment_method, 'COD'),
+    case when v_has_promo then v_promo.id end
+  )
+  returning * into v_checkout;
+
+  for v_restaurant in
+    select r.*
+      from public.restaurants r
+     where r.id in (
+       select f.restaurant_id
+         from jsonb_array_elements(p_items) e
+         join public.food_items f on f.food_item_id = e->>'food_item_id'
+     )
+     order by r.id
+  loop
+    insert into public.orders (
+      user_id, checkout_id, restaurant_id, delivery_zone, total, subtotal, delivery_fee,
+      shipping_address, delivery_lat, delivery_lng, contact_name, contact_phone, payment_method,
+      status, promotion_id, scheduled_for
+    )
+    values (
+      v_user_id, v_checkout.id, v_restaurant.id, v_zone.barangay_name, 0, 0, 0,
+      v_checkout.shipping_address, v_lat, v_lng, v_checkout.contact_name, v_checkout.contact_phone,
+      v_checkout.payment_method,
+      case when p_scheduled_for is null then 'Pending' else 'Scheduled' end,
+      v_checkout.promotion_id, p_scheduled_for
+    )
+    returning * into v_order;
+
+    v_subtotal := 0;
+    v_items := '[]'::jsonb;
+
+    for v_line in
+      select e
+        from jsonb_array_elements(p_items) e
+        join public.food_items f on f.food_item_id = e->>'food_item_id'
+       where f.restaurant_id = v_restaurant.id
+    loop
+      v_quantity := coalesce((v_line->>'quantity')::integer, 0);
+      if v_quantity <= 0 then
+        raise exception 'Invalid quantity for item %.', v_line->>'food_item_id' using errcode = '22023';
+      end if;
+
+      -- Lock the row so two checkouts cannot sell the same last portion
+      select * into v_food
+        from public.food_items
+       where food_item_id = v_line->>'food_item_id'
+         for update;
+
+      if v_food.stock is not null and v_food.stock < v_quantity then
+        raise exception 'Only % left of "%".', greatest(v_food.stock, 0), v_food.name using errcode = 'P0001';
+      end if;
+
+      update public.food_items
+         set stock = stock - v_quantity
+       where food_item_id = v_food.food_item_id
+         and stock is not null;
+
+      v_priced := public.price_basket_line(v_food, v_line->'option_ids');
+      v_unit_price := (v_priced->>'unit_price')::numeric;
+
+      insert into public.order_items (order_id, food_item_id, name, price, quantity, options)
+      values (v_order.id, v_food.food_item_id, v_food.name, v_unit_price, v_quantity, v_priced->'options');
+
+      v_subtotal := v_subtotal + v_unit_price * v_quantity;
+      v_items := v_items || jsonb_build_object(
+        'food_item_id', v_food.food_item_id,
+        'name', v_food.name,
+        'price', v_unit_price,
+        'quantity', v_quantity,
+        'options', v_priced->'options'
+      );
+    end loop;
+
+    v_discount := coalesce((v_allocations->>v_restaurant.id::text)::numeric, 0);
+    if v_has_promo and v_promo.kind = 'free_delivery'
+       and (v_promo.restaurant_id is null or v_promo.restaurant_id = v_restaurant.id) then
+      v_discount := (public.compute_order_pricing(v_subtotal, v_zone)->>'delivery_fee')::numeric;
+    end if;
+
+    v_pricing := public.compute_order_pricing(v_subtotal, v_zone, v_discount);
+
+    update public.orders
+       set subtotal = (v_pricing->>'subtotal')::numeric,
+           delivery_fee = (v_pricing->>'delivery_fee')::numeric,
+           small_order_fee = (v_pricing->>'small_order_fee')::numeric,
+           discount = (v_pricing->>'discount')::numeric,
+           total = (v_pricing->>'total')::numeric
+     where id = v_order.id
+    returning * into v_order;
+
+    v_total := v_total + v_order.total;
+    v_total_discount := v_total_discount + v_order.discount;
+    v_orders := v_orders || (to_jsonb(v_order) || jsonb_build_object(
+      'order_items', v_items,
+      'restaurant_name', v_restaurant.name
+    ));
+  end loop;
+
+  update public.checkouts
+     set total = v_total,
+         discount = v_total_discount
+   where id = v_checkout.id
+  returning * into v_checkout;
+
+  if v_has_promo then
+    insert into public.promotion_redemptions (promotion_id, user_id, checkout_id, discount)
+    values (v_promo.id, v_user_id, v_checkout.id, v_total_discount);
+  end if;
+
+  return to_jsonb(v_checkout) || jsonb_build_object('orders', v_orders);
+end;
+$$;
+
+revoke all on function public.place_order(jsonb, jsonb, text, text, timestamptz) from public;
+grant execute on function public.place_order(jsonb, jsonb, text, text, timestamptz) to authenticated;
@@ -0,0 +1,248 @@
+-- Delivery zone boundaries.
+--
+-- Every delivery zone can carry a GeoJSON Polygon or MultiPolygon boundary
+-- ([lng, lat] positions, like any GeoJSON), managed by platform admins.
+-- Checkout pins must fall inside the boundary of the zone they are priced
+-- with, and a restaurant only delivers to zones whose centre is within its
+-- delivery radius of its own barangay's centre. Mirrors src/lib/geo.js and
+-- src/lib/deliveryZones.js.
+--
+-- The official PSA / NAMRIA barangay boundaries for Iligan City are not
+-- bundled yet; rough shapes drawn by hand would turn away real addresses,
+-- so none are seeded. An admin imports the dataset (a GeoJSON
+-- FeatureCollection, matched to zones by barangay name) or draws single
+-- zones on the Delivery Zones page (/admin), which flags zones still
+-- missing one. Until a zone has a boundary, pins there are only checked
+-- against the city box and every restaurant delivers to it.
+--
+-- Make someone an admin with:
+--   insert into public.admins (user_id) values ('<auth user id>');
+
+alter table public.delivery_zones
+  add column if not exists boundary jsonb
+    check (boundary is null or boundary->>'type' in ('Polygon', 'MultiPolygon'));
+
+alter table public.restaurants
+  add column if not exists delivery_radius_km numeric(5, 2) not null default 5
+    check (delivery_radius_km > 0);
+
+create table if not exists public.admins (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+alter table public.admins enable row level security;
+
+create policy "Admins read their own row"
+  on public.admins for select
+  using (user_id = auth.uid());
+
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.admins where user_id = auth.uid());
+$$;
+
+alter table public.delivery_zones enable row level security;
+
+create policy "Anyone can read delivery zones"
+  on public.delivery_zones for select
+  using (true);
+
+create policy "Admins manage delivery zones"
+  on public.delivery_zones for all
+  using (public.is_admin())
+  with check (public.is_admin());
+
+-- Ray casting over one linear ring of [lng, lat] positions
+create or replace function public.geojson_ring_contains(p_ring jsonb, p_lat double precision, p_lng double precision)
+returns boolean
+language plpgsql
+immutable
+as $$
+declare
+  v_inside boolean := false;
+  v_count integer := jsonb_array_length(p_ring);
+  v_i integer;
+  v_j integer := v_count - 1;
+  v_xi double precision;
+  v_yi double precision;
+  v_xj double precision;
+  v_yj double precision;
+begin
+  for v_i in 0 .. v_count - 1 loop
+    v_xi := (p_ring->v_i->>0)::double precision;
+    v_yi := (p_ring->v_i->>1)::double precision;
+    v_xj := (p_ring->v_j->>0)::double precision;
+    v_yj := (p_ring->v_j->>1)::double precision;
+    if (v_yi > p_lat) <> (v_yj > p_lat)
+       and p_lng < (v_xj - v_xi) * (p_lat - v_yi) / (v_yj - v_yi) + v_xi then
+      v_inside := not v_inside;
+    end if;
+    v_j := v_i;
+  end loop;
+  return v_inside;
+end;
+$$;
+
+-- Inside the outer ring and outside every hole of any polygon
+create or replace function public.geojson_contains_point(p_geometry jsonb, p_lat double precision, p_lng double precision)
+returns boolean
+language plpgsql
+immutable
+as $$
+declare
+  v_polygons jsonb;
+  v_polygon jsonb;
+  v_hole integer;
+  v_in_hole boolean;
+begin
+  if p_geometry is null then
+    return false;
+  end if;
+  v_polygons := case p_geometry->>'type'
+    when 'Polygon' then jsonb_build_array(p_geometry->'coordinates')
+    when 'MultiPolygon' then p_geometry->'coordinates'
+    else '[]'::jsonb
+  end;
+
+  for v_polygon in select value from jsonb_array_elements(v_polygons) loop
+    if public.geojson_ring_contains(v_polygon->0, p_lat, p_lng) then
+      v_in_hole := false;
+      for v_hole in 1 .. jsonb_array_length(v_polygon) - 1 loop
+        if public.geojson_ring_contains(v_polygon->v_hole, p_lat, p_lng) then
+          v_in_hole := true;
+        end if;
+      end loop;
+      if not v_in_hole then
+        return true;
+      end if;
+    end if;
+  end loop;
+  return false;
+end;
+$$;
+
+-- Average of the outer-ring vertices: { "lat", "lng" }, or null. Close
+-- enough to the middle for the small, compact shapes of barangays.
+create or replace function public.geojson_center(p_geometry jsonb)
+returns jsonb
+language sql
+immutable
+as $$
+  select case when count(*) = 0 then null else jsonb_build_object(
+    'lat', avg((position->>1)::double precision),
+    'lng', avg((position->>0)::double precision)
+  ) end
+    from jsonb_array_elements(
+      case p_geometry->>'type'
+        when 'Polygon' then jsonb_build_array(p_geometry->'coordinates')
+        when 'MultiPolygon' then p_geometry->'coordinates'
+        else '[]'::jsonb
+      end
+    ) polygon,
+    jsonb_array_elements(polygon->0) position;
+$$;
+
+create or replace function public.distance_km(
+  p_lat1 double precision, p_lng1 double precision,
+  p_lat2 double precision, p_lng2 double precision
+)
+returns double precision
+language sql
+immutable
+as $$
+  select 2 * 6371 * asin(least(1, sqrt(
+    sin(radians(p_lat2 - p_lat1) / 2) ^ 2
+    + cos(radians(p_lat1)) * cos(radians(p_lat2)) * sin(radians(p_lng2 - p_lng1) / 2) ^ 2
+  )));
+$$;
+
+-- Pins have to be inside the zone's boundary; zones still without one fall
+-- back to the Iligan City box.
+create or replace function public.assert_delivery_point(
+  p_lat double precision,
+  p_lng double precision,
+  p_zone public.delivery_zones
+)
+returns void
+language plpgsql
+stable
+as $$
+begin
+  if p_zone.boundary is not null then
+    if not public.geojson_contains_point(p_zone.boundary, p_lat, p_lng) then
+      raise exception 'Your pin is not inside Brgy. %. Move the pin or pick the right barangay.', p_zone.barangay_name using errcode = '22023';
+    end if;
+  elsif p_lat not between 8.05 and 8.40 or p_lng not between 124.15 and 124.50 then
+    raise exception 'That address is outside our delivery area.' using errcode = '22023';
+  end if;
+end;
+$$;
+
+-- Whether the restaurant's barangay centre is within its delivery radius
+-- of the zone's centre. Without both boundaries there is nothing to
+-- measure, so the restaurant delivers.
+create or replace function public.restaurant_delivers_to(
+  p_restaurant public.restaurants,
+  p_zone public.delivery_zones
+)
+returns boolean
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_from jsonb;
+  v_to jsonb := public.geojson_center(p_zone.boundary);
+begin
+  select public.geojson_center(boundary) into v_from
+    from public.delivery_zones
+   where barangay_name = p_restaurant.address_barangay;
+
+  if v_from is null or v_to is null then
+    return true;
+  end if;
+  return public.distance_km(
+    (v_from->>'lat')::double precision, (v_from->>'lng')::double precision,
+    (v_to->>'lat')::double precision, (v_to->>'lng')::double precision
+  ) <= p_restaurant.delivery_radius_km;
+end;
+$$;
+
+create or replace function public.assert_restaurant_delivers()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_restaurant public.restaurants%rowtype;
+  v_zone public.delivery_zones%rowtype;
+begin
+  if new.restaurant_id is null or new.delivery_zone is null then
+    return new;
+  end if;
+
+  select * into v_restaurant from public.restaurants where id = new.restaurant_id;
+  select * into v_zone from public.delivery_zones where barangay_name = new.delivery_zone;
+  if v_restaurant.id is null or v_zone.barangay_name is null then
+    return new;
+  end if;
+
+  if not public.restaurant_delivers_to(v_restaurant, v_zone) then
+    raise exception '% does not deliver to Brgy. %.', v_restaurant.name, v_zone.barangay_name using errcode = '22023';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_assert_restaurant_delivers on public.orders;
+create trigger orders_assert_restaurant_delivers
+  before insert on public.orders
+  for each row execute function public.assert_restaurant_delivers();
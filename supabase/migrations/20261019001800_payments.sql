@@ -0,0 +1,338 @@
+-- Online payments.
+--
+-- E-wallet and card orders are now actually paid. After place_order the
+-- client opens a payment intent for the checkout (create_payment_intent),
+-- sends the customer to the provider, and the provider reports back with
+-- success, failure or expiry. Provider callbacks are applied by
+-- apply_payment_event(), which only the service role may call (from the
+-- provider's webhook handler). The fake provider used in development
+-- reports through simulate_payment_event() instead; it is seeded switched
+-- off and only supabase/seed.sql (local databases) turns it on.
+--
+-- Every order carries payment_status (unpaid, authorized, paid, refunded).
+-- Owners only see non-COD orders once they are authorized or paid, and a
+-- checkout that is not paid within 15 minutes of ordering is cancelled
+-- (see release_unpaid_orders), which puts the stock back.
+-- COD orders count as paid when they are delivered. The app cannot change
+-- an order's payment status or prices itself (guard_order_payment).
+
+alter table public.orders
+  add column if not exists payment_status text not null default 'unpaid'
+    check (payment_status in ('unpaid', 'authorized', 'paid', 'refunded'));
+
+-- Before this, nothing was tracked and owners saw every order
+update public.orders
+   set payment_status = 'paid'
+ where payment_status = 'unpaid'
+   and (payment_method <> 'COD' or status in ('Delivered', 'Completed'));
+
+create table if not exists public.payment_providers (
+  id text primary key,
+  label text not null,
+  is_enabled boolean not null default true
+);
+
+alter table public.payment_providers enable row level security;
+
+create policy "Anyone can read payment providers"
+  on public.payment_providers for select
+  using (true);
+
+insert into public.payment_providers (id, label, is_enabled)
+values ('fake', 'Test payments', false)
+on conflict (id) do nothing;
+
+-- One payment intent per attempt; a checkout can have several after a
+-- failure or expiry, but only one open at a time
+create table if not exists public.payments (
+  id uuid primary key default gen_random_uuid(),
+  checkout_id uuid not null references public.checkouts (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  provider text not null references public.payment_providers (id),
+  provider_reference text,
+  method text not null,
+  amount numeric(10, 2) not null check (amount > 0),
+  currency text not null default 'PHP',
+  status text not null default 'pending'
+    check (status in ('pending', 'authorized', 'succeeded', 'failed', 'expired', 'refunded')),
+  failure_reason text,
+  expires_at timestamptz not null default now() + interval '15 minutes',
+  paid_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists payments_checkout_id_idx on public.payments (checkout_id);
+create unique index if not exists payments_one_open_per_checkout
+  on public.payments (checkout_id) where status in ('pending', 'authorized', 'succeeded');
+
+alter table public.payments enable row level security;
+
+create policy "Customers read their own payments"
+  on public.payments for select
+  using (user_id = auth.uid());
+
+alter publication supabase_realtime add table public.payments;
+
+-- Owners: hide e-wallet and card orders until the money is there
+drop policy if exists "Owners read their restaurant orders" on public.orders;
+create policy "Owners read their restaurant orders"
+  on public.orders for select
+  using (
+    restaurant_id in (select id from public.restaurants where owner_id = auth.uid())
+    and (payment_method = 'COD' or payment_status <> 'unpaid')
+  );
+
+drop policy if exists "Owners update their restaurant orders" on public.orders;
+create policy "Owners update their restaurant orders"
+  on public.orders for update
+  using (
+    restaurant_id in (select id from public.restaurants where owner_id = auth.uid())
+    and (payment_method = 'COD' or payment_status <> 'unpaid')
+  );
+
+-- Opens a payment intent for the caller's unpaid checkout, or returns the
+-- one still open
+create or replace function public.create_payment_intent(p_checkout_id uuid, p_provider text)
+returns public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_checkout public.checkouts%rowtype;
+  v_payment public.payments%rowtype;
+  v_amount numeric(10, 2);
+  v_deadline timestamptz;
+begin
+  select * into v_checkout
+    from public.checkouts
+   where id = p_checkout_id and user_id = auth.uid()
+     for update;
+  if v_checkout.id is null then
+    raise exception 'Checkout not found.' using errcode = 'P0002';
+  end if;
+  if v_checkout.payment_method = 'COD' then
+    raise exception 'Cash on delivery orders are paid to the rider.' using errcode = '22023';
+  end if;
+  if not exists (select 1 from public.payment_providers where id = p_provider and is_enabled) then
+    raise exception 'Payment provider % is not available.', p_provider using errcode = '22023';
+  end if;
+
+  perform public.expire_payment(id)
+     from public.payments
+    where checkout_id = p_checkout_id and status = 'pending' and expires_at <= now();
+
+  select * into v_payment
+    from public.payments
+   where checkout_id = p_checkout_id and status in ('pending', 'authorized', 'succeeded');
+  if v_payment.id is not null then
+    return v_payment;
+  end if;
+
+  -- Only what is still owed: orders of the checkout cancelled since it was
+  -- placed are not charged. Orders have 15 minutes from being placed to be
+  -- paid (release_unpaid_orders cancels them after that), so an intent
+  -- never stays open past that deadline.
+  select coalesce(sum(total), 0), min(created_at) + interval '15 minutes'
+    into v_amount, v_deadline
+    from public.orders
+   where checkout_id = p_checkout_id and status <> 'Cancelled' and payment_status = 'unpaid';
+  if v_amount <= 0 or v_deadline <= now() then
+    raise exception 'This order can no longer be paid.' using errcode = '22023';
+  end if;
+
+  insert into public.payments (checkout_id, user_id, provider, method, amount, expires_at)
+  values (p_checkout_id, auth.uid(), p_provider, v_checkout.payment_method, v_amount, v_deadline)
+  returning * into v_payment;
+  return v_payment;
+end;
+$$;
+
+-- Applies a provider callback. Events that do not fit the payment's
+-- current state are ignored, so repeated webhooks are harmless.
+create or replace function public.apply_payment_event(
+  p_payment_id uuid,
+  p_event text,
+  p_provider_reference text default null,
+  p_failure_reason text default null
+)
+returns public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_payment public.payments%rowtype;
+  v_next text;
+begin
+  select * into v_payment from public.payments where id = p_payment_id for update;
+  if v_payment.id is null then
+    raise exception 'Payment not found.' using errcode = 'P0002';
+  end if;
+
+  v_next := case
+    when p_event = 'authorized' and v_payment.status = 'pending' then 'authorized'
+    when p_event = 'succeeded' and v_payment.status in ('pending', 'authorized') then 'succeeded'
+    when p_event = 'failed' and v_payment.status in ('pending', 'authorized') then 'failed'
+    when p_event = 'expired' and v_payment.status = 'pending' then 'expired'
+    when p_event = 'refunded' and v_payment.status in ('authorized', 'succeeded') then 'refunded'
+  end;
+  if v_next is null then
+    return v_payment;
+  end if;
+
+  update public.payments
+     set status = v_next,
+         provider_reference = coalesce(p_provider_reference, provider_reference),
+         failure_reason = case when v_next in ('failed', 'expired') then p_failure_reason end,
+         paid_at = case when v_next = 'succeeded' then now() else paid_at end,
+         updated_at = now()
+   where id = p_payment_id
+  returning * into v_payment;
+
+  if v_next in ('authorized', 'succeeded') then
+    update public.orders
+       set payment_status = case v_next when 'succeeded' then 'paid' else 'authorized' end
+     where checkout_id = v_payment.checkout_id
+       and status <> 'Cancelled'
+       and payment_status in ('unpaid', 'authorized');
+  elsif v_next = 'refunded' then
+    update public.orders
+       set payment_status = 'refunded'
+     where checkout_id = v_payment.checkout_id
+       and payment_status in ('authorized', 'paid');
+  elsif v_next = 'failed' then
+    -- A hold that could not be captured
+    update public.orders
+       set payment_status = 'unpaid'
+     where checkout_id = v_payment.checkout_id
+       and payment_status = 'authorized';
+  elsif v_next = 'expired' then
+    update public.orders
+       set status = 'Cancelled'
+     where checkout_id = v_payment.checkout_id
+       and status in ('Pending', 'Scheduled')
+       and payment_status = 'unpaid';
+  end if;
+
+  return v_payment;
+end;
+$$;
+
+revoke execute on function public.apply_payment_event(uuid, text, text, text) from public, anon, authenticated;
+
+-- Expires one of the caller's payments once its time is up. Providers do
+-- not always report expiry, so the payment page and order tracking call
+-- this when the countdown runs out.
+create or replace function public.expire_payment(p_payment_id uuid)
+returns public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_payment public.payments%rowtype;
+begin
+  select * into v_payment
+    from public.payments
+   where id = p_payment_id and user_id = auth.uid();
+  if v_payment.id is null then
+    raise exception 'Payment not found.' using errcode = 'P0002';
+  end if;
+  if v_payment.status <> 'pending' or v_payment.expires_at > now() then
+    return v_payment;
+  end if;
+  return public.apply_payment_event(p_payment_id, 'expired', null, 'The payment window closed.');
+end;
+$$;
+
+-- The fake provider's callbacks, sent from its checkout page. Refuses
+-- payments of any other provider and does nothing once the fake provider
+-- is switched off.
+create or replace function public.simulate_payment_event(p_payment_id uuid, p_event text)
+returns public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_payment public.payments%rowtype;
+begin
+  select p.* into v_payment
+    from public.payments p
+    join public.payment_providers pp on pp.id = p.provider
+   where p.id = p_payment_id
+     and p.user_id = auth.uid()
+     and p.provider = 'fake'
+     and pp.is_enabled;
+  if v_payment.id is null then
+    raise exception 'Payment not found.' using errcode = 'P0002';
+  end if;
+  if p_event not in ('authorized', 'succeeded', 'failed', 'expired', 'refunded') then
+    raise exception 'Unknown payment event %.', p_event using errcode = '22023';
+  end if;
+  return public.apply_payment_event(
+    p_payment_id,
+    p_event,
+    coalesce(v_payment.provider_reference, 'fake_' || replace(p_payment_id::text, '-', '')),
+    case p_event when 'failed' then 'Declined by the test provider.' when 'expired' then 'The payment window closed.' end
+  );
+end;
+$$;
+
+-- Cash is collected at the door
+create or replace function public.mark_cod_order_paid()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.payment_status := 'paid';
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_mark_cod_paid on public.orders;
+create trigger orders_mark_cod_paid
+  before update of status on public.orders
+  for each row
+  when (new.status = 'Delivered' and old.status is distinct from 'Delivered'
+        and new.payment_method = 'COD' and new.payment_status = 'unpaid')
+  execute function public.mark_cod_order_paid();
+
+-- The orders policies let customers and owners update their orders
+-- directly, which would let a customer mark an unpaid order as paid or
+-- lower what it costs. Payment status and prices are only written by
+-- place_order(), apply_payment_event() and the triggers here, which run as
+-- their owner; requests from the app (anon or authenticated) are refused.
+-- Named to sort before orders_mark_cod_paid, so the COD trigger's own
+-- change is not seen here. Not security definer, so current_user tells
+-- the two apart.
+create or replace function public.guard_order_payment()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if current_user in ('anon', 'authenticated') then
+    raise exception 'Payment and price details of an order cannot be changed.' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_guard_payment on public.orders;
+create trigger orders_guard_payment
+  before update on public.orders
+  for each row
+  when (
+    new.payment_status is distinct from old.payment_status
+    or new.payment_method is distinct from old.payment_method
+    or new.total is distinct from old.total
+    or new.subtotal is distinct from old.subtotal
+    or new.discount is distinct from old.discount
+    or new.delivery_fee is distinct from old.delivery_fee
+    or new.small_order_fee is distinct from old.small_order_fee
+    or new.promotion_id is distinct from old.promotion_id
+  )
+  execute function public.guard_order_payment();
@@ -0,0 +1,348 @@
+-- Cancellations and refunds.
+--
+-- Orders are cancelled through cancel_order() only, always with a reason;
+-- a direct update from the app that cancels an order or touches its
+-- cancellation details is refused (guard_order_cancellation).
+-- Who may cancel at which status mirrors canCancelOrder() in
+-- src/lib/cancellations.js:
+--   customer  Scheduled or Pending at any time; Preparing only within
+--             5 minutes of ordering
+--   owner     Scheduled, Pending or Preparing
+-- A payment that expires cancels its orders as 'payment_expired' (system).
+-- Cancelling an e-wallet or card order that was paid or held writes a
+-- refund for its total, which the payment provider then settles.
+-- When all of a checkout's orders are cancelled, its promo code redemption
+-- is released (release_promotion_redemption).
+
+alter table public.orders
+  add column if not exists cancel_reason text
+    check (cancel_reason in ('changed_mind', 'out_of_stock', 'rider_unavailable', 'payment_expired', 'other')),
+  add column if not exists cancel_note text,
+  add column if not exists cancelled_by text
+    check (cancelled_by in ('customer', 'owner', 'system')),
+  add column if not exists cancelled_at timestamptz;
+
+-- Earlier cancellations had no reason
+update public.orders
+   set cancel_reason = 'other', cancelled_by = 'system'
+ where status = 'Cancelled' and cancel_reason is null;
+
+create table if not exists public.refunds (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null unique references public.orders (id) on delete cascade,
+  payment_id uuid references public.payments (id),
+  provider text references public.payment_providers (id),
+  amount numeric(10, 2) not null check (amount >= 0),
+  status text not null default 'pending' check (status in ('pending', 'succeeded', 'failed')),
+  provider_reference text,
+  created_at timestamptz not null default now(),
+  processed_at timestamptz
+);
+
+alter table public.refunds enable row level security;
+
+create policy "Customers read refunds on their orders"
+  on public.refunds for select
+  using (order_id in (select id from public.orders where user_id = auth.uid()));
+
+create policy "Owners read refunds on their restaurant orders"
+  on public.refunds for select
+  using (order_id in (
+    select o.id from public.orders o
+      join public.restaurants r on r.id = o.restaurant_id
+     where r.owner_id = auth.uid()
+  ));
+
+-- The order policies let customers, owners and riders update their orders
+-- directly, which would let them cancel with any reason or blame someone
+-- else. Requests from the app run as anon or authenticated, while
+-- cancel_order() and the payment functions run as their owner, so checking
+-- the current role leaves only those paths. Not security definer on
+-- purpose: that would make current_user the owner here too.
+create or replace function public.guard_order_cancellation()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if current_user in ('anon', 'authenticated') then
+    raise exception 'Cancel orders through cancel_order().' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_guard_cancellation on public.orders;
+create trigger orders_guard_cancellation
+  before update of status, cancel_reason, cancel_note, cancelled_by, cancelled_at on public.orders
+  for each row
+  when (
+    (new.status = 'Cancelled' and old.status is distinct from 'Cancelled')
+    or new.cancel_reason is distinct from old.cancel_reason
+    or new.cancel_note is distinct from old.cancel_note
+    or new.cancelled_by is distinct from old.cancelled_by
+    or new.cancelled_at is distinct from old.cancelled_at
+  )
+  execute function public.guard_order_cancellation();
+
+-- Every cancellation needs a reason; paid online orders get a refund.
+-- Fires after orders_guard_cancellation (triggers run in name order).
+create or replace function public.prepare_order_cancellation()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_payment public.payments%rowtype;
+  v_amount numeric(10, 2);
+begin
+  if new.cancel_reason is null then
+    raise exception 'Give a reason to cancel an order.' using errcode = '22023';
+  end if;
+  new.cancelled_at := now();
+  new.cancelled_by := coalesce(new.cancelled_by, 'system');
+
+  if new.payment_method <> 'COD' and old.payment_status in ('authorized', 'paid') then
+    select * into v_payment
+      from public.payments
+     where checkout_id = new.checkout_id and status in ('authorized', 'succeeded')
+     order by created_at desc
+     limit 1;
+
+    -- Nothing was captured without a payment row, so there is nothing to
+    -- give back
+    if v_payment.id is not null then
+      -- The order's share of what the payment took, never more than is
+      -- left of it after the checkout's other refunds
+      select least(coalesce(old.total, 0), v_payment.amount - coalesce(sum(amount), 0)) into v_amount
+        from public.refunds
+       where payment_id = v_payment.id;
+
+      insert into public.refunds (order_id, payment_id, provider, amount)
+      values (new.id, v_payment.id, v_payment.provider, greatest(v_amount, 0))
+      on conflict (order_id) do nothing;
+      new.payment_status := 'refunded';
+    end if;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_prepare_cancellation on public.orders;
+create trigger orders_prepare_cancellation
+  before update of status on public.orders
+  for each row
+  when (new.status = 'Cancelled' and old.status is distinct from 'Cancelled')
+  execute function public.prepare_order_cancellation();
+
+-- Once every order of a checkout is cancelled its promo code use is given
+-- back, so it counts against neither the usage limit nor the customer's own.
+-- An after trigger, so orders cancelled together in one statement (an
+-- expired payment) all read as Cancelled here.
+create or replace function public.release_promotion_redemption()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.checkout_id is not null and not exists (
+    select 1 from public.orders
+     where checkout_id = new.checkout_id and status <> 'Cancelled'
+  ) then
+    delete from public.promotion_redemptions where checkout_id = new.checkout_id;
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists orders_release_promotion on public.orders;
+create trigger orders_release_promotion
+  after update of status on public.orders
+  for each row
+  when (new.status = 'Cancelled' and old.status is distinct from 'Cancelled')
+  execute function public.release_promotion_redemption();
+
+create or replace function public.cancel_order(p_order_id uuid, p_reason text, p_note text default null)
+returns public.orders
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order public.orders%rowtype;
+  v_role text;
+  v_note text := nullif(btrim(coalesce(p_note, '')), '');
+begin
+  select * into v_order from public.orders where id = p_order_id for update;
+
+  if v_order.restaurant_id in (select id from public.restaurants where owner_id = auth.uid()) then
+    v_role := 'owner';
+  elsif v_order.user_id = auth.uid() then
+    v_role := 'customer';
+  end if;
+  if v_order.id is null or v_role is null then
+    raise exception 'Order not found.' using errcode = 'P0002';
+  end if;
+
+  if not (
+    (v_role = 'customer' and p_reason in ('changed_mind', 'other'))
+    or (v_role = 'owner' and p_reason in ('changed_mind', 'out_of_stock', 'rider_unavailable', 'other'))
+  ) then
+    raise exception 'That is not a valid reason to cancel.' using errcode = '22023';
+  end if;
+  if p_reason = 'other' and v_note is null then
+    raise exception 'Tell us why the order is being cancelled.' using errcode = '22023';
+  end if;
+
+  if v_order.status = 'Cancelled' then
+    raise exception 'This order is already cancelled.' using errcode = '22023';
+  elsif v_role = 'customer' and v_order.status = 'Preparing' then
+    if v_order.created_at < now() - interval '5 minutes' then
+      raise exception 'The restaurant is already preparing your food. Call them if you still need to cancel.' using errcode = '22023';
+    end if;
+  elsif v_order.status not in ('Scheduled', 'Pending', 'Preparing') then
+    raise exception 'An order that is "%" can no longer be cancelled.', v_order.status using errcode = '22023';
+  end if;
+
+  update public.orders
+     set status = 'Cancelled',
+         cancel_reason = p_reason,
+         cancel_note = v_note,
+         cancelled_by = v_role
+   where id = p_order_id
+  returning * into v_order;
+  return v_order;
+end;
+$$;
+
+-- Provider refund callbacks; service role only, like apply_payment_event()
+create or replace function public.apply_refund_event(p_refund_id uuid, p_event text, p_provider_reference text default null)
+returns public.refunds
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_refund public.refunds%rowtype;
+begin
+  if p_event not in ('succeeded', 'failed') then
+    raise exception 'Unknown refund event %.', p_event using errcode = '22023';
+  end if;
+  update public.refunds
+     set status = p_event,
+         provider_reference = coalesce(p_provider_reference, provider_reference),
+         processed_at = now()
+   where id = p_refund_id and status = 'pending'
+  returning * into v_refund;
+  if v_refund.id is null then
+    select * into v_refund from public.refunds where id = p_refund_id;
+  end if;
+  return v_refund;
+end;
+$$;
+
+revoke execute on function public.apply_refund_event(uuid, text, text) from public, anon, authenticated;
+
+-- The fake provider's refund callback, for the order's customer or owner.
+-- Development only: like simulate_payment_event() it refuses to run while
+-- the fake provider is disabled, which it is outside local databases.
+create or replace function public.simulate_refund_event(p_refund_id uuid, p_event text)
+returns public.refunds
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (
+    select 1
+      from public.refunds f
+      join public.orders o on o.id = f.order_id
+      join public.payment_providers pp on pp.id = f.provider
+     where f.id = p_refund_id
+       and f.provider = 'fake'
+       and pp.is_enabled
+       and (o.user_id = auth.uid()
+            or o.restaurant_id in (select id from public.restaurants where owner_id = auth.uid()))
+  ) then
+    raise exception 'Refund not found.' using errcode = 'P0002';
+  end if;
+  return public.apply_refund_event(p_refund_id, p_event, 'fake_refund_' || replace(p_refund_id::text, '-', ''));
+end;
+$$;
+
+-- Same as in the payments migration, except that expired payments now
+-- record why their orders were cancelled
+create or replace function public.apply_payment_event(
+  p_payment_id uuid,
+  p_event text,
+  p_provider_reference text default null,
+  p_failure_reason text default null
+)
+returns public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_payment public.payments%rowtype;
+  v_next text;
+begin
+  select * into v_payment from public.payments where id = p_payment_id for update;
+  if v_payment.id is null then
+    raise exception 'Payment not found.' using errcode = 'P0002';
+  end if;
+
+  v_next := case
+    when p_event = 'authorized' and v_payment.status = 'pending' then 'authorized'
+    when p_event = 'succeeded' and v_payment.status in ('pending', 'authorized') then 'succeeded'
+    when p_event = 'failed' and v_payment.status in ('pending', 'authorized') then 'failed'
+    when p_event = 'expired' and v_payment.status = 'pending' then 'expired'
+    when p_event = 'refunded' and v_payment.status in ('authorized', 'succeeded') then 'refunded'
+  end;
+  if v_next is null then
+    return v_payment;
+  end if;
+
+  update public.payments
+     set status = v_next,
+         provider_reference = coalesce(p_provider_reference, provider_reference),
+         failure_reason = case when v_next in ('failed', 'expired') then p_failure_reason end,
+         paid_at = case when v_next = 'succeeded' then now() else paid_at end,
+         updated_at = now()
+   where id = p_payment_id
+  returning * into v_payment;
+
+  if v_next in ('authorized', 'succeeded') then
+    update public.orders
+       set payment_status = case v_next when 'succeeded' then 'paid' else 'authorized' end
+     where checkout_id = v_payment.checkout_id
+       and status <> 'Cancelled'
+       and payment_status in ('unpaid', 'authorized');
+  elsif v_next = 'refunded' then
+    update public.orders
+       set payment_status = 'refunded'
+     where checkout_id = v_payment.checkout_id
+       and payment_status in ('authorized', 'paid');
+  elsif v_next = 'failed' then
+    -- A hold that could not be captured
+    update public.orders
+       set payment_status = 'unpaid'
+     where checkout_id = v_payment.checkout_id
+       and payment_status = 'authorized';
+  elsif v_next = 'expired' then
+    update public.orders
+       set status = 'Cancelled',
+           cancel_reason = 'payment_expired',
+           cancelled_by = 'system'
+     where checkout_id = v_payment.checkout_id
+       and status in ('Pending', 'Scheduled')
+       and payment_status = 'unpaid';
+  end if;
+
+  return v_payment;
+end;
+$$;
+
+revoke execute on function public.apply_payment_event(uuid, text, text, text) from public, anon, authenticated;
@@ -0,0 +1,253 @@
+-- Ratings and reviews.
+--
+-- A customer can review each completed order once: 1-5 stars for the
+-- restaurant, 1-5 stars for any of the dishes in it, an optional comment
+-- and an optional photo (uploaded to the public review-photos bucket under
+-- the customer's own folder; reviews keep its path in that bucket, never a
+-- URL). Reviews are public, and the restaurant's owner can post one public
+-- reply to each.
+--
+-- Reviews are written through submit_review() and replies through
+-- reply_to_review(). Average ratings and counts are kept on restaurants and
+-- food_items so the shop list can show them without extra queries.
+
+create table if not exists public.reviews (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null unique references public.orders (id) on delete cascade,
+  restaurant_id uuid not null references public.restaurants (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  reviewer_name text not null,
+  rating smallint not null check (rating between 1 and 5),
+  comment text check (char_length(comment) <= 1000),
+  photo_path text,                      -- object name in the review-photos bucket
+  owner_reply text check (char_length(owner_reply) <= 1000),
+  replied_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists reviews_restaurant_id_idx on public.reviews (restaurant_id, created_at desc);
+
+create table if not exists public.review_items (
+  review_id uuid not null references public.reviews (id) on delete cascade,
+  food_item_id text not null references public.food_items (food_item_id) on delete cascade,
+  name text not null,
+  rating smallint not null check (rating between 1 and 5),
+  primary key (review_id, food_item_id)
+);
+
+alter table public.reviews enable row level security;
+alter table public.review_items enable row level security;
+
+create policy "Anyone can read reviews"
+  on public.reviews for select
+  using (true);
+
+create policy "Anyone can read review items"
+  on public.review_items for select
+  using (true);
+
+alter table public.restaurants
+  add column if not exists rating_average numeric(3, 2),
+  add column if not exists rating_count integer not null default 0;
+
+alter table public.food_items
+  add column if not exists rating_average numeric(3, 2),
+  add column if not exists rating_count integer not null default 0;
+
+-- Owners may update their restaurants and dishes, but not their ratings:
+-- only the review triggers below keep these columns. They run as their
+-- owner, while requests from the app run as anon or authenticated. Not
+-- security definer, so current_user tells the two apart.
+create or replace function public.protect_rating()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (new.rating_average is distinct from old.rating_average or new.rating_count is distinct from old.rating_count)
+     and current_user in ('anon', 'authenticated') then
+    raise exception 'Ratings can only be changed by reviews.' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists restaurants_protect_rating on public.restaurants;
+create trigger restaurants_protect_rating
+  before update of rating_average, rating_count on public.restaurants
+  for each row execute function public.protect_rating();
+
+drop trigger if exists food_items_protect_rating on public.food_items;
+create trigger food_items_protect_rating
+  before update of rating_average, rating_count on public.food_items
+  for each row execute function public.protect_rating();
+
+-- Review photos; customers upload into a folder named after their user id
+insert into storage.buckets (id, name, public)
+values ('review-photos', 'review-photos', true)
+on conflict (id) do nothing;
+
+create policy "Customers upload their own review photos"
+  on storage.objects for insert
+  to authenticated
+  with check (bucket_id = 'review-photos' and (storage.foldername(name))[1] = auth.uid()::text);
+
+-- Lets the app clean up after a review that failed to save; photos already
+-- on a review stay
+create policy "Customers delete their unused review photos"
+  on storage.objects for delete
+  to authenticated
+  using (
+    bucket_id = 'review-photos'
+    and (storage.foldername(name))[1] = auth.uid()::text
+    and not exists (select 1 from public.reviews where photo_path = name)
+  );
+
+-- p_items: [{ "food_item_id": "...", "rating": 4 }, ...], dishes from the order only
+create or replace function public.submit_review(
+  p_order_id uuid,
+  p_rating integer,
+  p_comment text default null,
+  p_photo_path text default null,
+  p_items jsonb default '[]'::jsonb
+)
+returns public.reviews
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order public.orders%rowtype;
+  v_review public.reviews%rowtype;
+  v_line jsonb;
+  v_item public.order_items%rowtype;
+  v_photo_path text := nullif(btrim(coalesce(p_photo_path, '')), '');
+begin
+  select * into v_order from public.orders where id = p_order_id and user_id = auth.uid();
+  if v_order.id is null then
+    raise exception 'Order not found.' using errcode = 'P0002';
+  end if;
+  if v_order.status <> 'Completed' then
+    raise exception 'You can review an order once you have received it.' using errcode = '22023';
+  end if;
+  if exists (select 1 from public.reviews where order_id = p_order_id) then
+    raise exception 'You have already reviewed this order.' using errcode = '23505';
+  end if;
+  if p_rating is null or p_rating not between 1 and 5 then
+    raise exception 'Rate the restaurant from 1 to 5 stars.' using errcode = '22023';
+  end if;
+  -- Only a photo the customer uploaded to their own folder
+  if v_photo_path is not null and not (
+    (storage.foldername(v_photo_path))[1] = auth.uid()::text
+    and exists (select 1 from storage.objects where bucket_id = 'review-photos' and name = v_photo_path)
+  ) then
+    raise exception 'Upload the photo again.' using errcode = '22023';
+  end if;
+
+  insert into public.reviews (order_id, restaurant_id, user_id, reviewer_name, rating, comment, photo_path)
+  values (
+    p_order_id,
+    v_order.restaurant_id,
+    auth.uid(),
+    coalesce(nullif(split_part(btrim(coalesce(v_order.contact_name, '')), ' ', 1), ''), 'Customer'),
+    p_rating,
+    nullif(btrim(coalesce(p_comment, '')), ''),
+    v_photo_path
+  )
+  returning * into v_review;
+
+  for v_line in select * from jsonb_array_elements(coalesce(p_items, '[]'::jsonb))
+  loop
+    select * into v_item
+      from public.order_items
+     where order_id = p_order_id and food_item_id = v_line->>'food_item_id'
+     limit 1;
+    if v_item.food_item_id is null then
+      raise exception 'That dish is not part of this order.' using errcode = '22023';
+    end if;
+    if (v_line->>'rating')::integer not between 1 and 5 then
+      raise exception 'Rate % from 1 to 5 stars.', v_item.name using errcode = '22023';
+    end if;
+
+    insert into public.review_items (review_id, food_item_id, name, rating)
+    values (v_review.id, v_item.food_item_id, v_item.name, (v_line->>'rating')::integer)
+    on conflict (review_id, food_item_id) do nothing;
+  end loop;
+
+  return v_review;
+end;
+$$;
+
+-- The owner's public answer to a review; an empty reply removes it
+create or replace function public.reply_to_review(p_review_id uuid, p_reply text)
+returns public.reviews
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_review public.reviews%rowtype;
+  v_reply text := nullif(btrim(coalesce(p_reply, '')), '');
+begin
+  update public.reviews
+     set owner_reply = v_reply,
+         replied_at = case when v_reply is null then null else now() end
+   where id = p_review_id
+     and restaurant_id in (select id from public.restaurants where owner_id = auth.uid())
+  returning * into v_review;
+  if v_review.id is null then
+    raise exception 'Review not found.' using errcode = 'P0002';
+  end if;
+  return v_review;
+end;
+$$;
+
+-- Keep the averages on restaurants and food_items current
+create or replace function public.refresh_restaurant_rating()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.restaurants r
+     set rating_average = s.average, rating_count = s.count
+    from (
+      select round(avg(rating), 2) as average, count(*)::integer as count
+        from public.reviews
+       where restaurant_id = new.restaurant_id
+    ) s
+   where r.id = new.restaurant_id;
+  return new;
+end;
+$$;
+
+drop trigger if exists reviews_refresh_restaurant_rating on public.reviews;
+create trigger reviews_refresh_restaurant_rating
+  after insert on public.reviews
+  for each row
+  execute function public.refresh_restaurant_rating();
+
+create or replace function public.refresh_food_item_rating()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.food_items f
+     set rating_average = s.average, rating_count = s.count
+    from (
+      select round(avg(rating), 2) as average, count(*)::integer as count
+        from public.review_items
+       where food_item_id = new.food_item_id
+    ) s
+   where f.food_item_id = new.food_item_id;
+  return new;
+end;
+$$;
+
+drop trigger if exists review_items_refresh_food_item_rating on public.review_items;
+create trigger review_items_refresh_food_item_rating
+  after insert on public.review_items
+  for each row
+  execute function public.refresh_food_item_rating();
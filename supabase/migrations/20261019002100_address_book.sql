@@ -0,0 +1,332 @@
+-- Saved addresses.
+--
+-- Customers keep an address book (Home, Office, ...) with the recipient,
+-- barangay, street, landmark, map pin and instructions for the rider. One
+-- address per customer is the default, which checkout fills in; the first
+-- address saved becomes the default on its own.
+--
+-- The rider instructions travel with the order: place_order() now takes
+-- "rider_notes" in p_address and stores it on every order of the checkout.
+
+create table if not exists public.customer_addresses (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  label text not null check (char_length(btrim(label)) between 1 and 40),
+  contact_name text not null,
+  contact_phone text not null,
+  barangay text not null,
+  street text not null,
+  landmark text,
+  rider_notes text check (char_length(rider_notes) <= 500),
+  lat double precision not null check (lat between -90 and 90),
+  lng double precision not null check (lng between -180 and 180),
+  is_default boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists customer_addresses_user_id_idx on public.customer_addresses (user_id);
+create unique index if not exists customer_addresses_one_default
+  on public.customer_addresses (user_id) where is_default;
+
+alter table public.customer_addresses enable row level security;
+
+create policy "Customers manage their own addresses"
+  on public.customer_addresses for all
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+-- Keeps exactly one default: a new default replaces the old one, and a
+-- customer's first address is their default. The nested updates it makes
+-- itself are let through untouched.
+create or replace function public.prepare_customer_address()
+returns trigger
+language plpgsql
+as $$
+begin
+  if pg_trigger_depth() > 1 then
+    return new;
+  end if;
+  new.updated_at := now();
+  if not new.is_default and not exists (
+    select 1 from public.customer_addresses
+     where user_id = new.user_id and id <> new.id and is_default
+  ) then
+    new.is_default := true;
+  end if;
+  if new.is_default then
+    update public.customer_addresses
+       set is_default = false
+     where user_id = new.user_id and id <> new.id and is_default;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists customer_addresses_prepare on public.customer_addresses;
+create trigger customer_addresses_prepare
+  before insert or update on public.customer_addresses
+  for each row
+  execute function public.prepare_customer_address();
+
+-- Deleting the default hands it to the most recently used address left
+create or replace function public.promote_next_default_address()
+returns trigger
+language plpgsql
+as $$
+begin
+  if old.is_default then
+    update public.customer_addresses
+       set is_default = true
+     where id = (
+       select id from public.customer_addresses
+        where user_id = old.user_id
+        order by updated_at desc
+        limit 1
+     );
+  end if;
+  return old;
+end;
+$$;
+
+drop trigger if exists customer_addresses_promote_default on public.customer_addresses;
+create trigger customer_addresses_promote_default
+  after delete on public.customer_addresses
+  for each row
+  execute function public.promote_next_default_address();
+
+alter table public.orders
+  add column if not exists rider_notes text;
+
+-- Same as in the delivery coordinates migration, plus the rider notes
+create or replace function public.place_order(
+  p_items jsonb,                        -- [{ "food_item_id": "...", "quantity": 2, "option_ids": ["..."] }, ...]
+  p_address jsonb,                      -- { "contact_name", "contact_phone", "shipping_address", "barangay", "lat", "lng", "rider_notes" }
+  p_payment_method text default 'COD',
+  p_promo_code text default null,
+  p_scheduled_for timestamptz default null  -- null = as soon as possible
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_zone public.delivery_zones%rowtype;
+  v_promo public.promotions%rowtype;
+  v_has_promo boolean := false;
+  v_subtotals jsonb;
+  v_allocations jsonb := '{}'::jsonb;
+  v_checkout public.checkouts%rowtype;
+  v_order public.orders%rowtype;
+  v_restaurant public.restaurants%rowtype;
+  v_line jsonb;
+  v_food public.food_items%rowtype;
+  v_quantity integer;
+  v_priced jsonb;
+  v_unit_price numeric;
+  v_subtotal numeric;
+  v_discount numeric;
+  v_pricing jsonb;
+  v_items jsonb;
+  v_orders jsonb := '[]'::jsonb;
+  v_total numeric := 0;
+  v_total_discount numeric := 0;
+  v_lat double precision;
+  v_lng double precision;
+  v_rider_notes text := nullif(btrim(coalesce(p_address->>'rider_notes', '')), '');
+begin
+  if v_user_id is null then
+    raise exception 'You must be signed in to place an order.' using errcode = '28000';
+  end if;
+
+  if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'Your cart is empty.' using errcode = '22023';
+  end if;
+
+  if coalesce(p_address->>'contact_name', '') = ''
+     or coalesce(p_address->>'contact_phone', '') = ''
+     or coalesce(p_address->>'shipping_address', '') = '' then
+    raise exception 'Recipient name, phone and address are required.' using errcode = '22023';
+  end if;
+  if char_length(v_rider_notes) > 500 then
+    raise exception 'Notes for the rider can be at most 500 characters.' using errcode = '22023';
+  end if;
+
+  select * into v_zone
+    from public.delivery_zones
+   where barangay_name = p_address->>'barangay'
+     and is_active;
+
+  if not found then
+    raise exception 'We do not deliver to that barangay yet.' using errcode = '22023';
+  end if;
+
+  if jsonb_typeof(p_address->'lat') <> 'number' or jsonb_typeof(p_address->'lng') <> 'number' then
+    raise exception 'Please pin your delivery address on the map.' using errcode = '22023';
+  end if;
+  v_lat := (p_address->>'lat')::double precision;
+  v_lng := (p_address->>'lng')::double precision;
+  perform public.assert_delivery_point(v_lat, v_lng, v_zone);
+
+  if p_scheduled_for is null then
+    if not public.is_zone_open(v_zone) then
+      raise exception 'We are not delivering to % right now.', v_zone.barangay_name using errcode = '22023';
+    end if;
+  else
+    if p_scheduled_for < now() + interval '30 minutes' then
+      raise exception 'Please pick a delivery time at least 30 minutes from now.' using errcode = '22023';
+    end if;
+    if p_scheduled_for > now() + interval '3 days' then
+      raise exception 'Deliveries can only be scheduled up to 3 days ahead.' using errcode = '22023';
+    end if;
+    if not public.is_zone_open_at(v_zone, p_scheduled_for) then
+      raise exception 'We do not deliver to % at that time.', v_zone.barangay_name using errcode = '22023';
+    end if;
+  end if;
+
+  if exists (
+    select 1
+      from jsonb_array_elements(p_items) e
+      left join public.food_items f on f.food_item_id = e->>'food_item_id'
+     where f.food_item_id is null
+  ) then
+    raise exception 'An item in your cart is no longer available.' using errcode = 'P0002';
+  end if;
+
+  v_subtotals := public.basket_subtotals(p_items);
+
+  if coalesce(trim(p_promo_code), '') <> '' then
+    -- Lock the promotion so concurrent checkouts cannot exceed its limits
+    select * into v_promo
+      from public.promotions
+     where code = upper(trim(p_promo_code))
+       for update;
+    if not found then
+      raise exception 'Promo code % was not found.', upper(trim(p_promo_code)) using errcode = 'P0002';
+    end if;
+    perform public.assert_promotion_usable(v_promo, v_user_id, v_subtotals);
+    v_has_promo := true;
+    v_allocations := public.allocate_promotion(v_promo, v_subtotals);
+  end if;
+
+  insert into public.checkouts (user_id, shipping_address, contact_name, contact_phone, payment_method, promotion_id)
+  values (
+    v_user_id, p_address->>'shipping_address', p_address->>'contact_name',
+    p_address->>'contact_phone', coalesce(p_payment_method, 'COD'),
+    case when v_has_promo then v_promo.id end
+  )
+  returning * into v_checkout;
+
+  for v_restaurant in
+    select r.*
+      from public.restaurants r
+     where r.id in (
+       select f.restaurant_id
+         from jsonb_array_elements(p_items) e
+         join public.food_items f on f.food_item_id = e->>'food_item_id'
+     )
+     order by r.id
+  loop
+    insert into public.orders (
+      user_id, checkout_id, restaurant_id, delivery_zone, total, subtotal, delivery_fee,
+      shipping_address, delivery_lat, delivery_lng, rider_notes, contact_name, contact_phone, payment_method,
+      status, promotion_id, scheduled_for
+    )
+    values (
+      v_user_id, v_checkout.id, v_restaurant.id, v_zone.barangay_name, 0, 0, 0,
+      v_checkout.shipping_address, v_lat, v_lng, v_rider_notes, v_checkout.contact_name, v_checkout.contact_phone,
+      v_checkout.payment_method,
+      case when p_scheduled_for is null then 'Pending' else 'Scheduled' end,
+      v_checkout.promotion_id, p_scheduled_for
+    )
+    returning * into v_order;
+
+    v_subtotal := 0;
+    v_items := '[]'::jsonb;
+
+    for v_line in
+      select e
+        from jsonb_array_elements(p_items) e
+        join public.food_items f on f.food_item_id = e->>'food_item_id'
+       where f.restaurant_id = v_restaurant.id
+    loop
+      v_quantity := coalesce((v_line->>'quantity')::integer, 0);
+      if v_quantity <= 0 then
+        raise exception 'Invalid quantity for item %.', v_line->>'food_item_id' using errcode = '22023';
+      end if;
+
+      -- Lock the row so two checkouts cannot sell the same last portion
+      select * into v_food
+        from public.food_items
+       where food_item_id = v_line->>'food_item_id'
+         for update;
+
+      if v_food.stock is not null and v_food.stock < v_quantity then
+        raise exception 'Only % left of "%".', greatest(v_food.stock, 0), v_food.name using errcode = 'P0001';
+      end if;
+
+      update public.food_items
+         set stock = stock - v_quantity
+       where food_item_id = v_food.food_item_id
+         and stock is not null;
+
+      v_priced := public.price_basket_line(v_food, v_line->'option_ids');
+      v_unit_price := (v_priced->>'unit_price')::numeric;
+
+      insert into public.order_items (order_id, food_item_id, name, price, quantity, options)
+      values (v_order.id, v_food.food_item_id, v_food.name, v_unit_price, v_quantity, v_priced->'options');
+
+      v_subtotal := v_subtotal + v_unit_price * v_quantity;
+      v_items := v_items || jsonb_build_object(
+        'food_item_id', v_food.food_item_id,
+        'name', v_food.name,
+        'price', v_unit_price,
+        'quantity', v_quantity,
+        'options', v_priced->'options'
+      );
+    end loop;
+
+    v_discount := coalesce((v_allocations->>v_restaurant.id::text)::numeric, 0);
+    if v_has_promo and v_promo.kind = 'free_delivery'
+       and (v_promo.restaurant_id is null or v_promo.restaurant_id = v_restaurant.id) then
+      v_discount := (public.compute_order_pricing(v_subtotal, v_zone)->>'delivery_fee')::numeric;
+    end if;
+
+    v_pricing := public.compute_order_pricing(v_subtotal, v_zone, v_discount);
+
+    update public.orders
+       set subtotal = (v_pricing->>'subtotal')::numeric,
+           delivery_fee = (v_pricing->>'delivery_fee')::numeric,
+           small_order_fee = (v_pricing->>'small_order_fee')::numeric,
+           discount = (v_pricing->>'discount')::numeric,
+           total = (v_pricing->>'total')::numeric
+     where id = v_order.id
+    returning * into v_order;
+
+    v_total := v_total + v_order.total;
+    v_total_discount := v_total_discount + v_order.discount;
+    v_orders := v_orders || (to_jsonb(v_order) || jsonb_build_object(
+      'order_items', v_items,
+      'restaurant_name', v_restaurant.name
+    ));
+  end loop;
+
+  update public.checkouts
+     set total = v_total,
+         discount = v_total_discount
+   where id = v_checkout.id
+  returning * into v_checkout;
+
+  if v_has_promo then
+    insert into public.promotion_redemptions (promotion_id, user_id, checkout_id, discount)
+    values (v_promo.id, v_user_id, v_checkout.id, v_total_discount);
+  end if;
+
+  return to_jsonb(v_checkout) || jsonb_build_object('orders', v_orders);
+end;
+$$;
+
+revoke all on function public.place_order(jsonb, jsonb, text, text, timestamptz) from public;
+grant execute on function public.place_order(jsonb, jsonb, text, text, timestamptz) to authenticated;
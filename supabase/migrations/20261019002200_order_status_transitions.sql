@@ -0,0 +1,52 @@
+-- Order status moves, checked in the database.
+--
+-- updateOrderStatus() (src/lib/orderLifecycle.js) validates a move against
+-- TRANSITIONS before writing it, but the orders policies let owners and
+-- customers update their orders directly, so the same table is enforced
+-- here for every status change made from the app. Keep the two in step.
+--
+-- Moves made inside this schema's functions (accept_order,
+-- advance_delivery, release_scheduled_orders, cancel_order and the payment
+-- callbacks) run as the function owner and do their own checks, so they
+-- are not limited here. Cancelling is refused by guard_order_cancellation.
+
+-- Not security definer, so current_user tells app requests apart
+create or replace function public.guard_order_status_change()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_roles text[];
+begin
+  if current_user not in ('anon', 'authenticated') then
+    return new;
+  end if;
+
+  -- from -> to: roles allowed to make that move
+  v_roles := case old.status || ' -> ' || new.status
+    when 'Scheduled -> Pending' then array['owner']
+    when 'Pending -> Preparing' then array['owner']
+    when 'Preparing -> Driver Assigned' then array['rider', 'owner']
+    when 'Driver Assigned -> Out for Delivery' then array['owner', 'rider']
+    when 'Out for Delivery -> Delivered' then array['owner', 'rider']
+    when 'Delivered -> Completed' then array['customer', 'owner']
+  end;
+
+  if v_roles is null or not (
+    ('owner' = any (v_roles) and old.restaurant_id in (select id from public.restaurants where owner_id = auth.uid()))
+    or ('rider' = any (v_roles) and old.rider_id = auth.uid())
+    or ('customer' = any (v_roles) and old.user_id = auth.uid())
+  ) then
+    raise exception 'An order that is "%" cannot be moved to "%" by you.', old.status, new.status using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_guard_status_change on public.orders;
+create trigger orders_guard_status_change
+  before update of status on public.orders
+  for each row
+  when (new.status is distinct from old.status)
+  execute function public.guard_order_status_change();
@@ -0,0 +1,47 @@
+-- Deadline for paying online orders.
+--
+-- Only an open payment intent used to expire, so e-wallet and card orders
+-- whose payment failed, or whose customer never reached the payment step,
+-- stayed Pending and unpaid for good: their stock and promo use were held
+-- and the restaurant never saw them. Now an online order has 15 minutes
+-- from being placed to be paid (create_payment_intent never opens an
+-- intent past that), after which release_unpaid_orders() cancels it as
+-- 'payment_expired'.
+
+create or replace function public.release_unpaid_orders()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count integer;
+begin
+  -- Closing the open intents cancels their checkouts' orders too
+  perform public.apply_payment_event(id, 'expired', null, 'The payment window closed.')
+     from public.payments
+    where status = 'pending' and expires_at <= now();
+
+  update public.orders
+     set status = 'Cancelled',
+         cancel_reason = 'payment_expired',
+         cancelled_by = 'system'
+   where payment_method <> 'COD'
+     and payment_status = 'unpaid'
+     and status in ('Pending', 'Scheduled')
+     and created_at <= now() - interval '15 minutes';
+  get diagnostics v_count = row_count;
+  return v_count;
+end;
+$$;
+
+revoke all on function public.release_unpaid_orders() from public;
+grant execute on function public.release_unpaid_orders() to authenticated;
+
+do $$
+begin
+  if exists (select 1 from pg_extension where extname = 'pg_cron') then
+    perform cron.schedule('release-unpaid-orders', '* * * * *', 'select public.release_unpaid_orders()');
+  end if;
+end;
+$$;
@@ -0,0 +1,5 @@
+-- Local development data, loaded by `supabase db reset`. Never run this
+-- against production.
+
+-- The fake payment provider (see the payments migration)
+update public.payment_providers set is_enabled = true where id = 'fake';